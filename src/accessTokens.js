@@ -0,0 +1,239 @@
+/**
+ * Access Tokens - Personal access tokens for scripts calling the TokenApi
+ * A token acts as its owner, limited to the permissions chosen as its scopes.
+ * The plaintext is shown once at creation; only its SHA-256 is stored.
+ */
+
+import { randomToken, sha256Hex } from "./cryptoUtils.js";
+
+// Recognisable prefix so leaked tokens are easy to spot (e.g. by secret scanners)
+export const TOKEN_PREFIX = "shpat_";
+export const TOKEN_LIFETIMES_DAYS = [7, 30, 90, 365];
+
+export class AccessTokenManager {
+	/**
+	 * Initialize the AccessTokenManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.permissionsManager - Defines the available scopes
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.permissionsManager = dependencies.permissionsManager;
+		this.storageKey = "study-hall-access-tokens";
+		this.maxTokensPerUser = 20;
+	}
+
+	/**
+	 * Load token records from localStorage
+	 * @returns {Array} Token records
+	 */
+	loadTokens() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load access tokens:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Save token records to localStorage
+	 * @param {Array} tokens - Token records
+	 */
+	saveTokens(tokens) {
+		localStorage.setItem(this.storageKey, JSON.stringify(tokens));
+	}
+
+	/**
+	 * Scopes the current user may put on a token - their own permissions
+	 * @returns {Array<Object>} [{ key, name, description }]
+	 */
+	getAvailableScopes() {
+		const user = this.authSystem.getCurrentUser();
+		const definitions = this.permissionsManager.permissionDefinitions;
+
+		return (user?.permissions || [])
+			.filter((key) => definitions[key])
+			.map((key) => ({
+				key,
+				name: definitions[key].name,
+				description: definitions[key].description,
+			}));
+	}
+
+	/**
+	 * Create a token for the current user
+	 * @param {Object} options
+	 * @param {string} options.name - What the token is for
+	 * @param {Array<string>} options.scopes - Permission keys the token may use
+	 * @param {number} options.expiresInDays - One of TOKEN_LIFETIMES_DAYS
+	 * @returns {Promise<Object>} { token, record } - `token` is never retrievable again
+	 */
+	async createToken({ name, scopes, expiresInDays }) {
+		this.authSystem.assertNotImpersonating();
+
+		const user = this.authSystem.getCurrentUser();
+		if (!user) {
+			throw new Error("You must be signed in to create access tokens");
+		}
+
+		const trimmedName = String(name || "").trim();
+		if (!trimmedName) {
+			throw new Error("Give the token a name so you can recognise it later");
+		}
+		if (!Array.isArray(scopes) || scopes.length === 0) {
+			throw new Error("Choose at least one scope");
+		}
+
+		const allowed = this.getAvailableScopes().map((scope) => scope.key);
+		const invalid = scopes.filter((scope) => !allowed.includes(scope));
+		if (invalid.length > 0) {
+			throw new Error(
+				`You can't grant scopes you don't have: ${invalid.join(", ")}`
+			);
+		}
+		if (!TOKEN_LIFETIMES_DAYS.includes(expiresInDays)) {
+			throw new Error("Choose a supported expiry");
+		}
+
+		const tokens = this.loadTokens();
+		const active = tokens.filter(
+			(t) => t.userId === user.id && this.isUsable(t)
+		);
+		if (active.length >= this.maxTokensPerUser) {
+			throw new Error(
+				`You already have ${this.maxTokensPerUser} active tokens. Revoke one first.`
+			);
+		}
+
+		const token = `${TOKEN_PREFIX}${randomToken(30)}`;
+		const now = new Date();
+		const record = {
+			id: `pat-${randomToken(9)}`,
+			userId: user.id,
+			name: trimmedName,
+			tokenHash: await sha256Hex(token),
+			hint: token.slice(0, TOKEN_PREFIX.length + 4),
+			scopes: [...new Set(scopes)],
+			createdAt: now.toISOString(),
+			expiresAt: new Date(
+				now.getTime() + expiresInDays * 24 * 60 * 60 * 1000
+			).toISOString(),
+			lastUsedAt: null,
+			revokedAt: null,
+		};
+
+		tokens.push(record);
+		this.saveTokens(tokens);
+
+		this.authSystem.recordAudit("access_token_created", {
+			target: user,
+			details: `Created access token "${record.name}" (${record.scopes.join(
+				", "
+			)}, ${expiresInDays} days)`,
+			metadata: { tokenId: record.id, scopes: record.scopes },
+		});
+
+		return { token, record: this.toPublicRecord(record) };
+	}
+
+	/**
+	 * Tokens belonging to a user, newest first, without their hashes
+	 * @param {string} [userId] - Defaults to the current user
+	 * @returns {Array} Token records
+	 */
+	listTokens(userId = null) {
+		const ownerId = userId || this.authSystem.getCurrentUser()?.id;
+		return this.loadTokens()
+			.filter((t) => t.userId === ownerId)
+			.map((t) => this.toPublicRecord(t))
+			.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+	}
+
+	/**
+	 * Revoke a token; owners can revoke their own, admins anyone's
+	 * @param {string} tokenId - Token record ID
+	 * @returns {boolean} True when a token was revoked
+	 */
+	revokeToken(tokenId) {
+		this.authSystem.assertNotImpersonating();
+
+		const tokens = this.loadTokens();
+		const record = tokens.find((t) => t.id === tokenId);
+		if (!record || record.revokedAt) return false;
+
+		const currentUser = this.authSystem.getCurrentUser();
+		if (
+			record.userId !== currentUser?.id &&
+			!this.authSystem.hasPermission("admin")
+		) {
+			throw new Error("Insufficient permissions to revoke access tokens");
+		}
+
+		record.revokedAt = new Date().toISOString();
+		this.saveTokens(tokens);
+
+		this.authSystem.recordAudit("access_token_revoked", {
+			target: this.authSystem.authorizedUsers.find(
+				(u) => u.id === record.userId
+			),
+			details: `Revoked access token "${record.name}"`,
+			metadata: { tokenId },
+		});
+		return true;
+	}
+
+	/**
+	 * Resolve a presented token to its owner and effective permissions
+	 * @param {string} token - Plaintext token
+	 * @returns {Promise<Object>} { user, record, permissions }
+	 * @throws {Error} When the token is unknown, expired, revoked or its owner inactive
+	 */
+	async authenticate(token) {
+		if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) {
+			throw new Error("Invalid access token");
+		}
+
+		const tokenHash = await sha256Hex(token);
+		const tokens = this.loadTokens();
+		const record = tokens.find((t) => t.tokenHash === tokenHash);
+		if (!record) {
+			throw new Error("Invalid access token");
+		}
+		if (record.revokedAt) {
+			throw new Error("This access token has been revoked");
+		}
+		if (new Date(record.expiresAt) <= new Date()) {
+			throw new Error("This access token has expired");
+		}
+
+		const user = this.authSystem.authorizedUsers.find(
+			(u) => u.id === record.userId
+		);
+		if (!user || user.status === "inactive") {
+			throw new Error("The owner of this access token is not active");
+		}
+
+		record.lastUsedAt = new Date().toISOString();
+		this.saveTokens(tokens);
+
+		// Scopes only narrow the owner's current permissions, so revoking a
+		// permission from the user also takes it away from their tokens
+		const permissions = record.scopes.filter((scope) =>
+			(user.permissions || []).includes(scope)
+		);
+
+		return { user, record: this.toPublicRecord(record), permissions };
+	}
+
+	isUsable(record) {
+		return !record.revokedAt && new Date(record.expiresAt) > new Date();
+	}
+
+	toPublicRecord(record) {
+		const { tokenHash, ...rest } = record;
+		return { ...rest, active: this.isUsable(record) };
+	}
+}
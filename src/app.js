@@ -13,6 +13,32 @@ import { DocumentUIManager } from "./documentUIManager.js";
 import { TaskManager } from "./taskManager.js";
 import { TaskUIManager } from "./taskUIManager.js";
 import { AdminUIManager } from "./adminUIManager.js";
+import { SessionMonitor } from "./sessionMonitor.js";
+import { SyncManager } from "./syncManager.js";
+import { AccessTokenManager, TOKEN_LIFETIMES_DAYS } from "./accessTokens.js";
+import { TokenApi } from "./tokenApi.js";
+import { LifecycleWorkflowManager } from "./lifecycleWorkflows.js";
+import { LeaveManager } from "./leaveManager.js";
+import { LeaveUIManager } from "./leaveUIManager.js";
+import { TimesheetManager } from "./timesheetManager.js";
+import { TimesheetUIManager } from "./timesheetUIManager.js";
+import { ReviewCycleManager } from "./reviewCycles.js";
+import { ReviewUIManager } from "./reviewUIManager.js";
+import { GoalManager } from "./goalManager.js";
+import { GoalUIManager } from "./goalUIManager.js";
+import { TrainingManager } from "./trainingManager.js";
+import { TrainingUIManager } from "./trainingUIManager.js";
+import { PolicyAcknowledgementManager } from "./policyAcknowledgements.js";
+import { PolicyUIManager } from "./policyUIManager.js";
+import { RecruitmentManager } from "./recruitmentManager.js";
+import { RecruitmentUIManager } from "./recruitmentUIManager.js";
+import { CompensationManager } from "./compensation.js";
+import { CompensationUIManager } from "./compensationUIManager.js";
+import { SkillsManager } from "./skillsManager.js";
+import { SkillsUIManager } from "./skillsUIManager.js";
+import { HeadcountPlanner } from "./headcountPlanning.js";
+import { HeadcountUIManager } from "./headcountUIManager.js";
+import { describePolicy } from "./passwordPolicy.js";
 import { ModalComponent } from "./components/ModalComponent.js";
 import { NotificationComponent } from "./components/NotificationComponent.js";
 import { ViewManagerComponent } from "./components/ViewManagerComponent.js";
@@ -51,18 +77,168 @@ export class StudyHallApp {
 			this.permissionsManager
 		);
 
+		// Onboarding/offboarding checklists that generate tasks
+		this.lifecycleWorkflows = new LifecycleWorkflowManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			taskManager: this.taskManager,
+		});
+
+		// Records that name a department follow it through renames and merges
+		this.userManager
+			.registerDepartmentReferences("tasks", {
+				count: (name) =>
+					this.taskManager.searchTasks("", { department: name }).length,
+				move: (from, to) => this.taskManager.reassignDepartment(from, to),
+			})
+			.registerDepartmentReferences("documents", {
+				count: (name) =>
+					this.documentManager.getDocumentsByDepartment(name).length,
+				move: (from, to) => {
+					const moved = this.documentManager.reassignDepartment(from, to);
+					this.documents = this.loadDocuments();
+					return moved;
+				},
+			})
+			.registerDepartmentReferences("workflows", {
+				count: (name) =>
+					this.lifecycleWorkflows
+						.getWorkflows()
+						.filter((w) => w.departments?.includes(name)).length,
+				move: (from, to) =>
+					this.lifecycleWorkflows.reassignDepartment(from, to),
+			});
+
+		// Personal access tokens and the scriptable API they unlock
+		this.accessTokens = new AccessTokenManager({
+			authSystem: this.authSystem,
+			permissionsManager: this.permissionsManager,
+		});
+		this.tokenApi = new TokenApi({
+			authSystem: this.authSystem,
+			accessTokens: this.accessTokens,
+			permissionsManager: this.permissionsManager,
+			userManager: this.userManager,
+			taskManager: this.taskManager,
+		});
+		window.studyHallApi = {
+			call: (token, method, params) =>
+				this.tokenApi.call(token, method, params),
+		};
+
 		// Legacy task management (will be replaced by TaskManager)
 		this.tasks = this.loadTasks();
 		this.taskIdCounter = this.getNextTaskId();
 
+		// Weekly timesheets reviewed by each employee's manager
+		this.timesheetManager = new TimesheetManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			taskManager: this.taskManager,
+			hierarchyManager: this.hierarchyManager,
+		});
+
+		// Performance review cycles, with review tasks for each reviewer
+		this.reviewCycles = new ReviewCycleManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+			taskManager: this.taskManager,
+		});
+
+		// Courses, assignments and certifications, with a task per assignment
+		this.trainingManager = new TrainingManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+			taskManager: this.taskManager,
+		});
+
+		// Sign-off of each published policy version by its audience
+		this.policyAcknowledgements = new PolicyAcknowledgementManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			documentManager: this.documentManager,
+			taskManager: this.taskManager,
+		});
+
+		// Objectives and key results, cascading from company to individual
+		this.goalManager = new GoalManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+		});
+		this.userManager.registerDepartmentReferences("goals", {
+			count: (name) =>
+				this.goalManager.getGoals({ department: name }).length,
+			move: (from, to) => this.goalManager.reassignDepartment(from, to),
+		});
+
+		// Leave balances and requests, routed up the manager chain
+		this.leaveManager = new LeaveManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+		});
+
 		// Initialize meeting management system
 		this.meetingManager = new MeetingManager({
 			authSystem: this.authSystem,
+			leaveManager: this.leaveManager,
 		});
 
 		// Expose meetings for backward compatibility
 		this.meetings = this.meetingManager.getAllMeetings();
 
+		// Requisitions and the candidate pipeline, ending in a new user
+		this.recruitmentManager = new RecruitmentManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			documentManager: this.documentManager,
+			meetingManager: this.meetingManager,
+			taskManager: this.taskManager,
+			lifecycleWorkflows: this.lifecycleWorkflows,
+		});
+		this.userManager.registerDepartmentReferences("requisitions", {
+			count: (name) =>
+				this.recruitmentManager.requisitions.filter(
+					(r) => r.department === name
+				).length,
+			move: (from, to) =>
+				this.recruitmentManager.reassignDepartment(from, to),
+		});
+
+		// Pay against position salary ranges, and merit raises within budget
+		this.compensationManager = new CompensationManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+			permissionsManager: this.permissionsManager,
+		});
+
+		// Skills catalogue, proficiency ratings and gaps against positions
+		this.skillsManager = new SkillsManager({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			hierarchyManager: this.hierarchyManager,
+			trainingManager: this.trainingManager,
+		});
+
+		// Quarterly headcount plans costed against department budgets
+		this.headcountPlanner = new HeadcountPlanner({
+			authSystem: this.authSystem,
+			userManager: this.userManager,
+			compensationManager: this.compensationManager,
+			recruitmentManager: this.recruitmentManager,
+		});
+		this.userManager.registerDepartmentReferences("headcount plans", {
+			count: (name) =>
+				this.headcountPlanner.plans.filter(
+					(plan) => plan.department === name
+				).length,
+			move: (from, to) => this.headcountPlanner.reassignDepartment(from, to),
+		});
+
 		// Initialize dashboard management system
 		this.dashboardManager = new DashboardManager({
 			authSystem: this.authSystem,
@@ -82,6 +258,16 @@ export class StudyHallApp {
 		this.documentUIManager = null;
 		this.taskUIManager = null;
 		this.adminUIManager = null;
+		this.leaveUIManager = null;
+		this.timesheetUIManager = null;
+		this.reviewUIManager = null;
+		this.goalUIManager = null;
+		this.trainingUIManager = null;
+		this.policyUIManager = null;
+		this.recruitmentUIManager = null;
+		this.compensationUIManager = null;
+		this.skillsUIManager = null;
+		this.headcountUIManager = null;
 
 		// Initialize ViewManagerComponent for routing
 		this.viewManager = null;
@@ -91,8 +277,6 @@ export class StudyHallApp {
 
 		// Legacy documentation management (will be replaced by DocumentManager)
 		this.documents = this.loadDocuments();
-		this.policies = this.loadPolicies();
-		this.trainings = this.loadTrainings();
 		this.templates = this.loadTemplates();
 
 		this.init();
@@ -434,120 +618,6 @@ export class StudyHallApp {
 		];
 	}
 
-	loadPolicies() {
-		try {
-			const saved = localStorage.getItem("study-hall-policies");
-			if (saved) {
-				return JSON.parse(saved);
-			}
-		} catch (error) {
-			console.warn("Failed to load policies from localStorage:", error);
-		}
-
-		return [
-			{
-				id: 1,
-				title: "Code of Conduct",
-				description:
-					"Professional behavior standards and ethical guidelines for all employees",
-				status: "active",
-				lastUpdated: "2025-10-01",
-				version: "2.1",
-				category: "Ethics & Compliance",
-				icon: "⚖️",
-			},
-			{
-				id: 2,
-				title: "Data Privacy Policy",
-				description:
-					"Guidelines for handling sensitive company and customer data",
-				status: "active",
-				lastUpdated: "2025-09-15",
-				version: "1.3",
-				category: "Security",
-				icon: "🔒",
-			},
-			{
-				id: 3,
-				title: "Leave of Absence Policy",
-				description:
-					"Procedures for requesting and managing various types of leave",
-				status: "active",
-				lastUpdated: "2025-08-20",
-				version: "1.8",
-				category: "HR Policies",
-				icon: "🏖️",
-			},
-			{
-				id: 4,
-				title: "Equipment Usage Policy",
-				description: "Guidelines for company equipment use and maintenance",
-				status: "draft",
-				lastUpdated: "2025-11-03",
-				version: "2.0-draft",
-				category: "IT Policies",
-				icon: "🖥️",
-			},
-			{
-				id: 5,
-				title: "Social Media Policy",
-				description: "Professional social media usage guidelines",
-				status: "active",
-				lastUpdated: "2025-07-10",
-				version: "1.2",
-				category: "Communications",
-				icon: "📱",
-			},
-		];
-	}
-
-	loadTrainings() {
-		try {
-			const saved = localStorage.getItem("study-hall-trainings");
-			if (saved) {
-				return JSON.parse(saved);
-			}
-		} catch (error) {
-			console.warn("Failed to load trainings from localStorage:", error);
-		}
-
-		return [
-			{
-				id: 1,
-				title: "New Employee Orientation",
-				description:
-					"Comprehensive introduction to company culture, values, and basic procedures",
-				duration: "4 hours",
-				type: "Interactive",
-				lastUpdated: "2025-10-15",
-				completions: 45,
-				icon: "🎯",
-			},
-			{
-				id: 2,
-				title: "Data Security Awareness",
-				description:
-					"Essential cybersecurity practices and threat awareness training",
-				duration: "2 hours",
-				type: "Online Course",
-				lastUpdated: "2025-11-01",
-				completions: 52,
-				icon: "🛡️",
-			},
-			{
-				id: 3,
-				title: "Leadership Development",
-				description:
-					"Management skills and leadership principles for team leads and managers",
-				duration: "6 hours",
-				type: "Workshop",
-				lastUpdated: "2025-09-20",
-				completions: 18,
-				icon: "👑",
-			},
-		];
-	}
-
 	loadTemplates() {
 		try {
 			const saved = localStorage.getItem("study-hall-templates");
@@ -589,28 +659,6 @@ export class StudyHallApp {
 		}
 	}
 
-	savePolicies() {
-		try {
-			localStorage.setItem(
-				"study-hall-policies",
-				JSON.stringify(this.policies)
-			);
-		} catch (error) {
-			console.error("Failed to save policies:", error);
-		}
-	}
-
-	saveTrainings() {
-		try {
-			localStorage.setItem(
-				"study-hall-trainings",
-				JSON.stringify(this.trainings)
-			);
-		} catch (error) {
-			console.error("Failed to save trainings:", error);
-		}
-	}
-
 	saveTemplates() {
 		try {
 			localStorage.setItem(
@@ -686,52 +734,6 @@ export class StudyHallApp {
 			.join("");
 	}
 
-	renderPolicies() {
-		const container = document.getElementById("policiesGrid");
-		if (!container) return;
-
-		container.innerHTML = this.policies
-			.map(
-				(policy) => `
-			<div class="policy-card" onclick="studyHallApp.openPolicy(${policy.id})">
-				<div class="policy-header">
-					<div class="policy-icon">${policy.icon}</div>
-					<div class="policy-title">${policy.title}</div>
-				</div>
-				<div class="policy-description">${policy.description}</div>
-				<div class="policy-meta">
-					<span>v${policy.version}</span>
-					<span class="policy-status ${policy.status}">${policy.status}</span>
-				</div>
-			</div>
-		`
-			)
-			.join("");
-	}
-
-	renderTrainings() {
-		const container = document.getElementById("trainingGrid");
-		if (!container) return;
-
-		container.innerHTML = this.trainings
-			.map(
-				(training) => `
-			<div class="training-card" onclick="studyHallApp.openTraining(${training.id})">
-				<div class="training-thumbnail">${training.icon}</div>
-				<div class="training-content">
-					<div class="training-title">${training.title}</div>
-					<div class="training-description">${training.description}</div>
-					<div class="training-meta">
-						<span>${training.completions} completed</span>
-						<span class="training-duration">${training.duration}</span>
-					</div>
-				</div>
-			</div>
-		`
-			)
-			.join("");
-	}
-
 	renderTemplates() {
 		const container = document.getElementById("templatesGrid");
 		if (!container) return;
@@ -971,14 +973,6 @@ export class StudyHallApp {
 		window.print();
 	}
 
-	openPolicy(policyId) {
-		this.showNotification("Policy viewer coming soon!", "info");
-	}
-
-	openTraining(trainingId) {
-		this.showNotification("Training viewer coming soon!", "info");
-	}
-
 	useTemplate(templateId) {
 		this.showNotification("Template usage coming soon!", "info");
 	}
@@ -987,14 +981,6 @@ export class StudyHallApp {
 		this.showNotification("Template editing coming soon!", "info");
 	}
 
-	showCreatePolicyModal() {
-		this.showNotification("Policy creation coming soon!", "info");
-	}
-
-	showCreateTrainingModal() {
-		this.showNotification("Training creation coming soon!", "info");
-	}
-
 	showCreateTemplateModal() {
 		this.showNotification("Template creation coming soon!", "info");
 	}
@@ -1023,6 +1009,10 @@ export class StudyHallApp {
 			console.log("5. Initializing navigation manager...");
 			this.initializeNavigationManager();
 
+			// Keep other open tabs in sync
+			console.log("5b. Initializing cross-tab sync...");
+			this.initializeSyncManager();
+
 			console.log("6. Binding events...");
 			this.bindEvents();
 
@@ -1042,6 +1032,9 @@ export class StudyHallApp {
 			console.log("11. Rendering dashboard...");
 			this.renderDashboard();
 
+			// Ask for any policy sign-offs still outstanding
+			this.policyUIManager?.promptPending();
+
 			console.log("StudyHallApp initialized successfully!");
 		} catch (error) {
 			console.error("Error during StudyHallApp initialization:", error);
@@ -1194,6 +1187,25 @@ export class StudyHallApp {
 			this.bindUserMenuEvents();
 			this.applyRoleBasedVisibility(user);
 
+			this.renderImpersonationBanner();
+
+			// Idle timeout and revoked-session detection
+			this.sessionMonitor = new SessionMonitor({ authSystem: this.authSystem });
+			this.sessionMonitor.start();
+
+			// Auto-onboarding and final-day access revocation
+			this.lifecycleWorkflows.start();
+			// Future-dated job changes take effect on their day
+			this.userManager.employmentHistory.start();
+			// Position-driven course assignment and certification renewals
+			this.trainingManager.start();
+			// Policy sign-off requests for new versions and new employees
+			this.policyAcknowledgements.start();
+			// Drops pay records of deleted users
+			this.compensationManager.start();
+			// Catalogue picks up new position requirements
+			this.skillsManager.start();
+
 			// Initialize admin UI manager for admin users
 			if (
 				this.permissionsManager.hasPermission("admin") ||
@@ -1204,7 +1216,8 @@ export class StudyHallApp {
 						this.authSystem,
 						this.userManager,
 						this.permissionsManager,
-						this.hierarchyManager
+						this.hierarchyManager,
+						this.lifecycleWorkflows
 					);
 
 					// Make admin UI globally accessible for onclick handlers
@@ -1220,6 +1233,31 @@ export class StudyHallApp {
 		console.log("User initialized:", user?.name);
 	}
 
+	// Persistent banner while an admin is viewing the app as someone else
+	renderImpersonationBanner() {
+		const banner = document.getElementById("impersonationBanner");
+		const admin = this.authSystem.getImpersonator();
+		if (!banner || !admin) return;
+
+		const user = this.authSystem.getCurrentUser();
+		banner.innerHTML = `
+			<span>👁️ Viewing as <strong>${user.name}</strong> (${
+			user.position || user.role
+		}). Signed in as ${admin.name}. Changes are logged and security settings are locked.</span>
+			<button class="btn btn-small" id="exitImpersonationBtn">Exit</button>
+		`;
+		banner.hidden = false;
+		document.body.classList.add("impersonating");
+
+		document
+			.getElementById("exitImpersonationBtn")
+			.addEventListener("click", () => {
+				this.authSystem.stopImpersonation();
+				window.location.hash = "users";
+				window.location.reload();
+			});
+	}
+
 	initializeDocumentManager() {
 		// Set the app reference for the document manager
 		this.documentManager.setApp(this);
@@ -1241,6 +1279,54 @@ export class StudyHallApp {
 		// Make task UI globally accessible for onclick handlers
 		window.taskUIManager = this.taskUIManager;
 		console.log("Task Manager and UI initialized");
+
+		this.leaveUIManager = new LeaveUIManager(this.leaveManager, this);
+		window.leaveUI = this.leaveUIManager;
+
+		this.timesheetUIManager = new TimesheetUIManager(
+			this.timesheetManager,
+			this
+		);
+		window.timesheetUI = this.timesheetUIManager;
+
+		this.reviewUIManager = new ReviewUIManager(this.reviewCycles, this);
+		window.reviewUI = this.reviewUIManager;
+
+		this.goalUIManager = new GoalUIManager(this.goalManager, this);
+		window.goalUI = this.goalUIManager;
+
+		this.trainingUIManager = new TrainingUIManager(
+			this.trainingManager,
+			this
+		);
+		window.trainingUI = this.trainingUIManager;
+
+		this.policyUIManager = new PolicyUIManager(
+			this.policyAcknowledgements,
+			this
+		);
+		window.policyUI = this.policyUIManager;
+
+		this.recruitmentUIManager = new RecruitmentUIManager(
+			this.recruitmentManager,
+			this
+		);
+		window.recruitmentUI = this.recruitmentUIManager;
+
+		this.compensationUIManager = new CompensationUIManager(
+			this.compensationManager,
+			this
+		);
+		window.compensationUI = this.compensationUIManager;
+
+		this.skillsUIManager = new SkillsUIManager(this.skillsManager, this);
+		window.skillsUI = this.skillsUIManager;
+
+		this.headcountUIManager = new HeadcountUIManager(
+			this.headcountPlanner,
+			this
+		);
+		window.headcountUI = this.headcountUIManager;
 	}
 
 	initializeViewManager() {
@@ -1262,7 +1348,13 @@ export class StudyHallApp {
 					}
 
 					// Additional admin view checks
-					const adminViews = ["roles", "users", "audit", "settings"];
+					const adminViews = [
+						"roles",
+						"users",
+						"departments",
+						"audit",
+						"settings",
+					];
 					if (
 						adminViews.includes(newView) &&
 						!this.permissionsManager.hasPermission("admin")
@@ -1290,6 +1382,191 @@ export class StudyHallApp {
 		}
 	}
 
+	// Reload only the state another tab changed, then re-render the view
+	initializeSyncManager() {
+		this.syncManager = new SyncManager({
+			authSystem: this.authSystem,
+			viewManager: this.viewManager,
+		});
+
+		this.syncManager
+			.register(Object.values(this.taskManager.storageKeys), () => {
+				this.taskManager.loadTasks();
+				this.taskManager.loadTaskTemplates();
+				this.taskManager.loadDependencies();
+				this.tasks = this.loadTasks();
+				this.dashboardManager.tasks = this.tasks;
+			})
+			.register(
+				[
+					this.documentManager.documentsKey,
+					this.documentManager.documentVersionsKey,
+					this.documentManager.documentFeedbackKey,
+					this.documentManager.documentApprovalsKey,
+				],
+				() => {
+					const manager = this.documentManager;
+					manager.documents = manager.loadDocuments();
+					manager.documentVersions = manager.loadDocumentVersions();
+					manager.documentFeedback = manager.loadDocumentFeedback();
+					manager.documentApprovals = manager.loadDocumentApprovals();
+					manager.rebuildSearchIndex();
+					this.documents = this.loadDocuments();
+					this.policyUIManager?.refresh();
+				}
+			)
+			.register("study-hall-meetings", () => {
+				this.meetingManager.meetings = this.meetingManager.loadMeetings();
+				this.meetings = this.meetingManager.getAllMeetings();
+				this.dashboardManager.meetings = this.meetings;
+				this.meetingManager.refreshCalendar();
+			})
+			.register(
+				[
+					this.leaveManager.typesKey,
+					this.leaveManager.requestsKey,
+					this.leaveManager.adjustmentsKey,
+				],
+				() => {
+					this.leaveManager.types = this.leaveManager.loadTypes();
+					this.leaveManager.requests = this.leaveManager.loadRequests();
+					this.leaveManager.adjustments = this.leaveManager.loadAdjustments();
+					this.leaveUIManager?.refresh();
+					this.meetingManager.refreshCalendar();
+				}
+			)
+			.register(
+				[
+					this.timesheetManager.storageKey,
+					this.taskManager.storageKeys.timeEntries,
+				],
+				() => {
+					this.timesheetManager.timesheets =
+						this.timesheetManager.loadTimesheets();
+					this.timesheetUIManager?.refresh();
+				}
+			)
+			.register(
+				[this.reviewCycles.cyclesKey, this.reviewCycles.reviewsKey],
+				() => {
+					this.reviewCycles.cycles = this.reviewCycles.loadCycles();
+					this.reviewCycles.reviews = this.reviewCycles.loadReviews();
+					this.reviewUIManager?.refresh();
+				}
+			)
+			.register(this.goalManager.storageKey, () => {
+				this.goalManager.goals = this.goalManager.loadGoals();
+				this.goalUIManager?.refresh();
+			})
+			.register(
+				[this.trainingManager.coursesKey, this.trainingManager.assignmentsKey],
+				() => {
+					this.trainingManager.courses = this.trainingManager.loadCourses();
+					this.trainingManager.assignments =
+						this.trainingManager.loadAssignments();
+					this.trainingUIManager?.refresh();
+				}
+			)
+			.register(this.policyAcknowledgements.storageKey, () => {
+				this.policyAcknowledgements.signoffs =
+					this.policyAcknowledgements.loadSignoffs();
+				this.policyUIManager?.refresh();
+			})
+			.register(
+				[
+					this.recruitmentManager.requisitionsKey,
+					this.recruitmentManager.candidatesKey,
+					this.recruitmentManager.interviewsKey,
+				],
+				() => {
+					const manager = this.recruitmentManager;
+					manager.requisitions = manager.load(
+						manager.requisitionsKey,
+						"requisitions"
+					);
+					manager.candidates = manager.load(
+						manager.candidatesKey,
+						"candidates"
+					);
+					manager.interviews = manager.load(
+						manager.interviewsKey,
+						"interviews"
+					);
+					this.recruitmentUIManager?.refresh();
+				}
+			)
+			.register(
+				[
+					this.compensationManager.recordsKey,
+					this.compensationManager.cyclesKey,
+				],
+				() => {
+					const manager = this.compensationManager;
+					manager.records = manager.load(
+						manager.recordsKey,
+						"compensation records"
+					);
+					manager.cycles = manager.load(manager.cyclesKey, "merit cycles");
+					this.compensationUIManager?.refresh();
+				}
+			)
+			.register(
+				[this.skillsManager.skillsKey, this.skillsManager.assessmentsKey],
+				() => {
+					const manager = this.skillsManager;
+					manager.skills = manager.load(
+						manager.skillsKey,
+						"skills catalogue"
+					);
+					manager.assessments = manager.load(
+						manager.assessmentsKey,
+						"employee skills"
+					);
+					this.skillsUIManager?.refresh();
+				}
+			)
+			.register(this.headcountPlanner.storageKey, () => {
+				this.headcountPlanner.plans = this.headcountPlanner.loadPlans();
+				this.headcountUIManager?.refresh();
+			})
+			.register("study-hall-users", () => this.authSystem.loadUserData())
+			.register(["study-hall-departments", "study-hall-positions"], () => {
+				this.userManager.departments = this.userManager.loadDepartments();
+				this.userManager.positions = this.userManager.loadPositions();
+			})
+			.register(this.userManager.employmentHistory.storageKey, () => {
+				this.userManager.employmentHistory.records =
+					this.userManager.employmentHistory.loadRecords();
+			})
+			.register(this.userManager.customFields.storageKey, () => {
+				this.userManager.customFields.fields =
+					this.userManager.customFields.loadFields();
+			})
+			.register(
+				[this.lifecycleWorkflows.configKey, this.lifecycleWorkflows.runsKey],
+				() => {
+					this.lifecycleWorkflows.config = this.lifecycleWorkflows.loadConfig();
+					this.lifecycleWorkflows.runs = this.lifecycleWorkflows.loadRuns();
+				}
+			)
+			.register(
+				this.authSystem.securitySettingsKey,
+				() => {
+					this.authSystem.securitySettings =
+						this.authSystem.loadSecuritySettings();
+				},
+				{ refresh: false }
+			)
+			// Activity is written here every 30s, so only check for revocation
+			.register(
+				this.authSystem.sessionsKey,
+				() => this.authSystem.isAuthenticated(),
+				{ refresh: false }
+			);
+
+		this.syncManager.start();
+	}
+
 	// Initialize NavigationComponent for sidebar management
 	initializeNavigationManager() {
 		try {
@@ -1341,7 +1618,9 @@ export class StudyHallApp {
 
 	handleViewSpecificLogic(viewName) {
 		// Handle view-specific rendering
-		if (viewName === "tasks") {
+		if (viewName === "dashboard") {
+			this.renderDashboard();
+		} else if (viewName === "tasks") {
 			this.renderTasks();
 		} else if (viewName === "docs") {
 			// Use enhanced document management
@@ -1358,15 +1637,37 @@ export class StudyHallApp {
 					});
 				});
 			}
-		} else if (viewName === "policies") {
-			this.renderPolicies();
-		} else if (viewName === "training") {
-			this.renderTrainings();
+		} else if (viewName === "policies" && this.policyUIManager) {
+			this.policyUIManager.render();
+		} else if (viewName === "recruiting" && this.recruitmentUIManager) {
+			this.recruitmentUIManager.render();
+		} else if (viewName === "compensation" && this.compensationUIManager) {
+			this.compensationUIManager.render();
+		} else if (viewName === "skills" && this.skillsUIManager) {
+			this.skillsUIManager.render();
+		} else if (viewName === "headcount" && this.headcountUIManager) {
+			this.headcountUIManager.render();
+		} else if (viewName === "training" && this.trainingUIManager) {
+			this.trainingUIManager.render();
 		} else if (viewName === "templates") {
 			this.renderTemplates();
 		} else if (viewName === "users" && this.adminUIManager) {
 			// Enhanced user management view
 			this.adminUIManager.enhanceUsersView();
+		} else if (viewName === "calendar") {
+			this.meetingManager.renderCalendar();
+		} else if (viewName === "leave" && this.leaveUIManager) {
+			this.leaveUIManager.render();
+		} else if (viewName === "timesheets" && this.timesheetUIManager) {
+			this.timesheetUIManager.render();
+		} else if (viewName === "reviews" && this.reviewUIManager) {
+			this.reviewUIManager.render();
+		} else if (viewName === "goals" && this.goalUIManager) {
+			this.goalUIManager.render();
+		} else if (viewName === "departments" && this.adminUIManager) {
+			this.adminUIManager.enhanceDepartmentsView();
+		} else if (viewName === "audit" && this.adminUIManager) {
+			this.adminUIManager.renderAuditLog();
 		}
 	}
 
@@ -1499,6 +1800,16 @@ export class StudyHallApp {
 			});
 		}
 
+		// Active Sessions button
+		const activeSessionsBtn = document.getElementById("activeSessionsBtn");
+		if (activeSessionsBtn) {
+			activeSessionsBtn.addEventListener("click", (e) => {
+				e.preventDefault();
+				this.closeUserMenu();
+				this.showActiveSessionsModal();
+			});
+		}
+
 		// Preferences button
 		const preferencesBtn = document.getElementById("preferencesBtn");
 		if (preferencesBtn) {
@@ -1978,7 +2289,7 @@ export class StudyHallApp {
 		}
 
 		// Additional admin view checks
-		const adminViews = ["roles", "users", "audit", "settings"];
+		const adminViews = ["roles", "users", "departments", "audit", "settings"];
 		if (
 			adminViews.includes(viewName) &&
 			!this.permissionsManager.hasPermission("admin")
@@ -2187,6 +2498,7 @@ export class StudyHallApp {
 	showAccountSettingsModal() {
 		// Get current user info
 		const user = this.authSystem?.getCurrentUser();
+		const twoFactor = this.authSystem.getTwoFactorStatus(user?.id);
 
 		// Create form sections
 		const profileSection = `
@@ -2234,20 +2546,47 @@ export class StudyHallApp {
 						<div class="form-group">
 							<label for="newPassword">New Password</label>
 							<input type="password" id="newPassword" name="newPassword" placeholder="Enter new password">
+							<small class="form-help">${describePolicy(
+								this.authSystem.getPasswordPolicy()
+							).join(", ")}</small>
 						</div>
 						<div class="form-group">
 							<label for="confirmPassword">Confirm Password</label>
 							<input type="password" id="confirmPassword" name="confirmPassword" placeholder="Confirm new password">
 						</div>
 					</div>
-					<div class="form-group">
-						<label class="checkbox-label">
-							<input type="checkbox" id="enableTwoFactor" name="enableTwoFactor">
-							<span class="checkbox-custom"></span>
-							Enable Two-Factor Authentication (Coming Soon)
-						</label>
-					</div>
 				</form>
+				<div class="form-group">
+					<label>Two-Factor Authentication</label>
+					<small class="form-help">${
+						twoFactor.enabled
+							? `Enabled since ${new Date(
+									twoFactor.enrolledAt
+							  ).toLocaleDateString()} · ${
+									twoFactor.recoveryCodesRemaining
+							  } recovery codes left`
+							: twoFactor.required
+							? "Required for your role - set it up now"
+							: "Add a one-time code from an authenticator app to your sign-in"
+					}</small>
+					<button type="button" class="btn btn-outline" id="twoFactorBtn">
+						${
+							twoFactor.enabled
+								? "Disable Two-Factor Authentication"
+								: "Set Up Two-Factor Authentication"
+						}
+					</button>
+				</div>
+			</div>
+
+			<div class="settings-section">
+				<h3>Personal Access Tokens</h3>
+				<div class="form-group">
+					<small class="form-help">Let scripts call the app API (<code>studyHallApi.call()</code>) as you, limited to the scopes you choose.</small>
+					<button type="button" class="btn btn-outline" id="accessTokensBtn">
+						Manage Access Tokens
+					</button>
+				</div>
 			</div>
 
 			<div class="settings-section">
@@ -2273,17 +2612,14 @@ export class StudyHallApp {
 			{
 				size: "large",
 				buttons: [
-					{
-						text: "Cancel",
-						className: "btn-secondary",
-						action: () => ModalComponent.closeAll(),
-					},
-					{
-						text: "Save Changes",
-						className: "btn-primary",
-						action: () => this.saveAccountSettings(),
-					},
+					{ text: "Cancel", className: "btn-secondary", action: "cancel" },
+					{ text: "Save Changes", className: "btn-primary", action: "save" },
 				],
+				onButtonClick: (action, event, button, modal) => {
+					if (action === "save") {
+						this.saveAccountSettings(modal);
+					}
+				},
 			}
 		);
 
@@ -2291,6 +2627,22 @@ export class StudyHallApp {
 		setTimeout(() => {
 			const exportBtn = document.getElementById("exportDataBtn");
 			const deleteBtn = document.getElementById("deleteAccountBtn");
+			const twoFactorBtn = document.getElementById("twoFactorBtn");
+			const accessTokensBtn = document.getElementById("accessTokensBtn");
+
+			if (accessTokensBtn) {
+				accessTokensBtn.addEventListener("click", () =>
+					this.showAccessTokensModal()
+				);
+			}
+
+			if (twoFactorBtn) {
+				twoFactorBtn.addEventListener("click", () =>
+					twoFactor.enabled
+						? this.showDisableTwoFactorModal()
+						: this.showTwoFactorSetupModal()
+				);
+			}
 
 			if (exportBtn) {
 				exportBtn.addEventListener("click", () => this.exportUserData());
@@ -2302,6 +2654,307 @@ export class StudyHallApp {
 		}, 100);
 	}
 
+	// Two-factor enrollment - verify a first code before the secret is saved
+	showTwoFactorSetupModal() {
+		const user = this.authSystem.getCurrentUser();
+		const { secret, otpauthUri } =
+			this.authSystem.createTwoFactorEnrollment(user);
+
+		ModalComponent.custom({
+			title: "Set Up Two-Factor Authentication",
+			content: `
+				<form class="modal-form" id="twoFactorSetupForm">
+					<p>1. Add this account to your authenticator app using the setup key or link below.</p>
+					<div class="two-factor-secret">
+						<label>Setup key</label>
+						<code>${secret.match(/.{1,4}/g).join(" ")}</code>
+						<a href="${otpauthUri}">Open in authenticator app</a>
+					</div>
+					<p>2. Enter the 6-digit code the app shows.</p>
+					<div class="form-group">
+						<label for="twoFactorSetupCode">Authentication Code</label>
+						<input type="text" id="twoFactorSetupCode" name="code" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" required>
+					</div>
+				</form>
+			`,
+			buttons: [
+				{ text: "Cancel", action: "cancel", className: "btn-secondary" },
+				{ text: "Verify", action: "submit", className: "btn-primary" },
+			],
+			onSubmit: async (e, modal, form) => {
+				const code = new FormData(form).get("code");
+				const result = await this.authSystem.enableTwoFactor(
+					user.id,
+					secret,
+					code
+				);
+
+				if (!result.success) {
+					this.showNotification(result.errors.join(" "), "error");
+					return;
+				}
+
+				this.showRecoveryCodesModal(result.recoveryCodes);
+			},
+		});
+	}
+
+	showRecoveryCodesModal(codes) {
+		ModalComponent.custom({
+			title: "Save Your Recovery Codes",
+			content: `
+				<p>Two-factor authentication is on. Save these recovery codes somewhere safe - each one signs you in once if you lose your authenticator app. They won't be shown again.</p>
+				<ul class="recovery-codes">
+					${codes.map((code) => `<li><code>${code}</code></li>`).join("")}
+				</ul>
+			`,
+			buttons: [
+				{ text: "I've Saved These Codes", action: "close", className: "btn-primary" },
+			],
+			backdrop: false,
+			keyboard: false,
+		});
+		this.showNotification("Two-factor authentication enabled", "success");
+	}
+
+	showDisableTwoFactorModal() {
+		const user = this.authSystem.getCurrentUser();
+
+		ModalComponent.form({
+			title: "Disable Two-Factor Authentication",
+			fields: [
+				{
+					name: "code",
+					label: "Authentication or recovery code",
+					placeholder: "123456",
+					required: true,
+				},
+			],
+			onSubmit: async (data) => {
+				const result = await this.authSystem.disableTwoFactor(
+					user.id,
+					data.code
+				);
+				this.showNotification(
+					result.success
+						? "Two-factor authentication disabled"
+						: result.errors.join(" "),
+					result.success ? "success" : "error"
+				);
+			},
+		});
+	}
+
+	// Personal Access Tokens Modal
+	showAccessTokensModal() {
+		const modal = ModalComponent.custom({
+			title: "Personal Access Tokens",
+			content: this.renderAccessTokens(),
+			className: "access-tokens-modal",
+			buttons: [
+				{ text: "Close", action: "close", className: "btn-secondary" },
+				{ text: "Create Token", action: "submit", className: "btn-primary" },
+			],
+			onSubmit: (e, modal, form) => this.createAccessToken(form),
+		});
+		this.bindAccessTokenEvents(modal);
+	}
+
+	renderAccessTokens() {
+		const tokens = this.accessTokens.listTokens();
+		const scopes = this.accessTokens.getAvailableScopes();
+
+		return `
+			<form class="modal-form" id="accessTokenForm">
+				<div class="form-group">
+					<label for="accessTokenName">Token name</label>
+					<input type="text" id="accessTokenName" name="name" placeholder="e.g. Weekly onboarding script" required>
+				</div>
+				<div class="form-group">
+					<label>Scopes</label>
+					${scopes
+						.map(
+							(scope) => `
+						<label class="checkbox-label">
+							<input type="checkbox" name="scopes" value="${scope.key}">
+							<span class="checkmark"></span>
+							${scope.name} <small class="form-help">${scope.description}</small>
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+				<div class="form-group">
+					<label for="accessTokenExpiry">Expires after</label>
+					<select id="accessTokenExpiry" name="expiresInDays">
+						${TOKEN_LIFETIMES_DAYS.map(
+							(days) =>
+								`<option value="${days}" ${days === 30 ? "selected" : ""}>${days} days</option>`
+						).join("")}
+					</select>
+				</div>
+			</form>
+			${
+				tokens.length === 0
+					? `<p class="empty-state">You have no access tokens.</p>`
+					: `<ul class="session-list">
+				${tokens
+					.map(
+						(token) => `
+					<li class="session-item">
+						<div class="session-details">
+							<div class="session-device">
+								${token.name}
+								<span class="session-badge">${
+									token.active ? token.scopes.join(", ") : token.revokedAt ? "Revoked" : "Expired"
+								}</span>
+							</div>
+							<div class="session-meta">
+								<code>${token.hint}…</code> ·
+								Expires ${new Date(token.expiresAt).toLocaleDateString()} ·
+								${
+									token.lastUsedAt
+										? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+										: "Never used"
+								}
+							</div>
+						</div>
+						${
+							token.active
+								? `<button class="btn btn-outline" data-token-id="${token.id}">Revoke</button>`
+								: ""
+						}
+					</li>
+				`
+					)
+					.join("")}
+			</ul>`
+			}
+		`;
+	}
+
+	bindAccessTokenEvents(modal) {
+		modal.modal.querySelectorAll("[data-token-id]").forEach((button) => {
+			button.addEventListener("click", () => {
+				if (!confirm("Revoke this token? Scripts using it will stop working.")) {
+					return;
+				}
+
+				try {
+					this.accessTokens.revokeToken(button.dataset.tokenId);
+					this.showNotification("Access token revoked", "success");
+				} catch (error) {
+					this.showNotification(error.message, "error");
+				}
+
+				// Reopened rather than updated so the create form stays bound
+				this.showAccessTokensModal();
+			});
+		});
+	}
+
+	async createAccessToken(form) {
+		const data = new FormData(form);
+
+		try {
+			const { token, record } = await this.accessTokens.createToken({
+				name: data.get("name"),
+				scopes: data.getAll("scopes"),
+				expiresInDays: parseInt(data.get("expiresInDays"), 10),
+			});
+
+			ModalComponent.custom({
+				title: "Copy Your New Token",
+				content: `
+					<p>This is the only time <strong>${record.name}</strong> will be shown. Store it like a password.</p>
+					<div class="two-factor-secret">
+						<label>Access token</label>
+						<code>${token}</code>
+					</div>
+				`,
+				buttons: [
+					{ text: "I've Copied It", action: "close", className: "btn-primary" },
+				],
+				backdrop: false,
+				keyboard: false,
+			});
+		} catch (error) {
+			this.showNotification(error.message, "error");
+		}
+	}
+
+	// Active Sessions Modal
+	showActiveSessionsModal() {
+		const modal = ModalComponent.custom({
+			title: "Active Sessions",
+			content: this.renderActiveSessions(),
+			className: "active-sessions-modal",
+		});
+		this.bindActiveSessionEvents(modal);
+	}
+
+	renderActiveSessions() {
+		const sessions = this.authSystem.getActiveSessions();
+
+		if (sessions.length === 0) {
+			return `<p class="empty-state">No active sessions.</p>`;
+		}
+
+		return `
+			<p class="form-help">Signed-in browsers for your account. Sign out any you don't recognise.</p>
+			<ul class="session-list">
+				${sessions
+					.map(
+						(session) => `
+					<li class="session-item ${session.current ? "current" : ""}">
+						<div class="session-details">
+							<div class="session-device">
+								${session.device}
+								${session.current ? '<span class="session-badge">This browser</span>' : ""}
+							</div>
+							<div class="session-meta">
+								Signed in ${new Date(session.createdAt).toLocaleString()} ·
+								Last active ${new Date(session.lastActivity).toLocaleString()}
+							</div>
+							<div class="session-agent">${session.userAgent}</div>
+						</div>
+						<button class="btn btn-outline" data-session-id="${session.id}">
+							${session.current ? "Sign Out" : "Revoke"}
+						</button>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	bindActiveSessionEvents(modal) {
+		modal.modal.querySelectorAll("[data-session-id]").forEach((button) => {
+			button.addEventListener("click", () => {
+				const session = this.authSystem
+					.getActiveSessions()
+					.find((s) => s.id === button.dataset.sessionId);
+
+				if (session?.current) {
+					modal.hide();
+					this.handleLogout();
+					return;
+				}
+
+				try {
+					this.authSystem.revokeSession(button.dataset.sessionId);
+					this.showNotification("Session revoked", "success");
+				} catch (error) {
+					this.showNotification(error.message, "error");
+				}
+
+				modal.updateContent(this.renderActiveSessions());
+				this.bindActiveSessionEvents(modal);
+			});
+		});
+	}
+
 	// Preferences Modal
 	showPreferencesModal() {
 		// Create preferences content
@@ -2462,7 +3115,7 @@ export class StudyHallApp {
 	}
 
 	// Account Settings Actions
-	saveAccountSettings() {
+	async saveAccountSettings(modal) {
 		const profileForm = document.getElementById("profileForm");
 		const securityForm = document.getElementById("securityForm");
 
@@ -2482,24 +3135,25 @@ export class StudyHallApp {
 		const newPassword = securityData.get("newPassword");
 		const confirmPassword = securityData.get("confirmPassword");
 
-		if (currentPassword && newPassword && confirmPassword) {
+		if (currentPassword || newPassword || confirmPassword) {
 			if (newPassword !== confirmPassword) {
 				this.showNotification("Passwords don't match!", "error");
 				return;
 			}
-			if (newPassword.length < 6) {
-				this.showNotification(
-					"Password must be at least 6 characters!",
-					"error"
-				);
+
+			const result = await this.authSystem.changePassword(
+				this.authSystem.getCurrentUser()?.id,
+				currentPassword,
+				newPassword
+			);
+			if (!result.success) {
+				this.showNotification(result.errors.join(". "), "error");
 				return;
 			}
-			// Here you would typically verify current password and update
-			console.log("Password change requested");
 			this.showNotification("Password updated successfully!", "success");
 		}
 
-		this.closeModal();
+		modal.hide();
 	}
 
 	exportUserData() {
@@ -2911,15 +3565,37 @@ export class StudyHallApp {
 					});
 				});
 			}
-		} else if (viewName === "policies") {
-			this.renderPolicies();
-		} else if (viewName === "training") {
-			this.renderTrainings();
+		} else if (viewName === "policies" && this.policyUIManager) {
+			this.policyUIManager.render();
+		} else if (viewName === "recruiting" && this.recruitmentUIManager) {
+			this.recruitmentUIManager.render();
+		} else if (viewName === "compensation" && this.compensationUIManager) {
+			this.compensationUIManager.render();
+		} else if (viewName === "skills" && this.skillsUIManager) {
+			this.skillsUIManager.render();
+		} else if (viewName === "headcount" && this.headcountUIManager) {
+			this.headcountUIManager.render();
+		} else if (viewName === "training" && this.trainingUIManager) {
+			this.trainingUIManager.render();
 		} else if (viewName === "templates") {
 			this.renderTemplates();
 		} else if (viewName === "users" && this.adminUIManager) {
 			// Enhanced user management view
 			this.adminUIManager.enhanceUsersView();
+		} else if (viewName === "calendar") {
+			this.meetingManager.renderCalendar();
+		} else if (viewName === "leave" && this.leaveUIManager) {
+			this.leaveUIManager.render();
+		} else if (viewName === "timesheets" && this.timesheetUIManager) {
+			this.timesheetUIManager.render();
+		} else if (viewName === "reviews" && this.reviewUIManager) {
+			this.reviewUIManager.render();
+		} else if (viewName === "goals" && this.goalUIManager) {
+			this.goalUIManager.render();
+		} else if (viewName === "departments" && this.adminUIManager) {
+			this.adminUIManager.enhanceDepartmentsView();
+		} else if (viewName === "audit" && this.adminUIManager) {
+			this.adminUIManager.renderAuditLog();
 		}
 
 		// Update URL and browser history
@@ -2941,6 +3617,16 @@ export class StudyHallApp {
 			tasks: "Tasks",
 			people: "People",
 			calendar: "Calendar",
+			leave: "Time Off",
+			timesheets: "Timesheets",
+			reviews: "Reviews",
+			goals: "Goals",
+			recruiting: "Recruiting",
+			compensation: "Compensation",
+			skills: "Skills",
+			headcount: "Headcount",
+			training: "Training",
+			policies: "Policies",
 			documents: "Documents",
 			reports: "Reports",
 		};
@@ -2966,6 +3652,16 @@ export class StudyHallApp {
 			"tasks",
 			"people",
 			"calendar",
+			"leave",
+			"timesheets",
+			"reviews",
+			"goals",
+			"recruiting",
+			"compensation",
+			"skills",
+			"headcount",
+			"training",
+			"policies",
 			"documents",
 			"reports",
 		];
@@ -0,0 +1,160 @@
+/**
+ * AuditLog - Append-only record of security and HR-relevant actions
+ * Entries are persisted to localStorage and shown in the Audit Logs view.
+ */
+
+export class AuditLog {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.storageKey="study-hall-audit-log"] - localStorage key
+	 * @param {number} [options.maxEntries=2000] - Oldest entries are dropped beyond this
+	 */
+	constructor(options = {}) {
+		this.storageKey = options.storageKey || "study-hall-audit-log";
+		this.maxEntries = options.maxEntries || 2000;
+		this.entries = this.loadEntries();
+	}
+
+	/**
+	 * Load entries from localStorage
+	 * @returns {Array} Audit entries, oldest first
+	 */
+	loadEntries() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load audit log:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Save entries to localStorage
+	 */
+	saveEntries() {
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+		} catch (error) {
+			console.error("Failed to save audit log:", error);
+		}
+	}
+
+	/**
+	 * Record an action
+	 * @param {Object} entry
+	 * @param {string} entry.action - Machine-readable action, e.g. "password_reset_requested"
+	 * @param {Object|null} [entry.actor] - { id, name, email } of whoever performed it
+	 * @param {Object|null} [entry.target] - { id, name, email } of whoever it affected
+	 * @param {Object|null} [entry.impersonator] - Admin acting as `actor` while impersonating
+	 * @param {string} [entry.details] - Human-readable description
+	 * @param {string} [entry.status="success"] - "success" | "warning" | "failure"
+	 * @param {Object} [entry.metadata] - Extra structured data
+	 * @returns {Object} The stored entry
+	 */
+	record(entry) {
+		// Re-read first so entries written by other tabs are not overwritten
+		this.entries = this.loadEntries();
+
+		const stored = {
+			id: `audit-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+			timestamp: new Date().toISOString(),
+			action: entry.action,
+			actor: this.summarizeUser(entry.actor),
+			target: this.summarizeUser(entry.target),
+			impersonator: this.summarizeUser(entry.impersonator),
+			details: entry.details || "",
+			status: entry.status || "success",
+			metadata: entry.metadata || {},
+		};
+
+		this.entries.push(stored);
+		if (this.entries.length > this.maxEntries) {
+			this.entries = this.entries.slice(-this.maxEntries);
+		}
+		this.saveEntries();
+
+		return stored;
+	}
+
+	/**
+	 * Query entries, newest first
+	 * @param {Object} [filters]
+	 * @param {string} [filters.action] - Exact action, or a prefix ending in "*"
+	 * @param {string} [filters.date] - Day in YYYY-MM-DD format
+	 * @param {string} [filters.userId] - Matches actor, target or impersonator
+	 * @returns {Array} Matching entries
+	 */
+	getEntries(filters = {}) {
+		this.entries = this.loadEntries();
+
+		return this.entries
+			.filter((entry) => {
+				if (filters.action) {
+					const matches = filters.action.endsWith("*")
+						? entry.action.startsWith(filters.action.slice(0, -1))
+						: entry.action === filters.action;
+					if (!matches) return false;
+				}
+				if (filters.date && !entry.timestamp.startsWith(filters.date)) {
+					return false;
+				}
+				if (
+					filters.userId &&
+					entry.actor?.id !== filters.userId &&
+					entry.target?.id !== filters.userId &&
+					entry.impersonator?.id !== filters.userId
+				) {
+					return false;
+				}
+				return true;
+			})
+			.reverse();
+	}
+
+	/**
+	 * Export entries as CSV
+	 * @param {Array} [entries] - Entries to export (defaults to all)
+	 * @returns {string} CSV content
+	 */
+	toCSV(entries = this.getEntries()) {
+		const headers = [
+			"Timestamp",
+			"Action",
+			"Actor",
+			"Impersonator",
+			"Target",
+			"Status",
+			"Details",
+		];
+		const rows = entries.map((entry) => [
+			entry.timestamp,
+			entry.action,
+			entry.actor ? entry.actor.email || entry.actor.name : "",
+			entry.impersonator
+				? entry.impersonator.email || entry.impersonator.name
+				: "",
+			entry.target ? entry.target.email || entry.target.name : "",
+			entry.status,
+			entry.details,
+		]);
+
+		return [headers, ...rows]
+			.map((row) =>
+				row.map((field) => `"${String(field).replace(/"/g, '""')}"`).join(",")
+			)
+			.join("\n");
+	}
+
+	summarizeUser(user) {
+		if (!user) return null;
+		return {
+			id: user.id || null,
+			name: user.name || null,
+			email: user.email || null,
+		};
+	}
+}
+
+// Shared instance used by the login page and the app
+export const auditLog = new AuditLog();
@@ -1,13 +1,43 @@
 // The Study Hall Authentication System
 // Handles login, logout, and session management
 
+import { createAuthProvider } from "./authProviders.js";
+import { auditLog } from "./auditLog.js";
+import {
+	constantTimeEqual,
+	hashPassword,
+	randomToken,
+	sha256Hex,
+	verifyPassword,
+} from "./cryptoUtils.js";
+import { createMailChannel } from "./mailChannels.js";
+import { MOCK_ISSUER, MockIdentityProvider } from "./mockIdp.js";
+import { HttpOidcEndpoints, OidcClient } from "./oidc.js";
+import {
+	checkPassword,
+	isPasswordExpired,
+	normalizePolicy,
+} from "./passwordPolicy.js";
+import {
+	buildOtpauthUri,
+	generateRecoveryCodes,
+	generateSecret,
+	hashRecoveryCode,
+	verifyTotp,
+} from "./totp.js";
+
 export class AuthSystem {
 	constructor() {
 		this.authorizedUsers = [
 			{
 				id: "EMP001",
 				email: "t3sserak@proton.me",
-				password: "Password",
+				passwordHash: {
+					algorithm: "PBKDF2-SHA256",
+					iterations: 310000,
+					salt: "4APEtj6fNyakSsRk3KtT2g==",
+					hash: "0Uu2ZSt2R22NM/eBtldZvGqcqJWG0UxdzTFuOCH1XZk=",
+				},
 				name: "Russ",
 				firstName: "Russ",
 				lastName: "",
@@ -26,7 +56,12 @@ export class AuthSystem {
 			{
 				id: "EMP002",
 				email: "admin@studyhall.com",
-				password: "study2025!",
+				passwordHash: {
+					algorithm: "PBKDF2-SHA256",
+					iterations: 310000,
+					salt: "QWcbj/pDS8em+NVZI8K7+Q==",
+					hash: "yuYOOCc8lIFONECi0Ac/BuWMz/emEqIo4iboFNwzg5U=",
+				},
 				name: "Admin User",
 				firstName: "Admin",
 				lastName: "User",
@@ -45,7 +80,12 @@ export class AuthSystem {
 			{
 				id: "EMP003",
 				email: "hr@studyhall.com",
-				password: "hr123secure",
+				passwordHash: {
+					algorithm: "PBKDF2-SHA256",
+					iterations: 310000,
+					salt: "bJUKaD6lCecB7BwNq4Mu7A==",
+					hash: "zEZC/2YficVveVDYl6jrr28lARild4hvZYRAz0fT/FI=",
+				},
 				name: "Sarah Johnson",
 				firstName: "Sarah",
 				lastName: "Johnson",
@@ -64,7 +104,12 @@ export class AuthSystem {
 			{
 				id: "EMP004",
 				email: "manager@studyhall.com",
-				password: "mgr456pass",
+				passwordHash: {
+					algorithm: "PBKDF2-SHA256",
+					iterations: 310000,
+					salt: "mVDPxBlMdLykfYho2iWaNg==",
+					hash: "uxQnq4UYRh9gC0wI1DIZEZPcdrkvAGb1apBpRwgwRss=",
+				},
 				name: "Mike Chen",
 				firstName: "Mike",
 				lastName: "Chen",
@@ -83,13 +128,27 @@ export class AuthSystem {
 		];
 
 		this.sessionKey = "study-hall-session";
+		this.authConfigKey = "study-hall-auth-config";
+		this.resetTokensKey = "study-hall-reset-tokens";
+		this.resetTokenLifetime = 30 * 60 * 1000; // 30 minutes
+		this.securitySettingsKey = "study-hall-security-settings";
+		this.sessionsKey = "study-hall-sessions";
+		this.idleWarningLead = 2 * 60 * 1000; // warn 2 minutes before idle logout
+		this.twoFactorChallengeLifetime = 5 * 60 * 1000; // 5 minutes
+		this.pendingLogin = null;
+		this.actingUser = null;
+		this.securitySettings = this.loadSecuritySettings();
 		this.failedAttempts = this.loadFailedAttempts();
+		this.auditLog = auditLog;
+		this.provider = this.buildProvider(this.loadAuthConfig());
+		this.mailChannel = createMailChannel(this.loadMailConfig());
 		this.init();
 	}
 
 	init() {
-		// Load any saved user data
+		// Load any saved user data and hash any plaintext passwords left in it
 		this.loadUserData();
+		this.ready = this.migratePlaintextPasswords();
 
 		// Check if we're on the login page
 		if (document.getElementById("loginForm")) {
@@ -118,20 +177,53 @@ export class AuthSystem {
 			this.togglePasswordVisibility();
 		});
 
-		// Forgot password (placeholder for now)
+		// Forgot password - request a reset link
 		forgotPassword.addEventListener("click", (e) => {
 			e.preventDefault();
 			this.handleForgotPassword();
 		});
 
+		this.bindPasswordResetForms();
+		this.bindTwoFactorForms();
+		this.bindSsoLogin();
+
 		// Clear any existing errors on input
-		const inputs = form.querySelectorAll("input");
+		const inputs = document.querySelectorAll(".login-form input");
 		inputs.forEach((input) => {
 			input.addEventListener("input", () => {
 				this.clearFieldError(input.name);
 			});
 		});
 
+		// Opened from a reset email - stay on this page even if signed in
+		const resetToken = new URLSearchParams(window.location.search).get(
+			"resetToken"
+		);
+		if (resetToken) {
+			this.openResetForm(resetToken);
+			return;
+		}
+
+		// Redirected back from the identity provider
+		const query = new URLSearchParams(window.location.search);
+		if (query.get("state") && (query.get("code") || query.get("error"))) {
+			window.history.replaceState(null, "", window.location.pathname);
+			this.handleSsoCallback(query);
+			return;
+		}
+
+		// Explain why the user was sent back here, if it wasn't their choice
+		const signedOut = new URLSearchParams(window.location.search).get(
+			"signedOut"
+		);
+		const signedOutMessages = {
+			idle: "You were signed out after a period of inactivity.",
+			revoked: "Your session was ended from another device or by an administrator.",
+		};
+		if (signedOutMessages[signedOut]) {
+			this.showFormMessage("loginMessage", signedOutMessages[signedOut]);
+		}
+
 		// Check if user is already logged in
 		if (this.isAuthenticated()) {
 			window.location.href = "app.html";
@@ -170,27 +262,67 @@ export class AuthSystem {
 		// Simulate network delay for realistic feel
 		await new Promise((resolve) => setTimeout(resolve, 1500));
 
-		// Check credentials
-		const user = this.authenticateUser(credentials);
+		// Check credentials against the configured provider
+		let user = null;
+		try {
+			user = await this.provider.authenticate(credentials);
+		} catch (error) {
+			console.error(`Auth provider "${this.provider.name}" failed:`, error);
+		}
 
 		if (user) {
-			// Success - clear failed attempts and create session
-			this.clearFailedAttempts(credentials.email);
-			this.createSession(user, credentials.rememberMe);
-
-			// Show success and redirect
-			this.showSuccessMessage();
-			setTimeout(() => {
-				window.location.href = "app.html";
-			}, 1000);
+			// Password accepted - a second factor may still be needed
+			const account = this.getDirectoryUser(user);
+			if (account?.twoFactor?.enabled) {
+				this.startSecondFactor(user, credentials, "twoFactorForm");
+			} else if (account && this.isTwoFactorRequired(account)) {
+				this.startSecondFactor(user, credentials, "twoFactorEnrollForm");
+			} else {
+				this.completeLogin(user, credentials.rememberMe);
+			}
 		} else {
 			// Failed authentication - record attempt
 			this.recordFailedAttempt(credentials.email);
+			this.recordAudit("login_failed", {
+				actor: null,
+				details: `Failed sign-in for ${credentials.email}`,
+				status: "warning",
+				metadata: { email: credentials.email },
+			});
 			this.setLoadingState(false);
 			this.showLoginError();
 		}
 	}
 
+	// options.sso: signed in through the identity provider, which owns the
+	// password and any second factor
+	completeLogin(user, rememberMe, secondFactor = null, options = {}) {
+		// An expired password has to be replaced before the session starts
+		const account = this.getDirectoryUser(user);
+		if (!options.sso && account && this.isPasswordExpired(account)) {
+			this.startExpiredPasswordChange(user, rememberMe, secondFactor);
+			return;
+		}
+
+		this.clearFailedAttempts(user.email);
+		this.pendingLogin = null;
+		this.createSession(user, rememberMe);
+		let details = `Signed in via ${this.provider.name} provider`;
+		if (options.sso) {
+			details = `Signed in with single sign-on (${options.sso.issuer})`;
+		} else if (secondFactor) {
+			details += ` with ${secondFactor}`;
+		}
+		this.recordAudit("login", { actor: user, details });
+
+		// Show success and redirect
+		this.setLoadingState(true);
+		this.showSuccessMessage();
+		setTimeout(() => {
+			window.location.href = "app.html";
+		}, 1000);
+	}
+
 	validateInput(credentials) {
 		let isValid = true;
 
@@ -215,47 +347,142 @@ export class AuthSystem {
 		return isValid;
 	}
 
-	authenticateUser(credentials) {
-		return this.authorizedUsers.find(
-			(user) =>
-				user.email === credentials.email &&
-				user.password === credentials.password
+	async authenticateUser(credentials) {
+		// Stored data may still be mid-migration on the first page load
+		await this.ready;
+
+		const user = this.authorizedUsers.find(
+			(u) => u.email === credentials.email
+		);
+
+		// Unknown emails are checked against a throwaway hash so the response
+		// time does not reveal which addresses have accounts
+		const matches = await verifyPassword(
+			credentials.password,
+			user?.passwordHash || (await this.getDecoyHash())
+		);
+
+		return user && matches ? user : null;
+	}
+
+	async getDecoyHash() {
+		if (!this.decoyHash) {
+			this.decoyHash = await hashPassword(crypto.randomUUID());
+		}
+		return this.decoyHash;
+	}
+
+	// Replace a user's password with a fresh salted hash (caller saves)
+	async setPassword(user, password) {
+		// Keep recent hashes so the policy can refuse reused passwords
+		if (user.passwordHash) {
+			const { historySize } = this.getPasswordPolicy();
+			user.passwordHistory = [
+				user.passwordHash,
+				...(user.passwordHistory || []),
+			].slice(0, historySize);
+		}
+
+		user.passwordHash = await hashPassword(password);
+		user.passwordChangedAt = new Date().toISOString();
+		delete user.password;
+	}
+
+	// Self-service change from Account Settings
+	async changePassword(userId, currentPassword, newPassword) {
+		await this.ready;
+
+		if (this.isImpersonating()) {
+			return { success: false, errors: [this.impersonationBlockedMessage()] };
+		}
+
+		const user = this.authorizedUsers.find((u) => u.id === userId);
+		if (!user) {
+			return { success: false, errors: ["User not found"] };
+		}
+
+		if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+			this.recordAudit("password_change_failed", {
+				target: user,
+				details: `Wrong current password given by ${user.email}`,
+				status: "warning",
+			});
+			return { success: false, errors: ["Current password is incorrect"] };
+		}
+
+		const errors = await this.validateNewPassword(newPassword, user);
+		if (errors.length > 0) {
+			return { success: false, errors };
+		}
+
+		await this.setPassword(user, newPassword);
+		this.saveUserData();
+		this.recordAudit("password_changed", {
+			target: user,
+			details: `Password changed by ${user.email}`,
+		});
+
+		return { success: true };
+	}
+
+	// One-time migration: hash any plaintext passwords in stored user data
+	async migratePlaintextPasswords() {
+		const plaintextUsers = this.authorizedUsers.filter(
+			(user) => typeof user.password === "string"
 		);
+		if (plaintextUsers.length === 0) return;
+
+		try {
+			for (const user of plaintextUsers) {
+				await this.setPassword(user, user.password);
+			}
+			this.saveUserData();
+			console.log(
+				`Migrated ${plaintextUsers.length} plaintext password(s) to PBKDF2 hashes`
+			);
+		} catch (error) {
+			console.error("Password migration failed:", error);
+		}
 	}
 
 	createSession(user, rememberMe) {
+		const record = this.registerSession(user, rememberMe);
 		const session = {
-			user: {
-				id: user.id,
-				email: user.email,
-				name: user.name,
-				firstName: user.firstName,
-				lastName: user.lastName,
-				role: user.role,
-				position: user.position,
-				department: user.department,
-				managerId: user.managerId,
-				permissions: user.permissions,
-				location: user.location,
-			},
-			loginTime: new Date().toISOString(),
+			sessionId: record.id,
+			user: this.buildSessionUser(user),
+			loginTime: record.createdAt,
 			rememberMe: rememberMe,
-			expiresAt: rememberMe
-				? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
-				: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(), // 8 hours
+			expiresAt: record.expiresAt,
 		};
 
 		// Update last login time
 		user.lastLogin = new Date().toISOString();
 		this.saveUserData();
 
-		localStorage.setItem(this.sessionKey, JSON.stringify(session));
+		this.provider.saveSession(session, user);
 		console.log("Session created for:", user.name);
 	}
 
+	// The subset of a directory user kept in the session
+	buildSessionUser(user) {
+		return {
+			id: user.id,
+			email: user.email,
+			name: user.name,
+			firstName: user.firstName,
+			lastName: user.lastName,
+			role: user.role,
+			position: user.position,
+			department: user.department,
+			managerId: user.managerId,
+			permissions: user.permissions,
+			location: user.location,
+		};
+	}
+
 	isAuthenticated() {
 		try {
-			const session = JSON.parse(localStorage.getItem(this.sessionKey));
+			const session = this.provider.getSession();
 			if (!session) return false;
 
 			// Check if session has expired
@@ -267,6 +494,24 @@ export class AuthSystem {
 				return false;
 			}
 
+			// Sessions from before the registry existed have to sign in again
+			if (!session.sessionId) {
+				this.logout();
+				return false;
+			}
+
+			// Revoked from the active sessions screen or by an admin
+			const record = this.getSessionRecord(session.sessionId);
+			if (!record) {
+				this.logout("revoked");
+				return false;
+			}
+
+			if (this.getIdleTimeRemaining(record) <= 0) {
+				this.logout("idle");
+				return false;
+			}
+
 			return true;
 		} catch (error) {
 			console.warn("Invalid session data");
@@ -276,14 +521,28 @@ export class AuthSystem {
 	}
 
 	getCurrentUser() {
+		if (this.actingUser) return this.actingUser;
+
 		try {
-			const session = JSON.parse(localStorage.getItem(this.sessionKey));
+			const session = this.provider.getSession();
 			return session?.user || null;
 		} catch (error) {
 			return null;
 		}
 	}
 
+	// Run fn with getCurrentUser() returning `user`, so the managers' own
+	// permission checks apply to a non-session identity (see TokenApi)
+	async runAs(user, fn) {
+		const previous = this.actingUser;
+		this.actingUser = user;
+		try {
+			return await fn();
+		} finally {
+			this.actingUser = previous;
+		}
+	}
+
 	checkAuthentication() {
 		if (!this.isAuthenticated()) {
 			// Show access denied message and redirect
@@ -294,14 +553,290 @@ export class AuthSystem {
 		}
 	}
 
-	logout() {
-		localStorage.removeItem(this.sessionKey);
+	// reason: "idle" | "revoked" when the sign-out wasn't the user's choice
+	logout(reason = null) {
+		let session = null;
+		try {
+			session = this.provider.getSession();
+		} catch (error) {
+			// Corrupt session data - nothing to hand to the provider
+		}
+
+		if (session?.impersonator) {
+			this.recordAudit("impersonation_ended", {
+				actor: session.impersonator.user,
+				target: session.user,
+				details: `Stopped viewing as ${session.user.name} (signed out)`,
+			});
+		}
+
+		if (reason === "idle" && session) {
+			this.recordAudit("session_idle_timeout", {
+				actor: session.impersonator?.user || session.user,
+				details: `Signed out after ${this.securitySettings.sessionTimeoutMinutes} minutes of inactivity`,
+				metadata: { sessionId: session.sessionId },
+			});
+		}
+
+		if (session?.sessionId) {
+			this.removeSessionRecords((s) => s.id === session.sessionId);
+		}
+		this.provider.clearSession();
+		this.provider.logout(session).catch((error) => {
+			console.warn("Provider logout failed:", error);
+		});
 		console.log("User logged out");
 
+		// Lets other open tabs sign out too (see SyncManager)
+		window.dispatchEvent(
+			new CustomEvent("sessionEnded", { detail: { reason } })
+		);
+
 		// If on app page, redirect to login
 		if (window.location.pathname.includes("app.html")) {
-			window.location.href = "login.html";
+			window.location.href = reason
+				? `login.html?signedOut=${reason}`
+				: "login.html";
+		}
+	}
+
+	// Session registry - one record per signed-in browser, shared by its tabs
+	loadSessions() {
+		try {
+			const saved = localStorage.getItem(this.sessionsKey);
+			const sessions = saved ? JSON.parse(saved) : [];
+			const now = new Date();
+			return sessions.filter((s) => new Date(s.expiresAt) > now);
+		} catch (error) {
+			console.warn("Failed to load sessions:", error);
+			return [];
+		}
+	}
+
+	saveSessions(sessions) {
+		localStorage.setItem(this.sessionsKey, JSON.stringify(sessions));
+	}
+
+	registerSession(user, rememberMe) {
+		const now = new Date();
+		const lifetime = rememberMe
+			? 30 * 24 * 60 * 60 * 1000 // 30 days
+			: 8 * 60 * 60 * 1000; // 8 hours
+		const record = {
+			id: `sess-${randomToken(12)}`,
+			userId: user.id,
+			email: user.email,
+			device: this.describeUserAgent(navigator.userAgent),
+			userAgent: navigator.userAgent,
+			createdAt: now.toISOString(),
+			lastActivity: now.toISOString(),
+			expiresAt: new Date(now.getTime() + lifetime).toISOString(),
+			rememberMe: !!rememberMe,
+		};
+
+		const sessions = this.loadSessions();
+		sessions.push(record);
+		this.saveSessions(sessions);
+		return record;
+	}
+
+	getSessionRecord(sessionId) {
+		if (!sessionId) return null;
+		return this.loadSessions().find((s) => s.id === sessionId) || null;
+	}
+
+	getCurrentSessionId() {
+		try {
+			return this.provider.getSession()?.sessionId || null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	// Record activity for the current session
+	touchSession() {
+		const sessionId = this.getCurrentSessionId();
+		const sessions = this.loadSessions();
+		const record = sessions.find((s) => s.id === sessionId);
+		if (!record) return null;
+
+		record.lastActivity = new Date().toISOString();
+		this.saveSessions(sessions);
+		return record;
+	}
+
+	// Milliseconds until the idle timeout; Infinity for "remember me" sessions,
+	// which the user chose to keep open on a trusted device
+	getIdleTimeRemaining(record) {
+		if (!record || record.rememberMe) return Infinity;
+
+		const timeout = this.securitySettings.sessionTimeoutMinutes * 60 * 1000;
+		return new Date(record.lastActivity).getTime() + timeout - Date.now();
+	}
+
+	getActiveSessions(userId = null) {
+		const targetId = userId || this.getCurrentUser()?.id;
+		const currentId = this.getCurrentSessionId();
+
+		return this.loadSessions()
+			.filter((s) => s.userId === targetId)
+			.map((s) => ({ ...s, current: s.id === currentId }))
+			.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+	}
+
+	revokeSession(sessionId) {
+		this.assertNotImpersonating();
+
+		const record = this.getSessionRecord(sessionId);
+		if (!record) return false;
+
+		const currentUser = this.getCurrentUser();
+		if (record.userId !== currentUser?.id && !this.hasPermission("admin")) {
+			throw new Error("Insufficient permissions to revoke sessions");
+		}
+
+		this.removeSessionRecords((s) => s.id === sessionId);
+		this.recordAudit("session_revoked", {
+			target: this.authorizedUsers.find((u) => u.id === record.userId) || {
+				id: record.userId,
+				email: record.email,
+			},
+			details: `Signed out ${record.email} on ${record.device}`,
+			metadata: { sessionId },
+		});
+		return true;
+	}
+
+	// Sign a user out everywhere; returns the number of sessions ended
+	revokeAllSessions(userId) {
+		this.assertNotImpersonating();
+		if (!this.hasPermission("admin")) {
+			throw new Error("Insufficient permissions to revoke sessions");
+		}
+
+		const count = this.removeSessionRecords((s) => s.userId === userId);
+		const user = this.authorizedUsers.find((u) => u.id === userId);
+		this.recordAudit("sessions_revoked_all", {
+			target: user,
+			details: `Ended ${count} session(s) for ${user?.email || userId}`,
+		});
+		return count;
+	}
+
+	removeSessionRecords(predicate) {
+		const sessions = this.loadSessions();
+		const remaining = sessions.filter((s) => !predicate(s));
+		this.saveSessions(remaining);
+		return sessions.length - remaining.length;
+	}
+
+	describeUserAgent(userAgent = "") {
+		const browsers = [
+			["Edg/", "Edge"],
+			["OPR/", "Opera"],
+			["Firefox/", "Firefox"],
+			["Chrome/", "Chrome"],
+			["Safari/", "Safari"],
+		];
+		const systems = [
+			["iPhone", "iPhone"],
+			["iPad", "iPad"],
+			["Android", "Android"],
+			["Windows", "Windows"],
+			["Mac OS", "macOS"],
+			["CrOS", "ChromeOS"],
+			["Linux", "Linux"],
+		];
+
+		const browser = browsers.find(([token]) => userAgent.includes(token));
+		const system = systems.find(([token]) => userAgent.includes(token));
+
+		return `${browser ? browser[1] : "Unknown browser"} on ${
+			system ? system[1] : "unknown device"
+		}`;
+	}
+
+	// Impersonation ("view as user") - the session user is swapped for the
+	// target while the admin's own user is kept in session.impersonator
+	getImpersonator() {
+		if (this.actingUser) return null;
+
+		try {
+			return this.provider.getSession()?.impersonator?.user || null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	isImpersonating() {
+		return this.getImpersonator() !== null;
+	}
+
+	impersonationBlockedMessage() {
+		return "Not available while viewing as another user. Exit impersonation first.";
+	}
+
+	assertNotImpersonating() {
+		if (this.isImpersonating()) {
+			throw new Error(this.impersonationBlockedMessage());
+		}
+	}
+
+	startImpersonation(userId) {
+		this.assertNotImpersonating();
+		if (!this.hasPermission("admin")) {
+			throw new Error("Insufficient permissions to impersonate users");
+		}
+
+		const session = this.provider.getSession();
+		const target = this.authorizedUsers.find((u) => u.id === userId);
+		if (!target) {
+			throw new Error("User not found");
+		}
+		if (target.id === session.user.id) {
+			throw new Error("You can't impersonate yourself");
+		}
+		if (target.status === "inactive") {
+			throw new Error("Inactive users can't be impersonated");
 		}
+
+		// Recorded before the swap so the admin is the plain actor
+		this.recordAudit("impersonation_started", {
+			actor: session.user,
+			target,
+			details: `${session.user.name} started viewing as ${target.name}`,
+		});
+
+		this.provider.updateSession({
+			...session,
+			user: this.buildSessionUser(target),
+			impersonator: {
+				user: session.user,
+				startedAt: new Date().toISOString(),
+			},
+		});
+		return target;
+	}
+
+	stopImpersonation() {
+		const session = this.provider.getSession();
+		if (!session?.impersonator) return false;
+
+		const { user: admin, startedAt } = session.impersonator;
+		const minutes = Math.round((Date.now() - new Date(startedAt)) / 60000);
+
+		this.provider.updateSession({
+			...session,
+			user: admin,
+			impersonator: undefined,
+		});
+		this.recordAudit("impersonation_ended", {
+			actor: admin,
+			target: session.user,
+			details: `${admin.name} stopped viewing as ${session.user.name} after ${minutes} minute(s)`,
+			metadata: { startedAt },
+		});
+		return true;
 	}
 
 	// UI Helper Methods
@@ -407,14 +942,1009 @@ export class AuthSystem {
 	}
 
 	handleForgotPassword() {
-		alert(
-			"Please contact your IT administrator to reset your password.\n\nFor security reasons, password resets must be handled internally."
+		const loginEmail = document.getElementById("email");
+		const resetEmail = document.getElementById("resetEmail");
+		if (loginEmail && resetEmail && !resetEmail.value) {
+			resetEmail.value = loginEmail.value;
+		}
+		this.clearAllErrors();
+		this.showLoginPanel("forgotForm");
+	}
+
+	// Password reset UI
+	bindPasswordResetForms() {
+		const forgotForm = document.getElementById("forgotForm");
+		const resetForm = document.getElementById("resetForm");
+
+		if (forgotForm) {
+			forgotForm.addEventListener("submit", (e) => {
+				e.preventDefault();
+				this.handleForgotPasswordSubmit();
+			});
+		}
+
+		if (resetForm) {
+			resetForm.addEventListener("submit", (e) => {
+				e.preventDefault();
+				this.handleResetPasswordSubmit();
+			});
+		}
+
+		document.querySelectorAll('[data-action="back-to-login"]').forEach((link) => {
+			link.addEventListener("click", (e) => {
+				e.preventDefault();
+				this.pendingLogin = null;
+				this.clearAllErrors();
+				this.showLoginPanel("loginForm");
+			});
+		});
+	}
+
+	showLoginPanel(panelId) {
+		[
+			"loginForm",
+			"forgotForm",
+			"resetForm",
+			"twoFactorForm",
+			"twoFactorEnrollForm",
+			"recoveryCodesPanel",
+			"expiredPasswordForm",
+		].forEach((id) => {
+			const panel = document.getElementById(id);
+			if (panel) {
+				panel.style.display = id === panelId ? "" : "none";
+			}
+		});
+	}
+
+	showFormMessage(elementId, message, type = "info") {
+		const element = document.getElementById(elementId);
+		if (!element) return;
+
+		element.className = `form-message ${type}`;
+		element.textContent = message;
+		element.style.display = message ? "block" : "none";
+	}
+
+	async handleForgotPasswordSubmit() {
+		const input = document.getElementById("resetEmail");
+		const email = input.value.toLowerCase().trim();
+
+		this.clearAllErrors();
+		this.showFormMessage("forgotMessage", "");
+
+		if (!email || !this.isValidEmail(email)) {
+			this.showFieldError("resetEmail", "Please enter a valid email address");
+			return;
+		}
+
+		try {
+			await this.requestPasswordReset(email);
+		} catch (error) {
+			console.error("Password reset request failed:", error);
+		}
+
+		// Same message either way so the form cannot be used to probe for accounts
+		this.showFormMessage(
+			"forgotMessage",
+			"If an account exists for that address, a reset link is on its way. The link expires in 30 minutes.",
+			"success"
 		);
 	}
 
-	isValidEmail(email) {
-		const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-		return emailRegex.test(email);
+	async openResetForm(token) {
+		this.pendingResetToken = token;
+		this.showLoginPanel("resetForm");
+
+		// Keep the token out of the address bar, history and referrers
+		window.history.replaceState(null, "", window.location.pathname);
+
+		const record = await this.findResetToken(token);
+		const submitBtn = document.querySelector("#resetForm button[type='submit']");
+
+		if (!record) {
+			this.showFormMessage(
+				"resetMessage",
+				"This reset link is invalid, expired or has already been used. Please request a new one.",
+				"error"
+			);
+			if (submitBtn) submitBtn.disabled = true;
+			return;
+		}
+
+		const intro = document.getElementById("resetIntro");
+		if (intro) {
+			intro.textContent = `Choose a new password for ${record.email}.`;
+		}
+	}
+
+	async handleResetPasswordSubmit() {
+		const newPassword = document.getElementById("newPassword").value;
+		const confirmPassword = document.getElementById("confirmPassword").value;
+
+		this.clearAllErrors();
+		this.showFormMessage("resetMessage", "");
+
+		if (newPassword !== confirmPassword) {
+			this.showFieldError("confirmPassword", "Passwords don't match");
+			return;
+		}
+
+		const result = await this.completePasswordReset(
+			this.pendingResetToken,
+			newPassword
+		);
+
+		if (!result.success) {
+			this.showFieldError("newPassword", result.errors.join(". "));
+			return;
+		}
+
+		this.pendingResetToken = null;
+		this.showFormMessage(
+			"resetMessage",
+			"Your password has been reset. You can now sign in.",
+			"success"
+		);
+
+		setTimeout(() => {
+			const loginEmail = document.getElementById("email");
+			if (loginEmail) loginEmail.value = result.email;
+			this.showLoginPanel("loginForm");
+		}, 2000);
+	}
+
+	// Two-factor login step UI
+	bindTwoFactorForms() {
+		const twoFactorForm = document.getElementById("twoFactorForm");
+		const enrollForm = document.getElementById("twoFactorEnrollForm");
+		const recoveryDone = document.getElementById("recoveryCodesDone");
+
+		if (twoFactorForm) {
+			twoFactorForm.addEventListener("submit", (e) => {
+				e.preventDefault();
+				this.handleTwoFactorSubmit();
+			});
+		}
+
+		if (enrollForm) {
+			enrollForm.addEventListener("submit", (e) => {
+				e.preventDefault();
+				this.handleTwoFactorEnrollSubmit();
+			});
+		}
+
+		const expiredForm = document.getElementById("expiredPasswordForm");
+		if (expiredForm) {
+			expiredForm.addEventListener("submit", (e) => {
+				e.preventDefault();
+				this.handleExpiredPasswordSubmit();
+			});
+		}
+
+		if (recoveryDone) {
+			recoveryDone.addEventListener("click", () => {
+				if (this.pendingLogin?.enrolled) {
+					this.completeLogin(
+						this.pendingLogin.user,
+						this.pendingLogin.rememberMe,
+						"new two-factor enrollment"
+					);
+				}
+			});
+		}
+	}
+
+	// Hold the password-verified user until the second factor is checked
+	startSecondFactor(user, credentials, panelId) {
+		this.pendingLogin = {
+			user,
+			email: credentials.email,
+			rememberMe: credentials.rememberMe,
+			expiresAt: Date.now() + this.twoFactorChallengeLifetime,
+		};
+
+		this.setLoadingState(false);
+		this.clearAllErrors();
+
+		if (panelId === "twoFactorEnrollForm") {
+			const enrollment = this.createTwoFactorEnrollment(user);
+			this.pendingLogin.secret = enrollment.secret;
+			document.getElementById("enrollSecret").textContent =
+				enrollment.secret.match(/.{1,4}/g).join(" ");
+			document.getElementById("enrollUri").href = enrollment.otpauthUri;
+		}
+
+		this.showLoginPanel(panelId);
+	}
+
+	startExpiredPasswordChange(user, rememberMe, secondFactor) {
+		this.pendingLogin = {
+			...this.pendingLogin,
+			user,
+			email: user.email,
+			rememberMe,
+			secondFactor,
+			expiresAt: Date.now() + this.twoFactorChallengeLifetime,
+		};
+
+		this.setLoadingState(false);
+		this.clearAllErrors();
+		this.showLoginPanel("expiredPasswordForm");
+	}
+
+	async handleExpiredPasswordSubmit() {
+		const pending = this.getPendingLogin();
+		if (!pending) return;
+
+		const newPassword = document.getElementById("expiredNewPassword").value;
+		const confirmPassword = document.getElementById(
+			"expiredConfirmPassword"
+		).value;
+
+		this.clearAllErrors();
+
+		if (newPassword !== confirmPassword) {
+			this.showFieldError("expiredConfirmPassword", "Passwords don't match");
+			return;
+		}
+
+		const account = this.getDirectoryUser(pending.user);
+		const errors = await this.validateNewPassword(newPassword, account);
+		if (errors.length > 0) {
+			this.showFieldError("expiredNewPassword", errors.join(". "));
+			return;
+		}
+
+		await this.setPassword(account, newPassword);
+		this.saveUserData();
+		this.recordAudit("password_changed", {
+			actor: account,
+			target: account,
+			details: `Expired password replaced at sign-in by ${account.email}`,
+		});
+
+		this.completeLogin(pending.user, pending.rememberMe, pending.secondFactor);
+	}
+
+	// Returns the pending login, or sends the user back to the password step
+	getPendingLogin() {
+		if (this.pendingLogin && Date.now() < this.pendingLogin.expiresAt) {
+			return this.pendingLogin;
+		}
+
+		this.pendingLogin = null;
+		this.showLoginPanel("loginForm");
+		this.showFieldError(
+			"email",
+			"Your sign-in attempt timed out. Please enter your password again."
+		);
+		return null;
+	}
+
+	async handleTwoFactorSubmit() {
+		const pending = this.getPendingLogin();
+		if (!pending) return;
+
+		const input = document.getElementById("twoFactorCode");
+		this.clearAllErrors();
+
+		if (this.isAccountLocked(pending.email)) {
+			this.pendingLogin = null;
+			this.showLoginPanel("loginForm");
+			this.showFieldError(
+				"email",
+				"Account temporarily locked due to too many failed attempts. Please try again in 15 minutes."
+			);
+			return;
+		}
+
+		const account = this.getDirectoryUser(pending.user);
+		const method = await this.verifySecondFactor(account, input.value);
+
+		if (!method) {
+			this.recordFailedAttempt(pending.email);
+			this.recordAudit("two_factor_failed", {
+				actor: null,
+				target: account,
+				details: `Invalid two-factor code for ${pending.email}`,
+				status: "warning",
+			});
+			this.showFieldError("twoFactorCode", "That code didn't work. Try again.");
+			input.value = "";
+			return;
+		}
+
+		this.completeLogin(
+			pending.user,
+			pending.rememberMe,
+			method === "recovery" ? "a recovery code" : "an authenticator code"
+		);
+	}
+
+	async handleTwoFactorEnrollSubmit() {
+		const pending = this.getPendingLogin();
+		if (!pending) return;
+
+		this.clearAllErrors();
+		const result = await this.enableTwoFactor(
+			pending.user.id,
+			pending.secret,
+			document.getElementById("enrollCode").value
+		);
+
+		if (!result.success) {
+			this.showFieldError("enrollCode", result.errors.join(" "));
+			return;
+		}
+
+		pending.enrolled = true;
+		document.getElementById("recoveryCodesList").innerHTML = result.recoveryCodes
+			.map((code) => `<li><code>${code}</code></li>`)
+			.join("");
+		this.showLoginPanel("recoveryCodesPanel");
+	}
+
+	// Password reset flow
+	loadResetTokens() {
+		try {
+			const saved = localStorage.getItem(this.resetTokensKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			return [];
+		}
+	}
+
+	saveResetTokens(tokens) {
+		localStorage.setItem(this.resetTokensKey, JSON.stringify(tokens));
+	}
+
+	getResetLink(token) {
+		// login.html sits next to app.html, so this works from either page
+		const url = new URL("login.html", window.location.href);
+		url.searchParams.set("resetToken", token);
+		return url.toString();
+	}
+
+	// Issue a single-use token and mail it; returns false for unknown accounts
+	async requestPasswordReset(email, requestedBy = null) {
+		await this.ready;
+		if (requestedBy) {
+			this.assertNotImpersonating();
+		}
+
+		const user = this.authorizedUsers.find((u) => u.email === email);
+		if (!user || user.status === "inactive") {
+			this.recordAudit("password_reset_requested", {
+				actor: requestedBy,
+				details: `Reset requested for unknown or inactive address ${email}`,
+				status: "warning",
+				metadata: { email },
+			});
+			return false;
+		}
+
+		const now = Date.now();
+		const token = randomToken();
+
+		// Only the newest link stays valid; expired records are pruned
+		const tokens = this.loadResetTokens().filter(
+			(t) =>
+				t.userId !== user.id && !t.usedAt && new Date(t.expiresAt) > now
+		);
+		tokens.push({
+			id: `reset-${now}`,
+			userId: user.id,
+			email: user.email,
+			tokenHash: await sha256Hex(token),
+			createdAt: new Date(now).toISOString(),
+			expiresAt: new Date(now + this.resetTokenLifetime).toISOString(),
+			usedAt: null,
+			requestedBy: requestedBy?.id || null,
+		});
+		this.saveResetTokens(tokens);
+
+		await this.mailChannel.send({
+			to: user.email,
+			subject: "Reset your Study Hall password",
+			text: [
+				`Hi ${user.firstName || user.name},`,
+				"",
+				"We received a request to reset your Study Hall password.",
+				"Open the link below within 30 minutes to choose a new one:",
+				"",
+				this.getResetLink(token),
+				"",
+				"If you didn't ask for this, you can ignore this email - your password won't change.",
+			].join("\n"),
+		});
+
+		this.recordAudit("password_reset_requested", {
+			actor: requestedBy,
+			target: user,
+			details: requestedBy
+				? `${requestedBy.name} sent a password reset link to ${user.email}`
+				: `Self-service reset link sent to ${user.email}`,
+		});
+
+		return true;
+	}
+
+	async findResetToken(token) {
+		if (!token) return null;
+
+		const tokenHash = await sha256Hex(token);
+		const now = new Date();
+		return (
+			this.loadResetTokens().find(
+				(t) =>
+					constantTimeEqual(t.tokenHash, tokenHash) &&
+					!t.usedAt &&
+					new Date(t.expiresAt) > now
+			) || null
+		);
+	}
+
+	async completePasswordReset(token, newPassword) {
+		await this.ready;
+
+		const record = await this.findResetToken(token);
+		const user = record
+			? this.authorizedUsers.find((u) => u.id === record.userId)
+			: null;
+
+		if (!record || !user) {
+			this.recordAudit("password_reset_failed", {
+				actor: null,
+				details: "Reset attempted with an invalid or expired link",
+				status: "warning",
+			});
+			return {
+				success: false,
+				errors: ["This reset link is invalid or has expired."],
+			};
+		}
+
+		const errors = await this.validateNewPassword(newPassword, user);
+		if (errors.length > 0) {
+			return { success: false, errors };
+		}
+
+		await this.setPassword(user, newPassword);
+		this.saveUserData();
+
+		// Burn the token so the link cannot be replayed
+		const tokens = this.loadResetTokens();
+		const stored = tokens.find((t) => t.id === record.id);
+		if (stored) {
+			stored.usedAt = new Date().toISOString();
+			this.saveResetTokens(tokens);
+		}
+
+		this.clearFailedAttempts(user.email);
+		this.recordAudit("password_reset_completed", {
+			actor: user,
+			target: user,
+			details: `Password reset completed for ${user.email}`,
+			metadata: { requestedBy: record.requestedBy },
+		});
+
+		return { success: true, email: user.email };
+	}
+
+	// Check a new password against the policy; returns a list of error messages
+	async validateNewPassword(password, user = null) {
+		const policy = this.getPasswordPolicy();
+		const errors = checkPassword(password, policy);
+		if (errors.length > 0 || !user || policy.historySize === 0) {
+			return errors;
+		}
+
+		const recentHashes = [user.passwordHash, ...(user.passwordHistory || [])]
+			.filter(Boolean)
+			.slice(0, policy.historySize);
+		for (const previous of recentHashes) {
+			if (await verifyPassword(password, previous)) {
+				errors.push(
+					`Password can't match any of your last ${policy.historySize} passwords`
+				);
+				break;
+			}
+		}
+		return errors;
+	}
+
+	getPasswordPolicy() {
+		return normalizePolicy(this.securitySettings.passwordPolicy);
+	}
+
+	isPasswordExpired(user) {
+		return isPasswordExpired(user?.passwordChangedAt, this.getPasswordPolicy());
+	}
+
+	// Two-factor authentication (RFC 6238 TOTP)
+	// Only accounts in the local directory are enrolled; external providers
+	// are expected to enforce their own second factor.
+	getDirectoryUser(user) {
+		if (!user) return null;
+		return this.authorizedUsers.find((u) => u.id === user.id) || null;
+	}
+
+	isTwoFactorRequired(user) {
+		const required = this.securitySettings.twoFactorRequiredFor;
+		return required.some((permission) => user?.permissions?.includes(permission));
+	}
+
+	getTwoFactorStatus(userId) {
+		const user = this.authorizedUsers.find((u) => u.id === userId);
+		const twoFactor = user?.twoFactor;
+		return {
+			enabled: !!twoFactor?.enabled,
+			required: this.isTwoFactorRequired(user),
+			enrolledAt: twoFactor?.enrolledAt || null,
+			recoveryCodesRemaining: twoFactor?.recoveryCodes?.length || 0,
+		};
+	}
+
+	// New secret for the user to add to their authenticator app (not saved yet)
+	createTwoFactorEnrollment(user) {
+		const secret = generateSecret();
+		return {
+			secret,
+			otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+		};
+	}
+
+	// Save the secret once the user proves their app produces matching codes
+	async enableTwoFactor(userId, secret, code) {
+		if (this.isImpersonating()) {
+			return { success: false, errors: [this.impersonationBlockedMessage()] };
+		}
+
+		const user = this.authorizedUsers.find((u) => u.id === userId);
+		if (!user) {
+			return { success: false, errors: ["User not found"] };
+		}
+
+		const step = await verifyTotp(secret, code);
+		if (step === null) {
+			return {
+				success: false,
+				errors: ["That code didn't match. Check your device's clock and try again."],
+			};
+		}
+
+		const { codes, hashes } = await generateRecoveryCodes();
+		user.twoFactor = {
+			enabled: true,
+			secret,
+			recoveryCodes: hashes,
+			enrolledAt: new Date().toISOString(),
+			lastUsedStep: step,
+		};
+		this.saveUserData();
+
+		this.recordAudit("two_factor_enabled", {
+			actor: this.getCurrentUser() || user,
+			target: user,
+			details: `Two-factor authentication enabled for ${user.email}`,
+		});
+
+		return { success: true, recoveryCodes: codes };
+	}
+
+	async disableTwoFactor(userId, code) {
+		if (this.isImpersonating()) {
+			return { success: false, errors: [this.impersonationBlockedMessage()] };
+		}
+
+		const user = this.authorizedUsers.find((u) => u.id === userId);
+		if (!user?.twoFactor?.enabled) {
+			return { success: false, errors: ["Two-factor authentication is not enabled"] };
+		}
+		if (this.isTwoFactorRequired(user)) {
+			return {
+				success: false,
+				errors: ["Two-factor authentication is required for your role"],
+			};
+		}
+		if (!(await this.verifySecondFactor(user, code))) {
+			return { success: false, errors: ["Invalid authentication code"] };
+		}
+
+		delete user.twoFactor;
+		this.saveUserData();
+
+		this.recordAudit("two_factor_disabled", {
+			target: user,
+			details: `Two-factor authentication disabled for ${user.email}`,
+		});
+
+		return { success: true };
+	}
+
+	// Accepts an authenticator code or an unused recovery code; returns
+	// "totp" | "recovery" on success and null otherwise
+	async verifySecondFactor(user, code) {
+		const twoFactor = user?.twoFactor;
+		if (!twoFactor?.enabled || !code) return null;
+
+		const step = await verifyTotp(twoFactor.secret, code);
+		// A code is only good once, even within its 30 second window
+		if (step !== null && step > (twoFactor.lastUsedStep ?? -1)) {
+			twoFactor.lastUsedStep = step;
+			this.saveUserData();
+			return "totp";
+		}
+
+		const codeHash = await hashRecoveryCode(code);
+		const index = twoFactor.recoveryCodes.findIndex((hash) =>
+			constantTimeEqual(hash, codeHash)
+		);
+		if (index !== -1) {
+			twoFactor.recoveryCodes.splice(index, 1);
+			this.saveUserData();
+			this.recordAudit("two_factor_recovery_used", {
+				actor: user,
+				target: user,
+				details: `Recovery code used by ${user.email} (${twoFactor.recoveryCodes.length} left)`,
+				status: "warning",
+			});
+			return "recovery";
+		}
+
+		return null;
+	}
+
+	// Single sign-on (OpenID Connect, authorization code + PKCE)
+	bindSsoLogin() {
+		const ssoButton = document.getElementById("ssoLoginBtn");
+		if (!ssoButton) return;
+
+		if (this.getSsoSettingsError(this.securitySettings.sso, true)) {
+			ssoButton.closest(".sso-login").style.display = "none";
+			return;
+		}
+
+		ssoButton.addEventListener("click", () => this.startSsoLogin());
+	}
+
+	// Why these SSO settings can't be used, or null. The mock IdP signs in as
+	// anyone, including admins, so it is only accepted on localhost.
+	getSsoSettingsError(sso, requireEnabled = false) {
+		if (requireEnabled && !sso.enabled) {
+			return "Single sign-on is not enabled.";
+		}
+		if (!sso.enabled) return null;
+		if (!sso.issuer) {
+			return "Set an SSO issuer before enabling single sign-on.";
+		}
+		if (sso.issuer === MOCK_ISSUER && !this.isLocalhost()) {
+			return 'The "mock" test issuer only works when the app runs on localhost.';
+		}
+		return null;
+	}
+
+	isLocalhost() {
+		return ["localhost", "127.0.0.1", "[::1]"].includes(
+			window.location.hostname
+		);
+	}
+
+	getSsoClient() {
+		const error = this.getSsoSettingsError(this.securitySettings.sso, true);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const { issuer, clientId, scope } = this.securitySettings.sso;
+		return new OidcClient({
+			endpoints:
+				issuer === MOCK_ISSUER
+					? new MockIdentityProvider()
+					: new HttpOidcEndpoints(issuer),
+			clientId,
+			scope,
+			redirectUri: new URL("login.html", window.location.href).href,
+		});
+	}
+
+	async startSsoLogin() {
+		const rememberMe = document.getElementById("rememberMe")?.checked || false;
+
+		try {
+			this.setLoadingState(true);
+			window.location.href = await this.getSsoClient().beginLogin({
+				rememberMe,
+			});
+		} catch (error) {
+			console.error("Could not start single sign-on:", error);
+			this.setLoadingState(false);
+			this.showFormMessage(
+				"loginMessage",
+				"Single sign-on is unavailable right now. Please try again later.",
+				"error"
+			);
+		}
+	}
+
+	async handleSsoCallback(params) {
+		await this.ready;
+		if (!this.securitySettings.sso.enabled) {
+			this.showFormMessage("loginMessage", "Single sign-on is not enabled.", "error");
+			return;
+		}
+		this.setLoadingState(true);
+
+		let claims = null;
+		let extra = {};
+		try {
+			({ claims, extra } = await this.getSsoClient().completeLogin(params));
+		} catch (error) {
+			this.recordAudit("login_failed", {
+				actor: null,
+				details: `Single sign-on failed: ${error.message}`,
+				status: "warning",
+			});
+			this.setLoadingState(false);
+			this.showFormMessage("loginMessage", error.message, "error");
+			return;
+		}
+
+		const { user, error } = this.resolveSsoUser(claims);
+		if (!user) {
+			this.recordAudit("login_failed", {
+				actor: null,
+				details: `Single sign-on refused for ${claims.email || claims.sub}: ${error}`,
+				status: "warning",
+				metadata: { email: claims.email, subject: claims.sub },
+			});
+			this.setLoadingState(false);
+			this.showFormMessage("loginMessage", error, "error");
+			return;
+		}
+
+		this.completeLogin(user, extra.rememberMe === true, null, {
+			sso: { issuer: claims.iss },
+		});
+	}
+
+	// Find (or provision) the directory user for verified ID token claims.
+	// Returns { user } or { error } with a message for the login page.
+	resolveSsoUser(claims) {
+		const sso = this.securitySettings.sso;
+		const email = String(claims.email || "").toLowerCase();
+
+		// Linked accounts are matched by issuer + subject, which never change;
+		// a first sign-in links by verified email
+		let user = this.authorizedUsers.find(
+			(u) => u.sso?.issuer === claims.iss && u.sso?.subject === claims.sub
+		);
+		if (!user && email) {
+			user = this.authorizedUsers.find((u) => u.email.toLowerCase() === email);
+			// Without a verified email the token can't claim the account, and
+			// provisioning would give two users the same address
+			if (user && claims.email_verified !== true) {
+				return {
+					error: "Your identity provider hasn't verified this email, so it can't be linked to an existing account.",
+				};
+			}
+			if (user?.sso && user.sso.issuer === claims.iss) {
+				return { error: "This email is linked to a different SSO identity." };
+			}
+			if (user) {
+				user.sso = { issuer: claims.iss, subject: claims.sub };
+			}
+		}
+
+		const mapped = this.mapGroupsToPermissions(claims.groups);
+
+		if (!user) {
+			if (!sso.autoProvision || !email) {
+				return {
+					error: `No account exists for ${claims.email || claims.sub}. Ask an administrator for access.`,
+				};
+			}
+			user = this.provisionSsoUser(claims, mapped || []);
+		} else if (user.status === "inactive") {
+			return { error: "This account has been deactivated." };
+		} else if (sso.syncGroupPermissions && mapped) {
+			this.syncSsoPermissions(user, mapped);
+		}
+
+		this.saveUserData();
+		return { user };
+	}
+
+	// Union of the permissions mapped to the user's groups, or null when the
+	// token has no groups claim or no mapping is configured
+	mapGroupsToPermissions(groups) {
+		const mapping = this.securitySettings.sso.groupPermissions;
+		if (!Array.isArray(groups) || Object.keys(mapping).length === 0) {
+			return null;
+		}
+
+		const permissions = new Set();
+		groups.forEach((group) => {
+			(mapping[group] || []).forEach((permission) => permissions.add(permission));
+		});
+		return [...permissions];
+	}
+
+	provisionSsoUser(claims, permissions) {
+		const firstName = claims.given_name || "";
+		const lastName = claims.family_name || "";
+		const user = {
+			id: this.generateUserId(),
+			email: claims.email.toLowerCase(),
+			name: claims.name || `${firstName} ${lastName}`.trim() || claims.email,
+			firstName,
+			lastName,
+			role: "Employee",
+			position: "",
+			department: "",
+			managerId: null,
+			directReports: [],
+			startDate: new Date().toISOString().split("T")[0],
+			status: "active",
+			phone: "",
+			location: "",
+			permissions,
+			lastLogin: null,
+			sso: { issuer: claims.iss, subject: claims.sub },
+		};
+		this.authorizedUsers.push(user);
+
+		this.recordAudit("user_provisioned", {
+			actor: null,
+			target: user,
+			details: `Created ${user.email} on first single sign-on`,
+			metadata: { groups: claims.groups || [], permissions },
+		});
+		return user;
+	}
+
+	syncSsoPermissions(user, permissions) {
+		const before = [...(user.permissions || [])].sort();
+		if (before.join() === [...permissions].sort().join()) return;
+
+		user.permissions = permissions;
+		this.recordAudit("permission_change", {
+			actor: null,
+			target: user,
+			details: `Permissions synced from identity provider groups: ${
+				permissions.join(", ") || "none"
+			}`,
+			metadata: { before, after: permissions },
+		});
+	}
+
+	generateUserId() {
+		const maxId = Math.max(
+			0,
+			...this.authorizedUsers.map((u) => parseInt(u.id.substring(3)) || 0)
+		);
+		return `EMP${String(maxId + 1).padStart(3, "0")}`;
+	}
+
+	// Security settings (admin-editable)
+	loadSecuritySettings() {
+		const defaults = {
+			twoFactorRequiredFor: [],
+			sessionTimeoutMinutes: 480,
+			passwordPolicy: normalizePolicy(),
+			sso: {
+				enabled: false,
+				issuer: "", // "mock" uses the built-in test IdP (pages/mock-idp.html) on localhost
+				clientId: "study-hall",
+				scope: "openid email profile groups",
+				autoProvision: false,
+				syncGroupPermissions: false,
+				groupPermissions: {}, // IdP group -> app permissions
+			},
+		};
+		try {
+			const saved = localStorage.getItem(this.securitySettingsKey);
+			if (!saved) return defaults;
+
+			const settings = { ...defaults, ...JSON.parse(saved) };
+			settings.passwordPolicy = normalizePolicy(settings.passwordPolicy);
+			settings.sso = { ...defaults.sso, ...settings.sso };
+			return settings;
+		} catch (error) {
+			console.warn("Failed to load security settings:", error);
+			return defaults;
+		}
+	}
+
+	getSecuritySettings() {
+		return { ...this.securitySettings };
+	}
+
+	saveSecuritySettings(updates) {
+		this.assertNotImpersonating();
+		if (!this.hasPermission("admin")) {
+			throw new Error("Insufficient permissions to change security settings");
+		}
+		const ssoError = updates.sso && this.getSsoSettingsError(updates.sso);
+		if (ssoError) {
+			throw new Error(ssoError);
+		}
+
+		this.securitySettings = { ...this.securitySettings, ...updates };
+		localStorage.setItem(
+			this.securitySettingsKey,
+			JSON.stringify(this.securitySettings)
+		);
+
+		this.recordAudit("security_settings_updated", {
+			details: "Security settings changed",
+			metadata: { updates },
+		});
+		return this.getSecuritySettings();
+	}
+
+	// Mail delivery configuration
+	loadMailConfig() {
+		try {
+			const saved = localStorage.getItem("study-hall-mail-config");
+			return saved ? JSON.parse(saved) : { channel: "console" };
+		} catch (error) {
+			return { channel: "console" };
+		}
+	}
+
+	setMailChannel(channel) {
+		this.mailChannel = channel;
+	}
+
+	// Audit helper - actor defaults to the signed-in user, and the real admin
+	// is attached as impersonator while they are viewing as someone else
+	recordAudit(action, entry = {}) {
+		return this.auditLog.record({
+			action,
+			...entry,
+			actor: entry.actor !== undefined ? entry.actor : this.getCurrentUser(),
+			impersonator:
+				entry.impersonator !== undefined
+					? entry.impersonator
+					: this.getImpersonator(),
+		});
+	}
+
+	isValidEmail(email) {
+		const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+		return emailRegex.test(email);
+	}
+
+	// Authentication provider configuration
+	loadAuthConfig() {
+		try {
+			const saved = localStorage.getItem(this.authConfigKey);
+			return saved ? JSON.parse(saved) : { provider: "local" };
+		} catch (error) {
+			console.warn("Failed to load auth config:", error);
+			return { provider: "local" };
+		}
+	}
+
+	buildProvider(config) {
+		try {
+			return createAuthProvider(config, this);
+		} catch (error) {
+			console.error("Invalid auth config, falling back to local store:", error);
+			return createAuthProvider({ provider: "local" }, this);
+		}
+	}
+
+	saveAuthConfig(config) {
+		// Build first so an invalid config is never persisted
+		this.provider = createAuthProvider(config, this);
+		localStorage.setItem(this.authConfigKey, JSON.stringify(config));
+	}
+
+	setProvider(provider) {
+		this.provider = provider;
 	}
 
 	// Security and user management methods
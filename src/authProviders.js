@@ -0,0 +1,236 @@
+/**
+ * Authentication Providers - Pluggable backends for AuthSystem
+ * A provider verifies credentials and owns where the active session lives.
+ * AuthSystem talks to exactly one provider, chosen from the saved auth config.
+ */
+
+/**
+ * Base provider. Stores the session as JSON in a Web Storage area and
+ * rejects every login; subclasses override `authenticate`.
+ */
+export class AuthProvider {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.sessionKey="study-hall-session"] - Storage key for the session
+	 * @param {Storage} [options.storage=localStorage] - Storage area holding the session
+	 */
+	constructor(options = {}) {
+		this.name = "base";
+		this.sessionKey = options.sessionKey || "study-hall-session";
+		this.storage = options.storage || localStorage;
+	}
+
+	/**
+	 * Verify credentials against the backend
+	 * @param {Object} credentials - { email, password }
+	 * @returns {Promise<Object|null>} User record, or null when rejected
+	 */
+	async authenticate(credentials) {
+		return null;
+	}
+
+	/**
+	 * Read the active session
+	 * @returns {Object|null} Session object or null
+	 */
+	getSession() {
+		const saved = this.storage.getItem(this.sessionKey);
+		return saved ? JSON.parse(saved) : null;
+	}
+
+	/**
+	 * Persist a newly created session
+	 * @param {Object} session - Session built by AuthSystem.createSession
+	 * @param {Object} user - User returned from authenticate()
+	 */
+	saveSession(session, user) {
+		this.storage.setItem(this.sessionKey, JSON.stringify(session));
+	}
+
+	/**
+	 * Replace the stored session without going back to the backend, e.g. to
+	 * swap the session user while an admin impersonates someone
+	 * @param {Object} session - Updated session
+	 */
+	updateSession(session) {
+		this.storage.setItem(this.sessionKey, JSON.stringify(session));
+	}
+
+	/**
+	 * Remove the active session locally
+	 */
+	clearSession() {
+		this.storage.removeItem(this.sessionKey);
+	}
+
+	/**
+	 * Tell the backend the session has ended
+	 * @param {Object|null} session - Session that was active before clearSession()
+	 * @returns {Promise<void>}
+	 */
+	async logout(session) {}
+}
+
+/**
+ * Local store provider - checks the AuthSystem user directory in localStorage.
+ * This is the default and matches the behaviour before providers existed.
+ */
+export class LocalAuthProvider extends AuthProvider {
+	/**
+	 * @param {Object} authSystem - AuthSystem whose directory is checked
+	 * @param {Object} [options] - See AuthProvider
+	 */
+	constructor(authSystem, options = {}) {
+		super(options);
+		this.name = "local";
+		this.authSystem = authSystem;
+	}
+
+	async authenticate(credentials) {
+		return (await this.authSystem.authenticateUser(credentials)) || null;
+	}
+}
+
+/**
+ * REST provider - delegates credential checks to an auth server.
+ *
+ * Expected endpoints, relative to `baseUrl`:
+ *   POST /login   { email, password } -> 200 { user, token } | 401
+ *   POST /logout  (Authorization: Bearer <token>) -> 204
+ *
+ * The session is cached in storage so getCurrentUser() stays synchronous.
+ */
+export class RestAuthProvider extends AuthProvider {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.baseUrl - Auth server root, e.g. "http://localhost:4000/auth"
+	 * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+	 */
+	constructor(options = {}) {
+		super(options);
+		if (!options.baseUrl) {
+			throw new Error("RestAuthProvider requires a baseUrl");
+		}
+		this.name = "rest";
+		this.baseUrl = options.baseUrl.replace(/\/$/, "");
+		this.timeout = options.timeout || 10000;
+	}
+
+	async authenticate(credentials) {
+		const response = await this.request("/login", {
+			email: credentials.email,
+			password: credentials.password,
+		});
+
+		if (response.status === 401 || response.status === 403) {
+			return null;
+		}
+		if (!response.ok) {
+			throw new Error(`Auth server responded with ${response.status}`);
+		}
+
+		const data = await response.json();
+		if (!data || !data.user) return null;
+
+		return { ...data.user, authToken: data.token || null };
+	}
+
+	saveSession(session, user) {
+		super.saveSession({ ...session, token: user?.authToken || null }, user);
+	}
+
+	async logout(session) {
+		if (!session?.token) return;
+
+		try {
+			await this.request("/logout", null, session.token);
+		} catch (error) {
+			console.warn("Auth server logout failed:", error);
+		}
+	}
+
+	async request(path, body, token = null) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), this.timeout);
+		const headers = { "Content-Type": "application/json" };
+		if (token) {
+			headers.Authorization = `Bearer ${token}`;
+		}
+
+		try {
+			return await fetch(`${this.baseUrl}${path}`, {
+				method: "POST",
+				headers,
+				body: body ? JSON.stringify(body) : undefined,
+				signal: controller.signal,
+			});
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+/**
+ * Mock provider - accepts a fixed list of users, for demos and manual testing.
+ * A user without a `password` accepts any password. Sessions are kept in
+ * sessionStorage so they never leak into the real local store.
+ */
+export class MockAuthProvider extends AuthProvider {
+	/**
+	 * @param {Object} [options]
+	 * @param {Array} [options.users] - Users to accept, same shape as AuthSystem.authorizedUsers
+	 */
+	constructor(options = {}) {
+		super({
+			sessionKey: "study-hall-mock-session",
+			storage: sessionStorage,
+			...options,
+		});
+		this.name = "mock";
+		this.users = options.users || [
+			{
+				id: "MOCK001",
+				email: "demo@studyhall.test",
+				name: "Demo User",
+				firstName: "Demo",
+				lastName: "User",
+				role: "HR Specialist",
+				position: "HR Business Partner",
+				department: "Human Resources",
+				managerId: null,
+				permissions: ["hr", "users"],
+				location: "Remote",
+			},
+		];
+	}
+
+	async authenticate(credentials) {
+		const user = this.users.find((u) => u.email === credentials.email);
+		if (!user) return null;
+		if (user.password && user.password !== credentials.password) return null;
+		return user;
+	}
+}
+
+/**
+ * Build the provider described by an auth config object
+ * @param {Object} config - { provider: "local" | "rest" | "mock", ...providerOptions }
+ * @param {Object} authSystem - AuthSystem instance (used by the local provider)
+ * @returns {AuthProvider} Provider instance
+ */
+export function createAuthProvider(config = {}, authSystem) {
+	switch (config.provider) {
+		case "rest":
+			return new RestAuthProvider(config);
+		case "mock":
+			return new MockAuthProvider(config);
+		case "local":
+		case undefined:
+			return new LocalAuthProvider(authSystem, config);
+		default:
+			console.warn(
+				`Unknown auth provider "${config.provider}", using local store`
+			);
+			return new LocalAuthProvider(authSystem, config);
+	}
+}
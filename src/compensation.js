@@ -0,0 +1,737 @@
+/**
+ * Compensation - Effective-dated pay records, salary bands and merit cycles
+ * Each record sets an employee's base salary and target bonus from the day
+ * it takes effect. Base pay is compared against the salary range of the
+ * employee's position to give a compa-ratio (base ÷ band midpoint) and to
+ * flag anyone paid outside the band. Merit cycles collect raise proposals
+ * from managers, capped so each department's payroll stays within its
+ * budget, and turn them into merit records when finalized.
+ *
+ * Amounts are only visible to users with the finance or hr permission.
+ * Managers working a merit worksheet see compa-ratios and percentages.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const COMP_REASONS = {
+	hire: "New hire",
+	merit: "Merit increase",
+	promotion: "Promotion",
+	market_adjustment: "Market adjustment",
+	correction: "Correction",
+	other: "Other",
+};
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD"];
+
+// Salary ranges and department budgets carry no currency of their own
+export const BASE_CURRENCY = "USD";
+
+export const BAND_STATUSES = {
+	below: "Below range",
+	within: "Within range",
+	above: "Above range",
+};
+
+export const MERIT_CYCLE_STATUSES = {
+	open: "Open for proposals",
+	finalized: "Finalized",
+	cancelled: "Cancelled",
+};
+
+export class CompensationManager {
+	/**
+	 * Initialize the CompensationManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Positions and departments
+	 * @param {Object} dependencies.hierarchyManager - Who reports to whom
+	 * @param {Object} dependencies.permissionsManager - finance/hr checks
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+		this.permissionsManager = dependencies.permissionsManager;
+
+		this.recordsKey = "study-hall-compensation";
+		this.cyclesKey = "study-hall-merit-cycles";
+		this.records = this.load(this.recordsKey, "compensation records");
+		this.cycles = this.load(this.cyclesKey, "merit cycles");
+	}
+
+	start() {
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+	}
+
+	load(key, label) {
+		try {
+			const saved = localStorage.getItem(key);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn(`Failed to load ${label}:`, error);
+			return [];
+		}
+	}
+
+	save() {
+		localStorage.setItem(this.recordsKey, JSON.stringify(this.records));
+		localStorage.setItem(this.cyclesKey, JSON.stringify(this.cycles));
+		window.dispatchEvent(new CustomEvent("compensationUpdated"));
+	}
+
+	// ========================
+	// PERMISSIONS
+	// ========================
+
+	canViewCompensation() {
+		return this.permissionsManager.hasAnyPermission(["finance", "hr"]);
+	}
+
+	requireCompensationAccess(action) {
+		if (!this.canViewCompensation()) {
+			throw new Error(`Insufficient permissions to ${action}`);
+		}
+	}
+
+	/**
+	 * Whether the current user can propose a raise for an employee: finance
+	 * and HR for anyone, managers for anyone below them, nobody for
+	 * themselves
+	 * @param {string} userId - Employee ID
+	 * @returns {boolean}
+	 */
+	canProposeFor(userId) {
+		const currentUser = this.authSystem.getCurrentUser();
+		if (!currentUser || currentUser.id === userId) return false;
+		if (this.canViewCompensation()) return true;
+		return this.hierarchyManager
+			.getAllSubordinates(currentUser.id)
+			.some((user) => user.id === userId);
+	}
+
+	// ========================
+	// COMPENSATION RECORDS
+	// ========================
+
+	/**
+	 * Record an employee's pay from a given day
+	 * @param {string} userId - Employee ID
+	 * @param {Object} pay - { base, bonus, currency }
+	 * @param {Object} [options]
+	 * @param {string} [options.effectiveDate] - YYYY-MM-DD, defaults to today
+	 * @param {string} [options.reason="other"] - One of COMP_REASONS
+	 * @param {string} [options.note] - Free-text explanation
+	 * @returns {Object} The record, with `bandStatus` set when the base falls
+	 *   outside the position's salary range
+	 */
+	recordCompensation(userId, pay, options = {}) {
+		this.requireCompensationAccess("record compensation");
+
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+
+		const record = {
+			id: `comp-${randomToken(9)}`,
+			userId,
+			effectiveDate: options.effectiveDate || this.today(),
+			base: Number(pay.base),
+			bonus: Number(pay.bonus || 0),
+			currency: pay.currency || BASE_CURRENCY,
+			reason: options.reason || "other",
+			note: String(options.note || "").trim(),
+			recordedAt: new Date().toISOString(),
+			recordedBy: this.authSystem.getCurrentUser()?.id || null,
+			cancelledAt: null,
+		};
+		this.validateRecord(record, user);
+
+		this.records.push(record);
+		this.save();
+
+		this.authSystem.recordAudit("compensation_recorded", {
+			target: user,
+			details: `${COMP_REASONS[record.reason]} effective ${
+				record.effectiveDate
+			}`,
+			metadata: { recordId: record.id },
+		});
+
+		return { ...record, bandStatus: this.getBandStatus(user, record) };
+	}
+
+	validateRecord(record, user) {
+		const errors = [];
+		if (isNaN(new Date(record.effectiveDate))) {
+			errors.push("Effective date is not a valid date");
+		} else if (user.startDate && record.effectiveDate < user.startDate) {
+			errors.push(`${user.name} had not started by ${record.effectiveDate}`);
+		}
+		if (!Number.isFinite(record.base) || record.base <= 0) {
+			errors.push("Base salary must be greater than zero");
+		}
+		if (!Number.isFinite(record.bonus) || record.bonus < 0) {
+			errors.push("Bonus cannot be negative");
+		}
+		if (!CURRENCIES.includes(record.currency)) {
+			errors.push(`Unknown currency "${record.currency}"`);
+		}
+		if (!COMP_REASONS[record.reason]) {
+			errors.push(`Unknown compensation reason "${record.reason}"`);
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+	}
+
+	/**
+	 * Cancel a record that has not taken effect yet
+	 * @param {string} recordId - Compensation record ID
+	 */
+	cancelRecord(recordId) {
+		this.requireCompensationAccess("change compensation");
+
+		const record = this.records.find((r) => r.id === recordId);
+		if (!record || record.cancelledAt) {
+			throw new Error("Compensation record not found");
+		}
+		if (record.effectiveDate <= this.today()) {
+			throw new Error(
+				"This pay has already taken effect. Record a correction instead."
+			);
+		}
+
+		record.cancelledAt = new Date().toISOString();
+		this.save();
+
+		this.authSystem.recordAudit("compensation_cancelled", {
+			target: this.userManager.getUserById(record.userId),
+			details: `Cancelled the ${COMP_REASONS[
+				record.reason
+			].toLowerCase()} scheduled for ${record.effectiveDate}`,
+			metadata: { recordId },
+		});
+	}
+
+	/**
+	 * An employee's pay history, oldest first
+	 * @param {string} userId - Employee ID
+	 * @returns {Array} Compensation records
+	 */
+	getHistory(userId) {
+		this.requireCompensationAccess("view compensation");
+		return this.getRecords(userId);
+	}
+
+	getRecords(userId) {
+		return this.records
+			.filter((r) => r.userId === userId && !r.cancelledAt)
+			.sort(
+				(a, b) =>
+					a.effectiveDate.localeCompare(b.effectiveDate) ||
+					a.recordedAt.localeCompare(b.recordedAt)
+			);
+	}
+
+	/**
+	 * The pay in effect at the end of a given day
+	 * @param {string} userId - Employee ID
+	 * @param {string|Date} [date] - Day to look at, defaults to today
+	 * @returns {Object|null} Compensation record
+	 */
+	getCurrent(userId, date = new Date()) {
+		this.requireCompensationAccess("view compensation");
+		return this.getPayAsOf(userId, date);
+	}
+
+	getPayAsOf(userId, date = new Date()) {
+		const day = this.toDay(date);
+		return (
+			this.getRecords(userId)
+				.filter((r) => r.effectiveDate <= day)
+				.pop() || null
+		);
+	}
+
+	// ========================
+	// SALARY BANDS
+	// ========================
+
+	getPositionForUser(user) {
+		return (
+			this.userManager.positions.find(
+				(position) => position.title === user.position
+			) || null
+		);
+	}
+
+	getBand(position) {
+		const { min, max } = position?.salaryRange || {};
+		if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+		return { min, max, midpoint: (min + max) / 2 };
+	}
+
+	/**
+	 * Where a base salary sits in the employee's position band. Pay in
+	 * another currency isn't compared.
+	 * @param {Object} user - Employee
+	 * @param {Object} pay - Compensation record
+	 * @returns {Object|null} { band, compaRatio, status }
+	 */
+	comparePay(user, pay) {
+		const band = this.getBand(this.getPositionForUser(user));
+		if (!band || !pay || pay.currency !== BASE_CURRENCY) return null;
+
+		let status = "within";
+		if (pay.base < band.min) status = "below";
+		if (pay.base > band.max) status = "above";
+		return {
+			band,
+			compaRatio: Math.round((pay.base / band.midpoint) * 100) / 100,
+			status,
+		};
+	}
+
+	getBandStatus(user, pay) {
+		const comparison = this.comparePay(user, pay);
+		return comparison && comparison.status !== "within"
+			? comparison.status
+			: null;
+	}
+
+	/**
+	 * Compa-ratios for everyone in each position
+	 * @returns {Array} One entry per position: { position, band, rows,
+	 *   averageCompaRatio, outOfBand, missingPay }. Each row has the user,
+	 *   their current pay and its comparison with the band.
+	 */
+	getCompaRatioReport() {
+		this.requireCompensationAccess("view compensation reports");
+
+		const employees = this.authSystem.authorizedUsers.filter(
+			(user) => user.status !== "inactive"
+		);
+		return this.userManager.positions.map((position) => {
+			const rows = employees
+				.filter((user) => user.position === position.title)
+				.map((user) => {
+					const pay = this.getPayAsOf(user.id);
+					return { user, pay, comparison: this.comparePay(user, pay) };
+				})
+				.sort((a, b) => a.user.name.localeCompare(b.user.name));
+
+			const ratios = rows
+				.filter((row) => row.comparison)
+				.map((row) => row.comparison.compaRatio);
+			return {
+				position,
+				band: this.getBand(position),
+				rows,
+				averageCompaRatio: ratios.length
+					? Math.round(
+							(ratios.reduce((sum, ratio) => sum + ratio, 0) /
+								ratios.length) *
+								100
+					  ) / 100
+					: null,
+				outOfBand: rows.filter(
+					(row) => row.comparison && row.comparison.status !== "within"
+				).length,
+				missingPay: rows.filter((row) => !row.pay).length,
+			};
+		});
+	}
+
+	/**
+	 * Everyone currently paid outside their position's range
+	 * @returns {Array} { user, position, pay, comparison }, furthest out first
+	 */
+	getOutOfBandAlerts() {
+		const distance = ({ pay, comparison: { band } }) =>
+			pay.base < band.min
+				? (band.min - pay.base) / band.min
+				: (pay.base - band.max) / band.max;
+
+		return this.getCompaRatioReport()
+			.flatMap(({ position, rows }) =>
+				rows
+					.filter((row) => row.comparison && row.comparison.status !== "within")
+					.map((row) => ({ ...row, position }))
+			)
+			.sort((a, b) => distance(b) - distance(a));
+	}
+
+	// ========================
+	// MERIT CYCLES
+	// ========================
+
+	/**
+	 * Open a merit cycle
+	 * @param {Object} data - { name, effectiveDate }
+	 * @returns {Object} The cycle
+	 */
+	createMeritCycle(data) {
+		this.requireCompensationAccess("run merit cycles");
+
+		const cycle = {
+			id: `merit-${randomToken(9)}`,
+			name: String(data.name || "").trim(),
+			effectiveDate: data.effectiveDate,
+			status: "open",
+			proposals: [],
+			createdAt: new Date().toISOString(),
+			createdBy: this.authSystem.getCurrentUser()?.id || null,
+			finalizedAt: null,
+		};
+
+		const errors = [];
+		if (!cycle.name) errors.push("Name is required");
+		if (!cycle.effectiveDate || isNaN(new Date(cycle.effectiveDate))) {
+			errors.push("Effective date is not a valid date");
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		this.cycles.push(cycle);
+		this.save();
+
+		this.authSystem.recordAudit("compensation_merit_cycle_created", {
+			details: `"${cycle.name}" effective ${cycle.effectiveDate}`,
+			metadata: { cycleId: cycle.id },
+		});
+		return cycle;
+	}
+
+	getMeritCycles() {
+		return [...this.cycles].sort((a, b) =>
+			b.effectiveDate.localeCompare(a.effectiveDate)
+		);
+	}
+
+	getMeritCycle(cycleId) {
+		return this.cycles.find((cycle) => cycle.id === cycleId) || null;
+	}
+
+	getOpenCycle(cycleId) {
+		const cycle = this.getMeritCycle(cycleId);
+		if (!cycle) {
+			throw new Error("Merit cycle not found");
+		}
+		if (cycle.status !== "open") {
+			const status = MERIT_CYCLE_STATUSES[cycle.status].toLowerCase();
+			throw new Error(`"${cycle.name}" is ${status}`);
+		}
+		return cycle;
+	}
+
+	/**
+	 * Employees the current user can propose raises for, with their pay on
+	 * the cycle's effective date
+	 * @param {string} cycleId - Merit cycle ID
+	 * @returns {Array} Active employees
+	 */
+	getEligibleEmployees(cycleId) {
+		const cycle = this.getMeritCycle(cycleId);
+		if (!cycle) return [];
+		return this.authSystem.authorizedUsers.filter(
+			(user) =>
+				user.status !== "inactive" &&
+				this.canProposeFor(user.id) &&
+				(!user.startDate || user.startDate <= cycle.effectiveDate)
+		);
+	}
+
+	/**
+	 * Propose a raise, or clear one with a percent of 0
+	 * @param {string} cycleId - Merit cycle ID
+	 * @param {string} userId - Employee ID
+	 * @param {number} percent - Raise to base salary, in percent
+	 * @param {string} [note] - Justification
+	 * @returns {Object|null} The proposal, or null when cleared
+	 */
+	proposeRaise(cycleId, userId, percent, note = "") {
+		const cycle = this.getOpenCycle(cycleId);
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+		if (!this.canProposeFor(userId)) {
+			throw new Error(
+				`Insufficient permissions to propose a raise for ${user.name}`
+			);
+		}
+
+		percent = Number(percent);
+		if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+			throw new Error("Raise must be between 0% and 100%");
+		}
+		const pay = this.getPayAsOf(userId, cycle.effectiveDate);
+		if (!pay) {
+			throw new Error(`${user.name} has no pay on record`);
+		}
+		if (pay.currency !== BASE_CURRENCY) {
+			throw new Error(
+				`${user.name} is paid in ${pay.currency}; department budgets are in ${BASE_CURRENCY}`
+			);
+		}
+
+		const others = cycle.proposals.filter((p) => p.userId !== userId);
+		const proposal =
+			percent > 0
+				? {
+						userId,
+						percent,
+						note: String(note || "").trim(),
+						proposedBy: this.authSystem.getCurrentUser()?.id || null,
+						proposedAt: new Date().toISOString(),
+				  }
+				: null;
+
+		const proposals = proposal ? [...others, proposal] : others;
+
+		// Trimming a raise is always allowed, even if the budget has since
+		// been cut below what was already proposed
+		const before = this.getDepartmentBudget(cycle, user.department);
+		const after = this.getDepartmentBudget(
+			{ ...cycle, proposals },
+			user.department
+		);
+		if (after.overBudget && after.proposed > before.proposed) {
+			throw new Error(
+				`This raise would take ${user.department} over its budget`
+			);
+		}
+
+		cycle.proposals = proposals;
+		this.save();
+
+		this.authSystem.recordAudit("compensation_merit_proposed", {
+			target: user,
+			details: proposal
+				? `Proposed a ${percent}% raise in "${cycle.name}"`
+				: `Withdrew the raise proposed in "${cycle.name}"`,
+			metadata: { cycleId },
+		});
+		return proposal;
+	}
+
+	raiseAmount(pay, percent) {
+		return Math.round((pay.base * percent) / 100);
+	}
+
+	/**
+	 * A department's budget against its payroll (base plus bonus) on the
+	 * cycle's effective date and the raises proposed so far
+	 * @param {Object} cycle - Merit cycle
+	 * @param {string} department - Department name
+	 * @returns {Object} { budget, payroll, proposed, remaining, overBudget,
+	 *   percentUsed }
+	 */
+	getDepartmentBudget(cycle, department) {
+		const budget =
+			this.userManager.departments.find((d) => d.name === department)
+				?.budget || 0;
+
+		const members = this.authSystem.authorizedUsers.filter(
+			(user) => user.department === department && user.status !== "inactive"
+		);
+		let payroll = 0;
+		let proposed = 0;
+		members.forEach((user) => {
+			const pay = this.getPayAsOf(user.id, cycle.effectiveDate);
+			if (!pay || pay.currency !== BASE_CURRENCY) return;
+			payroll += pay.base + pay.bonus;
+
+			const proposal = cycle.proposals.find((p) => p.userId === user.id);
+			if (proposal) proposed += this.raiseAmount(pay, proposal.percent);
+		});
+
+		const headroom = budget - payroll;
+		return {
+			budget,
+			payroll,
+			proposed,
+			remaining: headroom - proposed,
+			overBudget: headroom - proposed < 0,
+			percentUsed:
+				headroom > 0 ? Math.round((proposed / headroom) * 100) : null,
+		};
+	}
+
+	/**
+	 * The merit worksheet for the current user: their eligible employees
+	 * grouped by department with each department's budget. Amounts and
+	 * compa-ratios are left out unless the user can view compensation.
+	 * @param {string} cycleId - Merit cycle ID
+	 * @returns {Object} { cycle, departments: [{ name, budget, rows }] }
+	 */
+	getWorksheet(cycleId) {
+		const cycle = this.getMeritCycle(cycleId);
+		if (!cycle) {
+			throw new Error("Merit cycle not found");
+		}
+		const showAmounts = this.canViewCompensation();
+
+		const byDepartment = new Map();
+		this.getEligibleEmployees(cycleId).forEach((user) => {
+			const pay = this.getPayAsOf(user.id, cycle.effectiveDate);
+			const proposal = cycle.proposals.find((p) => p.userId === user.id);
+			const comparison = this.comparePay(user, pay);
+			const newPay =
+				pay && proposal
+					? {
+							...pay,
+							base: pay.base + this.raiseAmount(pay, proposal.percent),
+					  }
+					: pay;
+			const newComparison = this.comparePay(user, newPay);
+
+			if (!byDepartment.has(user.department)) {
+				byDepartment.set(user.department, []);
+			}
+			byDepartment.get(user.department).push({
+				user,
+				proposal: proposal || null,
+				hasPay: Boolean(pay),
+				currency: pay?.currency || null,
+				// A compa-ratio times the public band midpoint is the salary, so
+				// managers only see where pay sits in the range
+				compaRatio: showAmounts ? comparison?.compaRatio ?? null : null,
+				newCompaRatio: showAmounts ? newComparison?.compaRatio ?? null : null,
+				bandStatus: comparison?.status || null,
+				newBandStatus: newComparison?.status || null,
+				base: showAmounts ? pay?.base ?? null : null,
+				raise:
+					showAmounts && pay && proposal
+						? this.raiseAmount(pay, proposal.percent)
+						: null,
+			});
+		});
+
+		return {
+			cycle,
+			showAmounts,
+			departments: [...byDepartment.entries()]
+				.sort(([a], [b]) => a.localeCompare(b))
+				.map(([name, rows]) => {
+					const budget = this.getDepartmentBudget(cycle, name);
+					return {
+						name,
+						// Managers see how much of the budget is used, not amounts
+						budget: showAmounts
+							? budget
+							: {
+									percentUsed: budget.percentUsed,
+									overBudget: budget.overBudget,
+							  },
+						rows: rows.sort((a, b) =>
+							a.user.name.localeCompare(b.user.name)
+						),
+					};
+				}),
+		};
+	}
+
+	/**
+	 * Close a cycle and record each proposed raise as a merit increase
+	 * effective on the cycle date
+	 * @param {string} cycleId - Merit cycle ID
+	 * @returns {Array} Compensation records created
+	 */
+	finalizeCycle(cycleId) {
+		this.requireCompensationAccess("run merit cycles");
+		const cycle = this.getOpenCycle(cycleId);
+
+		const departments = new Set(
+			cycle.proposals.map(
+				(p) => this.userManager.getUserById(p.userId)?.department
+			)
+		);
+		const over = [...departments].filter(
+			(name) => name && this.getDepartmentBudget(cycle, name).overBudget
+		);
+		if (over.length > 0) {
+			throw new Error(`Over budget: ${over.join(", ")}`);
+		}
+
+		const created = cycle.proposals
+			.map((proposal) => {
+				const user = this.userManager.getUserById(proposal.userId);
+				const pay = this.getPayAsOf(proposal.userId, cycle.effectiveDate);
+				if (!user || !pay) return null;
+
+				const record = {
+					id: `comp-${randomToken(9)}`,
+					userId: user.id,
+					effectiveDate: cycle.effectiveDate,
+					base: pay.base + this.raiseAmount(pay, proposal.percent),
+					bonus: pay.bonus,
+					currency: pay.currency,
+					reason: "merit",
+					note: proposal.note || `${cycle.name}: ${proposal.percent}%`,
+					recordedAt: new Date().toISOString(),
+					recordedBy: this.authSystem.getCurrentUser()?.id || null,
+					cancelledAt: null,
+				};
+				this.records.push(record);
+				return record;
+			})
+			.filter(Boolean);
+
+		cycle.status = "finalized";
+		cycle.finalizedAt = new Date().toISOString();
+		this.save();
+
+		this.authSystem.recordAudit("compensation_merit_cycle_finalized", {
+			details: `"${cycle.name}": ${created.length} raise${
+				created.length === 1 ? "" : "s"
+			} effective ${cycle.effectiveDate}`,
+			metadata: { cycleId },
+		});
+		return created;
+	}
+
+	cancelCycle(cycleId) {
+		this.requireCompensationAccess("run merit cycles");
+		const cycle = this.getOpenCycle(cycleId);
+
+		cycle.status = "cancelled";
+		this.save();
+
+		this.authSystem.recordAudit("compensation_merit_cycle_cancelled", {
+			details: `"${cycle.name}"`,
+			metadata: { cycleId },
+		});
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	removeUsers(userIds) {
+		this.records = this.records.filter((r) => !userIds.includes(r.userId));
+		this.cycles
+			.filter((cycle) => cycle.status === "open")
+			.forEach((cycle) => {
+				cycle.proposals = cycle.proposals.filter(
+					(p) => !userIds.includes(p.userId)
+				);
+			});
+		this.save();
+	}
+
+	toDay(date) {
+		return typeof date === "string"
+			? date.slice(0, 10)
+			: date.toISOString().split("T")[0];
+	}
+
+	today(now = new Date()) {
+		return this.toDay(now);
+	}
+}
@@ -0,0 +1,661 @@
+/**
+ * Compensation UI Manager - Compensation view
+ * Finance and HR see out-of-band alerts, the compa-ratio report by position
+ * and each employee's pay history. Everyone with people below them gets the
+ * merit worksheet for the selected cycle, with each department's budget.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import {
+	BAND_STATUSES,
+	BASE_CURRENCY,
+	COMP_REASONS,
+	CURRENCIES,
+	MERIT_CYCLE_STATUSES,
+} from "./compensation.js";
+
+export class CompensationUIManager {
+	constructor(compensationManager, app) {
+		this.compensationManager = compensationManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+
+		// Merit cycle whose worksheet is shown
+		this.selectedCycleId = null;
+
+		window.addEventListener("compensationUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Compensation view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "compensationContainer") {
+		const container = document.getElementById(containerId);
+		if (!container || !this.authSystem.getCurrentUser()) return;
+
+		const canView = this.compensationManager.canViewCompensation();
+		const cycles = this.compensationManager
+			.getMeritCycles()
+			.filter((cycle) => canView || cycle.status === "open");
+		if (!cycles.some((c) => c.id === this.selectedCycleId)) {
+			this.selectedCycleId =
+				(cycles.find((c) => c.status === "open") || cycles[0])?.id || null;
+		}
+
+		container.innerHTML = `
+			${canView ? this.renderPayOverview() : ""}
+
+			<section class="compensation-section">
+				<div class="compensation-section-header">
+					<h4>Merit cycles</h4>
+					${
+						canView
+							? `<button class="btn btn-primary btn-small" onclick="compensationUI.showCycleModal()">+ New Cycle</button>`
+							: ""
+					}
+				</div>
+				${
+					cycles.length === 0
+						? `<p class="empty-state">No merit cycle is open.</p>`
+						: this.renderCycles(cycles)
+				}
+			</section>
+
+			${this.selectedCycleId ? this.renderWorksheet(this.selectedCycleId) : ""}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("compensationContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	// ========================
+	// PAY AND BANDS
+	// ========================
+
+	renderPayOverview() {
+		const alerts = this.compensationManager.getOutOfBandAlerts();
+		const report = this.compensationManager.getCompaRatioReport();
+
+		return `
+			<section class="compensation-section">
+				<div class="compensation-section-header">
+					<h4>Out-of-band alerts</h4>
+				</div>
+				${
+					alerts.length === 0
+						? `<p class="empty-state">Everyone with pay on record is paid within their position's range.</p>`
+						: `
+					<ul class="compensation-list">
+						${alerts
+							.map(
+								({ user, position, pay, comparison }) => `
+							<li>
+								<div>
+									<strong>${user.name}</strong>
+									<span class="compensation-meta-text">
+										${position.title} · ${this.formatMoney(pay.base)} against
+										${this.formatMoney(comparison.band.min)}–${this.formatMoney(
+									comparison.band.max
+								)}
+									</span>
+								</div>
+								<span class="compensation-band ${comparison.status}">${
+									BAND_STATUSES[comparison.status]
+								}</span>
+							</li>
+						`
+							)
+							.join("")}
+					</ul>
+				`
+				}
+			</section>
+
+			<section class="compensation-section">
+				<div class="compensation-section-header">
+					<h4>Compa-ratio by position</h4>
+					<button class="btn btn-secondary btn-small" onclick="compensationUI.showRecordModal()">+ Record Pay</button>
+				</div>
+				${report.map((entry) => this.renderPosition(entry)).join("")}
+			</section>
+		`;
+	}
+
+	renderPosition({ position, band, rows, averageCompaRatio, missingPay }) {
+		return `
+			<div class="compensation-position">
+				<div class="compensation-position-header">
+					<strong>${position.title}</strong>
+					<span class="compensation-meta-text">
+						${position.department} ·
+						${
+							band
+								? `${this.formatMoney(band.min)}–${this.formatMoney(
+										band.max
+								  )}, midpoint ${this.formatMoney(band.midpoint)}`
+								: "no salary range"
+						} ·
+						average compa-ratio ${this.formatRatio(averageCompaRatio)}
+						${missingPay > 0 ? ` · ${missingPay} without pay on record` : ""}
+					</span>
+				</div>
+				${
+					rows.length === 0
+						? `<p class="compensation-meta-text">Nobody holds this position.</p>`
+						: `
+					<table class="compensation-table">
+						<thead>
+							<tr>
+								<th>Employee</th>
+								<th>Base</th>
+								<th>Bonus</th>
+								<th>Compa-ratio</th>
+								<th></th>
+							</tr>
+						</thead>
+						<tbody>
+							${rows
+								.map(
+									({ user, pay, comparison }) => `
+								<tr>
+									<td>${user.name}</td>
+									<td>${pay ? this.formatMoney(pay.base, pay.currency) : "–"}</td>
+									<td>${pay ? this.formatMoney(pay.bonus, pay.currency) : "–"}</td>
+									<td>
+										${
+											comparison
+												? `${this.formatRatio(
+														comparison.compaRatio
+												  )} <span class="compensation-band ${
+														comparison.status
+												  }">${BAND_STATUSES[comparison.status]}</span>`
+												: pay
+												? `<span class="compensation-meta-text">Paid in ${pay.currency}</span>`
+												: "–"
+										}
+									</td>
+									<td><button class="btn btn-small btn-secondary" onclick="compensationUI.showHistoryModal('${
+										user.id
+									}')">History</button></td>
+								</tr>
+							`
+								)
+								.join("")}
+						</tbody>
+					</table>
+				`
+				}
+			</div>
+		`;
+	}
+
+	showHistoryModal(userId) {
+		const user = this.userManager.getUserById(userId);
+		const history = this.compensationManager.getHistory(userId);
+		const current = this.compensationManager.getCurrent(userId);
+		const today = this.compensationManager.today();
+
+		const content = `
+			${
+				history.length === 0
+					? `<p class="empty-state">No pay on record for ${user.name}.</p>`
+					: `
+				<ul class="timeline-list">
+					${[...history]
+						.reverse()
+						.map(
+							(record) => `
+						<li class="timeline-entry ${
+							record.effectiveDate > today ? "scheduled" : ""
+						}">
+							<div>
+								<strong>${record.effectiveDate} · ${COMP_REASONS[record.reason]}</strong>
+								${record.id === current?.id ? " (current)" : ""}
+								${record.effectiveDate > today ? " (scheduled)" : ""}
+							</div>
+							<div>
+								Base ${this.formatMoney(record.base, record.currency)} ·
+								bonus ${this.formatMoney(record.bonus, record.currency)}
+							</div>
+							${record.note ? `<div class="compensation-meta-text">${record.note}</div>` : ""}
+							${
+								record.effectiveDate > today
+									? `<button class="btn btn-small btn-secondary" onclick="compensationUI.cancelRecord('${record.id}')">Cancel</button>`
+									: ""
+							}
+						</li>
+					`
+						)
+						.join("")}
+				</ul>
+			`
+			}
+			<div class="compensation-actions">
+				<button class="btn btn-primary" onclick="compensationUI.showRecordModal('${userId}')">Record Pay</button>
+			</div>
+		`;
+
+		this.historyModal?.hide();
+		this.historyModal = ModalComponent.show(
+			`${user.name} · Compensation`,
+			content,
+			"",
+			{ size: "large" }
+		);
+	}
+
+	showRecordModal(userId = null) {
+		const current = userId
+			? this.compensationManager.getCurrent(userId)
+			: null;
+
+		const content = `
+			<div class="form-group">
+				<label for="compensationUser">Employee</label>
+				<select id="compensationUser" name="userId" required>
+					${this.authSystem.authorizedUsers
+						.filter((user) => user.status !== "inactive")
+						.map(
+							(user) =>
+								`<option value="${user.id}" ${
+									user.id === userId ? "selected" : ""
+								}>${user.name} (${user.position || "no position"})</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			<div class="compensation-form-row">
+				<div class="form-group">
+					<label for="compensationBase">Base salary</label>
+					<input type="number" id="compensationBase" name="base" min="1" step="1" required value="${
+						current?.base ?? ""
+					}">
+				</div>
+				<div class="form-group">
+					<label for="compensationBonus">Target bonus</label>
+					<input type="number" id="compensationBonus" name="bonus" min="0" step="1" value="${
+						current?.bonus ?? 0
+					}">
+				</div>
+				<div class="form-group">
+					<label for="compensationCurrency">Currency</label>
+					<select id="compensationCurrency" name="currency">
+						${CURRENCIES.map(
+							(currency) =>
+								`<option value="${currency}" ${
+									(current?.currency || BASE_CURRENCY) === currency
+										? "selected"
+										: ""
+								}>${currency}</option>`
+						).join("")}
+					</select>
+				</div>
+			</div>
+			<div class="compensation-form-row">
+				<div class="form-group">
+					<label for="compensationDate">Effective date</label>
+					<input type="date" id="compensationDate" name="effectiveDate" required value="${this.compensationManager.today()}">
+				</div>
+				<div class="form-group">
+					<label for="compensationReason">Reason</label>
+					<select id="compensationReason" name="reason">
+						${Object.entries(COMP_REASONS)
+							.map(
+								([value, label]) =>
+									`<option value="${value}" ${
+										value === (current ? "merit" : "hire") ? "selected" : ""
+									}>${label}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="compensationNote">Note</label>
+				<textarea id="compensationNote" name="note" rows="2"></textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			"Record Pay",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					const record = this.compensationManager.recordCompensation(
+						data.get("userId"),
+						{
+							base: data.get("base"),
+							bonus: data.get("bonus"),
+							currency: data.get("currency"),
+						},
+						{
+							effectiveDate: data.get("effectiveDate"),
+							reason: data.get("reason"),
+							note: data.get("note"),
+						}
+					);
+					modal.hide();
+
+					const user = this.userManager.getUserById(record.userId);
+					if (record.bandStatus) {
+						NotificationComponent.show(
+							`Saved. ${user.name}'s base is ${BAND_STATUSES[
+								record.bandStatus
+							].toLowerCase()} for ${user.position}.`,
+							"warning"
+						);
+					} else {
+						NotificationComponent.show(`Saved pay for ${user.name}`, "success");
+					}
+					if (this.historyModal) this.showHistoryModal(record.userId);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	cancelRecord(recordId) {
+		const record = this.compensationManager.records.find(
+			(r) => r.id === recordId
+		);
+		ModalComponent.confirm({
+			title: "Cancel scheduled pay",
+			message: `Cancel the ${COMP_REASONS[
+				record.reason
+			].toLowerCase()} scheduled for ${record.effectiveDate}?`,
+			confirmText: "Cancel Pay Change",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.compensationManager.cancelRecord(recordId);
+					modal.hide();
+					this.showHistoryModal(record.userId);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+		});
+	}
+
+	// ========================
+	// MERIT CYCLES
+	// ========================
+
+	renderCycles(cycles) {
+		return `
+			<ul class="compensation-list">
+				${cycles
+					.map(
+						(cycle) => `
+					<li class="${
+						cycle.id === this.selectedCycleId ? "selected" : ""
+					}" onclick="compensationUI.selectCycle('${cycle.id}')">
+						<div>
+							<strong>${cycle.name}</strong>
+							<span class="compensation-meta-text">
+								Effective ${cycle.effectiveDate} · ${cycle.proposals.length} proposed
+							</span>
+						</div>
+						<span class="compensation-cycle-status ${cycle.status}">${
+							MERIT_CYCLE_STATUSES[cycle.status]
+						}</span>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	selectCycle(cycleId) {
+		this.selectedCycleId = cycleId;
+		this.render();
+	}
+
+	renderWorksheet(cycleId) {
+		const { cycle, showAmounts, departments } =
+			this.compensationManager.getWorksheet(cycleId);
+		const open = cycle.status === "open";
+
+		return `
+			<section class="compensation-section">
+				<div class="compensation-section-header">
+					<h4>${cycle.name} worksheet</h4>
+					${
+						open && showAmounts
+							? `
+						<button class="btn btn-primary btn-small" onclick="compensationUI.finalizeCycle('${cycle.id}')">Finalize</button>
+						<button class="btn btn-secondary btn-small" onclick="compensationUI.cancelCycle('${cycle.id}')">Cancel Cycle</button>
+					`
+							: ""
+					}
+				</div>
+				${
+					departments.length === 0
+						? `<p class="empty-state">Nobody in this cycle reports to you.</p>`
+						: departments
+								.map((department) =>
+									this.renderWorksheetDepartment(
+										cycle,
+										department,
+										showAmounts,
+										open
+									)
+								)
+								.join("")
+				}
+			</section>
+		`;
+	}
+
+	renderWorksheetDepartment(cycle, { name, budget, rows }, showAmounts, open) {
+		const used = Math.min(budget.percentUsed ?? 100, 100);
+		return `
+			<div class="compensation-position">
+				<div class="compensation-position-header">
+					<strong>${name}</strong>
+					<span class="compensation-meta-text">
+						${
+							showAmounts
+								? `Budget ${this.formatMoney(budget.budget)} · payroll
+									${this.formatMoney(budget.payroll)} · raises
+									${this.formatMoney(budget.proposed)} ·
+									${this.formatMoney(budget.remaining)} remaining`
+								: budget.percentUsed === null
+								? "No budget left for raises"
+								: `${budget.percentUsed}% of the raise budget used`
+						}
+					</span>
+					<div class="compensation-budget-bar ${
+						budget.overBudget ? "over" : ""
+					}"><span style="width: ${used}%"></span></div>
+				</div>
+				<table class="compensation-table">
+					<thead>
+						<tr>
+							<th>Employee</th>
+							<th>${showAmounts ? "Compa-ratio" : "Band position"}</th>
+							${showAmounts ? "<th>Base</th>" : ""}
+							<th>Raise %</th>
+							${showAmounts ? "<th>Raise</th>" : ""}
+							<th>${showAmounts ? "New compa-ratio" : "After raise"}</th>
+						</tr>
+					</thead>
+					<tbody>
+						${rows
+							.map(
+								(row) => `
+							<tr>
+								<td>${row.user.name}<span class="compensation-meta-text">${
+									row.user.position || ""
+								}</span></td>
+								<td>${
+									row.bandStatus
+										? `${
+												row.compaRatio !== null
+													? this.formatRatio(row.compaRatio)
+													: ""
+										  } ${this.renderBandStatus(row.bandStatus)}`
+										: "–"
+								}</td>
+								${
+									showAmounts
+										? `<td>${
+												row.base !== null
+													? this.formatMoney(row.base, row.currency)
+													: "–"
+										  }</td>`
+										: ""
+								}
+								<td>${
+									!row.hasPay
+										? `<span class="compensation-meta-text">No pay on record</span>`
+										: open
+										? `<input type="number" class="compensation-percent" min="0" max="100" step="0.5" value="${
+												row.proposal?.percent ?? ""
+										  }" placeholder="0" onchange="compensationUI.proposeRaise('${
+												cycle.id
+										  }', '${row.user.id}', this.value)">`
+										: row.proposal
+										? `${row.proposal.percent}%`
+										: "–"
+								}</td>
+								${
+									showAmounts
+										? `<td>${
+												row.raise !== null
+													? this.formatMoney(row.raise, row.currency)
+													: "–"
+										  }</td>`
+										: ""
+								}
+								<td>${
+									!row.proposal
+										? "–"
+										: showAmounts
+										? this.formatRatio(row.newCompaRatio)
+										: this.renderBandStatus(row.newBandStatus)
+								}</td>
+							</tr>
+						`
+							)
+							.join("")}
+					</tbody>
+				</table>
+			</div>
+		`;
+	}
+
+	renderBandStatus(status) {
+		return status
+			? `<span class="compensation-band ${status}">${BAND_STATUSES[status]}</span>`
+			: "–";
+	}
+
+	proposeRaise(cycleId, userId, value) {
+		try {
+			this.compensationManager.proposeRaise(cycleId, userId, value || 0);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+			this.render();
+		}
+	}
+
+	showCycleModal() {
+		const content = `
+			<div class="form-group">
+				<label for="meritCycleName">Name</label>
+				<input type="text" id="meritCycleName" name="name" required placeholder="e.g. ${new Date().getFullYear()} annual merit">
+			</div>
+			<div class="form-group">
+				<label for="meritCycleDate">Raises take effect</label>
+				<input type="date" id="meritCycleDate" name="effectiveDate" required>
+			</div>
+		`;
+
+		ModalComponent.form("New Merit Cycle", content, (e, modal, form) => {
+			const data = new FormData(form);
+			try {
+				const cycle = this.compensationManager.createMeritCycle({
+					name: data.get("name"),
+					effectiveDate: data.get("effectiveDate"),
+				});
+				this.selectedCycleId = cycle.id;
+				modal.hide();
+				NotificationComponent.show(`Opened ${cycle.name}`, "success");
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	finalizeCycle(cycleId) {
+		const cycle = this.compensationManager.getMeritCycle(cycleId);
+		ModalComponent.confirm({
+			title: "Finalize merit cycle",
+			message: `Record ${cycle.proposals.length} proposed raise${
+				cycle.proposals.length === 1 ? "" : "s"
+			} effective ${cycle.effectiveDate} and close "${cycle.name}"?`,
+			confirmText: "Finalize",
+			confirmClass: "btn-primary",
+			onConfirm: (modal) => {
+				try {
+					const created = this.compensationManager.finalizeCycle(cycleId);
+					modal.hide();
+					NotificationComponent.show(
+						`Recorded ${created.length} merit increase${
+							created.length === 1 ? "" : "s"
+						}`,
+						"success"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+		});
+	}
+
+	cancelCycle(cycleId) {
+		const cycle = this.compensationManager.getMeritCycle(cycleId);
+		ModalComponent.confirm({
+			title: "Cancel merit cycle",
+			message: `Cancel "${cycle.name}"? Its proposals will not be recorded.`,
+			confirmText: "Cancel Cycle",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.compensationManager.cancelCycle(cycleId);
+					modal.hide();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+		});
+	}
+
+	// ========================
+	// FORMATTING
+	// ========================
+
+	formatMoney(amount, currency = BASE_CURRENCY) {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency,
+			maximumFractionDigits: 0,
+		}).format(amount);
+	}
+
+	formatRatio(ratio) {
+		return ratio === null || ratio === undefined ? "–" : ratio.toFixed(2);
+	}
+}
@@ -320,13 +320,11 @@ export class ViewManagerComponent {
 		}
 	}
 
-	// Refresh current view
+	// Refresh current view - re-runs the view load callback so the view
+	// re-renders from current data without a transition
 	refresh() {
-		if (this.currentView) {
-			// Force re-render by hiding and showing
-			this.hideView(this.currentView).then(() => {
-				this.showView(this.currentView);
-			});
+		if (this.currentView && !this.isTransitioning && this.options.onViewLoad) {
+			this.options.onViewLoad(this.currentView, this.previousView);
 		}
 	}
 
@@ -0,0 +1,186 @@
+/**
+ * Crypto Utilities - WebCrypto helpers shared by the authentication modules
+ * Password hashing (PBKDF2), random values, encoding and constant-time compare.
+ */
+
+export const PASSWORD_HASH_ALGORITHM = "PBKDF2-SHA256";
+export const PASSWORD_HASH_ITERATIONS = 310000;
+
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+/**
+ * Generate cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+	const bytes = new Uint8Array(length);
+	crypto.getRandomValues(bytes);
+	return bytes;
+}
+
+/**
+ * Encode bytes as standard base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+	let binary = "";
+	bytes.forEach((byte) => {
+		binary += String.fromCharCode(byte);
+	});
+	return btoa(binary);
+}
+
+/**
+ * Decode a standard base64 string
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/**
+ * Encode bytes as base64url without padding (RFC 4648 section 5), as used in
+ * URLs and JWTs
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export function bytesToBase64Url(bytes) {
+	return bytesToBase64(bytes)
+		.replace(/\+/g, "-")
+		.replace(/\//g, "_")
+		.replace(/=+$/, "");
+}
+
+/**
+ * Decode a base64url string, with or without padding
+ * @param {string} text - Base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64UrlToBytes(text) {
+	const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+	return base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+}
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+export function bytesToHex(bytes) {
+	return Array.from(bytes)
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("");
+}
+
+/**
+ * Compare two strings or byte arrays without short-circuiting on the first
+ * difference, so timing does not reveal how much of a secret matched
+ * @param {string|Uint8Array} a
+ * @param {string|Uint8Array} b
+ * @returns {boolean} True when equal
+ */
+export function constantTimeEqual(a, b) {
+	const left = typeof a === "string" ? new TextEncoder().encode(a) : a;
+	const right = typeof b === "string" ? new TextEncoder().encode(b) : b;
+
+	let diff = left.length ^ right.length;
+	const length = Math.max(left.length, right.length);
+	for (let i = 0; i < length; i++) {
+		diff |= (left[i] || 0) ^ (right[i] || 0);
+	}
+	return diff === 0;
+}
+
+/**
+ * Derive a PBKDF2-SHA256 key from a password
+ * @param {string} password - Plaintext password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Iteration count
+ * @returns {Promise<Uint8Array>} Derived bytes
+ */
+async function derivePbkdf2(password, salt, iterations) {
+	const keyMaterial = await crypto.subtle.importKey(
+		"raw",
+		new TextEncoder().encode(password),
+		"PBKDF2",
+		false,
+		["deriveBits"]
+	);
+	const bits = await crypto.subtle.deriveBits(
+		{ name: "PBKDF2", hash: "SHA-256", salt, iterations },
+		keyMaterial,
+		HASH_BYTES * 8
+	);
+	return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plaintext password
+ * @param {number} [iterations] - Iteration count (defaults to PASSWORD_HASH_ITERATIONS)
+ * @returns {Promise<Object>} { algorithm, iterations, salt, hash } with base64 salt and hash
+ */
+export async function hashPassword(
+	password,
+	iterations = PASSWORD_HASH_ITERATIONS
+) {
+	const salt = randomBytes(SALT_BYTES);
+	const hash = await derivePbkdf2(password, salt, iterations);
+	return {
+		algorithm: PASSWORD_HASH_ALGORITHM,
+		iterations,
+		salt: bytesToBase64(salt),
+		hash: bytesToBase64(hash),
+	};
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plaintext password to check
+ * @param {Object} passwordHash - Record produced by hashPassword()
+ * @returns {Promise<boolean>} True when the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+	if (!passwordHash || passwordHash.algorithm !== PASSWORD_HASH_ALGORITHM) {
+		return false;
+	}
+
+	const expected = base64ToBytes(passwordHash.hash);
+	const actual = await derivePbkdf2(
+		password || "",
+		base64ToBytes(passwordHash.salt),
+		passwordHash.iterations
+	);
+	return constantTimeEqual(actual, expected);
+}
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} [byteLength=32] - Entropy in bytes
+ * @returns {string} Base64url token without padding
+ */
+export function randomToken(byteLength = 32) {
+	return bytesToBase64Url(randomBytes(byteLength));
+}
+
+/**
+ * SHA-256 digest of a UTF-8 string
+ * @param {string} text - Input text
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(text) {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(text)
+	);
+	return bytesToHex(new Uint8Array(digest));
+}
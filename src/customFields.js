@@ -0,0 +1,238 @@
+/**
+ * Custom Fields - Admin-defined extra fields on employee records
+ * Definitions live in localStorage; values are kept on each user as
+ * `customFields: { [key]: value }`. A field can be limited to viewers holding
+ * one of its `visibleTo` permissions, which also decides who may edit it.
+ */
+
+export const CUSTOM_FIELD_TYPES = {
+	text: "Text",
+	number: "Number",
+	date: "Date",
+	select: "Picklist",
+	boolean: "Yes/No",
+	email: "Email",
+	url: "URL",
+};
+
+export class CustomFieldManager {
+	/**
+	 * Initialize the CustomFieldManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Permission checks for visibility
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.storageKey = "study-hall-custom-fields";
+		this.fields = this.loadFields();
+	}
+
+	/**
+	 * Load field definitions from localStorage
+	 * @returns {Array} Field definitions, in display order
+	 */
+	loadFields() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load custom fields:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Replace the field definitions
+	 * @param {Array} fields - Definitions: { key, label, type, required, options, visibleTo }
+	 */
+	saveFields(fields) {
+		if (!this.authSystem.canAccessAdminPanel()) {
+			throw new Error("Insufficient permissions to define custom fields");
+		}
+
+		const normalized = fields.map((field) => this.normalizeDefinition(field));
+		const keys = normalized.map((field) => field.key);
+		const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+		if (duplicate) {
+			throw new Error(`Two fields share the key "${duplicate}"`);
+		}
+
+		localStorage.setItem(this.storageKey, JSON.stringify(normalized));
+		this.fields = normalized;
+
+		this.authSystem.recordAudit("custom_fields_updated", {
+			details: `Updated custom profile fields (${normalized
+				.map((field) => field.label)
+				.join(", ") || "none"})`,
+		});
+	}
+
+	normalizeDefinition(field) {
+		const label = String(field.label || "").trim();
+		if (!label) {
+			throw new Error("Every custom field needs a label");
+		}
+		if (!CUSTOM_FIELD_TYPES[field.type]) {
+			throw new Error(`"${label}" has an unknown type`);
+		}
+
+		const options =
+			field.type === "select"
+				? [...new Set((field.options || []).map((o) => String(o).trim()))].filter(
+						Boolean
+				  )
+				: [];
+		if (field.type === "select" && options.length === 0) {
+			throw new Error(`"${label}" needs at least one picklist option`);
+		}
+
+		return {
+			key: field.key || this.toKey(label),
+			label,
+			type: field.type,
+			required: Boolean(field.required),
+			options,
+			visibleTo: field.visibleTo || [],
+		};
+	}
+
+	// "Visa expiry" -> "visaExpiry"
+	toKey(label) {
+		const words = label
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, " ")
+			.trim()
+			.split(" ");
+		const key = words
+			.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+			.join("");
+		return /^[a-z]/.test(key) ? key : `field${key}`;
+	}
+
+	getFields() {
+		return this.fields;
+	}
+
+	/**
+	 * Whether the signed-in user may see (and edit) a field
+	 * @param {Object} field - Field definition
+	 * @returns {boolean}
+	 */
+	canView(field) {
+		return (
+			field.visibleTo.length === 0 ||
+			field.visibleTo.some((permission) =>
+				this.authSystem.hasPermission(permission)
+			)
+		);
+	}
+
+	getVisibleFields() {
+		return this.fields.filter((field) => this.canView(field));
+	}
+
+	/**
+	 * A user's custom values, without the ones the viewer may not see
+	 * @param {Object} user - Employee record
+	 * @returns {Object} key -> value
+	 */
+	getVisibleValues(user) {
+		const values = user.customFields || {};
+		return Object.fromEntries(
+			this.getVisibleFields()
+				.filter((field) => values[field.key] !== undefined)
+				.map((field) => [field.key, values[field.key]])
+		);
+	}
+
+	/**
+	 * Convert a raw form or import value to the field's type
+	 * @param {Object} field - Field definition
+	 * @param {*} raw - Input value
+	 * @returns {*} Typed value, or null when empty
+	 */
+	parseValue(field, raw) {
+		if (raw === undefined || raw === null || raw === "") return null;
+
+		switch (field.type) {
+			case "number": {
+				const value = Number(raw);
+				return isNaN(value) ? raw : value;
+			}
+			case "boolean":
+				if (typeof raw === "boolean") return raw;
+				return ["true", "yes", "y", "1", "on"].includes(
+					String(raw).trim().toLowerCase()
+				);
+			default:
+				return String(raw).trim() || null;
+		}
+	}
+
+	/**
+	 * Validate custom values for the fields the signed-in user can see
+	 * @param {Object} values - key -> value, already parsed
+	 * @returns {Array<string>} Error messages
+	 */
+	validateValues(values = {}) {
+		const errors = [];
+
+		this.getVisibleFields().forEach((field) => {
+			const value = values[field.key];
+			const empty = value === undefined || value === null || value === "";
+
+			if (empty) {
+				if (field.required && field.type !== "boolean") {
+					errors.push(`${field.label} is required`);
+				}
+				return;
+			}
+
+			const invalid = {
+				number: () => typeof value !== "number" || isNaN(value),
+				date: () => isNaN(new Date(value)),
+				select: () => !field.options.includes(value),
+				boolean: () => typeof value !== "boolean",
+				email: () => !this.authSystem.isValidEmail(value),
+				url: () => !/^https?:\/\/\S+$/.test(value),
+			}[field.type];
+
+			if (invalid && invalid()) {
+				errors.push(
+					field.type === "select"
+						? `${field.label} must be one of: ${field.options.join(", ")}`
+						: `${field.label} must be a valid ${CUSTOM_FIELD_TYPES[
+								field.type
+						  ].toLowerCase()}`
+				);
+			}
+		});
+
+		return errors;
+	}
+
+	/**
+	 * Display form of a value, as shown in tables and exports
+	 * @param {Object} field - Field definition
+	 * @param {*} value - Stored value
+	 * @returns {string}
+	 */
+	formatValue(field, value) {
+		if (value === undefined || value === null || value === "") return "";
+		if (field.type === "boolean") return value ? "Yes" : "No";
+		return String(value);
+	}
+
+	/**
+	 * Visible custom values as one lowercase string, for text search
+	 * @param {Object} user - Employee record
+	 * @returns {string}
+	 */
+	getSearchText(user) {
+		const values = this.getVisibleValues(user);
+		return this.getVisibleFields()
+			.map((field) => this.formatValue(field, values[field.key]))
+			.join(" ")
+			.toLowerCase();
+	}
+}
@@ -1,6 +1,64 @@
 // DocumentManager - Enhanced document management with versioning, search, and collaboration
 // Handles advanced document operations, search, approval workflows, and user feedback
 
+// Policies that used to be static cards in StudyHallApp, imported once as
+// policy documents
+const LEGACY_POLICIES = [
+	{
+		id: 1,
+		title: "Code of Conduct",
+		description:
+			"Professional behavior standards and ethical guidelines for all employees",
+		status: "active",
+		lastUpdated: "2025-10-01",
+		version: "2.1",
+		category: "Ethics & Compliance",
+		icon: "⚖️",
+	},
+	{
+		id: 2,
+		title: "Data Privacy Policy",
+		description:
+			"Guidelines for handling sensitive company and customer data",
+		status: "active",
+		lastUpdated: "2025-09-15",
+		version: "1.3",
+		category: "Security",
+		icon: "🔒",
+	},
+	{
+		id: 3,
+		title: "Leave of Absence Policy",
+		description:
+			"Procedures for requesting and managing various types of leave",
+		status: "active",
+		lastUpdated: "2025-08-20",
+		version: "1.8",
+		category: "HR Policies",
+		icon: "🏖️",
+	},
+	{
+		id: 4,
+		title: "Equipment Usage Policy",
+		description: "Guidelines for company equipment use and maintenance",
+		status: "draft",
+		lastUpdated: "2025-11-03",
+		version: "2.0-draft",
+		category: "IT Policies",
+		icon: "🖥️",
+	},
+	{
+		id: 5,
+		title: "Social Media Policy",
+		description: "Professional social media usage guidelines",
+		status: "active",
+		lastUpdated: "2025-07-10",
+		version: "1.2",
+		category: "Communications",
+		icon: "📱",
+	},
+];
+
 export class DocumentManager {
 	constructor(authSystem, permissionsManager) {
 		this.authSystem = authSystem;
@@ -14,6 +72,8 @@ export class DocumentManager {
 		this.documentApprovalsKey = "study-hall-document-approvals";
 		this.documentTemplatesKey = "study-hall-document-templates";
 		this.documentSearchIndexKey = "study-hall-document-search-index";
+		this.legacyPoliciesKey = "study-hall-policies";
+		this.legacyPoliciesImportedKey = "study-hall-policies-imported";
 
 		// Initialize data
 		this.documents = this.loadDocuments();
@@ -22,6 +82,7 @@ export class DocumentManager {
 		this.documentApprovals = this.loadDocumentApprovals();
 		this.documentTemplates = this.loadDocumentTemplates();
 		this.searchIndex = this.loadSearchIndex();
+		this.importLegacyPolicies();
 
 		// Search and filter state
 		this.currentSearchQuery = "";
@@ -536,6 +597,8 @@ export class DocumentManager {
 
 		// Create initial version
 		this.createDocumentVersion(newId, newDocument, "Initial version");
+		this.notifyPublished(newDocument);
+		this.auditDocument("document_created", newDocument);
 
 		return newDocument;
 	}
@@ -586,6 +649,12 @@ export class DocumentManager {
 
 		this.documents[docIndex] = updatedDocument;
 		this.saveDocuments();
+		this.notifyPublished(updatedDocument);
+		this.auditDocument(
+			"document_updated",
+			updatedDocument,
+			`"${updatedDocument.title}" is now version ${updatedDocument.version}`
+		);
 
 		return updatedDocument;
 	}
@@ -618,6 +687,7 @@ export class DocumentManager {
 		this.saveDocumentVersions();
 		this.saveDocumentFeedback();
 		this.saveDocumentApprovals();
+		this.auditDocument("document_deleted", document);
 
 		return true;
 	}
@@ -737,6 +807,7 @@ export class DocumentManager {
 		};
 
 		this.saveDocuments();
+		this.auditDocument("document_submitted", document);
 		return this.documents[docIndex];
 	}
 
@@ -781,10 +852,148 @@ export class DocumentManager {
 
 		this.saveDocuments();
 		this.saveDocumentApprovals();
+		this.notifyPublished(this.documents[docIndex]);
+		this.auditDocument(
+			approved ? "document_approved" : "document_rejected",
+			this.documents[docIndex]
+		);
 
 		return this.documents[docIndex];
 	}
 
+	// Document changes are audited like the rest of the app, which also ties
+	// them to the admin when they are made while viewing as someone else
+	auditDocument(action, document, details = `"${document.title}"`) {
+		this.authSystem.recordAudit(action, {
+			details,
+			metadata: { documentId: document.id },
+		});
+	}
+
+	// Each published version of a document that requires acknowledgement
+	// needs signing off again, so tell listeners when one goes live
+	notifyPublished(document) {
+		if (document.status !== "published") return;
+		window.dispatchEvent(
+			new CustomEvent("documentPublished", {
+				detail: { documentId: document.id, version: document.version },
+			})
+		);
+	}
+
+	/**
+	 * Set who has to acknowledge a document. Changes the document's settings
+	 * without creating a new version.
+	 * @param {number} documentId - Document ID
+	 * @param {Object} settings
+	 * @param {boolean} settings.required - Whether sign-off is needed
+	 * @param {string} [settings.audience] - "everyone", "departments" or "roles"
+	 * @param {string[]} [settings.values] - Department or role names
+	 * @param {number} [settings.dueInDays] - Days allowed to sign off
+	 * @returns {Object} The document
+	 */
+	setAcknowledgementRequirement(documentId, settings) {
+		const document = this.getDocumentById(documentId);
+		if (!document) {
+			throw new Error("Document not found");
+		}
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error(
+				"Insufficient permissions to change acknowledgement requirements"
+			);
+		}
+
+		const audience = settings.audience || "everyone";
+		const values = [...new Set(settings.values || [])].filter(Boolean);
+		if (!["everyone", "departments", "roles"].includes(audience)) {
+			throw new Error("Choose everyone, departments or roles");
+		}
+		if (settings.required && audience !== "everyone" && values.length === 0) {
+			throw new Error(`Choose at least one of the ${audience}`);
+		}
+		const dueInDays = Number(settings.dueInDays ?? 14);
+		if (!Number.isInteger(dueInDays) || dueInDays < 1) {
+			throw new Error("Allow at least one day to acknowledge");
+		}
+
+		document.requiresAcknowledgment = Boolean(settings.required);
+		document.acknowledgement = {
+			audience,
+			values: audience === "everyone" ? [] : values,
+			dueInDays,
+		};
+		this.saveDocuments();
+		this.auditDocument(
+			"document_acknowledgement_changed",
+			document,
+			`"${document.title}" ${
+				document.requiresAcknowledgment ? "requires" : "no longer requires"
+			} acknowledgement`
+		);
+		return document;
+	}
+
+	// Policies used to be static cards kept by StudyHallApp; bring them in
+	// once, from its saved copy if there is one, as policy documents
+	importLegacyPolicies() {
+		if (localStorage.getItem(this.legacyPoliciesImportedKey)) return 0;
+
+		let policies = LEGACY_POLICIES;
+		try {
+			const saved = localStorage.getItem(this.legacyPoliciesKey);
+			if (saved) policies = JSON.parse(saved);
+		} catch (error) {
+			console.warn("Failed to load legacy policies:", error);
+		}
+
+		let nextId = Math.max(...this.documents.map((d) => d.id), 0) + 1;
+		const imported = policies
+			.filter(
+				(policy) =>
+					!this.documents.some(
+						(d) => d.title.toLowerCase() === policy.title.toLowerCase()
+					)
+			)
+			.map((policy) => {
+				const date = new Date(policy.lastUpdated || Date.now()).toISOString();
+				return {
+					id: nextId++,
+					title: policy.title,
+					description: policy.description || "",
+					content: policy.description || "",
+					author: "HR Team",
+					authorId: "admin@studyhall.com",
+					category: "company-policies",
+					type: "policy",
+					icon: policy.icon || "📋",
+					status: policy.status === "active" ? "published" : "draft",
+					version: String(policy.version || "1.0"),
+					tags: policy.category ? [policy.category] : [],
+					dateCreated: date,
+					lastModified: date,
+					lastModifiedBy: "admin@studyhall.com",
+					approvalStatus: "approved",
+					approvedBy: "admin@studyhall.com",
+					approvedDate: date,
+					viewCount: 0,
+					downloadCount: 0,
+					averageRating: 0,
+					requiresAcknowledgment: false,
+					isPublic: true,
+					collaborators: ["admin@studyhall.com"],
+					attachments: [],
+				};
+			});
+
+		this.documents.push(...imported);
+		this.saveDocuments();
+		localStorage.setItem(
+			this.legacyPoliciesImportedKey,
+			new Date().toISOString()
+		);
+		return imported.length;
+	}
+
 	// Feedback and rating system
 	addDocumentFeedback(documentId, feedback) {
 		const currentUser = this.authSystem.getCurrentUser();
@@ -812,6 +1021,12 @@ export class DocumentManager {
 
 		// Update document average rating
 		this.updateDocumentRating(documentId);
+		this.authSystem.recordAudit("document_feedback_added", {
+			details: newFeedback.rating
+				? `Rated ${newFeedback.rating} of 5`
+				: "Left feedback",
+			metadata: { documentId },
+		});
 
 		return newFeedback;
 	}
@@ -892,6 +1107,22 @@ export class DocumentManager {
 		return this.documents.filter((d) => d.category === category);
 	}
 
+	getDocumentsByDepartment(department) {
+		return this.documents.filter((d) => d.department === department);
+	}
+
+	// Move documents to another department (renames and merges)
+	reassignDepartment(fromDepartment, toDepartment) {
+		const docs = this.getDocumentsByDepartment(fromDepartment);
+		if (docs.length === 0) return 0;
+
+		docs.forEach((doc) => {
+			doc.department = toDepartment;
+		});
+		this.saveDocuments();
+		return docs.length;
+	}
+
 	getDocumentsByAuthor(authorId) {
 		return this.documents.filter((d) => d.authorId === authorId);
 	}
@@ -1007,6 +1238,7 @@ export class DocumentManager {
 
 						// Update search index
 						this.addToSearchIndex(document);
+						this.auditDocument("document_imported", document);
 
 						console.log("File imported successfully:", document.title);
 						resolve(document);
@@ -1104,6 +1336,7 @@ export class DocumentManager {
 
 			// Update search index
 			this.addToSearchIndex(document);
+			this.auditDocument("document_created", document);
 
 			console.log("New document created:", document.title);
 			return document;
@@ -1173,6 +1406,7 @@ export class DocumentManager {
 
 			// Update search index
 			this.updateSearchIndex(updatedDocument);
+			this.auditDocument("document_updated", updatedDocument);
 
 			console.log("Document updated:", updatedDocument.title);
 			return updatedDocument;
@@ -1247,6 +1481,11 @@ export class DocumentManager {
 
 			// Update search index
 			this.addToSearchIndex(duplicatedDoc);
+			this.auditDocument(
+				"document_created",
+				duplicatedDoc,
+				`"${duplicatedDoc.title}", copied from "${sourceDoc.title}"`
+			);
 
 			console.log("Document duplicated:", duplicatedDoc.title);
 			return duplicatedDoc;
@@ -0,0 +1,402 @@
+/**
+ * Employment History - Effective-dated record of job changes
+ * Every change to role, position, department or manager is stored with the
+ * date it takes effect and a reason code, so the organisation can be read
+ * back as it stood on any day. Changes dated in the future wait in the
+ * history and are applied to the user record when their day arrives.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const JOB_FIELDS = {
+	role: "Role",
+	position: "Position",
+	department: "Department",
+	managerId: "Manager",
+};
+
+export const CHANGE_REASONS = {
+	hire: "New hire",
+	promotion: "Promotion",
+	transfer: "Transfer",
+	demotion: "Demotion",
+	manager_change: "Manager change",
+	reorganization: "Reorganization",
+	correction: "Correction",
+	other: "Other",
+};
+
+export class EmploymentHistory {
+	/**
+	 * Initialize the EmploymentHistory
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Applies changes to user records
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.storageKey = "study-hall-employment-history";
+		this.checkInterval = 60 * 60 * 1000;
+		this.records = this.loadRecords();
+	}
+
+	/**
+	 * Apply scheduled changes that are due, now and every hour
+	 */
+	start() {
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+
+		this.applyDueChanges();
+		this.timer = setInterval(() => this.applyDueChanges(), this.checkInterval);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	loadRecords() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load employment history:", error);
+			return [];
+		}
+	}
+
+	saveRecords() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+	}
+
+	/**
+	 * Record a job change. Changes effective today or earlier are applied to
+	 * the user straight away; later ones are scheduled.
+	 * @param {string} userId - Employee ID
+	 * @param {Object} changes - New values for any of JOB_FIELDS
+	 * @param {Object} [options]
+	 * @param {string} [options.effectiveDate] - YYYY-MM-DD, defaults to today
+	 * @param {string} [options.reason="other"] - One of CHANGE_REASONS
+	 * @param {string} [options.note] - Free-text explanation
+	 * @returns {Object|null} The history record, or null when nothing changed
+	 */
+	recordChange(userId, changes, options = {}) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to change employment details");
+		}
+
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+
+		const effectiveDate = options.effectiveDate || this.today();
+		const reason = options.reason || "other";
+		if (isNaN(new Date(effectiveDate))) {
+			throw new Error("Effective date is not a valid date");
+		}
+		if (!CHANGE_REASONS[reason]) {
+			throw new Error(`Unknown change reason "${reason}"`);
+		}
+
+		// Compare against the job as it will stand on the effective date, so
+		// a change after an already-scheduled one builds on it
+		const before = this.getJobAsOf(userId, effectiveDate);
+		if (!before) {
+			throw new Error(`${user.name} had not started by ${effectiveDate}`);
+		}
+		const diff = {};
+		Object.keys(JOB_FIELDS).forEach((field) => {
+			if (field in changes && (changes[field] || null) !== before[field]) {
+				diff[field] = changes[field] || null;
+			}
+		});
+		if (Object.keys(diff).length === 0) return null;
+
+		if (diff.managerId) {
+			if (diff.managerId === userId) {
+				throw new Error("An employee cannot report to themselves");
+			}
+			if (!this.userManager.getUserById(diff.managerId)) {
+				throw new Error("Manager not found");
+			}
+		}
+
+		const record = {
+			id: `job-${randomToken(9)}`,
+			userId,
+			effectiveDate,
+			reason,
+			note: String(options.note || "").trim(),
+			changes: diff,
+			previous: Object.fromEntries(
+				Object.keys(diff).map((field) => [field, before[field]])
+			),
+			recordedAt: new Date().toISOString(),
+			recordedBy: this.authSystem.getCurrentUser()?.id || null,
+			appliedAt: null,
+			cancelledAt: null,
+		};
+
+		this.records.push(record);
+		if (effectiveDate <= this.today()) {
+			this.applyRecord(record);
+		}
+		this.saveRecords();
+
+		this.authSystem.recordAudit("employment_change_recorded", {
+			target: user,
+			details: `${CHANGE_REASONS[reason]} effective ${effectiveDate}: ${
+				this.describeChanges(record)
+			}`,
+			metadata: { recordId: record.id },
+		});
+		return record;
+	}
+
+	/**
+	 * The hire entry that anchors a new employee's history
+	 * @param {Object} user - Newly created user
+	 */
+	recordHire(user) {
+		const record = {
+			id: `job-${randomToken(9)}`,
+			userId: user.id,
+			effectiveDate: user.startDate,
+			reason: "hire",
+			note: "",
+			changes: Object.fromEntries(
+				Object.keys(JOB_FIELDS).map((field) => [field, user[field] || null])
+			),
+			previous: {},
+			recordedAt: new Date().toISOString(),
+			recordedBy: this.authSystem.getCurrentUser()?.id || null,
+			appliedAt: new Date().toISOString(),
+			cancelledAt: null,
+		};
+		this.records.push(record);
+		this.saveRecords();
+		return record;
+	}
+
+	/**
+	 * Cancel a change that has not taken effect yet
+	 * @param {string} recordId - History record ID
+	 */
+	cancelChange(recordId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to change employment details");
+		}
+
+		const record = this.records.find((r) => r.id === recordId);
+		if (!record || record.cancelledAt) {
+			throw new Error("Change not found");
+		}
+		if (record.appliedAt) {
+			throw new Error(
+				"This change has already taken effect. Record a correction instead."
+			);
+		}
+
+		record.cancelledAt = new Date().toISOString();
+		this.saveRecords();
+
+		this.authSystem.recordAudit("employment_change_cancelled", {
+			target: this.userManager.getUserById(record.userId),
+			details: `Cancelled the change scheduled for ${record.effectiveDate}: ${
+				this.describeChanges(record)
+			}`,
+			metadata: { recordId },
+		});
+	}
+
+	/**
+	 * Apply scheduled changes whose effective date has arrived
+	 * @param {Date} [now] - Evaluation time, for testing
+	 * @returns {number} Changes applied
+	 */
+	applyDueChanges(now = new Date()) {
+		const today = this.today(now);
+		const due = this.records
+			.filter(
+				(r) => !r.appliedAt && !r.cancelledAt && r.effectiveDate <= today
+			)
+			.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+		due.forEach((record) => {
+			if (!this.userManager.getUserById(record.userId)) {
+				record.cancelledAt = new Date().toISOString();
+				return;
+			}
+			this.applyRecord(record);
+			// Runs on whoever's session is open, so attribute it to the system
+			this.authSystem.recordAudit("employment_change_applied", {
+				actor: null,
+				target: this.userManager.getUserById(record.userId),
+				details: `Applied ${CHANGE_REASONS[
+					record.reason
+				].toLowerCase()} effective ${record.effectiveDate}`,
+				metadata: { recordId: record.id },
+			});
+		});
+
+		if (due.length > 0) this.saveRecords();
+		return due.length;
+	}
+
+	// Write the change to the user record directly; the permission check
+	// happened when it was recorded. A back-dated change leaves alone any
+	// field that a later change has already set.
+	applyRecord(record) {
+		const user = this.userManager.getUserById(record.userId);
+		const superseded = (field) =>
+			this.records.some(
+				(r) =>
+					r.userId === record.userId &&
+					r.appliedAt &&
+					!r.cancelledAt &&
+					r.effectiveDate > record.effectiveDate &&
+					field in r.changes
+			);
+		const changes = Object.fromEntries(
+			Object.entries(record.changes).filter(([field]) => !superseded(field))
+		);
+		const { managerId, ...fields } = changes;
+
+		Object.assign(user, fields);
+		if ("managerId" in changes && user.managerId !== managerId) {
+			if (user.managerId) {
+				this.userManager.removeDirectReport(user.managerId, user.id);
+			}
+			user.managerId = managerId;
+			if (managerId) {
+				this.userManager.addDirectReport(managerId, user.id);
+			}
+		}
+
+		record.appliedAt = new Date().toISOString();
+		this.authSystem.saveUserData();
+	}
+
+	/**
+	 * An employee's history, oldest first
+	 * @param {string} userId - Employee ID
+	 * @param {Object} [options]
+	 * @param {boolean} [options.includeCancelled=false]
+	 * @returns {Array} History records
+	 */
+	getHistory(userId, { includeCancelled = false } = {}) {
+		return this.records
+			.filter(
+				(r) => r.userId === userId && (includeCancelled || !r.cancelledAt)
+			)
+			.sort(
+				(a, b) =>
+					a.effectiveDate.localeCompare(b.effectiveDate) ||
+					a.recordedAt.localeCompare(b.recordedAt)
+			);
+	}
+
+	getScheduledChanges(userId = null) {
+		return this.records.filter(
+			(r) =>
+				!r.appliedAt && !r.cancelledAt && (!userId || r.userId === userId)
+		);
+	}
+
+	/**
+	 * An employee's job fields as they stood at the end of a given day
+	 * @param {string} userId - Employee ID
+	 * @param {string|Date} date - Day to look at
+	 * @returns {Object|null} { role, position, department, managerId }, or
+	 *   null if the employee had not started yet
+	 */
+	getJobAsOf(userId, date) {
+		const user = this.userManager.getUserById(userId);
+		if (!user) return null;
+
+		const day = this.toDay(date);
+		if (user.startDate && user.startDate > day) return null;
+
+		const history = this.getHistory(userId);
+		const job = {};
+		Object.keys(JOB_FIELDS).forEach((field) => {
+			const changes = history.filter((r) => field in r.changes);
+			const latest = changes.filter((r) => r.effectiveDate <= day).pop();
+			const next = changes.find((r) => r.effectiveDate > day);
+
+			if (latest) {
+				job[field] = latest.changes[field];
+			} else if (next && field in next.previous) {
+				job[field] = next.previous[field];
+			} else {
+				job[field] = user[field] || null;
+			}
+		});
+		return job;
+	}
+
+	/**
+	 * Every employee on the books on a given day, with that day's job fields
+	 * @param {string|Date} date - Day to look at
+	 * @returns {Array} User records with historical job fields
+	 */
+	getUsersAsOf(date) {
+		const day = this.toDay(date);
+		return this.authSystem.authorizedUsers
+			.filter((user) => !user.exitDate || user.exitDate >= day)
+			.map((user) => {
+				const job = this.getJobAsOf(user.id, day);
+				return job ? { ...user, ...job } : null;
+			})
+			.filter(Boolean);
+	}
+
+	// Department renames rewrite history; merges don't, since the old
+	// department really did exist until the merge
+	renameDepartment(fromName, toName) {
+		let renamed = 0;
+		this.records.forEach((record) => {
+			["changes", "previous"].forEach((key) => {
+				if (record[key].department === fromName) {
+					record[key].department = toName;
+					renamed++;
+				}
+			});
+		});
+		if (renamed > 0) this.saveRecords();
+	}
+
+	removeUsers(userIds) {
+		this.records = this.records.filter((r) => !userIds.includes(r.userId));
+		this.saveRecords();
+	}
+
+	describeChanges(record) {
+		return Object.entries(record.changes)
+			.map(([field, value]) => {
+				const format = (v) =>
+					field === "managerId"
+						? this.userManager.getUserById(v)?.name || "None"
+						: v || "None";
+				const label = JOB_FIELDS[field];
+				return record.reason === "hire"
+					? `${label}: ${format(value)}`
+					: `${label}: ${format(record.previous[field])} → ${format(value)}`;
+			})
+			.join(", ");
+	}
+
+	toDay(date) {
+		return typeof date === "string"
+			? date.slice(0, 10)
+			: date.toISOString().split("T")[0];
+	}
+
+	today(now = new Date()) {
+		return this.toDay(now);
+	}
+}
@@ -0,0 +1,567 @@
+/**
+ * Goal Manager - Objectives and key results
+ * Objectives are set per quarter at three levels. Company objectives sit at
+ * the top; department objectives align to a company objective; individual
+ * objectives align to their department's objectives or to a goal held by
+ * someone above them in the reporting line. Progress comes from the key
+ * results, which owners update through check-ins.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const GOAL_LEVELS = {
+	company: "Company",
+	department: "Department",
+	individual: "Individual",
+};
+
+export const GOAL_STATUSES = {
+	active: "Active",
+	completed: "Completed",
+	cancelled: "Cancelled",
+};
+
+export const CONFIDENCE_LEVELS = {
+	on_track: "On track",
+	at_risk: "At risk",
+	off_track: "Off track",
+};
+
+export class GoalManager {
+	/**
+	 * Initialize the GoalManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employees and departments
+	 * @param {Object} dependencies.hierarchyManager - Reporting lines
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+
+		this.storageKey = "study-hall-goals";
+		this.goals = this.loadGoals();
+
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+	}
+
+	loadGoals() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load goals:", error);
+			return [];
+		}
+	}
+
+	saveGoals() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.goals));
+		window.dispatchEvent(new CustomEvent("goalsUpdated"));
+	}
+
+	// ========================
+	// OBJECTIVES
+	// ========================
+
+	/**
+	 * Create an objective
+	 * @param {Object} data
+	 * @param {string} data.title - What we want to achieve
+	 * @param {string} data.level - One of GOAL_LEVELS
+	 * @param {string} [data.period] - Quarter, e.g. "2026-Q3"; defaults to now
+	 * @param {string} [data.ownerId] - Defaults to the current user
+	 * @param {string} [data.department] - Department objectives only
+	 * @param {string} [data.parentId] - Objective this one supports
+	 * @param {Array} [data.keyResults] - { title, startValue, targetValue, unit }
+	 * @returns {Object} The objective
+	 */
+	createGoal(data) {
+		const user = this.authSystem.getCurrentUser();
+		const goal = {
+			id: `goal-${randomToken(9)}`,
+			status: "active",
+			checkIns: [],
+			createdAt: new Date().toISOString(),
+			createdBy: user?.id || null,
+			updatedAt: new Date().toISOString(),
+			...this.validateGoal({
+				period: this.getCurrentPeriod(),
+				ownerId: user?.id,
+				...data,
+			}),
+		};
+
+		this.goals.push(goal);
+		this.saveGoals();
+
+		this.authSystem.recordAudit("goal_created", {
+			target: this.userManager.getUserById(goal.ownerId),
+			details: `${GOAL_LEVELS[goal.level]} objective "${goal.title}" (${
+				goal.period
+			})`,
+			metadata: { goalId: goal.id },
+		});
+		return goal;
+	}
+
+	/**
+	 * Update an objective's details, alignment or key results
+	 * @param {string} goalId - Objective ID
+	 * @param {Object} updates - Any createGoal field, plus status
+	 * @returns {Object} The objective
+	 */
+	updateGoal(goalId, updates) {
+		const goal = this.getGoal(goalId);
+		if (!goal) {
+			throw new Error("Goal not found");
+		}
+		if (!this.canEdit(goal)) {
+			throw new Error("Insufficient permissions to edit this goal");
+		}
+		if (updates.status && !GOAL_STATUSES[updates.status]) {
+			throw new Error(`Unknown goal status "${updates.status}"`);
+		}
+
+		const validated = this.validateGoal({ ...goal, ...updates }, goal);
+		Object.assign(goal, validated, {
+			status: updates.status || goal.status,
+			updatedAt: new Date().toISOString(),
+		});
+		this.saveGoals();
+
+		this.authSystem.recordAudit("goal_updated", {
+			target: this.userManager.getUserById(goal.ownerId),
+			details: `"${goal.title}" (${GOAL_STATUSES[
+				goal.status
+			].toLowerCase()})`,
+			metadata: { goalId },
+		});
+		return goal;
+	}
+
+	deleteGoal(goalId) {
+		const goal = this.getGoal(goalId);
+		if (!goal) {
+			throw new Error("Goal not found");
+		}
+		if (!this.canEdit(goal)) {
+			throw new Error("Insufficient permissions to delete this goal");
+		}
+		const children = this.getChildren(goalId);
+		if (children.length > 0) {
+			throw new Error(
+				`${children.length} goal${
+					children.length === 1 ? " is" : "s are"
+				} aligned to "${goal.title}". Realign or delete them first.`
+			);
+		}
+
+		this.goals = this.goals.filter((g) => g.id !== goalId);
+		this.saveGoals();
+
+		this.authSystem.recordAudit("goal_deleted", {
+			target: this.userManager.getUserById(goal.ownerId),
+			details: `${GOAL_LEVELS[goal.level]} objective "${goal.title}"`,
+		});
+	}
+
+	// Check the objective against the cascade rules and the current user's
+	// rights to set goals at that level and for that owner
+	validateGoal(data, existing = null) {
+		const title = String(data.title || "").trim();
+		if (!title) {
+			throw new Error("Give the objective a title");
+		}
+		if (!GOAL_LEVELS[data.level]) {
+			throw new Error("Choose company, department or individual");
+		}
+		if (!/^\d{4}-Q[1-4]$/.test(data.period || "")) {
+			throw new Error("Period must be a quarter such as 2026-Q3");
+		}
+
+		const owner = this.userManager.getUserById(data.ownerId);
+		if (!owner) {
+			throw new Error("Choose who owns this objective");
+		}
+
+		const department =
+			data.level === "department"
+				? this.userManager.getDepartmentByName(data.department)?.name
+				: null;
+		if (data.level === "department" && !department) {
+			throw new Error("Choose the department this objective belongs to");
+		}
+
+		const goal = { ...data, title, owner, department };
+		if (!this.canSetGoal(goal)) {
+			throw new Error(
+				`Insufficient permissions to set this ${data.level} objective`
+			);
+		}
+
+		// Department and individual goals may start unaligned; the alignment
+		// view lists them until someone links them up
+		const parentId = data.parentId || null;
+		if (parentId) {
+			const parent = this.getGoal(parentId);
+			const error = this.getAlignmentError(goal, parent, existing);
+			if (error) throw new Error(error);
+		}
+
+		return {
+			title,
+			description: String(data.description || "").trim(),
+			level: data.level,
+			period: data.period,
+			ownerId: owner.id,
+			department,
+			parentId,
+			keyResults: this.normalizeKeyResults(
+				data.keyResults || [],
+				existing?.keyResults || []
+			),
+		};
+	}
+
+	/**
+	 * Why an objective can't align to a parent, or null if it can
+	 * @param {Object} goal - Objective being saved (with owner)
+	 * @param {Object} parent - Proposed parent objective
+	 * @param {Object} [existing] - Stored version of the objective
+	 * @returns {string|null}
+	 */
+	getAlignmentError(goal, parent, existing = null) {
+		if (!parent) return "The objective it supports no longer exists";
+		if (parent.period !== goal.period) {
+			return "An objective can only support one from the same quarter";
+		}
+		const path = this.getAlignmentPath(parent.id);
+		if (existing && path.some((g) => g.id === existing.id)) {
+			return "An objective can't support one of its own sub-goals";
+		}
+
+		switch (goal.level) {
+			case "company":
+				return "Company objectives sit at the top and don't align upwards";
+			case "department":
+				return parent.level === "company"
+					? null
+					: "Department objectives align to a company objective";
+			case "individual": {
+				if (parent.level === "company") {
+					return "Individual objectives align to a department or a manager's objective";
+				}
+				if (parent.level === "department") {
+					return parent.department === goal.owner.department
+						? null
+						: `Align to an objective of ${goal.owner.department}`;
+				}
+				const managers = this.hierarchyManager.getManagerChain(goal.owner.id);
+				return managers.some((manager) => manager.id === parent.ownerId)
+					? null
+					: "Individual objectives can only support goals held higher up their reporting line";
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Objectives an objective could align to
+	 * @param {Object} goal - { level, period, ownerId }
+	 * @returns {Array} Candidate parent objectives
+	 */
+	getAlignmentOptions(goal) {
+		const owner = this.userManager.getUserById(goal.ownerId);
+		if (!owner || goal.level === "company") return [];
+
+		return this.goals.filter(
+			(candidate) =>
+				candidate.id !== goal.id &&
+				candidate.status !== "cancelled" &&
+				!this.getAlignmentError(
+					{ ...goal, owner },
+					candidate,
+					goal.id ? goal : null
+				)
+		);
+	}
+
+	/**
+	 * Whether the current user can set an objective at its level for its
+	 * owner: admins anywhere, department heads and HR for departments, and
+	 * employees for themselves or anyone who reports to them
+	 * @param {Object} goal - { level, owner, department }
+	 * @returns {boolean}
+	 */
+	canSetGoal(goal) {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) return false;
+		if (this.authSystem.canAccessAdminPanel()) return true;
+
+		switch (goal.level) {
+			case "company":
+				return false;
+			case "department":
+				return (
+					this.authSystem.canManageUsers() ||
+					this.userManager.getDepartmentByName(goal.department)
+						?.headOfDepartment === user.id
+				);
+			default:
+				return (
+					goal.owner.id === user.id ||
+					this.authSystem.canManageUsers() ||
+					this.hierarchyManager
+						.getManagerChain(goal.owner.id)
+						.some((manager) => manager.id === user.id)
+				);
+		}
+	}
+
+	canEdit(goal) {
+		const owner = this.userManager.getUserById(goal.ownerId);
+		return Boolean(owner) && this.canSetGoal({ ...goal, owner });
+	}
+
+	// Keep key result IDs and current values across edits
+	normalizeKeyResults(keyResults, previous) {
+		return keyResults
+			.filter((kr) => String(kr.title || "").trim())
+			.map((kr) => {
+				const before = previous.find((p) => p.id === kr.id);
+				const startValue = Number(kr.startValue) || 0;
+				const targetValue = Number(kr.targetValue);
+				if (isNaN(targetValue) || targetValue === startValue) {
+					throw new Error(
+						`Key result "${kr.title}" needs a target different from its starting value`
+					);
+				}
+				return {
+					id: before?.id || `kr-${randomToken(9)}`,
+					title: String(kr.title).trim(),
+					startValue,
+					targetValue,
+					currentValue: before ? before.currentValue : startValue,
+					unit: String(kr.unit || "").trim(),
+				};
+			});
+	}
+
+	// ========================
+	// CHECK-INS
+	// ========================
+
+	/**
+	 * Record progress on an objective's key results
+	 * @param {string} goalId - Objective ID
+	 * @param {Object} values - New current value by key result ID
+	 * @param {string} confidence - One of CONFIDENCE_LEVELS
+	 * @param {string} [note] - What changed and what's in the way
+	 * @returns {Object} The check-in
+	 */
+	checkIn(goalId, values, confidence, note = "") {
+		const goal = this.getGoal(goalId);
+		if (!goal) {
+			throw new Error("Goal not found");
+		}
+		if (!this.canEdit(goal)) {
+			throw new Error("Insufficient permissions to check in on this goal");
+		}
+		if (goal.status !== "active") {
+			throw new Error("Only active goals take check-ins");
+		}
+		if (!CONFIDENCE_LEVELS[confidence]) {
+			throw new Error("Say how confident you are in this objective");
+		}
+
+		const changes = {};
+		goal.keyResults.forEach((kr) => {
+			if (!(kr.id in values) || values[kr.id] === "") return;
+			const value = Number(values[kr.id]);
+			if (isNaN(value)) {
+				throw new Error(`"${kr.title}" needs a number`);
+			}
+			if (value !== kr.currentValue) {
+				changes[kr.id] = { from: kr.currentValue, to: value };
+			}
+		});
+		Object.entries(changes).forEach(([id, { to }]) => {
+			goal.keyResults.find((kr) => kr.id === id).currentValue = to;
+		});
+
+		const checkIn = {
+			id: `checkin-${randomToken(9)}`,
+			authorId: this.authSystem.getCurrentUser().id,
+			createdAt: new Date().toISOString(),
+			confidence,
+			note: String(note || "").trim(),
+			changes,
+			progress: null,
+		};
+		checkIn.progress = this.getProgress(goal);
+		goal.checkIns.push(checkIn);
+		goal.updatedAt = checkIn.createdAt;
+		this.saveGoals();
+		return checkIn;
+	}
+
+	getLatestCheckIn(goal) {
+		return goal.checkIns[goal.checkIns.length - 1] || null;
+	}
+
+	// ========================
+	// PROGRESS AND ALIGNMENT
+	// ========================
+
+	// Share of the way from start to target, between 0 and 1
+	getKeyResultProgress(kr) {
+		const progress =
+			(kr.currentValue - kr.startValue) / (kr.targetValue - kr.startValue);
+		return Math.max(0, Math.min(1, progress));
+	}
+
+	/**
+	 * Objective progress as a percentage: the average of its key results,
+	 * or of its aligned objectives when it has no key results of its own
+	 * @param {Object} goal - Objective
+	 * @returns {number} 0-100
+	 */
+	getProgress(goal) {
+		if (goal.status === "completed") return 100;
+
+		if (goal.keyResults.length > 0) {
+			const total = goal.keyResults.reduce(
+				(sum, kr) => sum + this.getKeyResultProgress(kr),
+				0
+			);
+			return Math.round((total / goal.keyResults.length) * 100);
+		}
+
+		const children = this.getChildren(goal.id).filter(
+			(child) => child.status !== "cancelled"
+		);
+		if (children.length === 0) return 0;
+		return Math.round(
+			children.reduce((sum, child) => sum + this.getProgress(child), 0) /
+				children.length
+		);
+	}
+
+	/**
+	 * The chain from an objective up to the company objective it serves
+	 * @param {string} goalId - Objective ID
+	 * @returns {Array} Objectives, top first, ending with this one
+	 */
+	getAlignmentPath(goalId) {
+		const path = [];
+		let goal = this.getGoal(goalId);
+		while (goal && !path.includes(goal)) {
+			path.unshift(goal);
+			goal = goal.parentId ? this.getGoal(goal.parentId) : null;
+		}
+		return path;
+	}
+
+	/**
+	 * A quarter's objectives as a tree under the company objectives, plus
+	 * those that don't support anything yet
+	 * @param {string} [period] - Quarter, defaults to the current one
+	 * @returns {Object} { roots, unaligned }, each a list of
+	 *   { goal, progress, children } nodes
+	 */
+	getAlignmentTree(period = this.getCurrentPeriod()) {
+		const inPeriod = this.goals.filter(
+			(g) => g.period === period && g.status !== "cancelled"
+		);
+		const build = (goal) => ({
+			goal,
+			progress: this.getProgress(goal),
+			children: inPeriod
+				.filter((child) => child.parentId === goal.id)
+				.map(build),
+		});
+
+		return {
+			roots: inPeriod.filter((g) => g.level === "company").map(build),
+			unaligned: inPeriod
+				.filter((g) => g.level !== "company" && !g.parentId)
+				.map(build),
+		};
+	}
+
+	// ========================
+	// QUERIES
+	// ========================
+
+	getGoal(goalId) {
+		return this.goals.find((g) => g.id === goalId) || null;
+	}
+
+	getChildren(goalId) {
+		return this.goals.filter((g) => g.parentId === goalId);
+	}
+
+	/**
+	 * @param {Object} [filters] - Any of period, level, ownerId, ownerIds
+	 *   and department
+	 * @returns {Array} Matching objectives
+	 */
+	getGoals(filters = {}) {
+		return this.goals.filter(
+			(g) =>
+				(!filters.period || g.period === filters.period) &&
+				(!filters.level || g.level === filters.level) &&
+				(!filters.ownerId || g.ownerId === filters.ownerId) &&
+				(!filters.ownerIds || filters.ownerIds.includes(g.ownerId)) &&
+				(!filters.department || g.department === filters.department)
+		);
+	}
+
+	// Individual goals of everyone below a manager
+	getTeamGoals(managerId, period = this.getCurrentPeriod()) {
+		const ownerIds = this.hierarchyManager
+			.getAllSubordinates(managerId)
+			.map((user) => user.id);
+		return this.getGoals({ period, level: "individual", ownerIds });
+	}
+
+	reassignDepartment(fromName, toName) {
+		const moved = this.getGoals({ department: fromName });
+		moved.forEach((goal) => {
+			goal.department = toName;
+		});
+		if (moved.length > 0) this.saveGoals();
+		return moved.length;
+	}
+
+	// Goals of removed owners go; goals aligned to them are left unaligned
+	removeUsers(userIds) {
+		const removed = new Set(
+			this.goals.filter((g) => userIds.includes(g.ownerId)).map((g) => g.id)
+		);
+		if (removed.size === 0) return;
+
+		this.goals = this.goals.filter((g) => !removed.has(g.id));
+		this.goals.forEach((goal) => {
+			if (removed.has(goal.parentId)) goal.parentId = null;
+		});
+		this.saveGoals();
+	}
+
+	getCurrentPeriod(date = new Date()) {
+		return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+	}
+
+	// The previous, current and next two quarters, for pickers
+	getPeriodOptions(date = new Date()) {
+		return [-1, 0, 1, 2].map((offset) =>
+			this.getCurrentPeriod(
+				new Date(date.getFullYear(), date.getMonth() + offset * 3, 1)
+			)
+		);
+	}
+}
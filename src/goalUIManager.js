@@ -0,0 +1,614 @@
+/**
+ * Goal UI Manager - Goals view
+ * The signed-in user's objectives, their team's, and the quarter's
+ * alignment tree from company objectives down to individual ones.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import {
+	CONFIDENCE_LEVELS,
+	GOAL_LEVELS,
+	GOAL_STATUSES,
+} from "./goalManager.js";
+
+// Key result rows offered in the objective form
+const KEY_RESULT_ROWS = 5;
+
+export class GoalUIManager {
+	constructor(goalManager, app) {
+		this.goalManager = goalManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+		this.hierarchyManager = app.hierarchyManager;
+
+		this.period = this.goalManager.getCurrentPeriod();
+		this.tab = "mine";
+
+		window.addEventListener("goalsUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Goals view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "goalsContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const hasTeam =
+			this.hierarchyManager.getAllSubordinates(user.id).length > 0;
+		if (this.tab === "team" && !hasTeam) this.tab = "mine";
+
+		const tabs = {
+			mine: "My goals",
+			...(hasTeam ? { team: "Team" } : {}),
+			alignment: "Alignment",
+		};
+		const periods = this.goalManager.getPeriodOptions();
+		if (!periods.includes(this.period)) periods.unshift(this.period);
+
+		container.innerHTML = `
+			<div class="goal-toolbar">
+				<select onchange="goalUI.selectPeriod(this.value)">
+					${periods
+						.map(
+							(period) =>
+								`<option value="${period}" ${
+									period === this.period ? "selected" : ""
+								}>${period}</option>`
+						)
+						.join("")}
+				</select>
+				<div class="goal-tabs">
+					${Object.entries(tabs)
+						.map(
+							([tab, label]) => `
+						<button class="btn btn-small ${
+							tab === this.tab ? "btn-primary" : "btn-secondary"
+						}" onclick="goalUI.selectTab('${tab}')">${label}</button>
+					`
+						)
+						.join("")}
+				</div>
+				<button class="btn btn-primary btn-small" onclick="goalUI.showGoalModal()">
+					+ New Objective
+				</button>
+			</div>
+			${
+				{
+					mine: () => this.renderMine(user),
+					team: () => this.renderTeam(user),
+					alignment: () => this.renderAlignment(),
+				}[this.tab]()
+			}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("goalsContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	selectPeriod(period) {
+		this.period = period;
+		this.render();
+	}
+
+	selectTab(tab) {
+		this.tab = tab;
+		this.render();
+	}
+
+	renderMine(user) {
+		const goals = this.goalManager.getGoals({
+			period: this.period,
+			ownerId: user.id,
+		});
+		if (goals.length === 0) {
+			return `<p class="empty-state">No objectives for ${this.period} yet.</p>`;
+		}
+		return `
+			<div class="goal-list">
+				${goals.map((goal) => this.renderGoalCard(goal)).join("")}
+			</div>
+		`;
+	}
+
+	renderTeam(user) {
+		const goals = this.goalManager.getTeamGoals(user.id, this.period);
+		const byOwner = new Map();
+		goals.forEach((goal) => {
+			if (!byOwner.has(goal.ownerId)) byOwner.set(goal.ownerId, []);
+			byOwner.get(goal.ownerId).push(goal);
+		});
+		if (byOwner.size === 0) {
+			return `<p class="empty-state">Nobody on your team has objectives for ${this.period} yet.</p>`;
+		}
+
+		return [...byOwner.entries()]
+			.map(
+				([ownerId, owned]) => `
+			<section class="goal-section">
+				<h4>${this.userManager.getUserById(ownerId)?.name || "Unknown"}</h4>
+				<div class="goal-list">
+					${owned.map((goal) => this.renderGoalCard(goal)).join("")}
+				</div>
+			</section>
+		`
+			)
+			.join("");
+	}
+
+	renderGoalCard(goal) {
+		const owner = this.userManager.getUserById(goal.ownerId);
+		const path = this.goalManager.getAlignmentPath(goal.id).slice(0, -1);
+		const latest = this.goalManager.getLatestCheckIn(goal);
+		const progress = this.goalManager.getProgress(goal);
+		const canEdit = this.goalManager.canEdit(goal);
+
+		return `
+			<article class="goal-card ${goal.status}">
+				<header>
+					<span class="goal-level ${goal.level}">${GOAL_LEVELS[goal.level]}</span>
+					<strong>${goal.title}</strong>
+					${
+						goal.status === "active"
+							? latest
+								? `<span class="goal-confidence ${latest.confidence}">${
+										CONFIDENCE_LEVELS[latest.confidence]
+								  }</span>`
+								: ""
+							: `<span class="goal-meta">${GOAL_STATUSES[goal.status]}</span>`
+					}
+				</header>
+				<div class="goal-meta">
+					${goal.department || owner?.name || "Unknown"} · ${goal.period}${
+			latest
+				? ` · last check-in ${new Date(latest.createdAt).toLocaleDateString()}`
+				: ""
+		}
+				</div>
+				${
+					path.length > 0
+						? `<div class="goal-path">Supports: ${path
+								.map((parent) => parent.title)
+								.join(" › ")}</div>`
+						: goal.level === "company"
+						? ""
+						: `<div class="goal-path unaligned">Not aligned to a higher objective</div>`
+				}
+				<div class="goal-progress-bar"><div style="width: ${progress}%"></div></div>
+				<div class="goal-meta">${progress}% complete</div>
+				${
+					goal.keyResults.length > 0
+						? `
+					<ul class="goal-key-results">
+						${goal.keyResults
+							.map(
+								(kr) => `
+							<li>
+								<span>${kr.title}</span>
+								<span class="goal-meta">${kr.currentValue} / ${kr.targetValue}${
+									kr.unit ? ` ${kr.unit}` : ""
+								}</span>
+							</li>
+						`
+							)
+							.join("")}
+					</ul>
+				`
+						: ""
+				}
+				${
+					canEdit
+						? `
+					<div class="goal-actions">
+						${
+							goal.status === "active" && goal.keyResults.length > 0
+								? `<button class="btn btn-small btn-primary" onclick="goalUI.showCheckInModal('${goal.id}')">Check in</button>`
+								: ""
+						}
+						<button class="btn btn-small btn-secondary" onclick="goalUI.showGoalModal('${goal.id}')">Edit</button>
+						<button class="btn btn-small btn-danger" onclick="goalUI.deleteGoal('${goal.id}')">Delete</button>
+					</div>
+				`
+						: ""
+				}
+			</article>
+		`;
+	}
+
+	renderAlignment() {
+		const { roots, unaligned } = this.goalManager.getAlignmentTree(
+			this.period
+		);
+		if (roots.length === 0 && unaligned.length === 0) {
+			return `<p class="empty-state">No objectives for ${this.period} yet.</p>`;
+		}
+
+		const renderNode = (node) => `
+			<li>
+				<div class="goal-tree-node">
+					<span class="goal-level ${node.goal.level}">${
+			GOAL_LEVELS[node.goal.level]
+		}</span>
+					<span class="goal-tree-title">${node.goal.title}</span>
+					<span class="goal-meta">${
+						node.goal.department ||
+						this.userManager.getUserById(node.goal.ownerId)?.name ||
+						"Unknown"
+					}</span>
+					<div class="goal-progress-bar small"><div style="width: ${
+						node.progress
+					}%"></div></div>
+					<span class="goal-meta">${node.progress}%</span>
+				</div>
+				${
+					node.children.length > 0
+						? `<ul>${node.children.map(renderNode).join("")}</ul>`
+						: ""
+				}
+			</li>
+		`;
+
+		return `
+			${
+				roots.length > 0
+					? `<ul class="goal-tree">${roots.map(renderNode).join("")}</ul>`
+					: `<p class="empty-state">No company objectives for ${this.period} yet.</p>`
+			}
+			${
+				unaligned.length > 0
+					? `
+				<section class="goal-section">
+					<h4>Not aligned yet</h4>
+					<ul class="goal-tree">${unaligned.map(renderNode).join("")}</ul>
+				</section>
+			`
+					: ""
+			}
+		`;
+	}
+
+	showGoalModal(goalId = null) {
+		const goal = goalId ? this.goalManager.getGoal(goalId) : null;
+		const user = this.authSystem.getCurrentUser();
+		const defaults = goal || {
+			level: "individual",
+			ownerId: user.id,
+			department: user.department,
+			period: this.period,
+			parentId: null,
+			keyResults: [],
+		};
+
+		const levels = Object.entries(GOAL_LEVELS).filter(
+			([level]) =>
+				level !== "company" || this.authSystem.canAccessAdminPanel()
+		);
+		const owners = this.getOwnerOptions(user);
+		const periods = this.goalManager.getPeriodOptions();
+		if (!periods.includes(defaults.period)) periods.unshift(defaults.period);
+
+		const keyResultRows = Array.from({ length: KEY_RESULT_ROWS }, (_, i) => {
+			const kr = defaults.keyResults[i] || {};
+			return `
+				<div class="goal-kr-row">
+					<input type="hidden" name="kr-id-${i}" value="${kr.id || ""}">
+					<input type="text" name="kr-title-${i}" placeholder="Key result" value="${
+				kr.title || ""
+			}">
+					<input type="number" step="any" name="kr-start-${i}" placeholder="Start" value="${
+				kr.startValue ?? ""
+			}">
+					<input type="number" step="any" name="kr-target-${i}" placeholder="Target" value="${
+				kr.targetValue ?? ""
+			}">
+					<input type="text" name="kr-unit-${i}" placeholder="Unit" value="${
+				kr.unit || ""
+			}">
+				</div>
+			`;
+		}).join("");
+
+		const content = `
+			<div class="form-group">
+				<label for="goalTitle">Objective</label>
+				<input type="text" id="goalTitle" name="title" value="${
+					defaults.title || ""
+				}" required>
+			</div>
+			<div class="form-group">
+				<label for="goalDescription">Description</label>
+				<textarea id="goalDescription" name="description" rows="2">${
+					defaults.description || ""
+				}</textarea>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="goalLevel">Level</label>
+					<select id="goalLevel" name="level" onchange="goalUI.updateFormOptions(this.form)">
+						${levels
+							.map(
+								([level, label]) =>
+									`<option value="${level}" ${
+										level === defaults.level ? "selected" : ""
+									}>${label}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+				<div class="form-group">
+					<label for="goalPeriod">Quarter</label>
+					<select id="goalPeriod" name="period" onchange="goalUI.updateFormOptions(this.form)">
+						${periods
+							.map(
+								(period) =>
+									`<option value="${period}" ${
+										period === defaults.period ? "selected" : ""
+									}>${period}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="goalOwner">Owner</label>
+					<select id="goalOwner" name="ownerId" onchange="goalUI.updateFormOptions(this.form)">
+						${owners
+							.map(
+								(owner) =>
+									`<option value="${owner.id}" ${
+										owner.id === defaults.ownerId ? "selected" : ""
+									}>${owner.name}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+				<div class="form-group" data-goal-department>
+					<label for="goalDepartment">Department</label>
+					<select id="goalDepartment" name="department" onchange="goalUI.updateFormOptions(this.form)">
+						${this.userManager.departments
+							.map(
+								(department) =>
+									`<option value="${department.name}" ${
+										department.name === defaults.department ? "selected" : ""
+									}>${department.name}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+			</div>
+			<div class="form-group" data-goal-parent>
+				<label for="goalParent">Supports</label>
+				<select id="goalParent" name="parentId" data-goal-id="${
+					goal?.id || ""
+				}" data-selected="${defaults.parentId || ""}"></select>
+			</div>
+			${
+				goal
+					? `
+				<div class="form-group">
+					<label for="goalStatus">Status</label>
+					<select id="goalStatus" name="status">
+						${Object.entries(GOAL_STATUSES)
+							.map(
+								([status, label]) =>
+									`<option value="${status}" ${
+										status === goal.status ? "selected" : ""
+									}>${label}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+			`
+					: ""
+			}
+			<div class="form-group">
+				<label>Key results</label>
+				<p class="form-help">Measurable outcomes, each moving from a starting value to a target. Leave rows blank to skip them.</p>
+				${keyResultRows}
+			</div>
+		`;
+
+		const modal = ModalComponent.form(
+			goal ? "Edit Objective" : "New Objective",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				const values = {
+					title: data.get("title"),
+					description: data.get("description"),
+					level: data.get("level"),
+					period: data.get("period"),
+					ownerId: data.get("ownerId"),
+					department: data.get("department"),
+					parentId: data.get("parentId"),
+					keyResults: Array.from({ length: KEY_RESULT_ROWS }, (_, i) => ({
+						id: data.get(`kr-id-${i}`),
+						title: data.get(`kr-title-${i}`),
+						startValue: data.get(`kr-start-${i}`),
+						targetValue: data.get(`kr-target-${i}`),
+						unit: data.get(`kr-unit-${i}`),
+					})),
+				};
+				try {
+					if (goal) {
+						this.goalManager.updateGoal(goalId, {
+							...values,
+							status: data.get("status"),
+						});
+					} else {
+						this.goalManager.createGoal(values);
+					}
+					modal.hide();
+					NotificationComponent.show("Objective saved", "success");
+					this.render();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+
+		const form = modal.modal?.querySelector("form");
+		if (form) this.updateFormOptions(form);
+	}
+
+	// Show the department picker only for department objectives and offer
+	// only the objectives this one is allowed to support
+	updateFormOptions(form) {
+		const level = form.elements.level.value;
+		const departmentGroup = form.querySelector("[data-goal-department]");
+		const parentGroup = form.querySelector("[data-goal-parent]");
+		const parentSelect = form.elements.parentId;
+
+		departmentGroup.style.display = level === "department" ? "" : "none";
+		parentGroup.style.display = level === "company" ? "none" : "";
+
+		const goal = this.goalManager.getGoal(parentSelect.dataset.goalId);
+		const options = this.goalManager.getAlignmentOptions({
+			...(goal || {}),
+			level,
+			period: form.elements.period.value,
+			ownerId: form.elements.ownerId.value,
+			department: form.elements.department.value,
+		});
+		const selected = parentSelect.value || parentSelect.dataset.selected;
+		parentSelect.innerHTML = `
+			<option value="">Not aligned yet</option>
+			${options
+				.map(
+					(option) =>
+						`<option value="${option.id}" ${
+							option.id === selected ? "selected" : ""
+						}>${GOAL_LEVELS[option.level]}: ${option.title}</option>`
+				)
+				.join("")}
+		`;
+	}
+
+	// People the current user can set individual objectives for
+	getOwnerOptions(user) {
+		if (this.authSystem.canManageUsers()) {
+			return this.authSystem.authorizedUsers;
+		}
+		const subordinates = this.hierarchyManager.getAllSubordinates(user.id);
+		return [
+			user,
+			...subordinates.filter(
+				(sub, index) =>
+					subordinates.findIndex((other) => other.id === sub.id) === index
+			),
+		];
+	}
+
+	showCheckInModal(goalId) {
+		const goal = this.goalManager.getGoal(goalId);
+		const latest = this.goalManager.getLatestCheckIn(goal);
+
+		const content = `
+			<p class="form-help">${goal.title}</p>
+			${goal.keyResults
+				.map(
+					(kr) => `
+				<div class="form-group">
+					<label for="kr-${kr.id}">${kr.title} (target ${kr.targetValue}${
+						kr.unit ? ` ${kr.unit}` : ""
+					})</label>
+					<input type="number" step="any" id="kr-${kr.id}" name="${kr.id}" value="${
+						kr.currentValue
+					}">
+				</div>
+			`
+				)
+				.join("")}
+			<div class="form-group">
+				<label for="checkInConfidence">Confidence</label>
+				<select id="checkInConfidence" name="confidence">
+					${Object.entries(CONFIDENCE_LEVELS)
+						.map(
+							([level, label]) =>
+								`<option value="${level}" ${
+									level === (latest?.confidence || "on_track")
+										? "selected"
+										: ""
+								}>${label}</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="checkInNote">Note</label>
+				<textarea id="checkInNote" name="note" rows="3" placeholder="What moved, and what's in the way?"></textarea>
+			</div>
+			${this.renderCheckInHistory(goal)}
+		`;
+
+		ModalComponent.form("Check In", content, (e, modal, form) => {
+			const data = Object.fromEntries(new FormData(form).entries());
+			const { confidence, note, ...values } = data;
+			try {
+				this.goalManager.checkIn(goalId, values, confidence, note);
+				modal.hide();
+				NotificationComponent.show("Check-in recorded", "success");
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	renderCheckInHistory(goal) {
+		if (goal.checkIns.length === 0) return "";
+		return `
+			<h5>Earlier check-ins</h5>
+			<ul class="goal-checkins">
+				${goal.checkIns
+					.slice(-5)
+					.reverse()
+					.map(
+						(checkIn) => `
+					<li>
+						<span class="goal-confidence ${checkIn.confidence}">${
+							CONFIDENCE_LEVELS[checkIn.confidence]
+						}</span>
+						<span class="goal-meta">${new Date(
+							checkIn.createdAt
+						).toLocaleDateString()} · ${
+							this.userManager.getUserById(checkIn.authorId)?.name ||
+							"Former employee"
+						} · ${checkIn.progress}%</span>
+						${checkIn.note ? `<p>${checkIn.note}</p>` : ""}
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	deleteGoal(goalId) {
+		const goal = this.goalManager.getGoal(goalId);
+		ModalComponent.confirm({
+			title: "Delete Objective",
+			message: `Delete "${goal.title}" and its check-ins?`,
+			confirmText: "Delete",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.goalManager.deleteGoal(goalId);
+					NotificationComponent.show("Objective deleted", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+			},
+		});
+	}
+}
@@ -0,0 +1,510 @@
+/**
+ * Headcount Planning - Planned positions per department and quarter
+ * Each department has a plan per quarter listing the positions it wants to
+ * add. Department heads and finance/HR add lines; approving a line opens a
+ * requisition for it, and the line counts as filled once the requisition
+ * has made its hires. Cost is read from actual compensation where it is on
+ * record and from the position's salary range midpoint otherwise, and is
+ * measured against the department's annual budget.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+import { BASE_CURRENCY } from "./compensation.js";
+
+export const HEADCOUNT_STATUSES = {
+	open: "Awaiting approval",
+	approved: "Approved",
+	filled: "Filled",
+	cancelled: "Cancelled",
+};
+
+export class HeadcountPlanner {
+	/**
+	 * Initialize the HeadcountPlanner
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Departments, positions and
+	 *   employment history
+	 * @param {Object} dependencies.compensationManager - Actual pay
+	 * @param {Object} dependencies.recruitmentManager - Requisitions for
+	 *   approved headcount
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.compensationManager = dependencies.compensationManager;
+		this.recruitmentManager = dependencies.recruitmentManager;
+
+		this.storageKey = "study-hall-headcount-plans";
+		this.plans = this.loadPlans();
+	}
+
+	loadPlans() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load headcount plans:", error);
+			return [];
+		}
+	}
+
+	savePlans() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.plans));
+		window.dispatchEvent(new CustomEvent("headcountUpdated"));
+	}
+
+	// ========================
+	// PERMISSIONS
+	// ========================
+
+	// Costs include actual pay, so they follow compensation access
+	canViewCosts() {
+		return this.compensationManager.canViewCompensation();
+	}
+
+	getDepartment(name) {
+		return this.userManager.departments.find((d) => d.name === name) || null;
+	}
+
+	canPlan(department) {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) return false;
+		return (
+			this.canViewCosts() ||
+			this.getDepartment(department)?.headOfDepartment === user.id
+		);
+	}
+
+	// Approval opens a requisition, so it needs recruiting rights
+	canApprove() {
+		return this.recruitmentManager.canManageRecruiting();
+	}
+
+	// ========================
+	// QUARTERS
+	// ========================
+
+	quarterOf(date = new Date()) {
+		const day = typeof date === "string" ? new Date(date) : date;
+		return `${day.getFullYear()}-Q${Math.floor(day.getMonth() / 3) + 1}`;
+	}
+
+	/**
+	 * First and last day of a quarter
+	 * @param {string} quarter - "YYYY-Qn"
+	 * @returns {Object} { start, end } as YYYY-MM-DD
+	 */
+	quarterRange(quarter) {
+		const [year, q] = quarter.split("-Q").map(Number);
+		const pad = (n) => String(n).padStart(2, "0");
+		const lastDay = new Date(Date.UTC(year, q * 3, 0)).getUTCDate();
+		return {
+			start: `${year}-${pad(q * 3 - 2)}-01`,
+			end: `${year}-${pad(q * 3)}-${pad(lastDay)}`,
+		};
+	}
+
+	/**
+	 * Quarters around today, for pickers
+	 * @param {number} [before=1] - Past quarters to include
+	 * @param {number} [after=4] - Future quarters to include
+	 * @returns {string[]}
+	 */
+	getQuarters(before = 1, after = 4) {
+		const now = new Date();
+		const quarters = [];
+		for (let offset = -before; offset <= after; offset++) {
+			quarters.push(
+				this.quarterOf(
+					new Date(now.getFullYear(), now.getMonth() + offset * 3, 1)
+				)
+			);
+		}
+		return quarters;
+	}
+
+	validateQuarter(quarter) {
+		if (!/^\d{4}-Q[1-4]$/.test(quarter || "")) {
+			throw new Error("Quarter must look like 2026-Q3");
+		}
+	}
+
+	// ========================
+	// PLANS AND LINES
+	// ========================
+
+	getPlan(department, quarter) {
+		return (
+			this.plans.find(
+				(p) => p.department === department && p.quarter === quarter
+			) || null
+		);
+	}
+
+	getPlansForQuarter(quarter) {
+		return this.plans.filter((p) => p.quarter === quarter);
+	}
+
+	findLine(lineId) {
+		for (const plan of this.plans) {
+			const line = plan.lines.find((l) => l.id === lineId);
+			if (line) return { plan, line };
+		}
+		return { plan: null, line: null };
+	}
+
+	/**
+	 * A line's status, with approved lines counted as filled once their
+	 * requisition has made every hire
+	 * @param {Object} line - Plan line
+	 * @returns {string} One of HEADCOUNT_STATUSES
+	 */
+	getLineStatus(line) {
+		if (line.status !== "approved") return line.status;
+		return this.getFilledCount(line) >= line.count ? "filled" : "approved";
+	}
+
+	getFilledCount(line) {
+		const requisition = line.requisitionId
+			? this.recruitmentManager.getRequisition(line.requisitionId)
+			: null;
+		return Math.min(requisition?.hires.length || 0, line.count);
+	}
+
+	/**
+	 * Plan more people in a position for a quarter
+	 * @param {string} department - Department name
+	 * @param {string} quarter - "YYYY-Qn"
+	 * @param {Object} data - { positionId, count, note }
+	 * @returns {Object} The line
+	 */
+	addLine(department, quarter, data) {
+		if (!this.canPlan(department)) {
+			throw new Error(`Insufficient permissions to plan ${department}`);
+		}
+		this.validateQuarter(quarter);
+
+		const position = this.userManager.positions.find(
+			(p) => p.id === data.positionId
+		);
+		const count = Number(data.count);
+		const errors = [];
+		if (!this.getDepartment(department)) {
+			errors.push("Department not found");
+		}
+		if (!position) {
+			errors.push("Choose a position");
+		} else if (position.department !== department) {
+			errors.push(`${position.title} belongs to ${position.department}`);
+		}
+		if (!Number.isInteger(count) || count < 1) {
+			errors.push("Headcount must be a whole number of at least 1");
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		let plan = this.getPlan(department, quarter);
+		if (!plan) {
+			plan = {
+				id: `hcplan-${randomToken(9)}`,
+				department,
+				quarter,
+				lines: [],
+				createdAt: new Date().toISOString(),
+			};
+			this.plans.push(plan);
+		}
+
+		const line = {
+			id: `hcline-${randomToken(9)}`,
+			positionId: position.id,
+			count,
+			note: String(data.note || "").trim(),
+			status: "open",
+			requisitionId: null,
+			requestedBy: this.authSystem.getCurrentUser().id,
+			requestedAt: new Date().toISOString(),
+			approvedBy: null,
+			approvedAt: null,
+		};
+		plan.lines.push(line);
+		this.savePlans();
+
+		this.authSystem.recordAudit("headcount_planned", {
+			details: `${count} × ${position.title} in ${department} for ${quarter}`,
+			metadata: { planId: plan.id, lineId: line.id },
+		});
+		return line;
+	}
+
+	/**
+	 * Approve a line and open a requisition for it
+	 * @param {string} lineId - Plan line ID
+	 * @returns {Object} The requisition
+	 */
+	approveLine(lineId) {
+		if (!this.canApprove()) {
+			throw new Error("Insufficient permissions to approve headcount");
+		}
+		const { plan, line } = this.findLine(lineId);
+		if (!line) {
+			throw new Error("Headcount line not found");
+		}
+		if (line.status !== "open") {
+			throw new Error(
+				`This line is already ${HEADCOUNT_STATUSES[
+					this.getLineStatus(line)
+				].toLowerCase()}`
+			);
+		}
+
+		const department = this.getDepartment(plan.department);
+		const { start } = this.quarterRange(plan.quarter);
+		const today = new Date().toISOString().split("T")[0];
+		const requisition = this.recruitmentManager.createRequisition({
+			positionId: line.positionId,
+			hiringManagerId:
+				department?.headOfDepartment || this.authSystem.getCurrentUser().id,
+			openings: line.count,
+			targetStartDate: start > today ? start : null,
+			description: [`Approved headcount for ${plan.quarter}.`, line.note]
+				.filter(Boolean)
+				.join(" "),
+			headcountLineId: line.id,
+		});
+
+		Object.assign(line, {
+			status: "approved",
+			requisitionId: requisition.id,
+			approvedBy: this.authSystem.getCurrentUser().id,
+			approvedAt: new Date().toISOString(),
+		});
+		this.savePlans();
+
+		this.authSystem.recordAudit("headcount_approved", {
+			details: `${line.count} × ${requisition.title} in ${plan.department} for ${plan.quarter}`,
+			metadata: { lineId, requisitionId: requisition.id },
+		});
+		return requisition;
+	}
+
+	/**
+	 * Drop a line. An approved line's requisition is cancelled with it,
+	 * unless someone has already been hired against it.
+	 * @param {string} lineId - Plan line ID
+	 */
+	cancelLine(lineId) {
+		const { plan, line } = this.findLine(lineId);
+		if (!line) {
+			throw new Error("Headcount line not found");
+		}
+		if (!this.canPlan(plan.department)) {
+			throw new Error(`Insufficient permissions to plan ${plan.department}`);
+		}
+		if (line.status === "cancelled") {
+			throw new Error("This line is already cancelled");
+		}
+		if (line.status === "approved") {
+			if (!this.canApprove()) {
+				throw new Error("Insufficient permissions to cancel approved headcount");
+			}
+			if (this.getFilledCount(line) > 0) {
+				throw new Error(
+					"People have already been hired for this line. Close the requisition instead."
+				);
+			}
+			const requisition = this.recruitmentManager.getRequisition(
+				line.requisitionId
+			);
+			if (requisition && requisition.status !== "cancelled") {
+				this.recruitmentManager.setRequisitionStatus(
+					requisition.id,
+					"cancelled"
+				);
+			}
+		}
+
+		line.status = "cancelled";
+		this.savePlans();
+
+		this.authSystem.recordAudit("headcount_cancelled", {
+			details: `${line.count} × ${
+				this.userManager.positions.find((p) => p.id === line.positionId)
+					?.title || "position"
+			} in ${plan.department} for ${plan.quarter}`,
+			metadata: { lineId },
+		});
+	}
+
+	// ========================
+	// BUDGET AND VARIANCE
+	// ========================
+
+	getPositionMidpoint(positionId) {
+		const position = this.userManager.positions.find(
+			(p) => p.id === positionId
+		);
+		return this.compensationManager.getBand(position)?.midpoint || 0;
+	}
+
+	/**
+	 * Who was in a department on a day and what they cost a year: their
+	 * base plus bonus where pay is on record, otherwise the midpoint of
+	 * their position's range
+	 * @param {string} department - Department name
+	 * @param {string} date - YYYY-MM-DD
+	 * @returns {Object} { headcount, cost, estimated }
+	 */
+	getActuals(department, date) {
+		const members = this.userManager.employmentHistory
+			.getUsersAsOf(date)
+			.filter((user) => user.department === department);
+
+		let cost = 0;
+		let estimated = 0;
+		members.forEach((user) => {
+			const pay = this.compensationManager.getPayAsOf(user.id, date);
+			if (pay && pay.currency === BASE_CURRENCY) {
+				cost += pay.base + pay.bonus;
+				return;
+			}
+			const band = this.compensationManager.getBand(
+				this.compensationManager.getPositionForUser(user)
+			);
+			cost += band?.midpoint || 0;
+			estimated++;
+		});
+		return { headcount: members.length, cost, estimated };
+	}
+
+	/**
+	 * A department's budget against what it spends now and what its plan
+	 * for the quarter will add
+	 * @param {string} department - Department name
+	 * @param {string} quarter - "YYYY-Qn"
+	 * @returns {Object} { budget, actual, committed, requested, consumed,
+	 *   projected, remaining, percentUsed }. Committed is approved headcount
+	 *   not yet hired; requested is headcount awaiting approval.
+	 */
+	getBudgetConsumption(department, quarter) {
+		if (!this.canViewCosts()) {
+			throw new Error("Insufficient permissions to view headcount costs");
+		}
+
+		const budget = this.getDepartment(department)?.budget || 0;
+		const actual = this.getActuals(department, this.asOf(quarter));
+		const lines = this.getPlan(department, quarter)?.lines || [];
+
+		const unfilledCost = (line) =>
+			(line.count - this.getFilledCount(line)) *
+			this.getPositionMidpoint(line.positionId);
+		const committed = lines
+			.filter((line) => this.getLineStatus(line) === "approved")
+			.reduce((sum, line) => sum + unfilledCost(line), 0);
+		const requested = lines
+			.filter((line) => line.status === "open")
+			.reduce((sum, line) => sum + unfilledCost(line), 0);
+
+		const consumed = actual.cost + committed;
+		return {
+			budget,
+			actual,
+			committed,
+			requested,
+			consumed,
+			projected: consumed + requested,
+			remaining: budget - consumed,
+			percentUsed: budget > 0 ? Math.round((consumed / budget) * 100) : null,
+		};
+	}
+
+	// The quarter's end, or today while it is still running
+	asOf(quarter) {
+		const { end } = this.quarterRange(quarter);
+		const today = new Date().toISOString().split("T")[0];
+		return end < today ? end : today;
+	}
+
+	/**
+	 * Plan against actual for every department in a quarter. The plan is
+	 * the department as it stood when the quarter began plus every line
+	 * that wasn't cancelled; actual is the department at the quarter's end,
+	 * or today while the quarter runs.
+	 * @param {string} quarter - "YYYY-Qn"
+	 * @returns {Array} { department, budget, planned, actual, variance,
+	 *   lines } per department
+	 */
+	getVarianceReport(quarter) {
+		if (!this.canViewCosts()) {
+			throw new Error("Insufficient permissions to view headcount costs");
+		}
+		this.validateQuarter(quarter);
+		const { start } = this.quarterRange(quarter);
+
+		return this.userManager.departments.map((department) => {
+			const opening = this.getActuals(department.name, start);
+			const actual = this.getActuals(department.name, this.asOf(quarter));
+			const plan = this.getPlan(department.name, quarter);
+			const lines = (plan?.lines || []).filter(
+				(line) => line.status !== "cancelled"
+			);
+
+			const planned = {
+				headcount:
+					opening.headcount + lines.reduce((sum, line) => sum + line.count, 0),
+				cost:
+					opening.cost +
+					lines.reduce(
+						(sum, line) =>
+							sum + line.count * this.getPositionMidpoint(line.positionId),
+						0
+					),
+			};
+			const counts = { open: 0, approved: 0, filled: 0 };
+			lines.forEach((line) => {
+				const filled = this.getFilledCount(line);
+				if (line.status === "open") counts.open += line.count;
+				else {
+					counts.filled += filled;
+					counts.approved += line.count - filled;
+				}
+			});
+
+			return {
+				department: department.name,
+				budget: department.budget || 0,
+				planned,
+				actual,
+				variance: {
+					headcount: actual.headcount - planned.headcount,
+					cost: actual.cost - planned.cost,
+					budget: (department.budget || 0) - planned.cost,
+				},
+				lines: counts,
+			};
+		});
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	// Renames move plans across; merges fold the source department's lines
+	// into the target's plan for the same quarter
+	reassignDepartment(fromName, toName) {
+		this.plans
+			.filter((plan) => plan.department === fromName)
+			.forEach((plan) => {
+				const existing = this.getPlan(toName, plan.quarter);
+				if (existing) {
+					existing.lines.push(...plan.lines);
+					this.plans = this.plans.filter((p) => p.id !== plan.id);
+				} else {
+					plan.department = toName;
+				}
+			});
+		this.savePlans();
+	}
+}
@@ -0,0 +1,360 @@
+/**
+ * Headcount UI Manager - Headcount view
+ * The selected quarter's plan for every department the user can plan, with
+ * budget consumption for finance and HR, and the plan-against-actual
+ * variance report across departments.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import { HEADCOUNT_STATUSES } from "./headcountPlanning.js";
+
+export class HeadcountUIManager {
+	constructor(headcountPlanner, app) {
+		this.headcountPlanner = headcountPlanner;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+
+		this.selectedQuarter = headcountPlanner.quarterOf();
+
+		["headcountUpdated", "recruitmentUpdated", "compensationUpdated"].forEach(
+			(event) => window.addEventListener(event, () => this.refresh())
+		);
+	}
+
+	/**
+	 * Render the Headcount view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "headcountContainer") {
+		const container = document.getElementById(containerId);
+		if (!container || !this.authSystem.getCurrentUser()) return;
+
+		const planner = this.headcountPlanner;
+		const departments = this.userManager.departments.filter((d) =>
+			planner.canPlan(d.name)
+		);
+
+		container.innerHTML = `
+			<div class="headcount-toolbar">
+				<label for="headcountQuarter">Quarter</label>
+				<select id="headcountQuarter" onchange="headcountUI.selectQuarter(this.value)">
+					${planner
+						.getQuarters()
+						.map(
+							(quarter) =>
+								`<option value="${quarter}" ${
+									quarter === this.selectedQuarter ? "selected" : ""
+								}>${quarter}</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+
+			${
+				departments.length === 0
+					? `<p class="empty-state">You don't plan headcount for any department.</p>`
+					: departments
+							.map((department) => this.renderDepartment(department))
+							.join("")
+			}
+
+			${planner.canViewCosts() ? this.renderVarianceReport() : ""}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("headcountContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	selectQuarter(quarter) {
+		this.selectedQuarter = quarter;
+		this.render();
+	}
+
+	renderDepartment(department) {
+		const planner = this.headcountPlanner;
+		const plan = planner.getPlan(department.name, this.selectedQuarter);
+		const lines = plan?.lines || [];
+
+		return `
+			<section class="headcount-section">
+				<div class="headcount-section-header">
+					<h4>${department.name}</h4>
+					<button class="btn btn-primary btn-small" onclick="headcountUI.showLineModal('${
+						department.name
+					}')">+ Add Headcount</button>
+				</div>
+				${planner.canViewCosts() ? this.renderBudget(department) : ""}
+				${
+					lines.length === 0
+						? `<p class="empty-state">No headcount planned for ${this.selectedQuarter}.</p>`
+						: `
+					<table class="headcount-table">
+						<thead>
+							<tr>
+								<th>Position</th>
+								<th>Headcount</th>
+								<th>Status</th>
+								<th>Requisition</th>
+								<th></th>
+							</tr>
+						</thead>
+						<tbody>
+							${lines.map((line) => this.renderLine(line)).join("")}
+						</tbody>
+					</table>
+				`
+				}
+			</section>
+		`;
+	}
+
+	renderBudget(department) {
+		const consumption = this.headcountPlanner.getBudgetConsumption(
+			department.name,
+			this.selectedQuarter
+		);
+		const width = (amount) =>
+			consumption.budget > 0
+				? Math.min((amount / consumption.budget) * 100, 100)
+				: 0;
+
+		const estimated = consumption.actual.estimated;
+
+		return `
+			<div class="headcount-budget">
+				<div class="headcount-budget-bar ${
+					consumption.remaining < 0 ? "over" : ""
+				}">
+					<span class="actual" style="width: ${width(
+						consumption.actual.cost
+					)}%"></span>
+					<span class="committed" style="width: ${width(
+						consumption.committed
+					)}%"></span>
+					<span class="requested" style="width: ${width(
+						consumption.requested
+					)}%"></span>
+				</div>
+				<span class="headcount-meta-text">
+					Budget ${this.formatMoney(consumption.budget)} ·
+					${consumption.actual.headcount} people
+					${this.formatMoney(consumption.actual.cost)}
+					${estimated > 0 ? `(${estimated} estimated from salary ranges)` : ""} ·
+					approved ${this.formatMoney(consumption.committed)} ·
+					awaiting approval ${this.formatMoney(consumption.requested)} ·
+					${this.formatMoney(consumption.remaining)} remaining
+				</span>
+			</div>
+		`;
+	}
+
+	renderLine(line) {
+		const planner = this.headcountPlanner;
+		const status = planner.getLineStatus(line);
+		const position = this.userManager.positions.find(
+			(p) => p.id === line.positionId
+		);
+		const requisition = line.requisitionId
+			? this.app.recruitmentManager.getRequisition(line.requisitionId)
+			: null;
+
+		return `
+			<tr class="${status === "cancelled" ? "cancelled" : ""}">
+				<td>
+					${position?.title || "Unknown position"}
+					${line.note ? `<span class="headcount-meta-text">${line.note}</span>` : ""}
+				</td>
+				<td>${
+					line.status === "approved"
+						? `${planner.getFilledCount(line)} of ${line.count} hired`
+						: line.count
+				}</td>
+				<td><span class="headcount-status ${status}">${
+					HEADCOUNT_STATUSES[status]
+				}</span></td>
+				<td>${
+					requisition
+						? `<a href="#" onclick="headcountUI.openRequisition('${requisition.id}'); return false;">${requisition.title}</a>`
+						: "–"
+				}</td>
+				<td class="headcount-actions">
+					${
+						line.status === "open" && planner.canApprove()
+							? `<button class="btn btn-small btn-primary" onclick="headcountUI.approveLine('${line.id}')">Approve</button>`
+							: ""
+					}
+					${
+						["open", "approved"].includes(status)
+							? `<button class="btn btn-small btn-secondary" onclick="headcountUI.cancelLine('${line.id}')">Cancel</button>`
+							: ""
+					}
+				</td>
+			</tr>
+		`;
+	}
+
+	renderVarianceReport() {
+		const rows = this.headcountPlanner.getVarianceReport(this.selectedQuarter);
+		const signed = (value, format = (v) => v) =>
+			`<span class="headcount-variance ${
+				value < 0 ? "negative" : value > 0 ? "positive" : ""
+			}">${value > 0 ? "+" : ""}${format(value)}</span>`;
+
+		return `
+			<section class="headcount-section">
+				<div class="headcount-section-header">
+					<h4>Plan vs actual · ${this.selectedQuarter}</h4>
+				</div>
+				<table class="headcount-table">
+					<thead>
+						<tr>
+							<th>Department</th>
+							<th>Planned</th>
+							<th>Actual</th>
+							<th>Variance</th>
+							<th>Open / approved / filled</th>
+							<th>Planned cost</th>
+							<th>Actual cost</th>
+							<th>Cost variance</th>
+							<th>Budget less plan</th>
+						</tr>
+					</thead>
+					<tbody>
+						${rows
+							.map(
+								(row) => `
+							<tr>
+								<td>${row.department}</td>
+								<td>${row.planned.headcount}</td>
+								<td>${row.actual.headcount}</td>
+								<td>${signed(row.variance.headcount)}</td>
+								<td>${row.lines.open} / ${row.lines.approved} / ${row.lines.filled}</td>
+								<td>${this.formatMoney(row.planned.cost)}</td>
+								<td>${this.formatMoney(row.actual.cost)}</td>
+								<td>${signed(row.variance.cost, (v) => this.formatMoney(v))}</td>
+								<td>${signed(row.variance.budget, (v) => this.formatMoney(v))}</td>
+							</tr>
+						`
+							)
+							.join("")}
+					</tbody>
+				</table>
+				<p class="headcount-meta-text">
+					Planned is the department at the start of the quarter plus every
+					line not cancelled. Actual is the department at the end of the
+					quarter, or today while it runs.
+				</p>
+			</section>
+		`;
+	}
+
+	// ========================
+	// ACTIONS
+	// ========================
+
+	showLineModal(department) {
+		const positions = this.userManager.positions.filter(
+			(p) => p.department === department
+		);
+		if (positions.length === 0) {
+			NotificationComponent.show(
+				`${department} has no positions to plan for`,
+				"warning"
+			);
+			return;
+		}
+
+		const content = `
+			<div class="form-group">
+				<label for="headcountPosition">Position</label>
+				<select id="headcountPosition" name="positionId" required>
+					${positions
+						.map(
+							(position) =>
+								`<option value="${position.id}">${position.title}</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="headcountCount">Headcount</label>
+				<input type="number" id="headcountCount" name="count" min="1" step="1" value="1" required>
+			</div>
+			<div class="form-group">
+				<label for="headcountNote">Justification</label>
+				<textarea id="headcountNote" name="note" rows="2"></textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Plan ${department} · ${this.selectedQuarter}`,
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.headcountPlanner.addLine(department, this.selectedQuarter, {
+						positionId: data.get("positionId"),
+						count: data.get("count"),
+						note: data.get("note"),
+					});
+					modal.hide();
+					NotificationComponent.show("Headcount planned", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	openRequisition(requisitionId) {
+		this.app.recruitmentUIManager.selectedRequisitionId = requisitionId;
+		this.app.navigateToView("recruiting");
+	}
+
+	approveLine(lineId) {
+		try {
+			const requisition = this.headcountPlanner.approveLine(lineId);
+			NotificationComponent.show(
+				`Approved. Opened requisition "${requisition.title}".`,
+				"success"
+			);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	cancelLine(lineId) {
+		const { line } = this.headcountPlanner.findLine(lineId);
+		ModalComponent.confirm({
+			title: "Cancel headcount",
+			message:
+				line.status === "approved"
+					? "Cancel this approved headcount? Its requisition will be cancelled too."
+					: "Cancel this planned headcount?",
+			confirmText: "Cancel Headcount",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.headcountPlanner.cancelLine(lineId);
+					modal.hide();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+		});
+	}
+
+	formatMoney(amount) {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: "USD",
+			maximumFractionDigits: 0,
+		}).format(amount);
+	}
+}
@@ -275,7 +275,11 @@ export class HierarchyManager {
 		}
 
 		// Update relationships
-		this.userManager.updateUser(employeeId, { managerId: managerId });
+		this.userManager.updateUser(
+			employeeId,
+			{ managerId: managerId },
+			{ reason: "manager_change" }
+		);
 
 		return true;
 	}
@@ -287,7 +291,11 @@ export class HierarchyManager {
 			);
 		}
 
-		this.userManager.updateUser(employeeId, { managerId: null });
+		this.userManager.updateUser(
+			employeeId,
+			{ managerId: null },
+			{ reason: "manager_change" }
+		);
 		return true;
 	}
 
@@ -308,7 +316,9 @@ export class HierarchyManager {
 			updateData.department = newDepartment;
 		}
 
-		return this.userManager.updateUser(employeeId, updateData);
+		return this.userManager.updateUser(employeeId, updateData, {
+			reason: "transfer",
+		});
 	}
 
 	bulkTransfer(employeeIds, newManagerId, newDepartment = null) {
@@ -334,6 +344,59 @@ export class HierarchyManager {
 		return results;
 	}
 
+	// Point-in-time queries, answered from the employment history
+	getManagerAsOf(userId, date) {
+		const job = this.userManager.employmentHistory.getJobAsOf(userId, date);
+		return job?.managerId ? this.userManager.getUserById(job.managerId) : null;
+	}
+
+	getDirectReportsAsOf(userId, date) {
+		return this.userManager.employmentHistory
+			.getUsersAsOf(date)
+			.filter((user) => user.managerId === userId);
+	}
+
+	getManagerChainAsOf(userId, date) {
+		const users = this.userManager.employmentHistory.getUsersAsOf(date);
+		const chain = [];
+		let current = users.find((u) => u.id === userId);
+
+		while (current && current.managerId) {
+			const manager = users.find((u) => u.id === current.managerId);
+			const tooDeep =
+				chain.length >= this.organizationSettings.maxReportingLevels;
+			if (!manager || tooDeep) break;
+			chain.push(manager);
+			current = manager;
+		}
+
+		return chain;
+	}
+
+	// Headcount by department and role on a past (or scheduled future) day
+	getHeadcountAsOf(date) {
+		if (!this.authSystem.canViewReports()) {
+			throw new Error("Insufficient permissions to view hierarchy analytics");
+		}
+
+		const users = this.userManager.employmentHistory.getUsersAsOf(date);
+		const headcount = {
+			date: this.userManager.employmentHistory.toDay(date),
+			totalEmployees: users.length,
+			departmentCounts: {},
+			roleCounts: {},
+		};
+
+		users.forEach((user) => {
+			headcount.departmentCounts[user.department] =
+				(headcount.departmentCounts[user.department] || 0) + 1;
+			headcount.roleCounts[user.role] =
+				(headcount.roleCounts[user.role] || 0) + 1;
+		});
+
+		return headcount;
+	}
+
 	// Analytics and reporting methods
 	getHierarchyAnalytics() {
 		if (!this.authSystem.canViewReports()) {
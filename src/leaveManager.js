@@ -0,0 +1,726 @@
+/**
+ * LeaveManager - Leave types, accrual, balances and time-off requests
+ * Balances are worked out from each type's accrual policy, the employee's
+ * start date, manual adjustments and their requests, so nothing needs a
+ * nightly job. Requests are approved step by step up the requester's
+ * manager chain; employees without a manager go to HR.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const ACCRUAL_FREQUENCIES = {
+	monthly: "Monthly",
+	annual: "Start of year",
+	none: "No accrual",
+};
+
+export const LEAVE_STATUSES = {
+	pending: "Pending approval",
+	approved: "Approved",
+	rejected: "Rejected",
+	cancelled: "Cancelled",
+};
+
+export const DEFAULT_LEAVE_TYPES = [
+	{
+		id: "vacation",
+		name: "Vacation",
+		color: "#3B82F6",
+		accrual: "monthly",
+		daysPerYear: 20,
+		maxCarryover: 5,
+		approvalLevels: 1,
+		tracksBalance: true,
+	},
+	{
+		id: "sick",
+		name: "Sick Leave",
+		color: "#EF4444",
+		accrual: "annual",
+		daysPerYear: 10,
+		maxCarryover: 0,
+		approvalLevels: 1,
+		tracksBalance: true,
+	},
+	{
+		id: "personal",
+		name: "Personal Day",
+		color: "#F59E0B",
+		accrual: "annual",
+		daysPerYear: 3,
+		maxCarryover: 0,
+		approvalLevels: 1,
+		tracksBalance: true,
+	},
+	{
+		id: "unpaid",
+		name: "Unpaid Leave",
+		color: "#6B7280",
+		accrual: "none",
+		daysPerYear: 0,
+		maxCarryover: 0,
+		approvalLevels: 2,
+		tracksBalance: false,
+	},
+];
+
+// Marks an approval step that any HR user can decide
+const HR_APPROVER = "hr";
+
+export class LeaveManager {
+	/**
+	 * Initialize the LeaveManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employee records
+	 * @param {Object} dependencies.hierarchyManager - Manager chains for approval routing
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+
+		this.typesKey = "study-hall-leave-types";
+		this.requestsKey = "study-hall-leave-requests";
+		this.adjustmentsKey = "study-hall-leave-adjustments";
+
+		this.types = this.loadTypes();
+		this.requests = this.loadRequests();
+		this.adjustments = this.loadAdjustments();
+
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+	}
+
+	loadTypes() {
+		try {
+			const saved = localStorage.getItem(this.typesKey);
+			return saved ? JSON.parse(saved) : DEFAULT_LEAVE_TYPES;
+		} catch (error) {
+			console.warn("Failed to load leave types:", error);
+			return DEFAULT_LEAVE_TYPES;
+		}
+	}
+
+	loadRequests() {
+		try {
+			const saved = localStorage.getItem(this.requestsKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load leave requests:", error);
+			return [];
+		}
+	}
+
+	loadAdjustments() {
+		try {
+			const saved = localStorage.getItem(this.adjustmentsKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load leave adjustments:", error);
+			return [];
+		}
+	}
+
+	saveRequests() {
+		localStorage.setItem(this.requestsKey, JSON.stringify(this.requests));
+		window.dispatchEvent(new CustomEvent("leaveUpdated"));
+	}
+
+	saveAdjustments() {
+		localStorage.setItem(this.adjustmentsKey, JSON.stringify(this.adjustments));
+	}
+
+	// ========================
+	// LEAVE TYPES
+	// ========================
+
+	getTypes() {
+		return this.types;
+	}
+
+	getType(typeId) {
+		return this.types.find((t) => t.id === typeId) || null;
+	}
+
+	/**
+	 * Replace the leave types
+	 * @param {Array} types - { id?, name, color, accrual, daysPerYear, maxCarryover, approvalLevels, tracksBalance }
+	 */
+	saveTypes(types) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to configure leave types");
+		}
+
+		const normalized = types.map((type) => this.normalizeType(type));
+		const ids = normalized.map((t) => t.id);
+		const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+		if (duplicate) {
+			throw new Error(`Two leave types share the ID "${duplicate}"`);
+		}
+
+		const removed = this.types.filter((t) => !ids.includes(t.id));
+		const inUse = removed.find((t) =>
+			this.requests.some((r) => r.typeId === t.id)
+		);
+		if (inUse) {
+			throw new Error(
+				`"${inUse.name}" has requests on record and can't be removed`
+			);
+		}
+
+		localStorage.setItem(this.typesKey, JSON.stringify(normalized));
+		this.types = normalized;
+
+		this.authSystem.recordAudit("leave_types_updated", {
+			details: `Updated leave types (${normalized
+				.map((t) => t.name)
+				.join(", ")})`,
+		});
+	}
+
+	normalizeType(type) {
+		const name = String(type.name || "").trim();
+		if (!name) {
+			throw new Error("Every leave type needs a name");
+		}
+		if (!ACCRUAL_FREQUENCIES[type.accrual]) {
+			throw new Error(`"${name}" has an unknown accrual frequency`);
+		}
+
+		const daysPerYear = Number(type.daysPerYear) || 0;
+		const maxCarryover = Number(type.maxCarryover) || 0;
+		const approvalLevels = parseInt(type.approvalLevels) || 1;
+		if (daysPerYear < 0 || maxCarryover < 0) {
+			throw new Error(`"${name}" can't accrue or carry over negative days`);
+		}
+		if (approvalLevels < 1 || approvalLevels > 3) {
+			throw new Error(`"${name}" needs between 1 and 3 approval levels`);
+		}
+
+		return {
+			id:
+				type.id ||
+				name
+					.toLowerCase()
+					.replace(/[^a-z0-9]+/g, "-")
+					.replace(/^-|-$/g, ""),
+			name,
+			color: type.color || "#6B7280",
+			accrual: type.accrual,
+			daysPerYear,
+			maxCarryover,
+			approvalLevels,
+			tracksBalance: type.tracksBalance !== false,
+		};
+	}
+
+	// ========================
+	// BALANCES
+	// ========================
+
+	/**
+	 * Days accrued in a calendar year, prorated from the start date
+	 * @param {Object} user - Employee
+	 * @param {Object} type - Leave type
+	 * @param {number} year - Calendar year
+	 * @param {string} asOf - YYYY-MM-DD; monthly accrual stops here
+	 * @returns {number}
+	 */
+	getAccrued(user, type, year, asOf) {
+		if (type.accrual === "none") return 0;
+
+		const yearStart = `${year}-01-01`;
+		const yearEnd = `${year}-12-31`;
+		const from =
+			user.startDate && user.startDate > yearStart ? user.startDate : yearStart;
+		if (from > yearEnd) return 0;
+
+		// Months count in full, including the one the employee started in
+		const startMonth = Number(from.slice(5, 7));
+		if (type.accrual === "annual") {
+			return this.round((type.daysPerYear * (13 - startMonth)) / 12);
+		}
+
+		const through = asOf < yearEnd ? asOf : yearEnd;
+		if (through < from) return 0;
+		const months = Number(through.slice(5, 7)) - startMonth + 1;
+		return this.round((type.daysPerYear * months) / 12);
+	}
+
+	/**
+	 * An employee's balance for one leave type in the year of `asOf`.
+	 * Carryover is worked out year by year from the first year the employee
+	 * has leave in, so unused days keep rolling forward up to the cap.
+	 * @param {string} userId - Employee ID
+	 * @param {string} typeId - Leave type ID
+	 * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+	 * @returns {Object} { typeId, year, accrued, carriedOver, adjustments, used, pending, available }
+	 */
+	getBalance(userId, typeId, asOf = this.today()) {
+		const user = this.userManager.getUserById(userId);
+		const type = this.getType(typeId);
+		if (!user || !type) {
+			throw new Error("Unknown employee or leave type");
+		}
+
+		const year = Number(asOf.slice(0, 4));
+		const requests = this.requests.filter(
+			(r) => r.userId === userId && r.typeId === typeId
+		);
+		const adjustments = this.adjustments.filter(
+			(a) => a.userId === userId && a.typeId === typeId
+		);
+		const yearSummary = (y, through) => {
+			const daysWith = (status) =>
+				requests
+					.filter((r) => r.status === status)
+					.reduce((sum, r) => sum + this.getDaysInYear(r, y), 0);
+			return {
+				accrued: this.getAccrued(user, type, y, through),
+				adjustments: adjustments
+					.filter((a) => a.year === y)
+					.reduce((sum, a) => sum + a.days, 0),
+				used: daysWith("approved"),
+				pending: daysWith("pending"),
+			};
+		};
+
+		// Start from the employee's first year, or their earliest leave when
+		// the start date isn't on record
+		const firstYear = user.startDate
+			? Number(user.startDate.slice(0, 4))
+			: Math.min(
+					year,
+					...requests.map((r) => Number(r.startDate.slice(0, 4))),
+					...adjustments.map((a) => a.year)
+			  );
+		let carriedOver = 0;
+		for (let y = firstYear; y < year; y++) {
+			const past = yearSummary(y, `${y}-12-31`);
+			carriedOver = Math.min(
+				type.maxCarryover,
+				Math.max(0, carriedOver + past.accrued + past.adjustments - past.used)
+			);
+		}
+		const current = yearSummary(year, asOf);
+
+		return {
+			typeId,
+			year,
+			accrued: current.accrued,
+			carriedOver: this.round(carriedOver),
+			adjustments: current.adjustments,
+			used: this.round(current.used),
+			pending: this.round(current.pending),
+			// Pending requests hold their days until they're decided
+			available: this.round(
+				current.accrued +
+					carriedOver +
+					current.adjustments -
+					current.used -
+					current.pending
+			),
+		};
+	}
+
+	/**
+	 * Working days of a request that fall in a calendar year, so leave over
+	 * New Year is charged to each year's balance
+	 * @param {Object} request - { startDate, endDate, halfDay }
+	 * @param {number} year - Calendar year
+	 * @returns {number}
+	 */
+	getDaysInYear(request, year) {
+		const yearStart = `${year}-01-01`;
+		const yearEnd = `${year}-12-31`;
+		const from = request.startDate > yearStart ? request.startDate : yearStart;
+		const to = request.endDate < yearEnd ? request.endDate : yearEnd;
+		if (from > to) return 0;
+		return this.countWorkingDays(from, to, request.halfDay);
+	}
+
+	getBalances(userId, asOf = this.today()) {
+		return this.types
+			.filter((type) => type.tracksBalance)
+			.map((type) => ({ type, ...this.getBalance(userId, type.id, asOf) }));
+	}
+
+	/**
+	 * Add (or with negative days, remove) leave outside the accrual policy
+	 * @param {string} userId - Employee ID
+	 * @param {string} typeId - Leave type ID
+	 * @param {number} days - Days to add
+	 * @param {string} note - Why, shown in the audit log
+	 */
+	adjustBalance(userId, typeId, days, note) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to adjust leave balances");
+		}
+
+		const user = this.userManager.getUserById(userId);
+		const type = this.getType(typeId);
+		const amount = Number(days);
+		if (!user || !type) {
+			throw new Error("Unknown employee or leave type");
+		}
+		if (!amount || isNaN(amount)) {
+			throw new Error("Enter a non-zero number of days");
+		}
+		if (!String(note || "").trim()) {
+			throw new Error("Give a reason for the adjustment");
+		}
+
+		const adjustment = {
+			id: `adj-${randomToken(9)}`,
+			userId,
+			typeId,
+			year: Number(this.today().slice(0, 4)),
+			days: amount,
+			note: note.trim(),
+			createdAt: new Date().toISOString(),
+			createdBy: this.authSystem.getCurrentUser()?.id || null,
+		};
+		this.adjustments.push(adjustment);
+		this.saveAdjustments();
+
+		this.authSystem.recordAudit("leave_balance_adjusted", {
+			target: user,
+			details: `${amount > 0 ? "+" : ""}${amount} ${type.name} days: ${
+				adjustment.note
+			}`,
+		});
+		return adjustment;
+	}
+
+	// ========================
+	// REQUESTS
+	// ========================
+
+	/**
+	 * Request time off
+	 * @param {Object} data
+	 * @param {string} data.typeId - Leave type ID
+	 * @param {string} data.startDate - First day off, YYYY-MM-DD
+	 * @param {string} data.endDate - Last day off, YYYY-MM-DD
+	 * @param {boolean} [data.halfDay] - Single-day requests only
+	 * @param {string} [data.reason] - Note for the approvers
+	 * @param {string} [data.userId] - HR can request on an employee's behalf
+	 * @returns {Object} The request
+	 */
+	submitRequest(data) {
+		const currentUser = this.authSystem.getCurrentUser();
+		if (!currentUser) {
+			throw new Error("You must be signed in to request time off");
+		}
+
+		const userId = data.userId || currentUser.id;
+		if (userId !== currentUser.id && !this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to request leave for others");
+		}
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+
+		const type = this.getType(data.typeId);
+		if (!type) {
+			throw new Error("Choose a leave type");
+		}
+
+		const { startDate, endDate } = data;
+		if (!startDate || !endDate || isNaN(new Date(startDate))) {
+			throw new Error("Choose the first and last day of your leave");
+		}
+		if (endDate < startDate) {
+			throw new Error("The last day can't be before the first day");
+		}
+		const halfDay = Boolean(data.halfDay) && startDate === endDate;
+		const days = this.countWorkingDays(startDate, endDate, halfDay);
+		if (days === 0) {
+			throw new Error("Those dates don't include any working days");
+		}
+
+		const overlap = this.requests.find(
+			(r) =>
+				r.userId === userId &&
+				["pending", "approved"].includes(r.status) &&
+				r.startDate <= endDate &&
+				r.endDate >= startDate
+		);
+		if (overlap) {
+			throw new Error(
+				`This overlaps leave already booked for ${overlap.startDate} to ${overlap.endDate}`
+			);
+		}
+
+		// Each calendar year the leave touches needs enough balance for its part
+		if (type.tracksBalance) {
+			const firstYear = Number(startDate.slice(0, 4));
+			const lastYear = Number(endDate.slice(0, 4));
+			for (let year = firstYear; year <= lastYear; year++) {
+				const needed = this.getDaysInYear({ startDate, endDate, halfDay }, year);
+				const { available } = this.getBalance(
+					userId,
+					type.id,
+					year === firstYear ? startDate : `${year}-01-01`
+				);
+				if (needed > available) {
+					throw new Error(
+						`Not enough ${type.name} left${
+							lastYear > firstYear ? ` in ${year}` : ""
+						}: ${needed} days requested, ${available} free`
+					);
+				}
+			}
+		}
+
+		const request = {
+			id: `leave-${randomToken(9)}`,
+			userId,
+			typeId: type.id,
+			startDate,
+			endDate,
+			halfDay,
+			days,
+			reason: String(data.reason || "").trim(),
+			status: "pending",
+			approverChain: this.buildApprovalChain(user, type),
+			approvals: [],
+			createdAt: new Date().toISOString(),
+			createdBy: currentUser.id,
+		};
+
+		this.requests.push(request);
+		this.saveRequests();
+
+		this.authSystem.recordAudit("leave_requested", {
+			target: user,
+			details: `${type.name}, ${startDate} to ${endDate} (${days} days)`,
+			metadata: { requestId: request.id },
+		});
+		return request;
+	}
+
+	// One step per manager up the chain, as many as the type needs
+	buildApprovalChain(user, type) {
+		const managers = this.hierarchyManager
+			.getManagerChain(user.id)
+			.filter((manager) => manager.status !== "inactive")
+			.slice(0, type.approvalLevels)
+			.map((manager) => manager.id);
+		return managers.length > 0 ? managers : [HR_APPROVER];
+	}
+
+	getCurrentApprover(request) {
+		return request.approverChain[request.approvals.length] || null;
+	}
+
+	/**
+	 * Whether a user may decide a request now. HR can step in at any stage.
+	 * @param {Object} request - Leave request
+	 * @param {Object} [user] - Defaults to the current user
+	 * @returns {boolean}
+	 */
+	canDecide(request, user = this.authSystem.getCurrentUser()) {
+		if (!user || request.status !== "pending" || request.userId === user.id) {
+			return false;
+		}
+		const approver = this.getCurrentApprover(request);
+		return (
+			approver === user.id || this.authSystem.hasPermission(HR_APPROVER)
+		);
+	}
+
+	/**
+	 * Approve or reject the current step of a request
+	 * @param {string} requestId - Request ID
+	 * @param {boolean} approve - True to approve
+	 * @param {string} [comment] - Shown to the requester
+	 * @returns {Object} The updated request
+	 */
+	decide(requestId, approve, comment = "") {
+		const request = this.requests.find((r) => r.id === requestId);
+		if (!request) {
+			throw new Error("Leave request not found");
+		}
+		if (!this.canDecide(request)) {
+			throw new Error("Insufficient permissions to decide this request");
+		}
+
+		const user = this.authSystem.getCurrentUser();
+		const approver = this.getCurrentApprover(request);
+		// HR deciding out of turn settles the request outright
+		const override = approver !== user.id && approver !== HR_APPROVER;
+
+		request.approvals.push({
+			approverId: user.id,
+			decision: approve ? "approved" : "rejected",
+			comment: String(comment || "").trim(),
+			decidedAt: new Date().toISOString(),
+			override,
+		});
+
+		if (!approve) {
+			request.status = "rejected";
+		} else if (
+			override ||
+			request.approvals.length >= request.approverChain.length
+		) {
+			request.status = "approved";
+		}
+		request.decidedAt =
+			request.status === "pending" ? null : new Date().toISOString();
+		this.saveRequests();
+
+		const type = this.getType(request.typeId);
+		const { approvals, approverChain } = request;
+		const stage =
+			request.status === "pending"
+				? ` (step ${approvals.length} of ${approverChain.length})`
+				: "";
+		this.authSystem.recordAudit(approve ? "leave_approved" : "leave_rejected", {
+			target: this.userManager.getUserById(request.userId),
+			details: `${type?.name || "Leave"}, ${request.startDate} to ${
+				request.endDate
+			}${stage}${override ? " (HR override)" : ""}`,
+			metadata: { requestId },
+		});
+		return request;
+	}
+
+	/**
+	 * Withdraw a request. Employees can cancel their own until the leave
+	 * starts; HR can cancel any.
+	 * @param {string} requestId - Request ID
+	 */
+	cancelRequest(requestId) {
+		const request = this.requests.find((r) => r.id === requestId);
+		if (!request || !["pending", "approved"].includes(request.status)) {
+			throw new Error("Leave request not found");
+		}
+
+		const user = this.authSystem.getCurrentUser();
+		const isOwn = request.userId === user?.id;
+		if (!this.authSystem.canManageUsers()) {
+			if (!isOwn) {
+				throw new Error("Insufficient permissions to cancel this request");
+			}
+			if (request.startDate <= this.today()) {
+				throw new Error("Leave that has started can only be cancelled by HR");
+			}
+		}
+
+		request.status = "cancelled";
+		request.cancelledAt = new Date().toISOString();
+		request.cancelledBy = user.id;
+		this.saveRequests();
+
+		this.authSystem.recordAudit("leave_cancelled", {
+			target: this.userManager.getUserById(request.userId),
+			details: `${this.getType(request.typeId)?.name || "Leave"}, ${
+				request.startDate
+			} to ${request.endDate}`,
+			metadata: { requestId },
+		});
+	}
+
+	getRequestsForUser(userId) {
+		return this.requests
+			.filter((r) => r.userId === userId)
+			.sort((a, b) => b.startDate.localeCompare(a.startDate));
+	}
+
+	/**
+	 * Requests waiting on the current user: their reports' requests, plus
+	 * HR-routed ones for HR users
+	 * @returns {Array}
+	 */
+	getPendingApprovals() {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) return [];
+
+		const isHr = this.authSystem.hasPermission(HR_APPROVER);
+		return this.requests.filter((r) => {
+			if (r.status !== "pending" || r.userId === user.id) return false;
+			const approver = this.getCurrentApprover(r);
+			return approver === user.id || (isHr && approver === HR_APPROVER);
+		});
+	}
+
+	/**
+	 * Approved leave overlapping a date range
+	 * @param {string} from - YYYY-MM-DD
+	 * @param {string} to - YYYY-MM-DD
+	 * @returns {Array}
+	 */
+	getApprovedLeave(from, to) {
+		return this.requests.filter(
+			(r) => r.status === "approved" && r.startDate <= to && r.endDate >= from
+		);
+	}
+
+	getLeaveOn(userId, date) {
+		return (
+			this.getApprovedLeave(date, date).find((r) => r.userId === userId) ||
+			null
+		);
+	}
+
+	/**
+	 * Meeting attendees who are on approved leave that day. Meetings list
+	 * attendees by name or email.
+	 * @param {Array<string>} attendees - Names or emails
+	 * @param {string} date - YYYY-MM-DD
+	 * @returns {Array} [{ user, request, type }]
+	 */
+	findAttendeesOnLeave(attendees, date) {
+		const wanted = (attendees || []).map((a) => String(a).trim().toLowerCase());
+		return this.authSystem.authorizedUsers
+			.filter(
+				(user) =>
+					wanted.includes(user.name.toLowerCase()) ||
+					wanted.includes(user.email.toLowerCase())
+			)
+			.map((user) => ({ user, request: this.getLeaveOn(user.id, date) }))
+			.filter(({ request }) => request)
+			.map((conflict) => ({
+				...conflict,
+				type: this.getType(conflict.request.typeId),
+			}));
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	removeUsers(userIds) {
+		this.requests = this.requests.filter((r) => !userIds.includes(r.userId));
+		this.adjustments = this.adjustments.filter(
+			(a) => !userIds.includes(a.userId)
+		);
+		this.saveRequests();
+		this.saveAdjustments();
+	}
+
+	// Weekdays between two dates, inclusive
+	countWorkingDays(startDate, endDate, halfDay = false) {
+		let days = 0;
+		const day = new Date(`${startDate}T00:00:00Z`);
+		const last = new Date(`${endDate}T00:00:00Z`);
+		while (day <= last) {
+			if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) days++;
+			day.setUTCDate(day.getUTCDate() + 1);
+		}
+		return halfDay && days === 1 ? 0.5 : days;
+	}
+
+	round(value) {
+		return Math.round(value * 100) / 100;
+	}
+
+	today() {
+		return new Date().toISOString().split("T")[0];
+	}
+}
@@ -0,0 +1,461 @@
+/**
+ * Leave UI Manager - Time Off view
+ * Shows the signed-in employee's balances and requests, the requests
+ * waiting on them as an approver, and for HR the leave type settings and
+ * balance adjustments.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import { ACCRUAL_FREQUENCIES, LEAVE_STATUSES } from "./leaveManager.js";
+
+export class LeaveUIManager {
+	constructor(leaveManager, app) {
+		this.leaveManager = leaveManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+
+		window.addEventListener("leaveUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Time Off view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "leaveContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const canManage = this.authSystem.canManageUsers();
+		const pending = this.leaveManager.getPendingApprovals();
+
+		container.innerHTML = `
+			<div class="leave-toolbar">
+				<button class="btn btn-primary" onclick="leaveUI.showRequestModal()">
+					+ Request Time Off
+				</button>
+				${
+					canManage
+						? `
+					<button class="btn btn-secondary" onclick="leaveUI.showAdjustmentModal()">
+						Adjust Balance
+					</button>
+					<button class="btn btn-secondary" onclick="leaveUI.showTypesModal()">
+						Leave Types
+					</button>
+				`
+						: ""
+				}
+			</div>
+
+			<div class="leave-balances">
+				${this.leaveManager
+					.getBalances(user.id)
+					.map((balance) => this.renderBalanceCard(balance))
+					.join("")}
+			</div>
+
+			${
+				pending.length > 0
+					? `
+				<section class="leave-section">
+					<h4>Waiting for your approval (${pending.length})</h4>
+					${this.renderRequestTable(pending, { approver: true })}
+				</section>
+			`
+					: ""
+			}
+
+			<section class="leave-section">
+				<h4>My requests</h4>
+				${this.renderRequestTable(
+					this.leaveManager.getRequestsForUser(user.id)
+				)}
+			</section>
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("leaveContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	renderBalanceCard({ type, available, accrued, carriedOver, used, pending }) {
+		return `
+			<div class="leave-balance-card" style="border-top-color: ${type.color}">
+				<div class="leave-balance-name">${type.name}</div>
+				<div class="leave-balance-available">${available}</div>
+				<div class="leave-balance-label">days available</div>
+				<div class="leave-balance-detail">
+					${accrued} accrued${carriedOver ? ` · ${carriedOver} carried over` : ""}
+					· ${used} used${pending ? ` · ${pending} pending` : ""}
+				</div>
+			</div>
+		`;
+	}
+
+	renderRequestTable(requests, { approver = false } = {}) {
+		if (requests.length === 0) {
+			return `<p class="empty-state">No requests yet.</p>`;
+		}
+
+		const today = this.leaveManager.today();
+		const canManage = this.authSystem.canManageUsers();
+
+		return `
+			<table class="leave-table">
+				<thead>
+					<tr>
+						${approver ? "<th>Employee</th>" : ""}
+						<th>Type</th>
+						<th>Dates</th>
+						<th>Days</th>
+						<th>Status</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					${requests
+						.map((request) => {
+							const type = this.leaveManager.getType(request.typeId);
+							const employee = this.userManager.getUserById(request.userId);
+							const cancellable =
+								["pending", "approved"].includes(request.status) &&
+								(canManage || request.startDate > today);
+
+							return `
+								<tr>
+									${approver ? `<td>${employee?.name || "Unknown"}</td>` : ""}
+									<td>
+										<span class="leave-type-dot" style="background: ${
+											type?.color || "#6B7280"
+										}"></span>
+										${type?.name || request.typeId}
+									</td>
+									<td>${this.formatRange(request)}</td>
+									<td>${request.days}</td>
+									<td>
+										<span class="leave-status ${request.status}">
+											${LEAVE_STATUSES[request.status]}
+										</span>
+										<div class="leave-approval-progress">
+											${this.describeProgress(request)}
+										</div>
+									</td>
+									<td class="leave-actions">
+										${
+											approver
+												? `
+											<button class="btn btn-small btn-primary" onclick="leaveUI.decide('${request.id}', true)">Approve</button>
+											<button class="btn btn-small btn-danger" onclick="leaveUI.decide('${request.id}', false)">Reject</button>
+										`
+												: cancellable
+												? `<button class="btn btn-small btn-secondary" onclick="leaveUI.cancelRequest('${request.id}')">Cancel</button>`
+												: ""
+										}
+									</td>
+								</tr>
+							`;
+						})
+						.join("")}
+				</tbody>
+			</table>
+		`;
+	}
+
+	// Who has signed off so far and who is next
+	describeProgress(request) {
+		const steps = request.approvals.map((approval) => {
+			const name =
+				this.userManager.getUserById(approval.approverId)?.name || "Unknown";
+			const verb = approval.decision === "approved" ? "Approved" : "Rejected";
+			return `${verb} by ${name}${approval.override ? " (HR)" : ""}${
+				approval.comment ? `: "${approval.comment}"` : ""
+			}`;
+		});
+
+		if (request.status === "pending") {
+			const next = this.leaveManager.getCurrentApprover(request);
+			steps.push(
+				`Waiting on ${
+					next === "hr"
+						? "HR"
+						: this.userManager.getUserById(next)?.name || "Unknown"
+				}`
+			);
+		}
+		return steps.join("<br>");
+	}
+
+	showRequestModal() {
+		const types = this.leaveManager.getTypes();
+		const today = this.leaveManager.today();
+
+		const content = `
+			<div class="form-group">
+				<label for="leaveType">Type</label>
+				<select id="leaveType" name="typeId" required>
+					${types
+						.map((type) => `<option value="${type.id}">${type.name}</option>`)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="leaveStart">First day</label>
+					<input type="date" id="leaveStart" name="startDate" min="${today}" required>
+				</div>
+				<div class="form-group">
+					<label for="leaveEnd">Last day</label>
+					<input type="date" id="leaveEnd" name="endDate" min="${today}" required>
+				</div>
+			</div>
+			<div class="form-group">
+				<label>
+					<input type="checkbox" name="halfDay">
+					Half day (single-day requests only)
+				</label>
+			</div>
+			<div class="form-group">
+				<label for="leaveReason">Note for your approver</label>
+				<textarea id="leaveReason" name="reason" rows="3"></textarea>
+			</div>
+		`;
+
+		ModalComponent.form("Request Time Off", content, (e, modal, form) => {
+			const data = Object.fromEntries(new FormData(form).entries());
+			try {
+				const request = this.leaveManager.submitRequest({
+					...data,
+					halfDay: form.elements.halfDay.checked,
+				});
+				modal.hide();
+				NotificationComponent.show(
+					`Requested ${request.days} day${
+						request.days === 1 ? "" : "s"
+					} off. ${this.describeProgress(request)}.`,
+					"success"
+				);
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	decide(requestId, approve) {
+		const request = this.leaveManager.requests.find((r) => r.id === requestId);
+		const employee = this.userManager.getUserById(request?.userId);
+
+		ModalComponent.form(
+			`${approve ? "Approve" : "Reject"} time off`,
+			`
+				<p>${employee?.name || "Unknown"}: ${this.formatRange(request)}
+				(${request.days} days)</p>
+				${request.reason ? `<p class="leave-reason">"${request.reason}"</p>` : ""}
+				<div class="form-group">
+					<label for="leaveComment">Comment (optional)</label>
+					<textarea id="leaveComment" name="comment" rows="2"></textarea>
+				</div>
+			`,
+			(e, modal, form) => {
+				try {
+					const updated = this.leaveManager.decide(
+						requestId,
+						approve,
+						form.elements.comment.value
+					);
+					modal.hide();
+					NotificationComponent.show(
+						updated.status === "pending"
+							? "Approved. Sent on to the next approver."
+							: `Request ${updated.status}`,
+						"success"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	cancelRequest(requestId) {
+		ModalComponent.confirm({
+			title: "Cancel time off",
+			message: "Cancel this request? The days go back to your balance.",
+			confirmText: "Cancel Request",
+			cancelText: "Keep",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.leaveManager.cancelRequest(requestId);
+					NotificationComponent.show("Request cancelled", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+			},
+		});
+	}
+
+	showAdjustmentModal() {
+		const users = this.authSystem.authorizedUsers
+			.filter((user) => user.status !== "inactive")
+			.sort((a, b) => a.name.localeCompare(b.name));
+		const types = this.leaveManager.getTypes().filter((t) => t.tracksBalance);
+
+		const content = `
+			<div class="form-group">
+				<label for="adjustUser">Employee</label>
+				<select id="adjustUser" name="userId" required>
+					${users
+						.map((user) => `<option value="${user.id}">${user.name}</option>`)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="adjustType">Type</label>
+					<select id="adjustType" name="typeId" required>
+						${types
+							.map((type) => `<option value="${type.id}">${type.name}</option>`)
+							.join("")}
+					</select>
+				</div>
+				<div class="form-group">
+					<label for="adjustDays">Days (negative to deduct)</label>
+					<input type="number" id="adjustDays" name="days" step="0.5" required>
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="adjustNote">Reason</label>
+				<input type="text" id="adjustNote" name="note" required>
+			</div>
+		`;
+
+		ModalComponent.form("Adjust Leave Balance", content, (e, modal, form) => {
+			const { userId, typeId, days, note } = Object.fromEntries(
+				new FormData(form).entries()
+			);
+			try {
+				this.leaveManager.adjustBalance(userId, typeId, days, note);
+				const { available } = this.leaveManager.getBalance(userId, typeId);
+				modal.hide();
+				NotificationComponent.show(
+					`Balance updated: ${available} days available`,
+					"success"
+				);
+				this.render();
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	showTypesModal() {
+		const renderRow = (type = {}) => `
+			<tr class="leave-type-row" data-id="${type.id || ""}">
+				<td><input type="text" name="name" value="${type.name || ""}" placeholder="New type"></td>
+				<td><input type="color" name="color" value="${type.color || "#6B7280"}"></td>
+				<td>
+					<select name="accrual">
+						${Object.entries(ACCRUAL_FREQUENCIES)
+							.map(
+								([value, label]) =>
+									`<option value="${value}" ${
+										type.accrual === value ? "selected" : ""
+									}>${label}</option>`
+							)
+							.join("")}
+					</select>
+				</td>
+				<td><input type="number" name="daysPerYear" min="0" step="0.5" value="${type.daysPerYear ?? 0}"></td>
+				<td><input type="number" name="maxCarryover" min="0" step="0.5" value="${type.maxCarryover ?? 0}"></td>
+				<td><input type="number" name="approvalLevels" min="1" max="3" value="${type.approvalLevels ?? 1}"></td>
+				<td><input type="checkbox" name="tracksBalance" ${type.tracksBalance === false ? "" : "checked"}></td>
+				<td>${type.id ? `<input type="checkbox" name="remove">` : ""}</td>
+			</tr>
+		`;
+
+		const content = `
+			<p class="form-help">
+				Monthly types accrue a twelfth of the yearly days each month from
+				the start date; start-of-year types grant them on 1 January. Leave a
+				new row's name empty to skip it.
+			</p>
+			<table class="leave-types-table">
+				<thead>
+					<tr>
+						<th>Name</th>
+						<th>Colour</th>
+						<th>Accrual</th>
+						<th>Days/year</th>
+						<th>Max carryover</th>
+						<th>Approval levels</th>
+						<th>Tracks balance</th>
+						<th>Remove</th>
+					</tr>
+				</thead>
+				<tbody>
+					${this.leaveManager
+						.getTypes()
+						.map((type) => renderRow(type))
+						.join("")}
+					${renderRow()}
+				</tbody>
+			</table>
+		`;
+
+		ModalComponent.form(
+			"Leave Types",
+			content,
+			(e, modal, form) => {
+				const types = [...form.querySelectorAll(".leave-type-row")]
+					.filter(
+						(row) =>
+							!row.querySelector("[name=remove]")?.checked &&
+							(row.dataset.id || row.querySelector("[name=name]").value.trim())
+					)
+					.map((row) => {
+						const field = (name) => row.querySelector(`[name=${name}]`);
+						return {
+							id: row.dataset.id || undefined,
+							name: field("name").value,
+							color: field("color").value,
+							accrual: field("accrual").value,
+							daysPerYear: field("daysPerYear").value,
+							maxCarryover: field("maxCarryover").value,
+							approvalLevels: field("approvalLevels").value,
+							tracksBalance: field("tracksBalance").checked,
+						};
+					});
+
+				try {
+					this.leaveManager.saveTypes(types);
+					modal.hide();
+					NotificationComponent.show("Leave types saved", "success");
+					this.render();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	formatRange(request) {
+		const format = (date) =>
+			new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+				month: "short",
+				day: "numeric",
+				year: "numeric",
+			});
+		if (request.startDate === request.endDate) {
+			return `${format(request.startDate)}${request.halfDay ? " (half day)" : ""}`;
+		}
+		return `${format(request.startDate)} – ${format(request.endDate)}`;
+	}
+}
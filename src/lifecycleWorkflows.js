@@ -0,0 +1,672 @@
+/**
+ * Lifecycle Workflows - Onboarding and offboarding checklists
+ * A workflow is a template of steps; starting one for an employee turns each
+ * step into a TaskManager task, due a number of days before or after their
+ * start date (onboarding) or final day (offboarding) and assigned by role.
+ * On an offboarding's final day the employee's sessions and permissions are
+ * revoked and their account deactivated.
+ */
+
+export const LIFECYCLE_TYPES = {
+	onboarding: "Onboarding",
+	offboarding: "Offboarding",
+};
+
+// Who a step is assigned to, resolved per employee when the workflow starts
+export const LIFECYCLE_ASSIGNEES = {
+	employee: "Employee",
+	manager: "Manager",
+	hr: "HR",
+	it: "IT",
+};
+
+export const DEFAULT_WORKFLOWS = [
+	{
+		id: "onboarding-standard",
+		name: "Standard onboarding",
+		type: "onboarding",
+		departments: [],
+		enabled: true,
+		steps: [
+			{
+				title: "Create system accounts",
+				assignee: "it",
+				offsetDays: -3,
+			},
+			{
+				title: "Prepare workspace and equipment",
+				assignee: "it",
+				offsetDays: -2,
+			},
+			{
+				title: "Send welcome email",
+				assignee: "hr",
+				offsetDays: -2,
+			},
+			{
+				title: "Assign buddy/mentor",
+				assignee: "manager",
+				offsetDays: -1,
+			},
+			{
+				title: "Conduct first-day orientation",
+				assignee: "hr",
+				offsetDays: 0,
+			},
+			{
+				title: "Complete initial paperwork",
+				assignee: "employee",
+				offsetDays: 0,
+			},
+			{
+				title: "Review job expectations",
+				assignee: "manager",
+				offsetDays: 5,
+			},
+			{
+				title: "30-day check-in",
+				assignee: "manager",
+				offsetDays: 30,
+			},
+		],
+	},
+	{
+		id: "offboarding-standard",
+		name: "Standard offboarding",
+		type: "offboarding",
+		departments: [],
+		enabled: true,
+		steps: [
+			{
+				title: "Plan knowledge handover",
+				assignee: "manager",
+				offsetDays: -10,
+			},
+			{
+				title: "Schedule exit interview",
+				assignee: "hr",
+				offsetDays: -7,
+			},
+			{
+				title: "Process final pay and benefits",
+				assignee: "hr",
+				offsetDays: -3,
+			},
+			{
+				title: "Collect equipment and badge",
+				assignee: "it",
+				offsetDays: 0,
+			},
+			{
+				title: "Archive mailbox and files",
+				assignee: "it",
+				offsetDays: 1,
+			},
+		],
+	},
+];
+
+export class LifecycleWorkflowManager {
+	/**
+	 * Initialize the LifecycleWorkflowManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - User directory
+	 * @param {Object} dependencies.taskManager - Creates the workflow tasks
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.taskManager = dependencies.taskManager;
+
+		this.configKey = "study-hall-lifecycle-workflows";
+		this.runsKey = "study-hall-lifecycle-runs";
+		this.checkInterval = 60 * 60 * 1000; // 1 hour
+		this.timer = null;
+
+		this.config = this.loadConfig();
+		this.runs = this.loadRuns();
+	}
+
+	/**
+	 * Start onboarding new users automatically and check for final days
+	 */
+	start() {
+		window.addEventListener("userCreated", (event) =>
+			this.handleUserCreated(event.detail.user)
+		);
+		window.addEventListener("usersRemoved", (event) =>
+			this.cancelRunsForUsers(event.detail.userIds)
+		);
+		window.addEventListener("tasksUpdated", () => this.refreshRuns());
+
+		this.processFinalDays();
+		this.timer = setInterval(() => this.processFinalDays(), this.checkInterval);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Load workflow templates and role contacts from localStorage
+	 * @returns {Object} { workflows, contacts }
+	 */
+	loadConfig() {
+		const defaults = {
+			workflows: DEFAULT_WORKFLOWS,
+			contacts: { hr: [], it: [] },
+		};
+		let config = defaults;
+		try {
+			const saved = localStorage.getItem(this.configKey);
+			if (saved) {
+				const parsed = JSON.parse(saved);
+				config = {
+					workflows: parsed.workflows || defaults.workflows,
+					contacts: { ...defaults.contacts, ...parsed.contacts },
+				};
+			}
+		} catch (error) {
+			console.warn("Failed to load lifecycle workflows:", error);
+		}
+
+		// Steps get stable IDs so runs can refer back to them
+		config.workflows = config.workflows.map((workflow) => ({
+			...workflow,
+			steps: workflow.steps.map((step, index) => ({
+				id: step.id || `${workflow.id}-step-${index + 1}`,
+				priority: "MEDIUM",
+				...step,
+			})),
+		}));
+		return config;
+	}
+
+	/**
+	 * Replace the workflow templates and role contacts
+	 * @param {Object} config - { workflows, contacts }
+	 */
+	saveConfig(config) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to configure workflows");
+		}
+
+		config.workflows.forEach((workflow) => this.validateWorkflow(workflow));
+		const ids = config.workflows.map((w) => w.id);
+		if (new Set(ids).size !== ids.length) {
+			throw new Error("Workflow IDs must be unique");
+		}
+
+		const contacts = {};
+		for (const role of ["hr", "it"]) {
+			contacts[role] = (config.contacts?.[role] || []).map((email) =>
+				email.trim().toLowerCase()
+			);
+			const unknown = contacts[role].filter(
+				(email) => !this.findUserByEmail(email)
+			);
+			if (unknown.length > 0) {
+				throw new Error(
+					`${LIFECYCLE_ASSIGNEES[role]} contacts not found: ${unknown.join(
+						", "
+					)}`
+				);
+			}
+		}
+
+		localStorage.setItem(
+			this.configKey,
+			JSON.stringify({ workflows: config.workflows, contacts })
+		);
+		this.config = this.loadConfig();
+
+		this.authSystem.recordAudit("lifecycle_workflows_updated", {
+			details: `Updated lifecycle workflows (${config.workflows.length})`,
+		});
+	}
+
+	validateWorkflow(workflow) {
+		if (!workflow.name?.trim()) {
+			throw new Error("Every workflow needs a name");
+		}
+		if (!LIFECYCLE_TYPES[workflow.type]) {
+			throw new Error(`"${workflow.name}" has an unknown type`);
+		}
+		if (!workflow.steps?.length) {
+			throw new Error(`"${workflow.name}" needs at least one step`);
+		}
+		workflow.steps.forEach((step) => {
+			if (!step.title?.trim()) {
+				throw new Error(`"${workflow.name}" has a step without a title`);
+			}
+			if (!LIFECYCLE_ASSIGNEES[step.assignee]) {
+				throw new Error(
+					`"${step.title}" must be assigned to ${Object.keys(
+						LIFECYCLE_ASSIGNEES
+					).join(", ")}`
+				);
+			}
+			if (!Number.isInteger(step.offsetDays)) {
+				throw new Error(`"${step.title}" needs a whole number of days`);
+			}
+		});
+	}
+
+	/**
+	 * Point department-specific workflows at a renamed or merged department
+	 * @param {string} fromDepartment - Old department name
+	 * @param {string} toDepartment - New department name
+	 * @returns {number} Workflows changed
+	 */
+	reassignDepartment(fromDepartment, toDepartment) {
+		const workflows = this.config.workflows.filter((w) =>
+			w.departments?.includes(fromDepartment)
+		);
+		workflows.forEach((workflow) => {
+			workflow.departments = [
+				...new Set(
+					workflow.departments.map((d) =>
+						d === fromDepartment ? toDepartment : d
+					)
+				),
+			];
+		});
+
+		if (workflows.length > 0) {
+			localStorage.setItem(this.configKey, JSON.stringify(this.config));
+		}
+		return workflows.length;
+	}
+
+	loadRuns() {
+		try {
+			const saved = localStorage.getItem(this.runsKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load lifecycle runs:", error);
+			return [];
+		}
+	}
+
+	saveRuns() {
+		localStorage.setItem(this.runsKey, JSON.stringify(this.runs));
+	}
+
+	getWorkflows(type = null) {
+		return this.config.workflows.filter((w) => !type || w.type === type);
+	}
+
+	/**
+	 * The enabled workflow of a type for an employee. Workflows limited to the
+	 * employee's department win over ones for everyone.
+	 * @param {string} type - "onboarding" or "offboarding"
+	 * @param {Object} user - Employee
+	 * @returns {Object|null} Workflow template
+	 */
+	getDefaultWorkflow(type, user) {
+		const candidates = this.getWorkflows(type).filter(
+			(w) =>
+				w.enabled &&
+				(!w.departments?.length || w.departments.includes(user.department))
+		);
+		return (
+			candidates.find((w) => w.departments?.length) || candidates[0] || null
+		);
+	}
+
+	handleUserCreated(user) {
+		const workflow = this.getDefaultWorkflow("onboarding", user);
+		if (!workflow) return;
+
+		try {
+			this.startWorkflow(user.id, workflow.id);
+		} catch (error) {
+			console.warn(`Could not start onboarding for ${user.email}:`, error);
+		}
+	}
+
+	/**
+	 * Start offboarding; access is revoked automatically on the final day
+	 * @param {string} userId - Employee leaving
+	 * @param {Object} options
+	 * @param {string} options.exitDate - Final day, YYYY-MM-DD
+	 * @param {string} [options.workflowId] - Defaults to the employee's default offboarding workflow
+	 * @returns {Object} The run
+	 */
+	startOffboarding(userId, { exitDate, workflowId = null }) {
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+		if (user.id === this.authSystem.getCurrentUser()?.id) {
+			throw new Error("You can't offboard yourself");
+		}
+		if (!exitDate || isNaN(new Date(exitDate))) {
+			throw new Error("Choose a valid final day");
+		}
+
+		const workflow = workflowId
+			? this.getWorkflow(workflowId)
+			: this.getDefaultWorkflow("offboarding", user);
+		if (!workflow || workflow.type !== "offboarding") {
+			throw new Error("No offboarding workflow applies to this employee");
+		}
+
+		const run = this.startWorkflow(userId, workflow.id, exitDate);
+		user.exitDate = exitDate;
+		this.authSystem.saveUserData();
+		this.processFinalDays();
+		return run;
+	}
+
+	/**
+	 * Generate a workflow's tasks for an employee
+	 * @param {string} userId - Employee
+	 * @param {string} workflowId - Workflow template
+	 * @param {string} [anchorDate] - Start or final day; defaults to the user's start date
+	 * @returns {Object} The run
+	 */
+	startWorkflow(userId, workflowId, anchorDate = null) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to start workflows");
+		}
+
+		const user = this.userManager.getUserById(userId);
+		const workflow = this.getWorkflow(workflowId);
+		if (!user || !workflow) {
+			throw new Error("User or workflow not found");
+		}
+		if (this.getActiveRun(userId, workflow.type)) {
+			throw new Error(`${user.name} already has ${workflow.type} in progress`);
+		}
+
+		const anchor =
+			anchorDate || user.startDate || new Date().toISOString().split("T")[0];
+		const runId = `lifecycle-${Date.now()}-${Math.random()
+			.toString(36)
+			.substr(2, 5)}`;
+
+		const steps = workflow.steps.map((step) => {
+			const assignees = this.resolveAssignees(step.assignee, user);
+			const task = this.taskManager.createTask({
+				title: `${step.title} - ${user.name}`,
+				description: `${workflow.name} step for ${user.name} (${
+					user.position || user.role
+				}). ${LIFECYCLE_TYPES[workflow.type]} date: ${anchor}.`,
+				priority: step.priority,
+				assignedTo: assignees,
+				department: user.department,
+				dueDate: this.addDays(anchor, step.offsetDays),
+				category: "hr",
+				tags: [workflow.type, runId],
+			});
+			return {
+				stepId: step.id,
+				title: step.title,
+				assignee: step.assignee,
+				dueDate: task.dueDate,
+				taskId: task.id,
+			};
+		});
+
+		const actor = this.authSystem.getCurrentUser();
+		const run = {
+			id: runId,
+			workflowId: workflow.id,
+			workflowName: workflow.name,
+			type: workflow.type,
+			userId,
+			anchorDate: anchor,
+			status: "active",
+			steps,
+			createdAt: new Date().toISOString(),
+			createdBy: actor ? { id: actor.id, name: actor.name } : null,
+			accessRevokedAt: null,
+			completedAt: null,
+		};
+
+		this.runs = this.loadRuns();
+		this.runs.push(run);
+		this.saveRuns();
+
+		this.authSystem.recordAudit(`${workflow.type}_started`, {
+			target: user,
+			details: `Started "${workflow.name}" (${steps.length} tasks, ${
+				workflow.type === "offboarding" ? "final day" : "start date"
+			} ${anchor})`,
+			metadata: { runId, workflowId: workflow.id },
+		});
+
+		return run;
+	}
+
+	getWorkflow(workflowId) {
+		return this.config.workflows.find((w) => w.id === workflowId) || null;
+	}
+
+	/**
+	 * Emails a step should be assigned to. Managers fall back to HR, and HR/IT
+	 * to everyone with the hr/admin permission when no contacts are set.
+	 * @param {string} role - Key of LIFECYCLE_ASSIGNEES
+	 * @param {Object} user - Employee the workflow is for
+	 * @returns {Array<string>} Assignee emails
+	 */
+	resolveAssignees(role, user) {
+		if (role === "employee") {
+			return [user.email];
+		}
+		if (role === "manager") {
+			const manager = this.authSystem.getManager(user.id);
+			return manager && manager.status !== "inactive"
+				? [manager.email]
+				: this.resolveAssignees("hr", user);
+		}
+
+		const contacts = this.config.contacts[role] || [];
+		if (contacts.length > 0) return contacts;
+
+		const permission = role === "it" ? "admin" : "hr";
+		return this.authSystem.authorizedUsers
+			.filter(
+				(u) =>
+					u.id !== user.id &&
+					u.status === "active" &&
+					u.permissions?.includes(permission)
+			)
+			.map((u) => u.email);
+	}
+
+	/**
+	 * Revoke access for every offboarding whose final day has arrived
+	 * @param {Date} [now] - Current time
+	 * @returns {number} Number of employees whose access was revoked
+	 */
+	processFinalDays(now = new Date()) {
+		const today = now.toISOString().split("T")[0];
+		this.runs = this.loadRuns();
+
+		const due = this.runs.filter(
+			(run) =>
+				run.type === "offboarding" &&
+				run.status === "active" &&
+				!run.accessRevokedAt &&
+				run.anchorDate <= today
+		);
+		due.forEach((run) => this.revokeAccess(run));
+
+		if (due.length > 0) {
+			this.saveRuns();
+			this.refreshRuns();
+		}
+		return due.length;
+	}
+
+	// Scheduled by HR when the offboarding started, so it runs as the system
+	// rather than needing an admin to be signed in on the day
+	revokeAccess(run) {
+		const user = this.authSystem.authorizedUsers.find(
+			(u) => u.id === run.userId
+		);
+		run.accessRevokedAt = new Date().toISOString();
+		if (!user) return;
+
+		run.revokedPermissions = user.permissions || [];
+		user.permissions = [];
+		user.status = "inactive";
+		this.authSystem.saveUserData();
+
+		const sessions = this.authSystem.removeSessionRecords(
+			(s) => s.userId === user.id
+		);
+
+		this.authSystem.recordAudit("offboarding_access_revoked", {
+			actor: null,
+			impersonator: null,
+			target: user,
+			details: `Final day ${run.anchorDate}: deactivated account, removed ${
+				run.revokedPermissions.length
+			} permission(s) and ended ${sessions} session(s)`,
+			metadata: { runId: run.id, permissions: run.revokedPermissions },
+		});
+	}
+
+	/**
+	 * Mark runs completed once all their tasks are done (and, for offboarding,
+	 * access has been revoked)
+	 */
+	refreshRuns() {
+		this.runs = this.loadRuns();
+		let changed = false;
+
+		this.runs
+			.filter((run) => run.status === "active")
+			.forEach((run) => {
+				const progress = this.getProgress(run);
+				const accessDone = run.type !== "offboarding" || run.accessRevokedAt;
+				if (progress.remaining === 0 && accessDone) {
+					run.status = "completed";
+					run.completedAt = new Date().toISOString();
+					changed = true;
+
+					this.authSystem.recordAudit(`${run.type}_completed`, {
+						target: this.userManager.getUserById(run.userId) || {
+							id: run.userId,
+						},
+						details: `Completed "${run.workflowName}"`,
+						metadata: { runId: run.id },
+					});
+				}
+			});
+
+		if (changed) this.saveRuns();
+	}
+
+	/**
+	 * Progress of a run from its tasks. Cancelled or deleted tasks don't count.
+	 * @param {Object} run - Run record
+	 * @returns {Object} { completed, total, remaining, overdue, percent, steps }
+	 */
+	getProgress(run) {
+		const today = new Date().toISOString().split("T")[0];
+		const steps = run.steps.map((step) => {
+			const task = this.taskManager.getTask(step.taskId);
+			return { ...step, status: task ? task.status : "deleted" };
+		});
+		const counted = steps.filter(
+			(s) => !["cancelled", "deleted"].includes(s.status)
+		);
+		const completed = counted.filter((s) => s.status === "completed").length;
+		const overdue = counted.filter(
+			(s) => s.status !== "completed" && s.dueDate && s.dueDate < today
+		).length;
+
+		return {
+			completed,
+			total: counted.length,
+			remaining: counted.length - completed,
+			overdue,
+			percent:
+				counted.length > 0
+					? Math.round((completed / counted.length) * 100)
+					: 100,
+			steps,
+		};
+	}
+
+	getRunsForUser(userId) {
+		return this.runs
+			.filter((run) => run.userId === userId)
+			.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+	}
+
+	getActiveRun(userId, type) {
+		return (
+			this.runs.find(
+				(run) =>
+					run.userId === userId && run.type === type && run.status === "active"
+			) || null
+		);
+	}
+
+	/**
+	 * Stop a run and cancel its open tasks. Cancelling an offboarding before
+	 * the final day keeps the employee; after it, access stays revoked.
+	 * @param {string} runId - Run record ID
+	 */
+	cancelRun(runId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to cancel workflows");
+		}
+
+		this.runs = this.loadRuns();
+		const run = this.runs.find((r) => r.id === runId);
+		if (!run || run.status !== "active") {
+			throw new Error("Only workflows in progress can be cancelled");
+		}
+
+		// Saved before touching the tasks, whose updates trigger refreshRuns()
+		run.status = "cancelled";
+		run.completedAt = new Date().toISOString();
+		this.saveRuns();
+
+		run.steps.forEach((step) => {
+			const task = this.taskManager.getTask(step.taskId);
+			if (task && !["completed", "cancelled"].includes(task.status)) {
+				this.taskManager.updateTask(task.id, { status: "cancelled" });
+			}
+		});
+
+		const user = this.userManager.getUserById(run.userId);
+		if (user && run.type === "offboarding" && !run.accessRevokedAt) {
+			user.exitDate = null;
+			this.authSystem.saveUserData();
+		}
+
+		this.authSystem.recordAudit(`${run.type}_cancelled`, {
+			target: user || { id: run.userId },
+			details: `Cancelled "${run.workflowName}"`,
+			metadata: { runId },
+		});
+	}
+
+	// Workflows for people removed from the directory would never finish
+	cancelRunsForUsers(userIds) {
+		this.loadRuns()
+			.filter((run) => userIds.includes(run.userId) && run.status === "active")
+			.forEach((run) => this.cancelRun(run.id));
+	}
+
+	findUserByEmail(email) {
+		return this.authSystem.authorizedUsers.find(
+			(u) => u.email.toLowerCase() === email.toLowerCase()
+		);
+	}
+
+	addDays(date, days) {
+		const result = new Date(`${date}T00:00:00Z`);
+		result.setUTCDate(result.getUTCDate() + days);
+		return result.toISOString().split("T")[0];
+	}
+}
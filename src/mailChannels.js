@@ -0,0 +1,81 @@
+/**
+ * Mail Channels - Pluggable outbound mail delivery
+ * The app has no mail server, so development channels either print the
+ * message to the console or save it as a local .eml file.
+ */
+
+/**
+ * Console channel - logs each message to the browser console
+ */
+export class ConsoleMailChannel {
+	constructor() {
+		this.name = "console";
+	}
+
+	/**
+	 * Deliver a message
+	 * @param {Object} message
+	 * @param {string} message.to - Recipient address
+	 * @param {string} message.subject - Subject line
+	 * @param {string} message.text - Plain-text body
+	 * @returns {Promise<void>}
+	 */
+	async send(message) {
+		console.info(
+			`📧 Mail to ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+		);
+	}
+}
+
+/**
+ * Local file channel - downloads each message as an .eml file that any
+ * mail client can open
+ */
+export class LocalFileMailChannel {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.from="no-reply@studyhall.local"] - Sender address
+	 */
+	constructor(options = {}) {
+		this.name = "file";
+		this.from = options.from || "no-reply@studyhall.local";
+	}
+
+	async send(message) {
+		const eml = [
+			`From: ${this.from}`,
+			`To: ${message.to}`,
+			`Subject: ${message.subject}`,
+			`Date: ${new Date().toUTCString()}`,
+			"Content-Type: text/plain; charset=utf-8",
+			"",
+			message.text,
+		].join("\r\n");
+
+		const blob = new Blob([eml], { type: "message/rfc822" });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = `mail-${Date.now()}.eml`;
+		link.click();
+		URL.revokeObjectURL(url);
+	}
+}
+
+/**
+ * Build the channel described by a mail config object
+ * @param {Object} [config] - { channel: "console" | "file", ...channelOptions }
+ * @returns {Object} Channel with an async send(message) method
+ */
+export function createMailChannel(config = {}) {
+	switch (config.channel) {
+		case "file":
+			return new LocalFileMailChannel(config);
+		case "console":
+		case undefined:
+			return new ConsoleMailChannel();
+		default:
+			console.warn(`Unknown mail channel "${config.channel}", using console`);
+			return new ConsoleMailChannel();
+	}
+}
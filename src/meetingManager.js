@@ -11,11 +11,17 @@ export class MeetingManager {
 	 * Initialize the MeetingManager
 	 * @param {Object} dependencies - Required dependencies
 	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} [dependencies.leaveManager] - Leave shown on the calendar
 	 */
 	constructor(dependencies = {}) {
 		this.authSystem = dependencies.authSystem;
+		this.leaveManager = dependencies.leaveManager || null;
 		this.meetings = this.loadMeetings();
 		this.meetingIdCounter = this.getNextMeetingId();
+
+		// First day of the month shown in the calendar view
+		const today = new Date();
+		this.calendarMonth = new Date(today.getFullYear(), today.getMonth(), 1);
 	}
 
 	/**
@@ -194,6 +200,7 @@ export class MeetingManager {
 
 		this.meetings.push(meeting);
 		this.saveMeetings();
+		this.auditMeeting("meeting_created", meeting);
 
 		return meeting;
 	}
@@ -219,6 +226,7 @@ export class MeetingManager {
 		};
 
 		this.saveMeetings();
+		this.auditMeeting("meeting_updated", this.meetings[meetingIndex]);
 		return true;
 	}
 
@@ -236,10 +244,19 @@ export class MeetingManager {
 
 		this.meetings = this.meetings.filter((m) => m.id !== meetingId);
 		this.saveMeetings();
+		this.auditMeeting("meeting_deleted", meeting);
 
 		return true;
 	}
 
+	// Audited so changes made while viewing as someone else name the admin too
+	auditMeeting(action, meeting) {
+		this.authSystem.recordAudit(action, {
+			details: `"${meeting.title}" on ${meeting.date} at ${meeting.time}`,
+			metadata: { meetingId: meeting.id },
+		});
+	}
+
 	/**
 	 * Show modal to create a new meeting
 	 */
@@ -314,7 +331,9 @@ export class MeetingManager {
 			`Meeting "${meeting.title}" scheduled successfully`,
 			"success"
 		);
+		this.warnAboutConflicts(meeting);
 		ModalComponent.close();
+		this.refreshCalendar();
 	}
 
 	/**
@@ -387,7 +406,9 @@ export class MeetingManager {
 			onSubmit: (data) => {
 				if (this.updateMeeting(meetingId, data)) {
 					NotificationComponent.show("Meeting updated successfully", "success");
+					this.warnAboutConflicts(this.getMeeting(meetingId));
 					ModalComponent.close();
+					this.refreshCalendar();
 				}
 			},
 		});
@@ -413,6 +434,7 @@ export class MeetingManager {
 				if (this.deleteMeeting(meetingId)) {
 					NotificationComponent.show("Meeting deleted successfully", "success");
 					ModalComponent.close();
+					this.refreshCalendar();
 				}
 			},
 		});
@@ -474,6 +496,160 @@ export class MeetingManager {
 		`;
 	}
 
+	/**
+	 * Attendees of a meeting who are on approved leave that day
+	 * @param {Object} meeting - Meeting object
+	 * @returns {Array} [{ user, request, type }]
+	 */
+	getMeetingConflicts(meeting) {
+		if (!this.leaveManager) return [];
+		return this.leaveManager.findAttendeesOnLeave(
+			meeting.attendees,
+			meeting.date
+		);
+	}
+
+	/**
+	 * Tell the organiser when people they invited are out
+	 * @param {Object} meeting - Meeting object
+	 */
+	warnAboutConflicts(meeting) {
+		const conflicts = this.getMeetingConflicts(meeting);
+		if (conflicts.length === 0) return;
+
+		NotificationComponent.show(
+			`${conflicts
+				.map(({ user }) => user.name)
+				.join(", ")} ${conflicts.length === 1 ? "is" : "are"} on leave on ${
+				meeting.date
+			}`,
+			"warning"
+		);
+	}
+
+	/**
+	 * Render the month calendar with meetings and approved leave
+	 * @param {string} containerId - Container element ID
+	 */
+	renderCalendar(containerId = "calendarContainer") {
+		const container = document.getElementById(containerId);
+		if (!container) return;
+
+		const month = this.calendarMonth;
+		const year = month.getFullYear();
+		const monthIndex = month.getMonth();
+		const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+		const toKey = (day) =>
+			`${year}-${String(monthIndex + 1).padStart(2, "0")}-${String(
+				day
+			).padStart(2, "0")}`;
+
+		const leave = this.leaveManager
+			? this.leaveManager.getApprovedLeave(toKey(1), toKey(daysInMonth))
+			: [];
+		const today = new Date().toISOString().split("T")[0];
+
+		// Blank cells before the 1st so weeks start on Sunday
+		const cells = Array.from({ length: month.getDay() }, () => "<div></div>");
+		for (let day = 1; day <= daysInMonth; day++) {
+			const date = toKey(day);
+			const away = leave.filter(
+				(r) => r.startDate <= date && r.endDate >= date
+			);
+			const meetings = this.getMeetingsByDate(date).sort((a, b) =>
+				a.time.localeCompare(b.time)
+			);
+
+			cells.push(`
+				<div class="calendar-day ${date === today ? "today" : ""}">
+					<div class="calendar-date">${day}</div>
+					${away.map((request) => this.renderLeaveChip(request)).join("")}
+					${meetings.map((m) => this.renderCalendarMeeting(m)).join("")}
+				</div>
+			`);
+		}
+
+		container.innerHTML = `
+			<div class="calendar-toolbar">
+				<button class="btn btn-secondary btn-small" data-calendar-nav="-1">‹</button>
+				<h4>${month.toLocaleDateString("en-US", {
+					month: "long",
+					year: "numeric",
+				})}</h4>
+				<button class="btn btn-secondary btn-small" data-calendar-nav="1">›</button>
+				<button class="btn btn-outline btn-small" data-calendar-nav="0">Today</button>
+				<button class="btn btn-primary btn-small" onclick="window.studyHallApp.meetingManager.showCreateMeetingModal()">
+					+ Schedule Meeting
+				</button>
+			</div>
+			<div class="calendar-grid">
+				${["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+					.map((name) => `<div class="calendar-weekday">${name}</div>`)
+					.join("")}
+				${cells.join("")}
+			</div>
+		`;
+
+		container.querySelectorAll("[data-calendar-nav]").forEach((button) => {
+			button.addEventListener("click", () => {
+				const step = Number(button.dataset.calendarNav);
+				const now = new Date();
+				this.calendarMonth =
+					step === 0
+						? new Date(now.getFullYear(), now.getMonth(), 1)
+						: new Date(year, monthIndex + step, 1);
+				this.renderCalendar(containerId);
+			});
+		});
+	}
+
+	renderCalendarMeeting(meeting) {
+		const conflicts = this.getMeetingConflicts(meeting);
+		const warning =
+			conflicts.length > 0
+				? `Out that day: ${conflicts.map(({ user }) => user.name).join(", ")}`
+				: "";
+
+		return `
+			<div class="calendar-meeting ${conflicts.length > 0 ? "has-conflict" : ""}"
+				title="${warning || meeting.title}"
+				onclick="window.studyHallApp.meetingManager.showEditMeetingModal(${
+					meeting.id
+				})">
+				${conflicts.length > 0 ? "⚠️ " : ""}${meeting.time} ${meeting.title}
+			</div>
+		`;
+	}
+
+	// Colleagues see that someone is out; the type is only shown to the
+	// employee themselves and to HR
+	renderLeaveChip(request) {
+		const user = this.authSystem.authorizedUsers.find(
+			(u) => u.id === request.userId
+		);
+		const type = this.leaveManager.getType(request.typeId);
+		const showType =
+			request.userId === this.authSystem.getCurrentUser()?.id ||
+			this.authSystem.hasPermission("hr");
+
+		return `
+			<div class="calendar-leave" style="border-color: ${
+				showType ? type?.color : "#6B7280"
+			}">
+				🌴 ${user?.name || "Former employee"}${
+			showType && type ? ` · ${type.name}` : ""
+		}${request.halfDay ? " (½)" : ""}
+			</div>
+		`;
+	}
+
+	refreshCalendar() {
+		const container = document.getElementById("calendarContainer");
+		if (container && container.children.length > 0) {
+			this.renderCalendar();
+		}
+	}
+
 	/**
 	 * Format date for display
 	 * @param {string} dateString - Date in YYYY-MM-DD format
@@ -0,0 +1,418 @@
+/**
+ * Mock Identity Provider - A tiny OpenID Connect IdP that runs in the browser
+ * For trying single sign-on offline. `pages/mock-idp.html` is its
+ * authorization endpoint: it lets you pick a test identity and redirects back
+ * with a code. The token exchange runs in the login page through the same
+ * interface as HttpOidcEndpoints, with the state shared via localStorage.
+ * Codes are single-use, PKCE is enforced and ID tokens are really RS256-signed,
+ * so the client follows exactly the path it would against a real IdP.
+ */
+
+import { bytesToBase64Url, randomToken } from "./cryptoUtils.js";
+import { computeCodeChallenge } from "./oidc.js";
+
+export const MOCK_ISSUER = "mock";
+
+// Test accounts offered on the sign-in page. The last one is not in the
+// default directory, for trying out just-in-time provisioning.
+export const DEFAULT_MOCK_IDENTITIES = [
+	{
+		sub: "mock-admin",
+		email: "admin@studyhall.com",
+		given_name: "Admin",
+		family_name: "User",
+		groups: ["hr-team", "it-admins"],
+	},
+	{
+		sub: "mock-sarah",
+		email: "hr@studyhall.com",
+		given_name: "Sarah",
+		family_name: "Johnson",
+		groups: ["hr-team"],
+	},
+	{
+		sub: "mock-mike",
+		email: "manager@studyhall.com",
+		given_name: "Mike",
+		family_name: "Chen",
+		groups: ["operations", "managers"],
+	},
+	{
+		sub: "mock-jordan",
+		email: "jordan.lee@studyhall.com",
+		given_name: "Jordan",
+		family_name: "Lee",
+		groups: ["operations"],
+	},
+];
+
+export class MockIdentityProvider {
+	/**
+	 * @param {Object} [options]
+	 * @param {Array} [options.identities] - Accounts to offer, shaped like ID token claims
+	 * @param {string} [options.storageKey="study-hall-mock-idp"] - localStorage key for keys and codes
+	 */
+	constructor(options = {}) {
+		this.identities = options.identities || DEFAULT_MOCK_IDENTITIES;
+		this.storageKey = options.storageKey || "study-hall-mock-idp";
+		// Sits next to login.html, so this resolves the same from either page
+		this.issuer = new URL("mock-idp.html", window.location.href).href;
+		// The only client is this app, so codes only ever go back to its login page
+		this.loginPage = new URL("login.html", window.location.href);
+		this.codeLifetime = 60 * 1000; // 1 minute
+		this.tokenLifetime = 60 * 60; // seconds
+	}
+
+	loadState() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : { signingKey: null, codes: [] };
+		} catch (error) {
+			return { signingKey: null, codes: [] };
+		}
+	}
+
+	saveState(state) {
+		localStorage.setItem(this.storageKey, JSON.stringify(state));
+	}
+
+	/**
+	 * Discovery document, as served at /.well-known/openid-configuration
+	 * @returns {Promise<Object>} Provider metadata
+	 */
+	async discover() {
+		return {
+			issuer: this.issuer,
+			authorization_endpoint: this.issuer,
+			token_endpoint: `${this.issuer}#token`,
+			jwks_uri: `${this.issuer}#jwks`,
+			response_types_supported: ["code"],
+			grant_types_supported: ["authorization_code"],
+			code_challenge_methods_supported: ["S256"],
+			id_token_signing_alg_values_supported: ["RS256"],
+			scopes_supported: ["openid", "email", "profile", "groups"],
+			claims_supported: [
+				"sub",
+				"email",
+				"email_verified",
+				"name",
+				"given_name",
+				"family_name",
+				"groups",
+			],
+		};
+	}
+
+	/**
+	 * Public half of the signing key
+	 * @returns {Promise<Object>} JWKS
+	 */
+	async getJwks() {
+		const { publicJwk, kid } = await this.getSigningKey();
+		return {
+			keys: [
+				{
+					kty: "RSA",
+					n: publicJwk.n,
+					e: publicJwk.e,
+					kid,
+					alg: "RS256",
+					use: "sig",
+				},
+			],
+		};
+	}
+
+	/**
+	 * Load the RSA signing key, generating and saving it on first use
+	 * @returns {Promise<Object>} { privateJwk, publicJwk, kid }
+	 */
+	async getSigningKey() {
+		const state = this.loadState();
+		if (state.signingKey) return state.signingKey;
+
+		const pair = await crypto.subtle.generateKey(
+			{
+				name: "RSASSA-PKCS1-v1_5",
+				modulusLength: 2048,
+				publicExponent: new Uint8Array([1, 0, 1]),
+				hash: "SHA-256",
+			},
+			true,
+			["sign", "verify"]
+		);
+		state.signingKey = {
+			privateJwk: await crypto.subtle.exportKey("jwk", pair.privateKey),
+			publicJwk: await crypto.subtle.exportKey("jwk", pair.publicKey),
+			kid: `mock-${randomToken(6)}`,
+		};
+		this.saveState(state);
+		return state.signingKey;
+	}
+
+	/**
+	 * Check the query of an authorization request
+	 * @param {URLSearchParams} params - Query parameters
+	 * @returns {Object} { request } when valid, otherwise { error, description }
+	 */
+	parseAuthorizationRequest(params) {
+		const request = {
+			clientId: params.get("client_id"),
+			redirectUri: params.get("redirect_uri"),
+			scope: params.get("scope") || "",
+			state: params.get("state"),
+			nonce: params.get("nonce"),
+			codeChallenge: params.get("code_challenge"),
+			codeChallengeMethod: params.get("code_challenge_method"),
+		};
+
+		const fail = (error, description) => ({ error, description });
+
+		if (!request.clientId || !request.redirectUri) {
+			return fail("invalid_request", "client_id and redirect_uri are required");
+		}
+		if (!this.isAllowedRedirect(request.redirectUri)) {
+			return fail(
+				"invalid_request",
+				"redirect_uri must be this app's sign-in page"
+			);
+		}
+		if (params.get("response_type") !== "code") {
+			return fail("unsupported_response_type", "Only the code flow is supported");
+		}
+		if (!request.scope.split(" ").includes("openid")) {
+			return fail("invalid_scope", "The openid scope is required");
+		}
+		if (!request.codeChallenge || request.codeChallengeMethod !== "S256") {
+			return fail("invalid_request", "PKCE with S256 is required");
+		}
+		return { request };
+	}
+
+	/**
+	 * Issue an authorization code for the chosen identity
+	 * @param {Object} request - From parseAuthorizationRequest
+	 * @param {Object} identity - One of this.identities
+	 * @returns {string} Redirect URL carrying the code
+	 */
+	approve(request, identity) {
+		const code = randomToken(24);
+		const now = Date.now();
+		const state = this.loadState();
+
+		state.codes = state.codes
+			.filter((c) => c.expiresAt > now)
+			.concat({
+				code,
+				identity,
+				clientId: request.clientId,
+				redirectUri: request.redirectUri,
+				nonce: request.nonce,
+				codeChallenge: request.codeChallenge,
+				expiresAt: now + this.codeLifetime,
+			});
+		this.saveState(state);
+
+		return this.buildRedirect(request, { code });
+	}
+
+	/**
+	 * Redirect URL for a denied request
+	 * @param {Object} request - From parseAuthorizationRequest
+	 * @returns {string} Redirect URL carrying the error
+	 */
+	deny(request) {
+		return this.buildRedirect(request, {
+			error: "access_denied",
+			error_description: "Sign-in was cancelled at the identity provider",
+		});
+	}
+
+	isAllowedRedirect(redirectUri) {
+		try {
+			const url = new URL(redirectUri);
+			return (
+				url.origin === this.loginPage.origin &&
+				url.pathname === this.loginPage.pathname
+			);
+		} catch (error) {
+			return false;
+		}
+	}
+
+	buildRedirect(request, values) {
+		if (!this.isAllowedRedirect(request.redirectUri)) {
+			throw new Error("redirect_uri must be this app's sign-in page");
+		}
+		const url = new URL(request.redirectUri);
+		Object.entries({ ...values, state: request.state }).forEach(
+			([key, value]) => value && url.searchParams.set(key, value)
+		);
+		return url.toString();
+	}
+
+	/**
+	 * Token endpoint - swap a code and its PKCE verifier for an ID token
+	 * @param {Object} params - grant_type, code, redirect_uri, client_id, code_verifier
+	 * @returns {Promise<Object>} Token response, or { error, error_description }
+	 */
+	async exchangeCode(params) {
+		const fail = (error, description) => ({
+			error,
+			error_description: description,
+		});
+
+		if (params.grant_type !== "authorization_code") {
+			return fail(
+				"unsupported_grant_type",
+				"Only authorization_code is supported"
+			);
+		}
+
+		// Codes are removed as soon as they are presented, valid or not
+		const state = this.loadState();
+		const issued = state.codes.find((c) => c.code === params.code);
+		state.codes = state.codes.filter((c) => c.code !== params.code);
+		this.saveState(state);
+
+		if (!issued || issued.expiresAt < Date.now()) {
+			return fail("invalid_grant", "Authorization code is invalid or expired");
+		}
+		if (
+			issued.clientId !== params.client_id ||
+			issued.redirectUri !== params.redirect_uri
+		) {
+			return fail(
+				"invalid_grant",
+				"Authorization code was issued to another client"
+			);
+		}
+		if (
+			!params.code_verifier ||
+			(await computeCodeChallenge(params.code_verifier)) !==
+				issued.codeChallenge
+		) {
+			return fail("invalid_grant", "PKCE verification failed");
+		}
+
+		const now = Math.floor(Date.now() / 1000);
+		const { identity } = issued;
+		const idToken = await this.signJwt({
+			iss: this.issuer,
+			sub: identity.sub,
+			aud: issued.clientId,
+			iat: now,
+			exp: now + this.tokenLifetime,
+			nonce: issued.nonce,
+			email: identity.email,
+			email_verified: true,
+			name:
+				identity.name ||
+				`${identity.given_name} ${identity.family_name}`.trim(),
+			given_name: identity.given_name,
+			family_name: identity.family_name,
+			groups: identity.groups || [],
+		});
+
+		return {
+			access_token: randomToken(24),
+			token_type: "Bearer",
+			expires_in: this.tokenLifetime,
+			id_token: idToken,
+		};
+	}
+
+	async signJwt(payload) {
+		const { privateJwk, kid } = await this.getSigningKey();
+		const key = await crypto.subtle.importKey(
+			"jwk",
+			privateJwk,
+			{ name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+			false,
+			["sign"]
+		);
+
+		const encode = (value) =>
+			bytesToBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+		const header = { alg: "RS256", typ: "JWT", kid };
+		const signingInput = `${encode(header)}.${encode(payload)}`;
+		const signature = await crypto.subtle.sign(
+			"RSASSA-PKCS1-v1_5",
+			key,
+			new TextEncoder().encode(signingInput)
+		);
+
+		return `${signingInput}.${bytesToBase64Url(new Uint8Array(signature))}`;
+	}
+
+	/**
+	 * Render the sign-in page into mock-idp.html. Everything shown comes from
+	 * the query string or the identities, so it is set as text, never HTML.
+	 * @param {HTMLElement} container - Element to render into
+	 */
+	initAuthorizationPage(container) {
+		const { request, error, description } = this.parseAuthorizationRequest(
+			new URLSearchParams(window.location.search)
+		);
+		const element = (tag, className, text) => {
+			const node = document.createElement(tag);
+			if (className) node.className = className;
+			if (text !== undefined) node.textContent = text;
+			return node;
+		};
+
+		container.replaceChildren();
+
+		if (error) {
+			container.append(
+				element(
+					"p",
+					"login-subtitle",
+					"This sign-in request can't be completed."
+				),
+				element("div", "form-message error", `${description} (${error})`)
+			);
+			return;
+		}
+
+		const subtitle = element("p", "login-subtitle");
+		subtitle.append(
+			element("strong", "", request.clientId),
+			" wants to sign you in. Choose a test account:"
+		);
+
+		const list = element("div", "mock-idp-identities");
+		this.identities.forEach((identity) => {
+			const button = element("button", "btn btn-outline mock-idp-identity");
+			button.type = "button";
+			button.append(
+				element(
+					"strong",
+					"",
+					`${identity.given_name} ${identity.family_name}`
+				),
+				element("span", "", identity.email),
+				element(
+					"span",
+					"mock-idp-groups",
+					`Groups: ${(identity.groups || []).join(", ") || "none"}`
+				)
+			);
+			button.addEventListener("click", () => {
+				window.location.href = this.approve(request, identity);
+			});
+			list.append(button);
+		});
+
+		const help = element("div", "login-help");
+		const cancel = element("a", "forgot-password", "Cancel");
+		cancel.href = "#";
+		cancel.addEventListener("click", (e) => {
+			e.preventDefault();
+			window.location.href = this.deny(request);
+		});
+		help.append(cancel);
+
+		container.append(subtitle, list, help);
+	}
+}
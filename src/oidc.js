@@ -0,0 +1,323 @@
+/**
+ * OIDC - OpenID Connect authorization code flow with PKCE (RFC 7636)
+ * The browser is a public client: there is no client secret, and the
+ * code_verifier proves the token request comes from whoever started the login.
+ * ID tokens must be RS256-signed and are checked against the issuer's JWKS.
+ */
+
+import {
+	base64UrlToBytes,
+	bytesToBase64Url,
+	constantTimeEqual,
+	randomToken,
+} from "./cryptoUtils.js";
+
+// Allowed difference between our clock and the IdP's when checking exp/iat
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Promise<Object>} { verifier, challenge }
+ */
+export async function createPkcePair() {
+	const verifier = randomToken(32);
+	return { verifier, challenge: await computeCodeChallenge(verifier) };
+}
+
+/**
+ * S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} Base64url SHA-256 of the verifier
+ */
+export async function computeCodeChallenge(verifier) {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(verifier)
+	);
+	return bytesToBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Split a JWT into its decoded parts without verifying it
+ * @param {string} token - Compact JWT
+ * @returns {Object} { header, payload, signingInput, signature }
+ */
+export function decodeJwt(token) {
+	const parts = String(token || "").split(".");
+	if (parts.length !== 3) {
+		throw new Error("Malformed ID token");
+	}
+
+	const decodePart = (part) =>
+		JSON.parse(new TextDecoder().decode(base64UrlToBytes(part)));
+
+	return {
+		header: decodePart(parts[0]),
+		payload: decodePart(parts[1]),
+		signingInput: `${parts[0]}.${parts[1]}`,
+		signature: base64UrlToBytes(parts[2]),
+	};
+}
+
+/**
+ * Verify an ID token's signature and standard claims (OIDC Core 3.1.3.7)
+ * @param {string} idToken - Compact JWT
+ * @param {Object} expected
+ * @param {Object} expected.jwks - Issuer key set, { keys: [...] }
+ * @param {string} expected.issuer - Required `iss`
+ * @param {string} expected.clientId - Required `aud`
+ * @param {string} expected.nonce - Nonce sent with the authorization request
+ * @param {number} [expected.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} Verified claims
+ */
+export async function verifyIdToken(idToken, expected) {
+	const { header, payload, signingInput, signature } = decodeJwt(idToken);
+
+	if (header.alg !== "RS256") {
+		throw new Error(`Unsupported ID token algorithm "${header.alg}"`);
+	}
+
+	const jwk = (expected.jwks?.keys || []).find(
+		(key) => key.kty === "RSA" && (!header.kid || key.kid === header.kid)
+	);
+	if (!jwk) {
+		throw new Error("No matching signing key for ID token");
+	}
+
+	const key = await crypto.subtle.importKey(
+		"jwk",
+		{ kty: jwk.kty, n: jwk.n, e: jwk.e, alg: "RS256", ext: true },
+		{ name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+		false,
+		["verify"]
+	);
+	const valid = await crypto.subtle.verify(
+		"RSASSA-PKCS1-v1_5",
+		key,
+		signature,
+		new TextEncoder().encode(signingInput)
+	);
+	if (!valid) {
+		throw new Error("ID token signature is invalid");
+	}
+
+	const now = Math.floor((expected.now ?? Date.now()) / 1000);
+	const audiences = [].concat(payload.aud);
+
+	if (payload.iss !== expected.issuer) {
+		throw new Error("ID token was issued by an unexpected issuer");
+	}
+	if (!audiences.includes(expected.clientId)) {
+		throw new Error("ID token was issued for a different client");
+	}
+	if (!payload.exp || payload.exp + CLOCK_SKEW_SECONDS < now) {
+		throw new Error("ID token has expired");
+	}
+	if (payload.iat && payload.iat - CLOCK_SKEW_SECONDS > now) {
+		throw new Error("ID token was issued in the future");
+	}
+	if (!payload.nonce || !constantTimeEqual(payload.nonce, expected.nonce)) {
+		throw new Error("ID token nonce does not match this sign-in");
+	}
+	if (!payload.sub) {
+		throw new Error("ID token has no subject");
+	}
+
+	return payload;
+}
+
+/**
+ * Talks to a real identity provider over HTTP. The mock IdP in mockIdp.js
+ * implements the same three methods in the browser.
+ */
+export class HttpOidcEndpoints {
+	/**
+	 * @param {string} issuer - Issuer URL; discovery is read from /.well-known/openid-configuration
+	 * @param {Object} [options]
+	 * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+	 */
+	constructor(issuer, options = {}) {
+		this.issuer = issuer.replace(/\/$/, "");
+		this.timeout = options.timeout || 10000;
+		this.metadata = null;
+	}
+
+	/**
+	 * Fetch (once) the issuer's discovery document
+	 * @returns {Promise<Object>} OpenID provider metadata
+	 */
+	async discover() {
+		if (!this.metadata) {
+			const response = await this.request(
+				`${this.issuer}/.well-known/openid-configuration`
+			);
+			this.metadata = await response.json();
+		}
+		return this.metadata;
+	}
+
+	/**
+	 * Exchange an authorization code at the token endpoint
+	 * @param {Object} params - Form parameters (grant_type, code, code_verifier, ...)
+	 * @returns {Promise<Object>} Token response
+	 */
+	async exchangeCode(params) {
+		const { token_endpoint } = await this.discover();
+		const response = await this.request(token_endpoint, {
+			method: "POST",
+			headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			body: new URLSearchParams(params).toString(),
+		});
+		return response.json();
+	}
+
+	/**
+	 * Fetch the issuer's signing keys
+	 * @returns {Promise<Object>} JWKS
+	 */
+	async getJwks() {
+		const { jwks_uri } = await this.discover();
+		const response = await this.request(jwks_uri);
+		return response.json();
+	}
+
+	async request(url, init = {}) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), this.timeout);
+
+		try {
+			const response = await fetch(url, { ...init, signal: controller.signal });
+			if (!response.ok) {
+				throw new Error(`Identity provider responded with ${response.status}`);
+			}
+			return response;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+export class OidcClient {
+	/**
+	 * Initialize the OidcClient
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.endpoints - HttpOidcEndpoints or MockIdentityProvider
+	 * @param {string} dependencies.clientId - Client ID registered with the IdP
+	 * @param {string} dependencies.redirectUri - Where the IdP sends the browser back to
+	 * @param {string} [dependencies.scope="openid email profile"] - Requested scopes
+	 * @param {Storage} [dependencies.storage=sessionStorage] - Holds the in-flight request
+	 */
+	constructor(dependencies = {}) {
+		this.endpoints = dependencies.endpoints;
+		this.clientId = dependencies.clientId;
+		this.redirectUri = dependencies.redirectUri;
+		this.scope = dependencies.scope || "openid email profile";
+		this.storage = dependencies.storage || sessionStorage;
+		this.pendingKey = "study-hall-oidc-pending";
+		this.pendingLifetime = 10 * 60 * 1000; // 10 minutes
+	}
+
+	/**
+	 * Start a sign-in: remember state, nonce and verifier for this tab and
+	 * build the authorization URL to send the browser to
+	 * @param {Object} [extra] - Kept with the request and handed back by completeLogin
+	 * @returns {Promise<string>} Authorization URL
+	 */
+	async beginLogin(extra = {}) {
+		const metadata = await this.endpoints.discover();
+		const { verifier, challenge } = await createPkcePair();
+		const state = randomToken(16);
+		const nonce = randomToken(16);
+
+		this.storage.setItem(
+			this.pendingKey,
+			JSON.stringify({
+				state,
+				nonce,
+				verifier,
+				extra,
+				createdAt: Date.now(),
+			})
+		);
+
+		const url = new URL(metadata.authorization_endpoint);
+		const params = {
+			response_type: "code",
+			client_id: this.clientId,
+			redirect_uri: this.redirectUri,
+			scope: this.scope,
+			state,
+			nonce,
+			code_challenge: challenge,
+			code_challenge_method: "S256",
+		};
+		Object.entries(params).forEach(([key, value]) =>
+			url.searchParams.set(key, value)
+		);
+		return url.toString();
+	}
+
+	/**
+	 * Finish a sign-in from the redirect back to redirectUri
+	 * @param {URLSearchParams} params - Query parameters of the redirect
+	 * @returns {Promise<Object>} { claims, extra }
+	 */
+	async completeLogin(params) {
+		const pending = this.takePendingRequest();
+
+		if (params.get("error")) {
+			throw new Error(
+				params.get("error_description") ||
+					`Identity provider returned "${params.get("error")}"`
+			);
+		}
+		if (!pending || !constantTimeEqual(params.get("state") || "", pending.state)) {
+			throw new Error("This sign-in link is no longer valid. Please try again.");
+		}
+		if (!params.get("code")) {
+			throw new Error("Identity provider did not return an authorization code");
+		}
+
+		const tokens = await this.endpoints.exchangeCode({
+			grant_type: "authorization_code",
+			code: params.get("code"),
+			redirect_uri: this.redirectUri,
+			client_id: this.clientId,
+			code_verifier: pending.verifier,
+		});
+		if (tokens.error || !tokens.id_token) {
+			throw new Error(
+				tokens.error_description || "Identity provider did not return an ID token"
+			);
+		}
+
+		const metadata = await this.endpoints.discover();
+		const claims = await verifyIdToken(tokens.id_token, {
+			jwks: await this.endpoints.getJwks(),
+			issuer: metadata.issuer,
+			clientId: this.clientId,
+			nonce: pending.nonce,
+		});
+
+		return { claims, extra: pending.extra || {} };
+	}
+
+	/**
+	 * Read and forget the in-flight request so a callback can't be replayed
+	 * @returns {Object|null} Pending request, or null when missing or stale
+	 */
+	takePendingRequest() {
+		const saved = this.storage.getItem(this.pendingKey);
+		this.storage.removeItem(this.pendingKey);
+		if (!saved) return null;
+
+		try {
+			const pending = JSON.parse(saved);
+			return Date.now() - pending.createdAt > this.pendingLifetime
+				? null
+				: pending;
+		} catch (error) {
+			return null;
+		}
+	}
+}
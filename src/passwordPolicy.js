@@ -0,0 +1,185 @@
+/**
+ * Password Policy - Rules a new password must satisfy
+ * The active policy is admin-editable and stored with the security settings;
+ * AuthSystem applies it on user creation, password reset and password change.
+ * Reuse history needs the stored hashes, so AuthSystem checks that part itself.
+ */
+
+export const DEFAULT_PASSWORD_POLICY = {
+	minLength: 8,
+	requireLowercase: true,
+	requireUppercase: false,
+	requireNumber: true,
+	requireSymbol: false,
+	blockCommonPasswords: true,
+	blockedPasswords: [], // extra organisation-specific words
+	historySize: 5, // previous passwords that cannot be reused; 0 disables
+	maxAgeDays: 0, // days before a password must be changed; 0 disables
+};
+
+// Most frequently breached passwords (lower-cased)
+export const COMMON_PASSWORDS = new Set([
+	"123456",
+	"123456789",
+	"12345678",
+	"1234567890",
+	"12345",
+	"1234567",
+	"111111",
+	"000000",
+	"123123",
+	"654321",
+	"666666",
+	"121212",
+	"112233",
+	"987654321",
+	"password",
+	"password1",
+	"password12",
+	"password123",
+	"password!",
+	"passw0rd",
+	"p@ssw0rd",
+	"p@ssword",
+	"qwerty",
+	"qwerty123",
+	"qwertyuiop",
+	"1q2w3e4r",
+	"1qaz2wsx",
+	"zaq12wsx",
+	"asdfghjkl",
+	"asdf1234",
+	"abc123",
+	"abcd1234",
+	"iloveyou",
+	"welcome",
+	"welcome1",
+	"welcome123",
+	"admin",
+	"admin123",
+	"administrator",
+	"root",
+	"letmein",
+	"letmein1",
+	"monkey",
+	"dragon",
+	"football",
+	"baseball",
+	"superman",
+	"batman",
+	"sunshine",
+	"princess",
+	"shadow",
+	"master",
+	"michael",
+	"charlie",
+	"trustno1",
+	"starwars",
+	"whatever",
+	"freedom",
+	"hello123",
+	"login",
+	"changeme",
+	"default",
+	"secret",
+	"test123",
+	"guest",
+	"summer2024",
+	"winter2024",
+	"spring2025",
+	"summer2025",
+	"autumn2025",
+	"winter2025",
+	"company123",
+	"studyhall",
+	"studyhall1",
+	"studyhall123",
+]);
+
+/**
+ * Fill in any settings missing from a stored policy
+ * @param {Object} [policy] - Stored policy
+ * @returns {Object} Complete policy
+ */
+export function normalizePolicy(policy = {}) {
+	return { ...DEFAULT_PASSWORD_POLICY, ...policy };
+}
+
+/**
+ * Check a password against the policy's composition rules
+ * @param {string} password - Candidate password
+ * @param {Object} policy - Password policy
+ * @returns {Array<string>} Error messages; empty when the password is acceptable
+ */
+export function checkPassword(password, policy) {
+	const rules = normalizePolicy(policy);
+	const errors = [];
+
+	if (!password) {
+		return ["Password is required"];
+	}
+
+	if (password.length < rules.minLength) {
+		errors.push(`Password must be at least ${rules.minLength} characters`);
+	}
+	if (rules.requireLowercase && !/[a-z]/.test(password)) {
+		errors.push("Password must include a lowercase letter");
+	}
+	if (rules.requireUppercase && !/[A-Z]/.test(password)) {
+		errors.push("Password must include an uppercase letter");
+	}
+	if (rules.requireNumber && !/\d/.test(password)) {
+		errors.push("Password must include a number");
+	}
+	if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+		errors.push("Password must include a symbol");
+	}
+
+	const lowered = password.toLowerCase();
+	const blocked = rules.blockedPasswords.map((word) => word.toLowerCase());
+	if (
+		(rules.blockCommonPasswords && COMMON_PASSWORDS.has(lowered)) ||
+		blocked.some((word) => word && lowered.includes(word))
+	) {
+		errors.push("That password is too common. Choose something harder to guess");
+	}
+
+	return errors;
+}
+
+/**
+ * Human-readable list of the policy's requirements, for form hints
+ * @param {Object} policy - Password policy
+ * @returns {Array<string>} Requirement descriptions
+ */
+export function describePolicy(policy) {
+	const rules = normalizePolicy(policy);
+	const requirements = [`At least ${rules.minLength} characters`];
+
+	if (rules.requireLowercase) requirements.push("a lowercase letter");
+	if (rules.requireUppercase) requirements.push("an uppercase letter");
+	if (rules.requireNumber) requirements.push("a number");
+	if (rules.requireSymbol) requirements.push("a symbol");
+	if (rules.historySize > 0) {
+		requirements.push(`not one of your last ${rules.historySize} passwords`);
+	}
+
+	return requirements;
+}
+
+/**
+ * Whether a password has outlived the policy's maximum age
+ * @param {string|null} changedAt - ISO timestamp of the last change
+ * @param {Object} policy - Password policy
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True when the password must be changed
+ */
+export function isPasswordExpired(changedAt, policy, now = Date.now()) {
+	const { maxAgeDays } = normalizePolicy(policy);
+	if (!maxAgeDays) return false;
+
+	// No recorded change date means the age is unknown - treat as expired
+	if (!changedAt) return true;
+
+	return now - new Date(changedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+}
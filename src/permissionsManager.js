@@ -84,21 +84,39 @@ export class PermissionsManager {
 		try {
 			const saved = localStorage.getItem("study-hall-feature-flags");
 			if (saved) {
-				return JSON.parse(saved);
+				// Flags added since the last save fall back to their defaults
+				return { ...this.getDefaultFeatureFlags(), ...JSON.parse(saved) };
 			}
 		} catch (error) {
 			console.warn("Failed to load feature flags:", error);
 		}
 
-		// Default feature flags
+		return this.getDefaultFeatureFlags();
+	}
+
+	getDefaultFeatureFlags() {
 		return {
 			dashboard: { enabled: true, requiredPermissions: ["employee"] },
 			tasks: { enabled: true, requiredPermissions: ["employee"] },
 			calendar: { enabled: true, requiredPermissions: ["employee"] },
+			leave: {
+				enabled: true,
+				requiredPermissions: ["employee", "hr", "operations"],
+			},
+			timesheets: {
+				enabled: true,
+				requiredPermissions: ["employee", "operations", "hr"],
+			},
+			reviews: {
+				enabled: true,
+				requiredPermissions: ["employee", "hr", "operations"],
+			},
 			documents: { enabled: true, requiredPermissions: ["employee"] },
 			policies: { enabled: true, requiredPermissions: ["employee"] },
-			training: { enabled: true, requiredPermissions: ["hr", "admin"] },
+			training: { enabled: true, requiredPermissions: ["employee", "hr"] },
+			skills: { enabled: true, requiredPermissions: ["employee"] },
 			users: { enabled: true, requiredPermissions: ["hr", "admin"] },
+			departments: { enabled: true, requiredPermissions: ["admin"] },
 			reports: {
 				enabled: true,
 				requiredPermissions: ["hr", "admin", "operations"],
@@ -109,6 +127,15 @@ export class PermissionsManager {
 			chat: { enabled: false, requiredPermissions: ["employee"] },
 			recordings: { enabled: false, requiredPermissions: ["hr", "admin"] },
 			goals: { enabled: true, requiredPermissions: ["employee"] },
+			recruiting: { enabled: true, requiredPermissions: ["employee", "hr"] },
+			compensation: {
+				enabled: true,
+				requiredPermissions: ["employee", "finance", "hr"],
+			},
+			headcount: {
+				enabled: true,
+				requiredPermissions: ["employee", "finance", "hr"],
+			},
 		};
 	}
 
@@ -314,12 +341,45 @@ export class PermissionsManager {
 			{ id: "dashboard", label: "Dashboard", icon: "📊", feature: "dashboard" },
 			{ id: "tasks", label: "Tasks", icon: "✅", feature: "tasks" },
 			{ id: "calendar", label: "Calendar", icon: "📅", feature: "calendar" },
+			{ id: "leave", label: "Time Off", icon: "🌴", feature: "leave" },
+			{
+				id: "timesheets",
+				label: "Timesheets",
+				icon: "⏱️",
+				feature: "timesheets",
+			},
+			{ id: "reviews", label: "Reviews", icon: "📝", feature: "reviews" },
 			{ id: "documents", label: "Documents", icon: "📄", feature: "documents" },
 			{ id: "policies", label: "Policies", icon: "📋", feature: "policies" },
 			{ id: "training", label: "Training", icon: "🎓", feature: "training" },
+			{ id: "skills", label: "Skills", icon: "🧠", feature: "skills" },
 			{ id: "goals", label: "Goals", icon: "🎯", feature: "goals" },
+			{
+				id: "recruiting",
+				label: "Recruiting",
+				icon: "🧲",
+				feature: "recruiting",
+			},
+			{
+				id: "compensation",
+				label: "Compensation",
+				icon: "💰",
+				feature: "compensation",
+			},
+			{
+				id: "headcount",
+				label: "Headcount",
+				icon: "🧮",
+				feature: "headcount",
+			},
 			{ id: "chat", label: "Chat", icon: "💬", feature: "chat" },
 			{ id: "users", label: "Users", icon: "👥", feature: "users" },
+			{
+				id: "departments",
+				label: "Departments",
+				icon: "🏬",
+				feature: "departments",
+			},
 			{ id: "reports", label: "Reports", icon: "📈", feature: "reports" },
 			{
 				id: "recordings",
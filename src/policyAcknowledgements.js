@@ -0,0 +1,404 @@
+/**
+ * Policy Acknowledgements - Proof that employees read published policies
+ * Documents flagged as requiring acknowledgement ask everyone in their
+ * audience to sign off on the published version. Each request carries a
+ * task; publishing a new version supersedes open requests and asks again.
+ * HR reports on who has acknowledged each version.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const SIGNOFF_STATUSES = {
+	pending: "Awaiting sign-off",
+	acknowledged: "Acknowledged",
+	superseded: "Superseded by a new version",
+	withdrawn: "No longer required",
+};
+
+export const AUDIENCE_TYPES = {
+	everyone: "Everyone",
+	departments: "Departments",
+	roles: "Roles",
+};
+
+export class PolicyAcknowledgementManager {
+	/**
+	 * Initialize the PolicyAcknowledgementManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employees
+	 * @param {Object} dependencies.documentManager - Policy documents
+	 * @param {Object} dependencies.taskManager - Sign-off tasks
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.documentManager = dependencies.documentManager;
+		this.taskManager = dependencies.taskManager;
+
+		this.storageKey = "study-hall-policy-acknowledgements";
+		this.signoffs = this.loadSignoffs();
+	}
+
+	/**
+	 * Ask for sign-off whenever a version is published, and bring new or
+	 * moved employees into the audiences they now belong to
+	 */
+	start() {
+		window.addEventListener("documentPublished", (event) =>
+			this.syncDocument(event.detail.documentId)
+		);
+		window.addEventListener("userCreated", () => this.syncAll());
+		window.addEventListener("userUpdated", () => this.syncAll());
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+
+		this.syncAll();
+	}
+
+	loadSignoffs() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load policy acknowledgements:", error);
+			return [];
+		}
+	}
+
+	saveSignoffs() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.signoffs));
+		window.dispatchEvent(new CustomEvent("acknowledgementsUpdated"));
+	}
+
+	// ========================
+	// POLICIES
+	// ========================
+
+	/**
+	 * Documents shown as policies: anything typed or filed as a policy, and
+	 * anything that asks for acknowledgement
+	 * @returns {Array} Documents, those needing sign-off first
+	 */
+	getPolicies() {
+		return this.documentManager.documents
+			.filter(
+				(doc) =>
+					doc.type === "policy" ||
+					/polic(y|ies)$/.test(doc.category) ||
+					doc.requiresAcknowledgment
+			)
+			.sort(
+				(a, b) =>
+					Number(Boolean(b.requiresAcknowledgment)) -
+						Number(Boolean(a.requiresAcknowledgment)) ||
+					a.title.localeCompare(b.title)
+			);
+	}
+
+	/**
+	 * Change who has to acknowledge a document, then ask them
+	 * @param {number} documentId - Document ID
+	 * @param {Object} settings - { required, audience, values, dueInDays }
+	 * @returns {Object} The document
+	 */
+	setRequirement(documentId, settings) {
+		const document = this.documentManager.setAcknowledgementRequirement(
+			documentId,
+			settings
+		);
+
+		this.authSystem.recordAudit("policy_acknowledgement_configured", {
+			details: document.requiresAcknowledgment
+				? `"${document.title}" requires acknowledgement from ${this.describeAudience(
+						document
+				  )}`
+				: `"${document.title}" no longer requires acknowledgement`,
+			metadata: { documentId },
+		});
+
+		this.syncDocument(documentId);
+		return document;
+	}
+
+	getAudienceSettings(document) {
+		return {
+			audience: "everyone",
+			values: [],
+			dueInDays: 14,
+			...document.acknowledgement,
+		};
+	}
+
+	/**
+	 * Active employees who must acknowledge a document
+	 * @param {Object} document - Document
+	 * @returns {Array} Users
+	 */
+	getAudience(document) {
+		if (!document.requiresAcknowledgment) return [];
+		const { audience, values } = this.getAudienceSettings(document);
+
+		return this.authSystem.authorizedUsers.filter(
+			(user) =>
+				user.status !== "inactive" &&
+				(audience === "everyone" ||
+					(audience === "departments" && values.includes(user.department)) ||
+					(audience === "roles" && values.includes(user.role)))
+		);
+	}
+
+	describeAudience(document) {
+		const { audience, values } = this.getAudienceSettings(document);
+		return audience === "everyone" ? "everyone" : values.join(", ");
+	}
+
+	// ========================
+	// SIGN-OFF REQUESTS
+	// ========================
+
+	syncAll() {
+		return this.documentManager.documents.reduce(
+			(created, document) => created + this.syncDocument(document.id),
+			0
+		);
+	}
+
+	/**
+	 * Bring a document's sign-off requests in line with its published
+	 * version and audience: supersede requests for older versions, withdraw
+	 * those for people no longer in the audience, and ask everyone who
+	 * hasn't acknowledged this version yet
+	 * @param {number} documentId - Document ID
+	 * @returns {number} Requests created
+	 */
+	syncDocument(documentId) {
+		const document = this.documentManager.getDocumentById(documentId);
+		const live = document?.status === "published";
+		const audience = live ? this.getAudience(document) : [];
+		const audienceIds = audience.map((user) => user.id);
+		let changed = false;
+
+		this.signoffs
+			.filter((s) => s.documentId === documentId && s.status === "pending")
+			.forEach((signoff) => {
+				if (live && signoff.version !== document.version) {
+					this.closeSignoff(signoff, "superseded");
+					changed = true;
+				} else if (!audienceIds.includes(signoff.userId)) {
+					this.closeSignoff(signoff, "withdrawn");
+					changed = true;
+				}
+			});
+
+		const created = audience.filter(
+			(user) => !this.getSignoff(documentId, document.version, user.id)
+		);
+		created.forEach((user) => this.requestSignoff(document, user));
+
+		if (changed || created.length > 0) this.saveSignoffs();
+		return created.length;
+	}
+
+	requestSignoff(document, user) {
+		const { dueInDays } = this.getAudienceSettings(document);
+		const dueDate = new Date();
+		dueDate.setDate(dueDate.getDate() + dueInDays);
+
+		const signoff = {
+			id: `signoff-${randomToken(9)}`,
+			documentId: document.id,
+			version: document.version,
+			title: document.title,
+			userId: user.id,
+			status: "pending",
+			requestedAt: new Date().toISOString(),
+			dueDate: dueDate.toISOString().split("T")[0],
+			acknowledgedAt: null,
+			taskId: null,
+		};
+
+		const task = this.taskManager.createTask({
+			title: `Acknowledge policy: ${document.title} (v${document.version})`,
+			description: `Read "${document.title}" version ${document.version} and confirm you understand it. Open Policies to sign off.`,
+			priority: "MEDIUM",
+			assignedTo: [user.email],
+			department: user.department,
+			dueDate: signoff.dueDate,
+			category: "compliance",
+			tags: ["policy", `document-${document.id}`],
+		});
+		signoff.taskId = task.id;
+
+		this.signoffs.push(signoff);
+		return signoff;
+	}
+
+	closeSignoff(signoff, status) {
+		signoff.status = status;
+		const task = this.taskManager.getTask(signoff.taskId);
+		if (task && !["completed", "cancelled"].includes(task.status)) {
+			this.taskManager.updateTask(task.id, { status: "cancelled" });
+		}
+	}
+
+	/**
+	 * Confirm the current user has read the published version of a document
+	 * @param {number} documentId - Document ID
+	 * @returns {Object} The sign-off
+	 */
+	acknowledge(documentId) {
+		const user = this.authSystem.getCurrentUser();
+		const document = this.documentManager.getDocumentById(documentId);
+		if (!user || !document) {
+			throw new Error("Document not found");
+		}
+		if (document.status !== "published") {
+			throw new Error("Only published documents can be acknowledged");
+		}
+
+		const signoff = this.getSignoff(documentId, document.version, user.id);
+		if (signoff?.status === "acknowledged") {
+			throw new Error(`You already acknowledged version ${document.version}`);
+		}
+		if (!signoff || signoff.status !== "pending") {
+			throw new Error("Your sign-off isn't needed for this document");
+		}
+
+		signoff.status = "acknowledged";
+		signoff.acknowledgedAt = new Date().toISOString();
+		if (this.taskManager.getTask(signoff.taskId)) {
+			this.taskManager.updateTaskProgress(signoff.taskId, 100);
+		}
+		this.saveSignoffs();
+
+		this.authSystem.recordAudit("policy_acknowledged", {
+			target: user,
+			details: `"${document.title}" version ${document.version}`,
+			metadata: { documentId, version: document.version },
+		});
+		return signoff;
+	}
+
+	// ========================
+	// QUERIES AND REPORTS
+	// ========================
+
+	getSignoff(documentId, version, userId) {
+		return (
+			this.signoffs.find(
+				(s) =>
+					s.documentId === documentId &&
+					s.version === version &&
+					s.userId === userId &&
+					s.status !== "withdrawn"
+			) || null
+		);
+	}
+
+	/**
+	 * Policies the user still has to sign off, oldest request first
+	 * @param {string} userId - Employee ID
+	 * @returns {Array} Pending sign-offs
+	 */
+	getPendingForUser(userId) {
+		return this.signoffs
+			.filter((s) => s.userId === userId && s.status === "pending")
+			.sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+	}
+
+	// The user's most recent acknowledgement of a document, of any version
+	getLatestAcknowledgement(documentId, userId) {
+		return (
+			this.signoffs
+				.filter(
+					(s) =>
+						s.documentId === documentId &&
+						s.userId === userId &&
+						s.status === "acknowledged"
+				)
+				.sort((a, b) => b.acknowledgedAt.localeCompare(a.acknowledgedAt))[0] ||
+			null
+		);
+	}
+
+	/**
+	 * Who has and hasn't acknowledged a document's published version
+	 * @param {number} documentId - Document ID
+	 * @returns {Object} { document, version, rows, totals }. Each row has
+	 *   the user, their sign-off for this version, and the last version
+	 *   they acknowledged.
+	 */
+	getComplianceReport(documentId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to view compliance reports");
+		}
+		const document = this.documentManager.getDocumentById(documentId);
+		if (!document) {
+			throw new Error("Document not found");
+		}
+
+		const today = new Date().toISOString().split("T")[0];
+		const rows = this.getAudience(document)
+			.map((user) => {
+				const signoff = this.getSignoff(documentId, document.version, user.id);
+				const latest = this.getLatestAcknowledgement(documentId, user.id);
+				return {
+					user,
+					signoff,
+					acknowledged: signoff?.status === "acknowledged",
+					overdue: signoff?.status === "pending" && signoff.dueDate < today,
+					previousVersion:
+						latest && latest.version !== document.version
+							? latest.version
+							: null,
+				};
+			})
+			.sort(
+				(a, b) =>
+					Number(a.acknowledged) - Number(b.acknowledged) ||
+					a.user.name.localeCompare(b.user.name)
+			);
+
+		const acknowledged = rows.filter((row) => row.acknowledged).length;
+		return {
+			document,
+			version: document.version,
+			rows,
+			totals: {
+				audience: rows.length,
+				acknowledged,
+				outstanding: rows.length - acknowledged,
+				overdue: rows.filter((row) => row.overdue).length,
+				percent: rows.length
+					? Math.round((acknowledged / rows.length) * 100)
+					: 100,
+			},
+		};
+	}
+
+	/**
+	 * Compliance totals for every document that requires acknowledgement
+	 * @returns {Array} { document, totals }
+	 */
+	getComplianceSummary() {
+		return this.getPolicies()
+			.filter((doc) => doc.requiresAcknowledgment && doc.status === "published")
+			.map((document) => ({
+				document,
+				totals: this.getComplianceReport(document.id).totals,
+			}));
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	removeUsers(userIds) {
+		this.signoffs
+			.filter((s) => userIds.includes(s.userId) && s.status === "pending")
+			.forEach((signoff) => this.closeSignoff(signoff, "withdrawn"));
+		this.saveSignoffs();
+	}
+}
@@ -0,0 +1,555 @@
+/**
+ * Policy UI Manager - Policies view
+ * Policies awaiting the signed-in user's sign-off, every policy with their
+ * acknowledgement status, and for HR the audience settings and compliance
+ * report of each published version.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import { AUDIENCE_TYPES, SIGNOFF_STATUSES } from "./policyAcknowledgements.js";
+
+export class PolicyUIManager {
+	constructor(acknowledgementManager, app) {
+		this.acknowledgementManager = acknowledgementManager;
+		this.documentManager = acknowledgementManager.documentManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+
+		// Prompt once per session rather than on every re-render
+		this.prompted = false;
+		// Policy left open while the user signs it off
+		this.policyModal = null;
+
+		window.addEventListener("acknowledgementsUpdated", () => this.refresh());
+		window.addEventListener("documentPublished", () => this.refresh());
+	}
+
+	/**
+	 * Render the Policies view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "policiesContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const canManage = this.authSystem.canManageUsers();
+		const pending = this.acknowledgementManager.getPendingForUser(user.id);
+
+		container.innerHTML = `
+			${
+				pending.length > 0
+					? `
+				<section class="policy-section">
+					<h4>Awaiting your sign-off</h4>
+					${this.renderPending(pending)}
+				</section>
+			`
+					: ""
+			}
+
+			${canManage ? this.renderCompliance() : ""}
+
+			<section class="policy-section">
+				<div class="policy-section-header">
+					<h4>All policies</h4>
+					${
+						canManage
+							? `<button class="btn btn-primary btn-small" onclick="policyUI.showCreatePolicyModal()">+ New Policy</button>`
+							: ""
+					}
+				</div>
+				<div class="policies-grid">
+					${this.acknowledgementManager
+						.getPolicies()
+						.filter((doc) => canManage || doc.status === "published")
+						.map((doc) => this.renderPolicyCard(doc, user))
+						.join("")}
+				</div>
+			</section>
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("policiesContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	renderPending(pending) {
+		const today = new Date().toISOString().split("T")[0];
+		return `
+			<ul class="policy-list">
+				${pending
+					.map(
+						(signoff) => `
+					<li>
+						<div>
+							<strong>${signoff.title}</strong>
+							<span class="policy-meta-text">
+								Version ${signoff.version} ·
+								<span class="${signoff.dueDate < today ? "policy-overdue" : ""}">due ${signoff.dueDate}</span>
+							</span>
+						</div>
+						<button class="btn btn-small btn-primary" onclick="policyUI.showPolicy(${signoff.documentId})">Read & sign</button>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderCompliance() {
+		const summary = this.acknowledgementManager.getComplianceSummary();
+		return `
+			<section class="policy-section">
+				<h4>Compliance</h4>
+				${
+					summary.length === 0
+						? `<p class="empty-state">No published policy requires acknowledgement.</p>`
+						: `
+					<ul class="policy-list">
+						${summary
+							.map(
+								({ document, totals }) => `
+							<li>
+								<div>
+									<strong>${document.title}</strong>
+									<span class="policy-meta-text">
+										Version ${document.version} ·
+										${totals.acknowledged} of ${totals.audience} acknowledged (${totals.percent}%)
+										${
+											totals.overdue
+												? ` · <span class="policy-overdue">${totals.overdue} overdue</span>`
+												: ""
+										}
+									</span>
+								</div>
+								<button class="btn btn-small btn-secondary" onclick="policyUI.showComplianceReport(${document.id})">Report</button>
+							</li>
+						`
+							)
+							.join("")}
+					</ul>
+				`
+				}
+			</section>
+		`;
+	}
+
+	renderPolicyCard(doc, user) {
+		const signoff = this.acknowledgementManager.getSignoff(
+			doc.id,
+			doc.version,
+			user.id
+		);
+		return `
+			<div class="policy-card" onclick="policyUI.showPolicy(${doc.id})">
+				<div class="policy-header">
+					<div class="policy-icon">${doc.icon || "📋"}</div>
+					<div class="policy-title">${doc.title}</div>
+				</div>
+				<div class="policy-description">${doc.description || ""}</div>
+				<div class="policy-meta">
+					<span>v${doc.version}</span>
+					${
+						signoff
+							? `<span class="policy-status ${signoff.status}">${
+									SIGNOFF_STATUSES[signoff.status]
+							  }</span>`
+							: `<span class="policy-status ${doc.status}">${doc.status.replace(
+									"_",
+									" "
+							  )}</span>`
+					}
+				</div>
+				${
+					doc.requiresAcknowledgment
+						? `<span class="policy-meta-text">Sign-off required from ${this.acknowledgementManager.describeAudience(
+								doc
+						  )}</span>`
+						: ""
+				}
+			</div>
+		`;
+	}
+
+	// ========================
+	// READING AND SIGNING
+	// ========================
+
+	/**
+	 * Show a policy, with the sign-off button when the user owes one
+	 * @param {number} documentId - Document ID
+	 */
+	showPolicy(documentId) {
+		const doc = this.documentManager.getDocumentById(documentId);
+		const user = this.authSystem.getCurrentUser();
+		if (!doc || !user) return;
+
+		const signoff = this.acknowledgementManager.getSignoff(
+			doc.id,
+			doc.version,
+			user.id
+		);
+		const latest = this.acknowledgementManager.getLatestAcknowledgement(
+			doc.id,
+			user.id
+		);
+		const canManage = this.authSystem.canManageUsers();
+		const canEdit = this.documentManager.canEditDocument(doc, user);
+
+		const content = `
+			<p class="policy-meta-text">
+				Version ${doc.version} · updated ${doc.lastModified.split("T")[0]}
+				${
+					latest && latest.version !== doc.version
+						? ` · you acknowledged version ${latest.version}`
+						: ""
+				}
+			</p>
+			<div class="policy-content">${doc.content || doc.description || ""}</div>
+			${
+				signoff?.status === "pending"
+					? `
+				<div class="policy-signoff">
+					<label>
+						<input type="checkbox" id="policyUnderstood">
+						I have read and understood version ${doc.version} of this policy
+					</label>
+					<button class="btn btn-primary" onclick="policyUI.acknowledge(${doc.id})">Acknowledge</button>
+				</div>
+			`
+					: signoff?.status === "acknowledged"
+					? `<p class="policy-status acknowledged">Acknowledged ${signoff.acknowledgedAt.split("T")[0]}</p>`
+					: ""
+			}
+			${
+				canManage || canEdit
+					? `
+				<div class="policy-actions">
+					${
+						canEdit
+							? `<button class="btn btn-small btn-secondary" onclick="policyUI.showNewVersionModal(${doc.id})">Publish new version</button>`
+							: ""
+					}
+					${
+						canManage
+							? `
+						<button class="btn btn-small btn-secondary" onclick="policyUI.showSettingsModal(${doc.id})">Acknowledgement settings</button>
+						${
+							doc.requiresAcknowledgment
+								? `<button class="btn btn-small btn-secondary" onclick="policyUI.showComplianceReport(${doc.id})">Compliance report</button>`
+								: ""
+						}
+					`
+							: ""
+					}
+				</div>
+			`
+					: ""
+			}
+		`;
+
+		this.policyModal = ModalComponent.show(
+			`${doc.icon || "📋"} ${doc.title}`,
+			content,
+			"",
+			{ size: "large" }
+		);
+	}
+
+	acknowledge(documentId) {
+		const checkbox = document.getElementById("policyUnderstood");
+		if (checkbox && !checkbox.checked) {
+			NotificationComponent.show(
+				"Confirm you have read and understood the policy",
+				"warning"
+			);
+			return;
+		}
+		try {
+			const signoff = this.acknowledgementManager.acknowledge(documentId);
+			this.policyModal?.hide();
+			NotificationComponent.show(
+				`Acknowledged ${signoff.title} version ${signoff.version}`,
+				"success"
+			);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	/**
+	 * After sign-in, remind the user of policies they still have to sign off
+	 */
+	promptPending() {
+		const user = this.authSystem.getCurrentUser();
+		if (this.prompted || !user) return;
+		this.prompted = true;
+
+		const pending = this.acknowledgementManager.getPendingForUser(user.id);
+		if (pending.length === 0) return;
+
+		ModalComponent.confirm({
+			title: "Policies to acknowledge",
+			message: `Please read and sign off: ${pending
+				.map((signoff) => `${signoff.title} (v${signoff.version})`)
+				.join(", ")}.`,
+			confirmText: "Review now",
+			confirmClass: "btn-primary",
+			onConfirm: (modal) => {
+				modal.hide();
+				this.app.showView("policies");
+			},
+		});
+	}
+
+	// ========================
+	// HR
+	// ========================
+
+	showCreatePolicyModal() {
+		const content = `
+			<div class="form-group">
+				<label for="policyTitle">Title</label>
+				<input type="text" id="policyTitle" name="title" required>
+			</div>
+			<div class="form-group">
+				<label for="policyDescription">Summary</label>
+				<input type="text" id="policyDescription" name="description">
+			</div>
+			<div class="form-group">
+				<label for="policyContent">Policy text</label>
+				<textarea id="policyContent" name="content" rows="10" required></textarea>
+			</div>
+			<div class="form-group">
+				<label>
+					<input type="checkbox" name="requiresAcknowledgment" checked>
+					Everyone must acknowledge this policy
+				</label>
+				<p class="form-help">Limit it to departments or roles from the policy's acknowledgement settings.</p>
+			</div>
+		`;
+
+		ModalComponent.form("New Policy", content, (e, modal, form) => {
+			const data = new FormData(form);
+			try {
+				const doc = this.documentManager.createDocument({
+					title: data.get("title").trim(),
+					description: data.get("description").trim(),
+					content: data.get("content"),
+					category: "company-policies",
+					type: "policy",
+					icon: "📋",
+					requiresAcknowledgment: data.has("requiresAcknowledgment"),
+				});
+				this.authSystem.recordAudit("policy_created", {
+					details: `Published "${doc.title}"`,
+					metadata: { documentId: doc.id },
+				});
+				modal.hide();
+				NotificationComponent.show(`Published ${doc.title}`, "success");
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		}, { size: "large" });
+	}
+
+	showNewVersionModal(documentId) {
+		const doc = this.documentManager.getDocumentById(documentId);
+		const content = `
+			<p class="form-help">
+				Publishing version ${this.documentManager.incrementVersion(doc.version)}
+				${
+					doc.requiresAcknowledgment
+						? `asks ${this.acknowledgementManager.describeAudience(doc)} to acknowledge it again.`
+						: "doesn't ask anyone to acknowledge it."
+				}
+			</p>
+			<div class="form-group">
+				<label for="policyContent">Policy text</label>
+				<textarea id="policyContent" name="content" rows="12" required>${doc.content || ""}</textarea>
+			</div>
+			<div class="form-group">
+				<label for="policyVersionNote">What changed</label>
+				<input type="text" id="policyVersionNote" name="versionNote" required>
+			</div>
+		`;
+
+		ModalComponent.form(`New version: ${doc.title}`, content, (e, modal, form) => {
+			const data = new FormData(form);
+			try {
+				const updated = this.documentManager.updateDocument(documentId, {
+					content: data.get("content"),
+					versionNote: data.get("versionNote").trim(),
+					status: "published",
+				});
+				this.authSystem.recordAudit("policy_version_published", {
+					details: `"${updated.title}" version ${updated.version}: ${data
+						.get("versionNote")
+						.trim()}`,
+					metadata: { documentId, version: updated.version },
+				});
+				modal.hide();
+				NotificationComponent.show(
+					`Published ${updated.title} version ${updated.version}`,
+					"success"
+				);
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		}, { size: "large" });
+	}
+
+	showSettingsModal(documentId) {
+		const doc = this.documentManager.getDocumentById(documentId);
+		const settings = this.acknowledgementManager.getAudienceSettings(doc);
+		const choices = {
+			departments: this.userManager.departments.map((d) => d.name),
+			roles: this.userManager.roles.map((role) => role.name),
+		};
+
+		const content = `
+			<div class="form-group">
+				<label>
+					<input type="checkbox" name="required" ${doc.requiresAcknowledgment ? "checked" : ""}>
+					Require acknowledgement of each published version
+				</label>
+			</div>
+			<div class="form-group">
+				<label>Who must acknowledge</label>
+				<div class="policy-options">
+					${Object.entries(AUDIENCE_TYPES)
+						.map(
+							([value, label]) => `
+						<label>
+							<input type="radio" name="audience" value="${value}" ${
+								settings.audience === value ? "checked" : ""
+							}>
+							${label}
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+			</div>
+			${Object.entries(choices)
+				.map(
+					([audience, names]) => `
+				<fieldset class="policy-fieldset">
+					<legend>${AUDIENCE_TYPES[audience]}</legend>
+					<div class="policy-options">
+						${names
+							.map(
+								(name) => `
+							<label>
+								<input type="checkbox" name="${audience}" value="${name}" ${
+									settings.audience === audience &&
+									settings.values.includes(name)
+										? "checked"
+										: ""
+								}>
+								${name}
+							</label>
+						`
+							)
+							.join("")}
+					</div>
+				</fieldset>
+			`
+				)
+				.join("")}
+			<div class="form-group">
+				<label for="policyDueInDays">Days allowed to sign off</label>
+				<input type="number" id="policyDueInDays" name="dueInDays" min="1" value="${settings.dueInDays}">
+			</div>
+		`;
+
+		ModalComponent.form(`Acknowledgement: ${doc.title}`, content, (e, modal, form) => {
+			const data = new FormData(form);
+			const audience = data.get("audience") || "everyone";
+			try {
+				this.acknowledgementManager.setRequirement(documentId, {
+					required: data.has("required"),
+					audience,
+					values: audience === "everyone" ? [] : data.getAll(audience),
+					dueInDays: Number(data.get("dueInDays")),
+				});
+				modal.hide();
+				this.refresh();
+				NotificationComponent.show("Acknowledgement settings saved", "success");
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	showComplianceReport(documentId) {
+		let report;
+		try {
+			report = this.acknowledgementManager.getComplianceReport(documentId);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+			return;
+		}
+		const { document: doc, rows, totals } = report;
+
+		const content = `
+			<p>
+				Version ${doc.version}: ${totals.acknowledged} of ${totals.audience} acknowledged (${totals.percent}%)
+				${
+					totals.overdue
+						? ` · <span class="policy-overdue">${totals.overdue} overdue</span>`
+						: ""
+				}
+			</p>
+			${
+				rows.length === 0
+					? `<p class="empty-state">Nobody is required to acknowledge this policy.</p>`
+					: `
+				<table class="policy-table">
+					<thead>
+						<tr>
+							<th>Employee</th>
+							<th>Department</th>
+							<th>Version ${doc.version}</th>
+							<th>Due</th>
+							<th>Previously acknowledged</th>
+						</tr>
+					</thead>
+					<tbody>
+						${rows
+							.map(
+								({ user, signoff, acknowledged, overdue, previousVersion }) => `
+							<tr>
+								<td>${user.name}</td>
+								<td>${user.department || "–"}</td>
+								<td class="policy-status ${acknowledged ? "acknowledged" : "pending"}">
+									${
+										acknowledged
+											? `Acknowledged ${signoff.acknowledgedAt.split("T")[0]}`
+											: "Not yet"
+									}
+								</td>
+								<td class="${overdue ? "policy-overdue" : ""}">${signoff?.dueDate || "–"}</td>
+								<td>${previousVersion ? `v${previousVersion}` : "–"}</td>
+							</tr>
+						`
+							)
+							.join("")}
+					</tbody>
+				</table>
+			`
+			}
+		`;
+
+		ModalComponent.show(`Compliance: ${doc.title}`, content, "", {
+			size: "large",
+		});
+	}
+}
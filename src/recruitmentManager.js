@@ -0,0 +1,839 @@
+/**
+ * Recruitment Manager - Requisitions, candidates and interviews
+ * A requisition opens one or more vacancies for a position. Candidates
+ * apply to a requisition, keep their resume as a private document and move
+ * through the pipeline stages. Interviews are calendar meetings; each
+ * interviewer gets a task to fill in a scorecard rating the requisition's
+ * criteria. Hiring a candidate creates their user account, which starts
+ * onboarding.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+// Pipeline columns, in order. Hiring and rejecting close the candidate.
+export const CANDIDATE_STAGES = {
+	applied: "Applied",
+	screening: "Screening",
+	interview: "Interview",
+	offer: "Offer",
+	hired: "Hired",
+	rejected: "Rejected",
+};
+
+export const OPEN_STAGES = ["applied", "screening", "interview", "offer"];
+
+export const REQUISITION_STATUSES = {
+	open: "Open",
+	on_hold: "On hold",
+	filled: "Filled",
+	cancelled: "Cancelled",
+};
+
+export const CANDIDATE_SOURCES = {
+	careers_site: "Careers site",
+	referral: "Referral",
+	agency: "Agency",
+	job_board: "Job board",
+	other: "Other",
+};
+
+export const SCORECARD_RATINGS = {
+	1: "Poor",
+	2: "Below expectations",
+	3: "Meets expectations",
+	4: "Exceeds expectations",
+};
+
+export const RECOMMENDATIONS = {
+	strong_no: "Strong no",
+	no: "No",
+	yes: "Yes",
+	strong_yes: "Strong yes",
+};
+
+// Rated in every interview alongside the position's requirements
+const DEFAULT_CRITERIA = ["Communication", "Problem solving"];
+
+export class RecruitmentManager {
+	/**
+	 * Initialize the RecruitmentManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Positions and new hires
+	 * @param {Object} dependencies.documentManager - Resumes
+	 * @param {Object} dependencies.meetingManager - Interview meetings
+	 * @param {Object} dependencies.taskManager - Scorecard tasks
+	 * @param {Object} [dependencies.lifecycleWorkflows] - Onboarding of hires
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.documentManager = dependencies.documentManager;
+		this.meetingManager = dependencies.meetingManager;
+		this.taskManager = dependencies.taskManager;
+		this.lifecycleWorkflows = dependencies.lifecycleWorkflows || null;
+
+		this.requisitionsKey = "study-hall-requisitions";
+		this.candidatesKey = "study-hall-candidates";
+		this.interviewsKey = "study-hall-interviews";
+
+		this.requisitions = this.load(this.requisitionsKey, "requisitions");
+		this.candidates = this.load(this.candidatesKey, "candidates");
+		this.interviews = this.load(this.interviewsKey, "interviews");
+	}
+
+	load(key, label) {
+		try {
+			const saved = localStorage.getItem(key);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn(`Failed to load ${label}:`, error);
+			return [];
+		}
+	}
+
+	save() {
+		localStorage.setItem(
+			this.requisitionsKey,
+			JSON.stringify(this.requisitions)
+		);
+		localStorage.setItem(this.candidatesKey, JSON.stringify(this.candidates));
+		localStorage.setItem(this.interviewsKey, JSON.stringify(this.interviews));
+		window.dispatchEvent(new CustomEvent("recruitmentUpdated"));
+	}
+
+	// ========================
+	// PERMISSIONS
+	// ========================
+
+	canManageRecruiting() {
+		return this.authSystem.canManageUsers();
+	}
+
+	// HR runs every requisition; hiring managers run their own
+	canManageRequisition(requisition) {
+		const user = this.authSystem.getCurrentUser();
+		return (
+			this.canManageRecruiting() ||
+			(Boolean(user) && requisition.hiringManagerId === user.id)
+		);
+	}
+
+	canViewCandidate(candidate) {
+		const user = this.authSystem.getCurrentUser();
+		const requisition = this.getRequisition(candidate.requisitionId);
+		return (
+			(requisition && this.canManageRequisition(requisition)) ||
+			(Boolean(user) &&
+				this.getInterviews(candidate.id).some((interview) =>
+					interview.interviewerIds.includes(user.id)
+				))
+		);
+	}
+
+	// ========================
+	// REQUISITIONS
+	// ========================
+
+	/**
+	 * Open a requisition for a position
+	 * @param {Object} data - { positionId, title, hiringManagerId, openings,
+	 *   targetStartDate, description, criteria }
+	 * @returns {Object} The requisition
+	 */
+	createRequisition(data) {
+		if (!this.canManageRecruiting()) {
+			throw new Error("Insufficient permissions to open requisitions");
+		}
+		const requisition = this.normalizeRequisition(data);
+		const errors = this.validateRequisition(requisition);
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		const user = this.authSystem.getCurrentUser();
+		Object.assign(requisition, {
+			id: `req-${randomToken(9)}`,
+			status: "open",
+			hires: [],
+			createdBy: user.id,
+			createdAt: new Date().toISOString(),
+		});
+		this.requisitions.push(requisition);
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_requisition_opened", {
+			details: `${requisition.title} (${requisition.openings} opening${
+				requisition.openings === 1 ? "" : "s"
+			}) in ${requisition.department}`,
+			metadata: { requisitionId: requisition.id },
+		});
+		return requisition;
+	}
+
+	updateRequisition(requisitionId, updates) {
+		const requisition = this.getRequisition(requisitionId);
+		if (!requisition) {
+			throw new Error("Requisition not found");
+		}
+		if (!this.canManageRecruiting()) {
+			throw new Error("Insufficient permissions to edit requisitions");
+		}
+
+		const updated = this.normalizeRequisition({ ...requisition, ...updates });
+		const errors = this.validateRequisition(updated);
+		if (updated.openings < requisition.hires.length) {
+			errors.push(`${requisition.hires.length} people are already hired`);
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		Object.assign(requisition, updated);
+		this.save();
+		return requisition;
+	}
+
+	setRequisitionStatus(requisitionId, status) {
+		const requisition = this.getRequisition(requisitionId);
+		if (!requisition) {
+			throw new Error("Requisition not found");
+		}
+		if (!this.canManageRecruiting()) {
+			throw new Error("Insufficient permissions to change requisitions");
+		}
+		if (!REQUISITION_STATUSES[status]) {
+			throw new Error("Unknown requisition status");
+		}
+
+		requisition.status = status;
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_requisition_status", {
+			details: `${requisition.title}: ${REQUISITION_STATUSES[status]}`,
+			metadata: { requisitionId, status },
+		});
+		return requisition;
+	}
+
+	// Title, department and interview criteria default from the position
+	normalizeRequisition(data) {
+		const position = this.getPosition(data.positionId);
+		const given = (data.criteria || [])
+			.map((criterion) => criterion.trim())
+			.filter(Boolean);
+		const criteria = given.length
+			? given
+			: [...(position?.requirements || []), ...DEFAULT_CRITERIA];
+
+		return {
+			...data,
+			title: (data.title || position?.title || "").trim(),
+			department: position?.department || data.department || "",
+			openings: Number(data.openings ?? 1),
+			targetStartDate: data.targetStartDate || null,
+			description: data.description || "",
+			criteria: [...new Set(criteria)],
+		};
+	}
+
+	validateRequisition(requisition) {
+		const errors = [];
+		if (!this.getPosition(requisition.positionId)) {
+			errors.push("Choose a position");
+		}
+		if (!requisition.title) {
+			errors.push("Title is required");
+		}
+		if (!this.userManager.getUserById(requisition.hiringManagerId)) {
+			errors.push("Choose a hiring manager");
+		}
+		if (!Number.isInteger(requisition.openings) || requisition.openings < 1) {
+			errors.push("Openings must be a whole number of at least 1");
+		}
+		if (requisition.criteria.length === 0) {
+			errors.push("Add at least one interview criterion");
+		}
+		return errors;
+	}
+
+	getPosition(positionId) {
+		return this.userManager.positions.find((p) => p.id === positionId) || null;
+	}
+
+	getRequisition(requisitionId) {
+		return this.requisitions.find((r) => r.id === requisitionId) || null;
+	}
+
+	/**
+	 * Requisitions the current user can run, newest first
+	 * @param {Object} [filters] - { status }
+	 * @returns {Array} Requisitions
+	 */
+	getRequisitions(filters = {}) {
+		return this.requisitions
+			.filter(
+				(r) =>
+					this.canManageRequisition(r) &&
+					(!filters.status || r.status === filters.status)
+			)
+			.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+	}
+
+	// ========================
+	// CANDIDATES
+	// ========================
+
+	/**
+	 * Add a candidate to a requisition's pipeline
+	 * @param {string} requisitionId - Requisition ID
+	 * @param {Object} data - { name, email, phone, source, notes }
+	 * @param {Object} [resume] - { file } to upload, or { text } to paste
+	 * @returns {Promise<Object>} The candidate
+	 */
+	async addCandidate(requisitionId, data, resume = {}) {
+		const requisition = this.getRequisition(requisitionId);
+		if (!requisition) {
+			throw new Error("Requisition not found");
+		}
+		if (!this.canManageRequisition(requisition)) {
+			throw new Error("Insufficient permissions to add candidates");
+		}
+		if (requisition.status !== "open") {
+			throw new Error("This requisition isn't open");
+		}
+
+		const candidate = {
+			name: (data.name || "").trim(),
+			email: (data.email || "").trim().toLowerCase(),
+			phone: data.phone || "",
+			source: data.source || "other",
+			notes: data.notes || "",
+		};
+		const errors = [];
+		if (candidate.name.length < 2) {
+			errors.push("Name must be at least 2 characters");
+		}
+		if (!this.authSystem.isValidEmail(candidate.email)) {
+			errors.push("Valid email is required");
+		}
+		if (
+			this.candidates.some(
+				(c) =>
+					c.requisitionId === requisitionId &&
+					c.email === candidate.email &&
+					c.stage !== "rejected"
+			)
+		) {
+			errors.push(`${candidate.email} is already in this pipeline`);
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		const user = this.authSystem.getCurrentUser();
+		Object.assign(candidate, {
+			id: `cand-${randomToken(9)}`,
+			requisitionId,
+			stage: "applied",
+			resumeDocumentId: null,
+			history: [
+				{ stage: "applied", at: new Date().toISOString(), by: user.id },
+			],
+			rejectionReason: null,
+			userId: null,
+			createdAt: new Date().toISOString(),
+		});
+
+		const document = await this.storeResume(candidate, requisition, resume);
+		candidate.resumeDocumentId = document?.id ?? null;
+
+		this.candidates.push(candidate);
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_candidate_added", {
+			details: `${candidate.name} for ${requisition.title}`,
+			metadata: { requisitionId, candidateId: candidate.id },
+		});
+		return candidate;
+	}
+
+	// Resumes are private documents filed under recruitment
+	async storeResume(candidate, requisition, { file, text } = {}) {
+		const metadata = {
+			title: `Resume - ${candidate.name}`,
+			description: `Applicant for ${requisition.title}`,
+			category: "recruitment",
+			tags: ["resume", requisition.id],
+		};
+
+		if (file) {
+			return this.documentManager.importFile(file, {
+				...metadata,
+				department: requisition.department,
+				visibility: "private",
+			});
+		}
+		if (text?.trim()) {
+			return this.documentManager.createDocument({
+				...metadata,
+				content: text,
+				type: "resume",
+				icon: "📄",
+				isPublic: false,
+			});
+		}
+		return null;
+	}
+
+	getCandidate(candidateId) {
+		return this.candidates.find((c) => c.id === candidateId) || null;
+	}
+
+	/**
+	 * Candidates for a requisition, grouped into pipeline stages
+	 * @param {string} requisitionId - Requisition ID
+	 * @returns {Object} Stage => candidates
+	 */
+	getPipeline(requisitionId) {
+		const pipeline = Object.fromEntries(
+			Object.keys(CANDIDATE_STAGES).map((stage) => [stage, []])
+		);
+		this.candidates
+			.filter((c) => c.requisitionId === requisitionId)
+			.forEach((candidate) => pipeline[candidate.stage].push(candidate));
+		return pipeline;
+	}
+
+	/**
+	 * Move a candidate to another open stage. Hiring and rejecting have
+	 * their own steps.
+	 * @param {string} candidateId - Candidate ID
+	 * @param {string} stage - Target stage
+	 * @returns {Object} The candidate
+	 */
+	moveCandidate(candidateId, stage) {
+		const candidate = this.getCandidate(candidateId);
+		const requisition =
+			candidate && this.getRequisition(candidate.requisitionId);
+		if (!candidate || !requisition) {
+			throw new Error("Candidate not found");
+		}
+		if (!this.canManageRequisition(requisition)) {
+			throw new Error("Insufficient permissions to move candidates");
+		}
+		if (!OPEN_STAGES.includes(candidate.stage)) {
+			throw new Error(
+				`${candidate.name} is already ${CANDIDATE_STAGES[
+					candidate.stage
+				].toLowerCase()}`
+			);
+		}
+		if (stage === "hired") {
+			throw new Error("Use Hire to bring a candidate on board");
+		}
+		if (stage === "rejected") {
+			return this.rejectCandidate(candidateId);
+		}
+		if (!OPEN_STAGES.includes(stage)) {
+			throw new Error("Unknown pipeline stage");
+		}
+		if (stage === candidate.stage) return candidate;
+
+		this.setStage(candidate, stage);
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_stage_changed", {
+			details: `${candidate.name} moved to ${CANDIDATE_STAGES[stage]} for ${requisition.title}`,
+			metadata: { candidateId, stage },
+		});
+		return candidate;
+	}
+
+	rejectCandidate(candidateId, reason = "") {
+		const candidate = this.getCandidate(candidateId);
+		const requisition =
+			candidate && this.getRequisition(candidate.requisitionId);
+		if (!candidate || !requisition) {
+			throw new Error("Candidate not found");
+		}
+		if (!this.canManageRequisition(requisition)) {
+			throw new Error("Insufficient permissions to reject candidates");
+		}
+		if (!OPEN_STAGES.includes(candidate.stage)) {
+			throw new Error(
+				`${candidate.name} is already ${CANDIDATE_STAGES[
+					candidate.stage
+				].toLowerCase()}`
+			);
+		}
+
+		this.getInterviews(candidateId)
+			.filter((interview) => interview.status === "scheduled")
+			.forEach((interview) => this.closeInterview(interview, "cancelled"));
+
+		candidate.rejectionReason = reason.trim() || null;
+		this.setStage(candidate, "rejected");
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_candidate_rejected", {
+			details: `${candidate.name} for ${requisition.title}${
+				candidate.rejectionReason ? `: ${candidate.rejectionReason}` : ""
+			}`,
+			metadata: { candidateId },
+		});
+		return candidate;
+	}
+
+	setStage(candidate, stage) {
+		candidate.stage = stage;
+		candidate.history.push({
+			stage,
+			at: new Date().toISOString(),
+			by: this.authSystem.getCurrentUser()?.id || null,
+		});
+	}
+
+	// ========================
+	// INTERVIEWS AND SCORECARDS
+	// ========================
+
+	/**
+	 * Schedule an interview: a calendar meeting for the interviewers, and a
+	 * scorecard task for each of them due on the day
+	 * @param {string} candidateId - Candidate ID
+	 * @param {Object} data - { title, date, time, duration, location,
+	 *   interviewerIds }
+	 * @returns {Object} The interview
+	 */
+	scheduleInterview(candidateId, data) {
+		const candidate = this.getCandidate(candidateId);
+		const requisition =
+			candidate && this.getRequisition(candidate.requisitionId);
+		if (!candidate || !requisition) {
+			throw new Error("Candidate not found");
+		}
+		if (!this.canManageRequisition(requisition)) {
+			throw new Error("Insufficient permissions to schedule interviews");
+		}
+		if (!OPEN_STAGES.includes(candidate.stage)) {
+			throw new Error(`${candidate.name} is no longer in the pipeline`);
+		}
+
+		const interviewers = [...new Set(data.interviewerIds || [])]
+			.map((id) => this.userManager.getUserById(id))
+			.filter(Boolean);
+		const errors = [];
+		if (!data.date || !data.time) {
+			errors.push("Date and time are required");
+		}
+		if (interviewers.length === 0) {
+			errors.push("Choose at least one interviewer");
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		const title = (data.title || "").trim() || "Interview";
+		const meeting = this.meetingManager.createMeeting({
+			title: `Interview: ${candidate.name} - ${requisition.title}`,
+			date: data.date,
+			time: data.time,
+			duration: data.duration || 60,
+			attendees: interviewers.map((user) => user.name),
+			type: "interview",
+			location: data.location || "",
+			description: `${title} for ${requisition.title}. Submit your scorecard in Recruiting afterwards.`,
+		});
+
+		const interview = {
+			id: `int-${randomToken(9)}`,
+			candidateId,
+			requisitionId: requisition.id,
+			title,
+			meetingId: meeting.id,
+			date: data.date,
+			time: data.time,
+			interviewerIds: interviewers.map((user) => user.id),
+			criteria: [...requisition.criteria],
+			scorecards: {},
+			taskIds: {},
+			status: "scheduled",
+			createdAt: new Date().toISOString(),
+		};
+
+		interviewers.forEach((user) => {
+			const task = this.taskManager.createTask({
+				title: `Scorecard: ${candidate.name} (${title})`,
+				description: `Rate ${candidate.name} for ${requisition.title} after the interview on ${data.date} at ${data.time}.`,
+				priority: "MEDIUM",
+				assignedTo: [user.email],
+				department: requisition.department,
+				dueDate: data.date,
+				category: "recruiting",
+				tags: ["recruiting", "scorecard"],
+			});
+			interview.taskIds[user.id] = task.id;
+		});
+
+		this.interviews.push(interview);
+		if (
+			OPEN_STAGES.indexOf(candidate.stage) < OPEN_STAGES.indexOf("interview")
+		) {
+			this.setStage(candidate, "interview");
+		}
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_interview_scheduled", {
+			details: `${title} with ${candidate.name} on ${data.date} (${interviewers
+				.map((user) => user.name)
+				.join(", ")})`,
+			metadata: { candidateId, interviewId: interview.id },
+		});
+		return interview;
+	}
+
+	cancelInterview(interviewId) {
+		const interview = this.getInterview(interviewId);
+		if (!interview) {
+			throw new Error("Interview not found");
+		}
+		const requisition = this.getRequisition(interview.requisitionId);
+		if (!this.canManageRequisition(requisition)) {
+			throw new Error("Insufficient permissions to cancel interviews");
+		}
+		if (interview.status !== "scheduled") {
+			throw new Error("Only scheduled interviews can be cancelled");
+		}
+
+		this.closeInterview(interview, "cancelled");
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_interview_cancelled", {
+			details: `${interview.title} with ${
+				this.getCandidate(interview.candidateId)?.name
+			}`,
+			metadata: { interviewId },
+		});
+		return interview;
+	}
+
+	// Cancelling removes the meeting and any scorecard tasks still open
+	closeInterview(interview, status) {
+		interview.status = status;
+		if (
+			status === "cancelled" &&
+			this.meetingManager.getMeeting(interview.meetingId)
+		) {
+			this.meetingManager.deleteMeeting(interview.meetingId);
+		}
+		Object.values(interview.taskIds).forEach((taskId) => {
+			const task = this.taskManager.getTask(taskId);
+			if (task && !["completed", "cancelled"].includes(task.status)) {
+				this.taskManager.updateTask(taskId, { status: "cancelled" });
+			}
+		});
+	}
+
+	/**
+	 * Record the current user's scorecard for an interview
+	 * @param {string} interviewId - Interview ID
+	 * @param {Object} scorecard - { ratings: { criterion: 1-4 },
+	 *   recommendation, notes }
+	 * @returns {Object} The interview
+	 */
+	submitScorecard(interviewId, scorecard) {
+		const interview = this.getInterview(interviewId);
+		const user = this.authSystem.getCurrentUser();
+		if (!interview || !user) {
+			throw new Error("Interview not found");
+		}
+		if (!interview.interviewerIds.includes(user.id)) {
+			throw new Error("Only the interviewers can submit scorecards");
+		}
+		if (interview.status === "cancelled") {
+			throw new Error("This interview was cancelled");
+		}
+
+		const ratings = {};
+		const errors = [];
+		interview.criteria.forEach((criterion) => {
+			const rating = Number(scorecard.ratings?.[criterion]);
+			if (!SCORECARD_RATINGS[rating]) {
+				errors.push(`Rate ${criterion}`);
+			}
+			ratings[criterion] = rating;
+		});
+		if (!RECOMMENDATIONS[scorecard.recommendation]) {
+			errors.push("Choose a recommendation");
+		}
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		interview.scorecards[user.id] = {
+			ratings,
+			recommendation: scorecard.recommendation,
+			notes: (scorecard.notes || "").trim(),
+			submittedAt: new Date().toISOString(),
+		};
+		const taskId = interview.taskIds[user.id];
+		if (this.taskManager.getTask(taskId)?.status !== "completed") {
+			this.taskManager.updateTaskProgress(taskId, 100);
+		}
+		if (interview.interviewerIds.every((id) => interview.scorecards[id])) {
+			interview.status = "completed";
+		}
+		this.save();
+
+		const candidate = this.getCandidate(interview.candidateId);
+		this.authSystem.recordAudit("recruiting_scorecard_submitted", {
+			details: `${candidate?.name}: ${RECOMMENDATIONS[scorecard.recommendation]}`,
+			metadata: { interviewId, candidateId: interview.candidateId },
+		});
+		return interview;
+	}
+
+	getInterview(interviewId) {
+		return this.interviews.find((i) => i.id === interviewId) || null;
+	}
+
+	getInterviews(candidateId) {
+		return this.interviews
+			.filter((i) => i.candidateId === candidateId)
+			.sort((a, b) =>
+				`${a.date}${a.time}`.localeCompare(`${b.date}${b.time}`)
+			);
+	}
+
+	// Interviews still waiting for this user's scorecard
+	getPendingScorecards(userId) {
+		return this.interviews.filter(
+			(i) =>
+				i.status === "scheduled" &&
+				i.interviewerIds.includes(userId) &&
+				!i.scorecards[userId]
+		);
+	}
+
+	/**
+	 * Average rating per criterion and recommendation counts across a
+	 * candidate's submitted scorecards
+	 * @param {string} candidateId - Candidate ID
+	 * @returns {Object} { count, criteria: { name: average }, average,
+	 *   recommendations: { key: count } }
+	 */
+	getScorecardSummary(candidateId) {
+		const scorecards = this.getInterviews(candidateId).flatMap((interview) =>
+			Object.values(interview.scorecards)
+		);
+		const totals = {};
+		scorecards.forEach((card) =>
+			Object.entries(card.ratings).forEach(([criterion, rating]) => {
+				totals[criterion] = [...(totals[criterion] || []), rating];
+			})
+		);
+		const mean = (values) =>
+			Math.round(
+				(values.reduce((sum, v) => sum + v, 0) / values.length) * 10
+			) / 10;
+
+		const criteria = Object.fromEntries(
+			Object.entries(totals).map(([criterion, values]) => [
+				criterion,
+				mean(values),
+			])
+		);
+		const recommendations = Object.fromEntries(
+			Object.keys(RECOMMENDATIONS).map((key) => [
+				key,
+				scorecards.filter((card) => card.recommendation === key).length,
+			])
+		);
+
+		return {
+			count: scorecards.length,
+			criteria,
+			average: scorecards.length ? mean(Object.values(criteria)) : null,
+			recommendations,
+		};
+	}
+
+	// ========================
+	// HIRING
+	// ========================
+
+	/**
+	 * Hire a candidate at the offer stage: create their user account in the
+	 * requisition's department and position, which starts onboarding
+	 * @param {string} candidateId - Candidate ID
+	 * @param {Object} details - { email, role, managerId, startDate }
+	 * @returns {Promise<Object>} { candidate, user, onboarding }
+	 */
+	async hireCandidate(candidateId, details) {
+		const candidate = this.getCandidate(candidateId);
+		const requisition =
+			candidate && this.getRequisition(candidate.requisitionId);
+		if (!candidate || !requisition) {
+			throw new Error("Candidate not found");
+		}
+		if (!this.canManageRecruiting()) {
+			throw new Error("Insufficient permissions to hire candidates");
+		}
+		if (candidate.stage !== "offer") {
+			throw new Error("Only candidates at the offer stage can be hired");
+		}
+		if (requisition.hires.length >= requisition.openings) {
+			throw new Error(`${requisition.title} has no openings left`);
+		}
+
+		const position = this.getPosition(requisition.positionId);
+		const user = await this.userManager.createUser({
+			name: candidate.name,
+			email: (details.email || "").trim().toLowerCase(),
+			phone: candidate.phone,
+			role: details.role,
+			position: position?.title || requisition.title,
+			department: requisition.department,
+			managerId: details.managerId || requisition.hiringManagerId,
+			startDate: details.startDate || requisition.targetStartDate,
+		});
+
+		candidate.userId = user.id;
+		this.setStage(candidate, "hired");
+		requisition.hires.push(candidate.id);
+		if (requisition.hires.length >= requisition.openings) {
+			requisition.status = "filled";
+		}
+		this.save();
+
+		this.authSystem.recordAudit("recruiting_candidate_hired", {
+			target: user,
+			details: `${candidate.name} hired as ${user.position}, starting ${user.startDate}`,
+			metadata: { candidateId, requisitionId: requisition.id },
+		});
+
+		return {
+			candidate,
+			user,
+			onboarding:
+				this.lifecycleWorkflows?.getActiveRun(user.id, "onboarding") || null,
+		};
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	reassignDepartment(fromDepartment, toDepartment) {
+		let count = 0;
+		this.requisitions.forEach((requisition) => {
+			if (requisition.department === fromDepartment) {
+				requisition.department = toDepartment;
+				count++;
+			}
+		});
+		if (count > 0) this.save();
+		return count;
+	}
+}
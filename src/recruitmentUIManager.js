@@ -0,0 +1,924 @@
+/**
+ * Recruitment UI Manager - Recruiting view
+ * Interviews awaiting the signed-in user's scorecard, the requisitions they
+ * run, and a Kanban pipeline for the selected requisition. Candidates are
+ * dragged between stages; dropping on Hired or Rejected opens those steps.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import {
+	CANDIDATE_SOURCES,
+	CANDIDATE_STAGES,
+	OPEN_STAGES,
+	RECOMMENDATIONS,
+	REQUISITION_STATUSES,
+	SCORECARD_RATINGS,
+} from "./recruitmentManager.js";
+
+export class RecruitmentUIManager {
+	constructor(recruitmentManager, app) {
+		this.recruitmentManager = recruitmentManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+
+		// Requisition whose pipeline is shown
+		this.selectedRequisitionId = null;
+
+		window.addEventListener("recruitmentUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Recruiting view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "recruitingContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const requisitions = this.recruitmentManager.getRequisitions();
+		if (!requisitions.some((r) => r.id === this.selectedRequisitionId)) {
+			this.selectedRequisitionId =
+				(requisitions.find((r) => r.status === "open") || requisitions[0])
+					?.id || null;
+		}
+		const pending = this.recruitmentManager.getPendingScorecards(user.id);
+
+		container.innerHTML = `
+			${
+				pending.length > 0
+					? `
+				<section class="recruiting-section">
+					<h4>Your interviews</h4>
+					${this.renderPendingScorecards(pending)}
+				</section>
+			`
+					: ""
+			}
+
+			<section class="recruiting-section">
+				<div class="recruiting-section-header">
+					<h4>Requisitions</h4>
+					${
+						this.recruitmentManager.canManageRecruiting()
+							? `<button class="btn btn-primary btn-small" onclick="recruitmentUI.showRequisitionModal()">+ New Requisition</button>`
+							: ""
+					}
+				</div>
+				${
+					requisitions.length === 0
+						? `<p class="empty-state">No requisitions for you to manage.</p>`
+						: this.renderRequisitions(requisitions)
+				}
+			</section>
+
+			${
+				this.selectedRequisitionId
+					? this.renderPipeline(
+							this.recruitmentManager.getRequisition(this.selectedRequisitionId)
+					  )
+					: ""
+			}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("recruitingContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	renderPendingScorecards(interviews) {
+		return `
+			<ul class="recruiting-list">
+				${interviews
+					.map((interview) => {
+						const candidate = this.recruitmentManager.getCandidate(
+							interview.candidateId
+						);
+						const requisition = this.recruitmentManager.getRequisition(
+							interview.requisitionId
+						);
+						return `
+							<li>
+								<div>
+									<strong>${candidate?.name} · ${interview.title}</strong>
+									<span class="recruiting-meta-text">${requisition?.title} · ${interview.date} ${interview.time}</span>
+								</div>
+								<button class="btn btn-small btn-primary" onclick="recruitmentUI.showScorecardModal('${interview.id}')">Scorecard</button>
+							</li>
+						`;
+					})
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderRequisitions(requisitions) {
+		return `
+			<ul class="recruiting-list">
+				${requisitions
+					.map((requisition) => {
+						const manager = this.userManager.getUserById(
+							requisition.hiringManagerId
+						);
+						const active = this.recruitmentManager.candidates.filter(
+							(c) =>
+								c.requisitionId === requisition.id &&
+								OPEN_STAGES.includes(c.stage)
+						).length;
+						return `
+							<li class="${
+								requisition.id === this.selectedRequisitionId ? "selected" : ""
+							}" onclick="recruitmentUI.selectRequisition('${requisition.id}')">
+								<div>
+									<strong>${requisition.title}</strong>
+									<span class="recruiting-meta-text">
+										${requisition.department} · hiring manager ${manager?.name || "–"} ·
+										${requisition.hires.length} of ${requisition.openings} hired ·
+										${active} in pipeline
+									</span>
+								</div>
+								<span class="recruiting-status ${requisition.status}">${
+									REQUISITION_STATUSES[requisition.status]
+								}</span>
+							</li>
+						`;
+					})
+					.join("")}
+			</ul>
+		`;
+	}
+
+	selectRequisition(requisitionId) {
+		this.selectedRequisitionId = requisitionId;
+		this.render();
+	}
+
+	// ========================
+	// PIPELINE (Kanban)
+	// ========================
+
+	renderPipeline(requisition) {
+		const pipeline = this.recruitmentManager.getPipeline(requisition.id);
+		const canManage = this.recruitmentManager.canManageRecruiting();
+
+		return `
+			<section class="recruiting-section">
+				<div class="recruiting-section-header">
+					<h4>${requisition.title} pipeline</h4>
+					${
+						requisition.status === "open"
+							? `<button class="btn btn-primary btn-small" onclick="recruitmentUI.showCandidateModal('${requisition.id}')">+ Add Candidate</button>`
+							: ""
+					}
+					${
+						canManage
+							? `
+						<button class="btn btn-secondary btn-small" onclick="recruitmentUI.showRequisitionModal('${requisition.id}')">Edit</button>
+						<select onchange="recruitmentUI.setRequisitionStatus('${requisition.id}', this.value)">
+							${Object.entries(REQUISITION_STATUSES)
+								.map(
+									([value, label]) =>
+										`<option value="${value}" ${
+											requisition.status === value ? "selected" : ""
+										}>${label}</option>`
+								)
+								.join("")}
+						</select>
+					`
+							: ""
+					}
+				</div>
+				<div class="kanban-board recruiting-board">
+					${Object.entries(CANDIDATE_STAGES)
+						.map(
+							([stage, label]) => `
+						<div class="kanban-column" data-stage="${stage}">
+							<div class="column-header">
+								<h3>${label}</h3>
+								<span class="task-count">${pipeline[stage].length}</span>
+							</div>
+							<div class="column-content"
+								 ondrop="recruitmentUI.handleDrop(event)"
+								 ondragover="recruitmentUI.handleDragOver(event)"
+								 ondragleave="this.classList.remove('drag-over')">
+								${pipeline[stage]
+									.map((candidate) => this.renderCandidateCard(candidate))
+									.join("")}
+							</div>
+						</div>
+					`
+						)
+						.join("")}
+				</div>
+			</section>
+		`;
+	}
+
+	renderCandidateCard(candidate) {
+		const summary = this.recruitmentManager.getScorecardSummary(candidate.id);
+		const open = OPEN_STAGES.includes(candidate.stage);
+		return `
+			<div class="kanban-card recruiting-card"
+				 draggable="${open}"
+				 data-candidate-id="${candidate.id}"
+				 ondragstart="recruitmentUI.handleDragStart(event)"
+				 onclick="recruitmentUI.showCandidate('${candidate.id}')">
+				<strong>${candidate.name}</strong>
+				<span class="recruiting-meta-text">${CANDIDATE_SOURCES[candidate.source]}</span>
+				${
+					summary.count > 0
+						? `<span class="recruiting-meta-text">${summary.average} / 4 from ${summary.count} scorecard${
+								summary.count === 1 ? "" : "s"
+						  }</span>`
+						: ""
+				}
+			</div>
+		`;
+	}
+
+	handleDragStart(event) {
+		event.dataTransfer.setData(
+			"text/plain",
+			event.currentTarget.dataset.candidateId
+		);
+		event.currentTarget.classList.add("dragging");
+	}
+
+	handleDragOver(event) {
+		event.preventDefault();
+		event.currentTarget.classList.add("drag-over");
+	}
+
+	handleDrop(event) {
+		event.preventDefault();
+		event.currentTarget.classList.remove("drag-over");
+		document.querySelector(".dragging")?.classList.remove("dragging");
+
+		const candidateId = event.dataTransfer.getData("text/plain");
+		const stage = event.currentTarget.closest(".kanban-column").dataset.stage;
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		if (!candidate || candidate.stage === stage) return;
+
+		if (stage === "hired") {
+			this.showHireModal(candidateId);
+		} else if (stage === "rejected") {
+			this.showRejectModal(candidateId);
+		} else {
+			this.moveCandidate(candidateId, stage);
+		}
+	}
+
+	moveCandidate(candidateId, stage) {
+		try {
+			const candidate = this.recruitmentManager.moveCandidate(
+				candidateId,
+				stage
+			);
+			NotificationComponent.show(
+				`${candidate.name} moved to ${CANDIDATE_STAGES[stage]}`,
+				"success"
+			);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	setRequisitionStatus(requisitionId, status) {
+		try {
+			this.recruitmentManager.setRequisitionStatus(requisitionId, status);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+			this.render();
+		}
+	}
+
+	// ========================
+	// CANDIDATES
+	// ========================
+
+	/**
+	 * Show a candidate's details, interviews and scorecards
+	 * @param {string} candidateId - Candidate ID
+	 */
+	showCandidate(candidateId) {
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		if (!candidate || !this.recruitmentManager.canViewCandidate(candidate)) {
+			return;
+		}
+		const requisition = this.recruitmentManager.getRequisition(
+			candidate.requisitionId
+		);
+		const canManage = this.recruitmentManager.canManageRequisition(requisition);
+		const open = OPEN_STAGES.includes(candidate.stage);
+		const summary = this.recruitmentManager.getScorecardSummary(candidateId);
+		const hired = candidate.userId
+			? this.userManager.getUserById(candidate.userId)
+			: null;
+
+		const content = `
+			<p class="recruiting-meta-text">
+				${candidate.email}${candidate.phone ? ` · ${candidate.phone}` : ""} ·
+				${CANDIDATE_SOURCES[candidate.source]} · ${CANDIDATE_STAGES[candidate.stage]}
+				${candidate.rejectionReason ? ` (${candidate.rejectionReason})` : ""}
+				${hired ? ` · now ${hired.name} (${hired.id})` : ""}
+			</p>
+			${candidate.notes ? `<p>${candidate.notes}</p>` : ""}
+			${
+				candidate.resumeDocumentId !== null
+					? `<button class="btn btn-small btn-secondary" onclick="recruitmentUI.openResume('${candidate.id}')">📄 Resume</button>`
+					: `<p class="recruiting-meta-text">No resume on file.</p>`
+			}
+
+			<h4>Interviews</h4>
+			${this.renderInterviews(candidate, canManage)}
+
+			${summary.count > 0 ? this.renderScorecardSummary(summary) : ""}
+
+			<h4>History</h4>
+			<ul class="recruiting-history">
+				${candidate.history
+					.map(
+						(entry) =>
+							`<li>${CANDIDATE_STAGES[entry.stage]} · ${new Date(
+								entry.at
+							).toLocaleDateString()} · ${
+								this.userManager.getUserById(entry.by)?.name || "–"
+							}</li>`
+					)
+					.join("")}
+			</ul>
+
+			${
+				canManage && open
+					? `
+				<div class="recruiting-actions">
+					<button class="btn btn-small btn-primary" onclick="recruitmentUI.showInterviewModal('${candidate.id}')">Schedule interview</button>
+					${
+						candidate.stage === "offer" &&
+						this.recruitmentManager.canManageRecruiting()
+							? `<button class="btn btn-small btn-primary" onclick="recruitmentUI.showHireModal('${candidate.id}')">Hire</button>`
+							: ""
+					}
+					<button class="btn btn-small btn-danger" onclick="recruitmentUI.showRejectModal('${candidate.id}')">Reject</button>
+				</div>
+			`
+					: ""
+			}
+		`;
+
+		ModalComponent.show(
+			`${candidate.name} · ${requisition.title}`,
+			content,
+			"",
+			{ size: "large" }
+		);
+	}
+
+	renderInterviews(candidate, canManage) {
+		const interviews = this.recruitmentManager.getInterviews(candidate.id);
+		const user = this.authSystem.getCurrentUser();
+		if (interviews.length === 0) {
+			return `<p class="empty-state">No interviews yet.</p>`;
+		}
+
+		return `
+			<ul class="recruiting-list">
+				${interviews
+					.map(
+						(interview) => `
+					<li>
+						<div>
+							<strong>${interview.title}</strong>
+							<span class="recruiting-meta-text">
+								${interview.date} ${interview.time} · ${interview.status} ·
+								${interview.interviewerIds
+									.map((id) => {
+										const interviewer = this.userManager.getUserById(id);
+										const card = interview.scorecards[id];
+										return `${interviewer?.name || id}${
+											card ? ` (${RECOMMENDATIONS[card.recommendation]})` : ""
+										}`;
+									})
+									.join(", ")}
+							</span>
+						</div>
+						<div class="recruiting-actions">
+							${
+								interview.status !== "cancelled" &&
+								interview.interviewerIds.includes(user.id)
+									? `<button class="btn btn-small btn-secondary" onclick="recruitmentUI.showScorecardModal('${interview.id}')">${
+											interview.scorecards[user.id]
+												? "Edit scorecard"
+												: "Scorecard"
+									  }</button>`
+									: ""
+							}
+							${
+								canManage && interview.status === "scheduled"
+									? `<button class="btn btn-small btn-danger" onclick="recruitmentUI.cancelInterview('${interview.id}')">Cancel</button>`
+									: ""
+							}
+						</div>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderScorecardSummary(summary) {
+		return `
+			<h4>Scorecards (${summary.count})</h4>
+			<table class="recruiting-table">
+				<tbody>
+					${Object.entries(summary.criteria)
+						.map(
+							([criterion, average]) =>
+								`<tr><td>${criterion}</td><td>${average} / 4</td></tr>`
+						)
+						.join("")}
+					<tr>
+						<td><strong>Recommendations</strong></td>
+						<td>${Object.entries(summary.recommendations)
+							.filter(([, count]) => count > 0)
+							.map(([key, count]) => `${RECOMMENDATIONS[key]}: ${count}`)
+							.join(" · ")}</td>
+					</tr>
+				</tbody>
+			</table>
+		`;
+	}
+
+	openResume(candidateId) {
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		this.app.documentUIManager?.openDocument(candidate.resumeDocumentId);
+	}
+
+	showCandidateModal(requisitionId) {
+		const requisition = this.recruitmentManager.getRequisition(requisitionId);
+		const content = `
+			<div class="form-group">
+				<label for="candidateName">Name</label>
+				<input type="text" id="candidateName" name="name" required>
+			</div>
+			<div class="form-group">
+				<label for="candidateEmail">Email</label>
+				<input type="email" id="candidateEmail" name="email" required>
+			</div>
+			<div class="form-group">
+				<label for="candidatePhone">Phone</label>
+				<input type="tel" id="candidatePhone" name="phone">
+			</div>
+			<div class="form-group">
+				<label for="candidateSource">Source</label>
+				<select id="candidateSource" name="source">
+					${Object.entries(CANDIDATE_SOURCES)
+						.map(([value, label]) => `<option value="${value}">${label}</option>`)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="candidateResumeFile">Resume file</label>
+				<input type="file" id="candidateResumeFile" name="resumeFile" accept=".pdf,.doc,.docx,.txt,.md">
+				<small class="form-help">Or paste the resume below. It is kept as a private document.</small>
+			</div>
+			<div class="form-group">
+				<label for="candidateResumeText">Resume text</label>
+				<textarea id="candidateResumeText" name="resumeText" rows="6"></textarea>
+			</div>
+			<div class="form-group">
+				<label for="candidateNotes">Notes</label>
+				<textarea id="candidateNotes" name="notes" rows="2"></textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Add Candidate: ${requisition.title}`,
+			content,
+			async (e, modal, form) => {
+				const data = new FormData(form);
+				const file = data.get("resumeFile");
+				try {
+					const candidate = await this.recruitmentManager.addCandidate(
+						requisitionId,
+						{
+							name: data.get("name"),
+							email: data.get("email"),
+							phone: data.get("phone"),
+							source: data.get("source"),
+							notes: data.get("notes"),
+						},
+						file?.size ? { file } : { text: data.get("resumeText") }
+					);
+					modal.hide();
+					NotificationComponent.show(`Added ${candidate.name}`, "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	showRejectModal(candidateId) {
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		const content = `
+			<div class="form-group">
+				<label for="rejectionReason">Reason</label>
+				<input type="text" id="rejectionReason" name="reason">
+				<small class="form-help">Scheduled interviews with ${candidate.name} are cancelled.</small>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Reject ${candidate.name}`,
+			content,
+			(e, modal, form) => {
+				try {
+					this.recruitmentManager.rejectCandidate(
+						candidateId,
+						new FormData(form).get("reason")
+					);
+					modal.hide();
+					NotificationComponent.show(`${candidate.name} rejected`, "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	showHireModal(candidateId) {
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		const requisition = this.recruitmentManager.getRequisition(
+			candidate.requisitionId
+		);
+		if (candidate.stage !== "offer") {
+			NotificationComponent.show(
+				"Only candidates at the offer stage can be hired",
+				"warning"
+			);
+			return;
+		}
+
+		const [first, ...rest] = candidate.name.toLowerCase().split(/\s+/);
+		const suggestedEmail = `${[first, rest.pop()]
+			.filter(Boolean)
+			.join(".")}@studyhall.com`;
+		const content = `
+			<p class="form-help">
+				Creates ${candidate.name}'s account as ${requisition.title} in ${requisition.department}; onboarding starts from their start date.
+			</p>
+			<div class="form-group">
+				<label for="hireEmail">Work email</label>
+				<input type="email" id="hireEmail" name="email" value="${suggestedEmail}" required>
+			</div>
+			<div class="form-group">
+				<label for="hireRole">Role</label>
+				<select id="hireRole" name="role" required>
+					${this.userManager.roles
+						.map((role) => `<option value="${role.name}">${role.name}</option>`)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="hireManager">Manager</label>
+				<select id="hireManager" name="managerId">
+					${this.authSystem.authorizedUsers
+						.filter((user) => user.status !== "inactive")
+						.map(
+							(user) =>
+								`<option value="${user.id}" ${
+									user.id === requisition.hiringManagerId ? "selected" : ""
+								}>${user.name}</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="hireStartDate">Start date</label>
+				<input type="date" id="hireStartDate" name="startDate" value="${
+					requisition.targetStartDate || ""
+				}" required>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Hire ${candidate.name}`,
+			content,
+			async (e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					const { user, onboarding } =
+						await this.recruitmentManager.hireCandidate(candidateId, {
+							email: data.get("email"),
+							role: data.get("role"),
+							managerId: data.get("managerId"),
+							startDate: data.get("startDate"),
+						});
+					modal.hide();
+					await this.authSystem.requestPasswordReset(
+						user.email,
+						this.authSystem.getCurrentUser()
+					);
+					NotificationComponent.show(
+						`${user.name} hired${
+							onboarding ? " and onboarding started" : ""
+						} - a link to set their password was sent to ${user.email}`,
+						"success"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	// ========================
+	// INTERVIEWS
+	// ========================
+
+	showInterviewModal(candidateId) {
+		const candidate = this.recruitmentManager.getCandidate(candidateId);
+		const requisition = this.recruitmentManager.getRequisition(
+			candidate.requisitionId
+		);
+		const content = `
+			<div class="form-group">
+				<label for="interviewTitle">Interview</label>
+				<input type="text" id="interviewTitle" name="title" placeholder="e.g. Technical, Culture" required>
+			</div>
+			<div class="recruiting-form-row">
+				<div class="form-group">
+					<label for="interviewDate">Date</label>
+					<input type="date" id="interviewDate" name="date" required>
+				</div>
+				<div class="form-group">
+					<label for="interviewTime">Time</label>
+					<input type="time" id="interviewTime" name="time" required>
+				</div>
+				<div class="form-group">
+					<label for="interviewDuration">Minutes</label>
+					<input type="number" id="interviewDuration" name="duration" value="60" min="15" step="15">
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="interviewLocation">Location</label>
+				<input type="text" id="interviewLocation" name="location" placeholder="Room or video link">
+			</div>
+			<div class="form-group">
+				<label>Interviewers</label>
+				<div class="recruiting-options">
+					${this.authSystem.authorizedUsers
+						.filter((user) => user.status !== "inactive")
+						.map(
+							(user) => `
+						<label>
+							<input type="checkbox" name="interviewerIds" value="${user.id}" ${
+								user.id === requisition.hiringManagerId ? "checked" : ""
+							}>
+							${user.name}
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+				<small class="form-help">Each interviewer rates: ${requisition.criteria.join(", ")}.</small>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Interview ${candidate.name}`,
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.recruitmentManager.scheduleInterview(candidateId, {
+						title: data.get("title"),
+						date: data.get("date"),
+						time: data.get("time"),
+						duration: data.get("duration"),
+						location: data.get("location"),
+						interviewerIds: data.getAll("interviewerIds"),
+					});
+					modal.hide();
+					NotificationComponent.show("Interview scheduled", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	cancelInterview(interviewId) {
+		ModalComponent.confirm({
+			title: "Cancel interview",
+			message:
+				"The meeting is removed from the calendar and open scorecard tasks are cancelled.",
+			confirmText: "Cancel interview",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.recruitmentManager.cancelInterview(interviewId);
+					NotificationComponent.show("Interview cancelled", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+			},
+		});
+	}
+
+	showScorecardModal(interviewId) {
+		const interview = this.recruitmentManager.getInterview(interviewId);
+		const candidate = this.recruitmentManager.getCandidate(
+			interview.candidateId
+		);
+		const user = this.authSystem.getCurrentUser();
+		const existing = interview.scorecards[user.id];
+
+		const content = `
+			${interview.criteria
+				.map(
+					(criterion) => `
+				<fieldset class="recruiting-fieldset">
+					<legend>${criterion}</legend>
+					<div class="recruiting-options">
+						${Object.entries(SCORECARD_RATINGS)
+							.map(
+								([value, label]) => `
+							<label>
+								<input type="radio" name="rating:${criterion}" value="${value}" ${
+									existing?.ratings[criterion] === Number(value)
+										? "checked"
+										: ""
+								}>
+								${value} ${label}
+							</label>
+						`
+							)
+							.join("")}
+					</div>
+				</fieldset>
+			`
+				)
+				.join("")}
+			<fieldset class="recruiting-fieldset">
+				<legend>Recommendation</legend>
+				<div class="recruiting-options">
+					${Object.entries(RECOMMENDATIONS)
+						.map(
+							([value, label]) => `
+						<label>
+							<input type="radio" name="recommendation" value="${value}" ${
+								existing?.recommendation === value ? "checked" : ""
+							}>
+							${label}
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+			</fieldset>
+			<div class="form-group">
+				<label for="scorecardNotes">Notes</label>
+				<textarea id="scorecardNotes" name="notes" rows="4">${existing?.notes || ""}</textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			`Scorecard: ${candidate.name} (${interview.title})`,
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.recruitmentManager.submitScorecard(interviewId, {
+						ratings: Object.fromEntries(
+							interview.criteria.map((criterion) => [
+								criterion,
+								data.get(`rating:${criterion}`),
+							])
+						),
+						recommendation: data.get("recommendation"),
+						notes: data.get("notes"),
+					});
+					modal.hide();
+					NotificationComponent.show("Scorecard submitted", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	// ========================
+	// REQUISITIONS
+	// ========================
+
+	showRequisitionModal(requisitionId = null) {
+		const requisition = requisitionId
+			? this.recruitmentManager.getRequisition(requisitionId)
+			: null;
+		const currentUser = this.authSystem.getCurrentUser();
+
+		const content = `
+			<div class="form-group">
+				<label for="requisitionPosition">Position</label>
+				<select id="requisitionPosition" name="positionId" required>
+					${this.userManager.positions
+						.map(
+							(position) =>
+								`<option value="${position.id}" ${
+									requisition?.positionId === position.id ? "selected" : ""
+								}>${position.title} (${position.department})</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-group">
+				<label for="requisitionTitle">Title</label>
+				<input type="text" id="requisitionTitle" name="title" value="${
+					requisition?.title || ""
+				}" placeholder="Defaults to the position title">
+			</div>
+			<div class="recruiting-form-row">
+				<div class="form-group">
+					<label for="requisitionManager">Hiring manager</label>
+					<select id="requisitionManager" name="hiringManagerId">
+						${this.authSystem.authorizedUsers
+							.filter((user) => user.status !== "inactive")
+							.map(
+								(user) =>
+									`<option value="${user.id}" ${
+										(requisition?.hiringManagerId || currentUser.id) === user.id
+											? "selected"
+											: ""
+									}>${user.name}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+				<div class="form-group">
+					<label for="requisitionOpenings">Openings</label>
+					<input type="number" id="requisitionOpenings" name="openings" min="1" value="${
+						requisition?.openings || 1
+					}">
+				</div>
+				<div class="form-group">
+					<label for="requisitionStart">Target start</label>
+					<input type="date" id="requisitionStart" name="targetStartDate" value="${
+						requisition?.targetStartDate || ""
+					}">
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="requisitionDescription">Description</label>
+				<textarea id="requisitionDescription" name="description" rows="3">${
+					requisition?.description || ""
+				}</textarea>
+			</div>
+			<div class="form-group">
+				<label for="requisitionCriteria">Interview criteria</label>
+				<textarea id="requisitionCriteria" name="criteria" rows="4" placeholder="One per line. Defaults to the position's requirements.">${
+					requisition?.criteria.join("\n") || ""
+				}</textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			requisition ? `Edit ${requisition.title}` : "New Requisition",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				const fields = {
+					positionId: data.get("positionId"),
+					title: data.get("title"),
+					hiringManagerId: data.get("hiringManagerId"),
+					openings: Number(data.get("openings")),
+					targetStartDate: data.get("targetStartDate"),
+					description: data.get("description"),
+					criteria: data.get("criteria").split("\n"),
+				};
+				try {
+					const saved = requisition
+						? this.recruitmentManager.updateRequisition(requisition.id, fields)
+						: this.recruitmentManager.createRequisition(fields);
+					this.selectedRequisitionId = saved.id;
+					modal.hide();
+					NotificationComponent.show(`Saved ${saved.title}`, "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+}
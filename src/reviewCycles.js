@@ -0,0 +1,591 @@
+/**
+ * Review Cycles - Performance review rounds
+ * Admins define a cycle with its review forms and due dates. Launching it
+ * assigns every participant a self-review, a review by their manager and,
+ * when enabled, reviews from peers who share their manager; each one
+ * becomes a TaskManager task for the reviewer. Submitted reviews are
+ * confidential: only the employee, their manager chain and HR can read
+ * them, and peer reviewers are anonymous to the employee.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const REVIEW_KINDS = {
+	self: "Self-review",
+	manager: "Manager review",
+	peer: "Peer review",
+};
+
+export const CYCLE_STATUSES = {
+	draft: "Draft",
+	active: "In progress",
+	closed: "Closed",
+};
+
+export const DEFAULT_REVIEW_FORMS = {
+	self: {
+		questions: [
+			"What were your most important accomplishments this period?",
+			"Where did you fall short, and what got in the way?",
+			"What do you want to focus on next period?",
+		],
+		rating: true,
+	},
+	manager: {
+		questions: [
+			"What did this person do especially well?",
+			"Where should they grow?",
+			"What support will they need from you next period?",
+		],
+		rating: true,
+	},
+	peer: {
+		questions: [
+			"What is this person great at?",
+			"What could they do differently to be more effective?",
+		],
+		rating: false,
+	},
+};
+
+export class ReviewCycleManager {
+	/**
+	 * Initialize the ReviewCycleManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employee records
+	 * @param {Object} dependencies.hierarchyManager - Managers, peers and subordinates
+	 * @param {Object} dependencies.taskManager - Review tasks
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+		this.taskManager = dependencies.taskManager;
+
+		this.cyclesKey = "study-hall-review-cycles";
+		this.reviewsKey = "study-hall-reviews";
+		this.cycles = this.loadCycles();
+		this.reviews = this.loadReviews();
+
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+	}
+
+	loadCycles() {
+		try {
+			const saved = localStorage.getItem(this.cyclesKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load review cycles:", error);
+			return [];
+		}
+	}
+
+	loadReviews() {
+		try {
+			const saved = localStorage.getItem(this.reviewsKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load reviews:", error);
+			return [];
+		}
+	}
+
+	saveCycles() {
+		localStorage.setItem(this.cyclesKey, JSON.stringify(this.cycles));
+	}
+
+	saveReviews() {
+		localStorage.setItem(this.reviewsKey, JSON.stringify(this.reviews));
+		window.dispatchEvent(new CustomEvent("reviewsUpdated"));
+	}
+
+	// ========================
+	// CYCLES
+	// ========================
+
+	getCycles() {
+		return [...this.cycles].sort((a, b) =>
+			b.periodStart.localeCompare(a.periodStart)
+		);
+	}
+
+	getCycle(cycleId) {
+		return this.cycles.find((c) => c.id === cycleId) || null;
+	}
+
+	/**
+	 * Create or update a draft cycle
+	 * @param {Object} data
+	 * @param {string} data.name - e.g. "H1 2026"
+	 * @param {string} data.periodStart - First day under review, YYYY-MM-DD
+	 * @param {string} data.periodEnd - Last day under review, YYYY-MM-DD
+	 * @param {Object} data.dueDates - { self, manager, peer } as YYYY-MM-DD
+	 * @param {Object} [data.forms] - { self, manager, peer } as { questions, rating }
+	 * @param {boolean} [data.peerReviews=false] - Also collect peer reviews
+	 * @param {number} [data.peersPerEmployee=2] - Peer reviewers per employee
+	 * @param {Array<string>} [data.departments] - Limit to these departments
+	 * @param {string} [cycleId] - Draft to update
+	 * @returns {Object} The cycle
+	 */
+	saveCycle(data, cycleId = null) {
+		this.assertAdmin();
+
+		const existing = cycleId ? this.getCycle(cycleId) : null;
+		if (cycleId && !existing) {
+			throw new Error("Review cycle not found");
+		}
+		if (existing && existing.status !== "draft") {
+			throw new Error("Only draft cycles can be edited");
+		}
+
+		const cycle = {
+			...(existing || {
+				id: `cycle-${randomToken(9)}`,
+				status: "draft",
+				createdAt: new Date().toISOString(),
+				createdBy: this.authSystem.getCurrentUser()?.id || null,
+				launchedAt: null,
+				closedAt: null,
+			}),
+			...this.validateCycle(data),
+		};
+
+		if (existing) {
+			Object.assign(existing, cycle);
+		} else {
+			this.cycles.push(cycle);
+		}
+		this.saveCycles();
+
+		this.authSystem.recordAudit(
+			existing ? "review_cycle_updated" : "review_cycle_created",
+			{
+				details: `"${cycle.name}" (${cycle.periodStart} to ${cycle.periodEnd})`,
+			}
+		);
+		return cycle;
+	}
+
+	validateCycle(data) {
+		const name = String(data.name || "").trim();
+		if (!name) {
+			throw new Error("Give the review cycle a name");
+		}
+		const { periodStart, periodEnd } = data;
+		if (!periodStart || !periodEnd || periodEnd < periodStart) {
+			throw new Error("The review period needs a start and a later end date");
+		}
+
+		const peerReviews = Boolean(data.peerReviews);
+		const kinds = ["self", "manager", ...(peerReviews ? ["peer"] : [])];
+		const dueDates = {};
+		const forms = {};
+		kinds.forEach((kind) => {
+			const due = data.dueDates?.[kind];
+			if (!due) {
+				throw new Error(`Set a due date for the ${REVIEW_KINDS[kind]}`);
+			}
+			dueDates[kind] = due;
+
+			const form = data.forms?.[kind] || DEFAULT_REVIEW_FORMS[kind];
+			const questions = (form.questions || [])
+				.map((q) => String(q).trim())
+				.filter(Boolean);
+			if (questions.length === 0 && !form.rating) {
+				throw new Error(`The ${REVIEW_KINDS[kind]} form has no questions`);
+			}
+			forms[kind] = { questions, rating: Boolean(form.rating) };
+		});
+
+		const peersPerEmployee = parseInt(data.peersPerEmployee) || 2;
+		if (peerReviews && (peersPerEmployee < 1 || peersPerEmployee > 5)) {
+			throw new Error("Ask between 1 and 5 peers per employee");
+		}
+
+		return {
+			name,
+			periodStart,
+			periodEnd,
+			dueDates,
+			forms,
+			peerReviews,
+			peersPerEmployee: peerReviews ? peersPerEmployee : 0,
+			departments: (data.departments || []).filter(Boolean),
+		};
+	}
+
+	deleteCycle(cycleId) {
+		this.assertAdmin();
+
+		const cycle = this.getCycle(cycleId);
+		if (!cycle) {
+			throw new Error("Review cycle not found");
+		}
+		if (cycle.status !== "draft") {
+			throw new Error("Launched cycles are kept; close the cycle instead");
+		}
+
+		this.cycles = this.cycles.filter((c) => c.id !== cycleId);
+		this.saveCycles();
+		this.authSystem.recordAudit("review_cycle_deleted", {
+			details: `"${cycle.name}"`,
+		});
+	}
+
+	/**
+	 * Start a draft cycle: assign the reviews and create their tasks
+	 * @param {string} cycleId - Cycle ID
+	 * @returns {number} Reviews assigned
+	 */
+	launchCycle(cycleId) {
+		this.assertAdmin();
+
+		const cycle = this.getCycle(cycleId);
+		if (!cycle || cycle.status !== "draft") {
+			throw new Error("Only draft cycles can be launched");
+		}
+
+		const participants = this.getParticipants(cycle);
+		if (participants.length === 0) {
+			throw new Error("Nobody is eligible for this review cycle");
+		}
+
+		const assigned = [];
+		const peerLoad = new Map();
+		participants.forEach((employee) => {
+			assigned.push(this.assignReview(cycle, "self", employee, employee));
+
+			const manager = this.getManager(employee);
+			if (manager) {
+				assigned.push(this.assignReview(cycle, "manager", employee, manager));
+			}
+			if (cycle.peerReviews) {
+				this.pickPeers(employee, cycle.peersPerEmployee, peerLoad).forEach(
+					(peer) => {
+						peerLoad.set(peer.id, (peerLoad.get(peer.id) || 0) + 1);
+						assigned.push(this.assignReview(cycle, "peer", employee, peer));
+					}
+				);
+			}
+		});
+
+		cycle.status = "active";
+		cycle.launchedAt = new Date().toISOString();
+		this.saveCycles();
+		this.reviews.push(...assigned);
+		this.saveReviews();
+
+		this.authSystem.recordAudit("review_cycle_launched", {
+			details: `"${cycle.name}": ${participants.length} employees, ${assigned.length} reviews`,
+			metadata: { cycleId },
+		});
+		return assigned.length;
+	}
+
+	/**
+	 * Close a cycle. Reviews still outstanding are withdrawn along with
+	 * their tasks.
+	 * @param {string} cycleId - Cycle ID
+	 */
+	closeCycle(cycleId) {
+		this.assertAdmin();
+
+		const cycle = this.getCycle(cycleId);
+		if (!cycle || cycle.status !== "active") {
+			throw new Error("Only cycles in progress can be closed");
+		}
+
+		cycle.status = "closed";
+		cycle.closedAt = new Date().toISOString();
+		this.saveCycles();
+
+		const outstanding = this.reviews.filter(
+			(r) => r.cycleId === cycleId && r.status === "pending"
+		);
+		outstanding.forEach((review) => {
+			review.status = "withdrawn";
+			const task = this.taskManager.getTask(review.taskId);
+			if (task && !["completed", "cancelled"].includes(task.status)) {
+				this.taskManager.updateTask(task.id, { status: "cancelled" });
+			}
+		});
+		this.saveReviews();
+
+		this.authSystem.recordAudit("review_cycle_closed", {
+			details: `"${cycle.name}" (${outstanding.length} reviews not submitted)`,
+			metadata: { cycleId },
+		});
+	}
+
+	// Active employees who had started by the end of the period, in the
+	// cycle's departments
+	getParticipants(cycle) {
+		return this.authSystem.authorizedUsers.filter(
+			(user) =>
+				user.status !== "inactive" &&
+				(!user.startDate || user.startDate <= cycle.periodEnd) &&
+				(cycle.departments.length === 0 ||
+					cycle.departments.includes(user.department))
+		);
+	}
+
+	getManager(employee) {
+		const [manager] = this.hierarchyManager.getManagerChain(employee.id);
+		return manager && manager.status !== "inactive" ? manager : null;
+	}
+
+	// Colleagues who share the employee's manager, fewest assignments first
+	// so the load spreads evenly
+	pickPeers(employee, count, load = new Map()) {
+		const manager = this.getManager(employee);
+		if (!manager) return [];
+
+		return this.hierarchyManager
+			.getDirectReports(manager.id)
+			.filter(
+				(peer) =>
+					peer.id !== employee.id &&
+					peer.managerId === manager.id &&
+					peer.status !== "inactive"
+			)
+			.sort((a, b) => (load.get(a.id) || 0) - (load.get(b.id) || 0))
+			.slice(0, count);
+	}
+
+	assignReview(cycle, kind, subject, reviewer) {
+		const review = {
+			id: `review-${randomToken(9)}`,
+			cycleId: cycle.id,
+			kind,
+			subjectId: subject.id,
+			reviewerId: reviewer.id,
+			status: "pending",
+			answers: {},
+			rating: null,
+			submittedAt: null,
+			taskId: null,
+		};
+
+		const task = this.taskManager.createTask({
+			title:
+				kind === "self"
+					? `${cycle.name}: write your self-review`
+					: `${cycle.name}: ${REVIEW_KINDS[kind].toLowerCase()} for ${subject.name}`,
+			description: `Part of the ${cycle.name} review cycle (${cycle.periodStart} to ${cycle.periodEnd}). Open Reviews to complete it.`,
+			priority: "HIGH",
+			assignedTo: [reviewer.email],
+			department: subject.department,
+			dueDate: cycle.dueDates[kind],
+			category: "review",
+			tags: ["review", cycle.id],
+		});
+		review.taskId = task.id;
+		return review;
+	}
+
+	// ========================
+	// REVIEWS
+	// ========================
+
+	/**
+	 * Submit a review the current user was asked to write
+	 * @param {string} reviewId - Review ID
+	 * @param {Object} answers - Answer text by question index
+	 * @param {number|null} [rating] - 1-5 when the form asks for one
+	 * @returns {Object} The review
+	 */
+	submitReview(reviewId, answers, rating = null) {
+		const review = this.reviews.find((r) => r.id === reviewId);
+		const user = this.authSystem.getCurrentUser();
+		if (!review || review.reviewerId !== user?.id) {
+			throw new Error("Review not found");
+		}
+		if (review.status !== "pending") {
+			throw new Error("This review has already been submitted");
+		}
+		const cycle = this.getCycle(review.cycleId);
+		if (cycle?.status !== "active") {
+			throw new Error("This review cycle is closed");
+		}
+
+		const form = cycle.forms[review.kind];
+		const cleaned = {};
+		form.questions.forEach((question, index) => {
+			const answer = String(answers?.[index] || "").trim();
+			if (!answer) {
+				throw new Error(`Answer "${question}"`);
+			}
+			cleaned[index] = answer;
+		});
+		if (form.rating) {
+			rating = parseInt(rating);
+			if (!(rating >= 1 && rating <= 5)) {
+				throw new Error("Give an overall rating from 1 to 5");
+			}
+		}
+
+		Object.assign(review, {
+			answers: cleaned,
+			rating: form.rating ? rating : null,
+			status: "submitted",
+			submittedAt: new Date().toISOString(),
+		});
+		this.saveReviews();
+
+		if (this.taskManager.getTask(review.taskId)) {
+			this.taskManager.updateTaskProgress(review.taskId, 100);
+		}
+
+		this.authSystem.recordAudit("review_submitted", {
+			target: this.userManager.getUserById(review.subjectId),
+			details: `${REVIEW_KINDS[review.kind]} for "${cycle.name}"`,
+			metadata: { reviewId, cycleId: cycle.id },
+		});
+		return review;
+	}
+
+	// Reviews the current user still has to write
+	getAssignedReviews() {
+		const user = this.authSystem.getCurrentUser();
+		return this.reviews.filter(
+			(r) =>
+				r.reviewerId === user?.id &&
+				r.status === "pending" &&
+				this.getCycle(r.cycleId)?.status === "active"
+		);
+	}
+
+	/**
+	 * Whether the current user may read an employee's submitted reviews
+	 * @param {string} subjectId - Employee being reviewed
+	 * @returns {boolean}
+	 */
+	canReadReviewsOf(subjectId) {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) return false;
+		if (user.id === subjectId || this.authSystem.canManageUsers()) {
+			return true;
+		}
+		return this.hierarchyManager
+			.getManagerChain(subjectId)
+			.some((manager) => manager.id === user.id);
+	}
+
+	/**
+	 * An employee's submitted reviews, for readers allowed to see them.
+	 * The employee sees peer reviews without the reviewer's name.
+	 * @param {string} subjectId - Employee ID
+	 * @param {string} [cycleId] - Limit to one cycle
+	 * @returns {Array} Reviews
+	 */
+	getReviewsFor(subjectId, cycleId = null) {
+		if (!this.canReadReviewsOf(subjectId)) {
+			throw new Error("Insufficient permissions to read these reviews");
+		}
+
+		const user = this.authSystem.getCurrentUser();
+		const anonymize = user.id === subjectId;
+		return this.reviews
+			.filter(
+				(r) =>
+					r.subjectId === subjectId &&
+					r.status === "submitted" &&
+					(!cycleId || r.cycleId === cycleId)
+			)
+			.map((r) =>
+				anonymize && r.kind === "peer" ? { ...r, reviewerId: null } : r
+			);
+	}
+
+	/**
+	 * Review progress for everyone under a manager
+	 * @param {string} cycleId - Cycle ID
+	 * @param {string} [managerId] - Defaults to the current user
+	 * @returns {Object} { cycle, rows, totals }
+	 */
+	getCompletionDashboard(cycleId, managerId = null) {
+		const user = this.authSystem.getCurrentUser();
+		const rootId = managerId || user?.id;
+		if (rootId !== user?.id && !this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to view this team's reviews");
+		}
+		const cycle = this.getCycle(cycleId);
+		if (!cycle) {
+			throw new Error("Review cycle not found");
+		}
+
+		const today = new Date().toISOString().split("T")[0];
+		// A report listed under two managers would otherwise appear twice
+		const subordinates = [
+			...new Map(
+				this.hierarchyManager
+					.getAllSubordinates(rootId)
+					.map((employee) => [employee.id, employee])
+			).values(),
+		];
+		const rows = subordinates
+			.map((employee) => {
+				const reviews = this.reviews.filter(
+					(r) => r.cycleId === cycleId && r.subjectId === employee.id
+				);
+				if (reviews.length === 0) return null;
+
+				const progress = (kind) => {
+					const ofKind = reviews.filter((r) => r.kind === kind);
+					return {
+						total: ofKind.length,
+						submitted: ofKind.filter((r) => r.status === "submitted").length,
+						overdue:
+							today > (cycle.dueDates[kind] || today) &&
+							ofKind.some((r) => r.status === "pending"),
+					};
+				};
+				const byKind = {
+					self: progress("self"),
+					manager: progress("manager"),
+					peer: progress("peer"),
+				};
+				return {
+					employee,
+					...byKind,
+					complete: reviews.every((r) => r.status === "submitted"),
+					overdue: Object.values(byKind).some((p) => p.overdue),
+				};
+			})
+			.filter(Boolean);
+
+		const completed = rows.filter((row) => row.complete).length;
+		return {
+			cycle,
+			rows,
+			totals: {
+				employees: rows.length,
+				completed,
+				overdue: rows.filter((row) => row.overdue).length,
+				percent: rows.length
+					? Math.round((completed / rows.length) * 100)
+					: 0,
+			},
+		};
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	assertAdmin() {
+		if (!this.authSystem.canAccessAdminPanel()) {
+			throw new Error("Insufficient permissions to manage review cycles");
+		}
+	}
+
+	removeUsers(userIds) {
+		this.reviews = this.reviews.filter(
+			(r) => !userIds.includes(r.subjectId) && !userIds.includes(r.reviewerId)
+		);
+		this.saveReviews();
+	}
+}
@@ -0,0 +1,592 @@
+/**
+ * Review UI Manager - Reviews view
+ * Reviews the signed-in user has to write, their own completed reviews,
+ * completion progress for their subordinates, and for admins the review
+ * cycle setup.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import {
+	CYCLE_STATUSES,
+	DEFAULT_REVIEW_FORMS,
+	REVIEW_KINDS,
+} from "./reviewCycles.js";
+
+export class ReviewUIManager {
+	constructor(reviewCycles, app) {
+		this.reviewCycles = reviewCycles;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+		this.hierarchyManager = app.hierarchyManager;
+
+		// Cycle shown in the team progress table
+		this.dashboardCycleId = null;
+
+		window.addEventListener("reviewsUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Reviews view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "reviewsContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const launched = this.reviewCycles
+			.getCycles()
+			.filter((cycle) => cycle.status !== "draft");
+		const hasTeam =
+			this.hierarchyManager.getAllSubordinates(user.id).length > 0;
+
+		container.innerHTML = `
+			${this.authSystem.canAccessAdminPanel() ? this.renderCycleAdmin() : ""}
+
+			<section class="review-section">
+				<h4>Reviews to write</h4>
+				${this.renderAssigned()}
+			</section>
+
+			<section class="review-section">
+				<h4>My reviews</h4>
+				${this.renderOwnReviews(launched)}
+			</section>
+
+			${
+				hasTeam && launched.length > 0
+					? `
+				<section class="review-section">
+					<h4>Team progress</h4>
+					${this.renderDashboard(launched)}
+				</section>
+			`
+					: ""
+			}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("reviewsContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	renderCycleAdmin() {
+		const cycles = this.reviewCycles.getCycles();
+		return `
+			<section class="review-section">
+				<div class="review-section-header">
+					<h4>Review cycles</h4>
+					<button class="btn btn-primary btn-small" onclick="reviewUI.showCycleModal()">
+						+ New Cycle
+					</button>
+				</div>
+				${
+					cycles.length === 0
+						? `<p class="empty-state">No review cycles yet.</p>`
+						: `
+					<table class="review-table">
+						<thead>
+							<tr>
+								<th>Cycle</th>
+								<th>Period</th>
+								<th>Status</th>
+								<th>Submitted</th>
+								<th></th>
+							</tr>
+						</thead>
+						<tbody>
+							${cycles.map((cycle) => this.renderCycleRow(cycle)).join("")}
+						</tbody>
+					</table>
+				`
+				}
+			</section>
+		`;
+	}
+
+	renderCycleRow(cycle) {
+		const reviews = this.reviewCycles.reviews.filter(
+			(r) => r.cycleId === cycle.id
+		);
+		const submitted = reviews.filter((r) => r.status === "submitted").length;
+		const actions = {
+			draft: `
+				<button class="btn btn-small btn-secondary" onclick="reviewUI.showCycleModal('${cycle.id}')">Edit</button>
+				<button class="btn btn-small btn-primary" onclick="reviewUI.launchCycle('${cycle.id}')">Launch</button>
+				<button class="btn btn-small btn-danger" onclick="reviewUI.deleteCycle('${cycle.id}')">Delete</button>
+			`,
+			active: `<button class="btn btn-small btn-secondary" onclick="reviewUI.closeCycle('${cycle.id}')">Close</button>`,
+			closed: "",
+		};
+
+		return `
+			<tr>
+				<td>${cycle.name}</td>
+				<td>${cycle.periodStart} – ${cycle.periodEnd}</td>
+				<td><span class="review-status ${cycle.status}">${
+			CYCLE_STATUSES[cycle.status]
+		}</span></td>
+				<td>${cycle.status === "draft" ? "–" : `${submitted} / ${reviews.length}`}</td>
+				<td class="review-actions">${actions[cycle.status]}</td>
+			</tr>
+		`;
+	}
+
+	renderAssigned() {
+		const assigned = this.reviewCycles.getAssignedReviews();
+		if (assigned.length === 0) {
+			return `<p class="empty-state">Nothing to write right now.</p>`;
+		}
+
+		return `
+			<ul class="review-list">
+				${assigned
+					.map((review) => {
+						const cycle = this.reviewCycles.getCycle(review.cycleId);
+						const subject = this.userManager.getUserById(review.subjectId);
+						const due = cycle.dueDates[review.kind];
+						return `
+							<li>
+								<div>
+									<strong>${REVIEW_KINDS[review.kind]}</strong>
+									${review.kind === "self" ? "" : ` for ${subject?.name || "Unknown"}`}
+									<span class="review-meta">${cycle.name} · due ${due}</span>
+								</div>
+								<button class="btn btn-small btn-primary" onclick="reviewUI.showWriteModal('${
+									review.id
+								}')">Write</button>
+							</li>
+						`;
+					})
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderOwnReviews(cycles) {
+		const user = this.authSystem.getCurrentUser();
+		const withReviews = cycles.filter(
+			(cycle) => this.reviewCycles.getReviewsFor(user.id, cycle.id).length > 0
+		);
+		if (withReviews.length === 0) {
+			return `<p class="empty-state">No completed reviews yet.</p>`;
+		}
+
+		return `
+			<ul class="review-list">
+				${withReviews
+					.map(
+						(cycle) => `
+					<li>
+						<div>
+							<strong>${cycle.name}</strong>
+							<span class="review-meta">${
+								this.reviewCycles.getReviewsFor(user.id, cycle.id).length
+							} reviews</span>
+						</div>
+						<button class="btn btn-small btn-secondary" onclick="reviewUI.showReviews('${
+							user.id
+						}', '${cycle.id}')">Read</button>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderDashboard(cycles) {
+		const cycleId =
+			cycles.find((c) => c.id === this.dashboardCycleId)?.id || cycles[0].id;
+		const { rows, totals } =
+			this.reviewCycles.getCompletionDashboard(cycleId);
+		const cell = ({ total, submitted, overdue }) =>
+			total === 0
+				? "–"
+				: `<span class="${overdue ? "review-overdue" : ""}">${submitted} / ${total}</span>`;
+
+		return `
+			<div class="review-dashboard-header">
+				<select onchange="reviewUI.selectDashboardCycle(this.value)">
+					${cycles
+						.map(
+							(cycle) =>
+								`<option value="${cycle.id}" ${
+									cycle.id === cycleId ? "selected" : ""
+								}>${cycle.name}</option>`
+						)
+						.join("")}
+				</select>
+				<span>
+					${totals.completed} of ${totals.employees} complete (${totals.percent}%)
+					${totals.overdue ? ` · <span class="review-overdue">${totals.overdue} overdue</span>` : ""}
+				</span>
+			</div>
+			<div class="review-progress-bar">
+				<div style="width: ${totals.percent}%"></div>
+			</div>
+			<table class="review-table">
+				<thead>
+					<tr>
+						<th>Employee</th>
+						<th>Self</th>
+						<th>Manager</th>
+						<th>Peers</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					${rows
+						.map(
+							(row) => `
+						<tr>
+							<td>${row.employee.name}</td>
+							<td>${cell(row.self)}</td>
+							<td>${cell(row.manager)}</td>
+							<td>${cell(row.peer)}</td>
+							<td>
+								<button class="btn btn-small btn-secondary" onclick="reviewUI.showReviews('${
+									row.employee.id
+								}', '${cycleId}')">Read</button>
+							</td>
+						</tr>
+					`
+						)
+						.join("")}
+				</tbody>
+			</table>
+		`;
+	}
+
+	selectDashboardCycle(cycleId) {
+		this.dashboardCycleId = cycleId;
+		this.render();
+	}
+
+	showWriteModal(reviewId) {
+		const review = this.reviewCycles.reviews.find((r) => r.id === reviewId);
+		const cycle = this.reviewCycles.getCycle(review.cycleId);
+		const subject = this.userManager.getUserById(review.subjectId);
+		const form = cycle.forms[review.kind];
+
+		const content = `
+			<p class="form-help">
+				${cycle.name}, covering ${cycle.periodStart} to ${cycle.periodEnd}.
+				Only ${
+					review.kind === "self" ? "you" : subject?.name || "the employee"
+				}, their manager chain and HR can read this once it's submitted.
+			</p>
+			${form.questions
+				.map(
+					(question, index) => `
+				<div class="form-group">
+					<label for="answer-${index}">${question}</label>
+					<textarea id="answer-${index}" name="answer-${index}" rows="4" required></textarea>
+				</div>
+			`
+				)
+				.join("")}
+			${
+				form.rating
+					? `
+				<div class="form-group">
+					<label for="reviewRating">Overall rating</label>
+					<select id="reviewRating" name="rating" required>
+						<option value="">Choose…</option>
+						<option value="5">5 - Exceptional</option>
+						<option value="4">4 - Exceeds expectations</option>
+						<option value="3">3 - Meets expectations</option>
+						<option value="2">2 - Partly meets expectations</option>
+						<option value="1">1 - Does not meet expectations</option>
+					</select>
+				</div>
+			`
+					: ""
+			}
+		`;
+
+		const title =
+			review.kind === "self"
+				? "Self-review"
+				: `${REVIEW_KINDS[review.kind]}: ${subject?.name || "Unknown"}`;
+		ModalComponent.form(
+			title,
+			content,
+			(e, modal, formElement) => {
+				const data = Object.fromEntries(new FormData(formElement).entries());
+				const answers = form.questions.map(
+					(question, index) => data[`answer-${index}`]
+				);
+				try {
+					this.reviewCycles.submitReview(reviewId, answers, data.rating);
+					modal.hide();
+					NotificationComponent.show("Review submitted", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	showReviews(subjectId, cycleId) {
+		let reviews;
+		try {
+			reviews = this.reviewCycles.getReviewsFor(subjectId, cycleId);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+			return;
+		}
+
+		const cycle = this.reviewCycles.getCycle(cycleId);
+		const subject = this.userManager.getUserById(subjectId);
+		const order = Object.keys(REVIEW_KINDS);
+		const content =
+			reviews.length === 0
+				? `<p class="empty-state">No reviews have been submitted yet.</p>`
+				: reviews
+						.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind))
+						.map((review) => {
+							const reviewer = review.reviewerId
+								? this.userManager.getUserById(review.reviewerId)?.name
+								: "Anonymous colleague";
+							return `
+						<article class="review-card">
+							<header>
+								<strong>${REVIEW_KINDS[review.kind]}</strong>
+								<span class="review-meta">${reviewer || "Former employee"}${
+								review.rating ? ` · rated ${review.rating}/5` : ""
+							}</span>
+							</header>
+							${cycle.forms[review.kind].questions
+								.map(
+									(question, index) => `
+								<h5>${question}</h5>
+								<p>${review.answers[index] || ""}</p>
+							`
+								)
+								.join("")}
+						</article>
+					`;
+						})
+						.join("");
+
+		ModalComponent.show(
+			`${subject?.name || "Unknown"} · ${cycle.name}`,
+			content,
+			"review-read-modal",
+			{ size: "large" }
+		);
+	}
+
+	showCycleModal(cycleId = null) {
+		const cycle = cycleId ? this.reviewCycles.getCycle(cycleId) : null;
+		const defaults = cycle || this.suggestCycle();
+		const forms = { ...DEFAULT_REVIEW_FORMS, ...defaults.forms };
+		const departments = this.userManager.departments;
+
+		const formFields = Object.entries(REVIEW_KINDS)
+			.map(
+				([kind, label]) => `
+			<fieldset class="review-form-fieldset" data-kind="${kind}">
+				<legend>${label}</legend>
+				<div class="form-row">
+					<div class="form-group">
+						<label for="due-${kind}">Due</label>
+						<input type="date" id="due-${kind}" name="due-${kind}" value="${
+					defaults.dueDates?.[kind] || ""
+				}">
+					</div>
+					<div class="form-group">
+						<label>
+							<input type="checkbox" name="rating-${kind}" ${
+					forms[kind].rating ? "checked" : ""
+				}>
+							Ask for an overall 1–5 rating
+						</label>
+					</div>
+				</div>
+				<div class="form-group">
+					<label for="questions-${kind}">Questions, one per line</label>
+					<textarea id="questions-${kind}" name="questions-${kind}" rows="3">${forms[
+					kind
+				].questions.join("\n")}</textarea>
+				</div>
+			</fieldset>
+		`
+			)
+			.join("");
+
+		const content = `
+			<div class="form-group">
+				<label for="cycleName">Name</label>
+				<input type="text" id="cycleName" name="name" value="${defaults.name}" required>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="periodStart">Period start</label>
+					<input type="date" id="periodStart" name="periodStart" value="${defaults.periodStart}" required>
+				</div>
+				<div class="form-group">
+					<label for="periodEnd">Period end</label>
+					<input type="date" id="periodEnd" name="periodEnd" value="${defaults.periodEnd}" required>
+				</div>
+			</div>
+			<div class="form-group">
+				<label>Departments (none selected means everyone)</label>
+				<div class="review-department-options">
+					${departments
+						.map(
+							(department) => `
+						<label>
+							<input type="checkbox" name="departments" value="${department.name}" ${
+								defaults.departments?.includes(department.name)
+									? "checked"
+									: ""
+							}>
+							${department.name}
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label>
+						<input type="checkbox" name="peerReviews" ${
+							defaults.peerReviews ? "checked" : ""
+						}>
+						Collect peer reviews from colleagues with the same manager
+					</label>
+				</div>
+				<div class="form-group">
+					<label for="peersPerEmployee">Peers per employee</label>
+					<input type="number" id="peersPerEmployee" name="peersPerEmployee" min="1" max="5" value="${
+						defaults.peersPerEmployee || 2
+					}">
+				</div>
+			</div>
+			${formFields}
+		`;
+
+		ModalComponent.form(
+			cycle ? "Edit Review Cycle" : "New Review Cycle",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				const kinds = Object.keys(REVIEW_KINDS);
+				try {
+					this.reviewCycles.saveCycle(
+						{
+							name: data.get("name"),
+							periodStart: data.get("periodStart"),
+							periodEnd: data.get("periodEnd"),
+							departments: data.getAll("departments"),
+							peerReviews: data.has("peerReviews"),
+							peersPerEmployee: data.get("peersPerEmployee"),
+							dueDates: Object.fromEntries(
+								kinds.map((kind) => [kind, data.get(`due-${kind}`)])
+							),
+							forms: Object.fromEntries(
+								kinds.map((kind) => [
+									kind,
+									{
+										questions: data.get(`questions-${kind}`).split("\n"),
+										rating: data.has(`rating-${kind}`),
+									},
+								])
+							),
+						},
+						cycleId
+					);
+					modal.hide();
+					NotificationComponent.show("Review cycle saved", "success");
+					this.render();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	// Reviews run twice a year, so suggest the half-year that just ended
+	// with a two- and four-week deadline
+	suggestCycle() {
+		const today = new Date();
+		const year = today.getFullYear();
+		const reviewFirstHalf = today.getMonth() >= 6;
+		const reviewYear = reviewFirstHalf ? year : year - 1;
+		const inDays = (days) => {
+			const date = new Date(today);
+			date.setDate(date.getDate() + days);
+			return date.toISOString().split("T")[0];
+		};
+
+		return {
+			name: `${reviewFirstHalf ? "H1" : "H2"} ${reviewYear}`,
+			periodStart: `${reviewYear}-${reviewFirstHalf ? "01-01" : "07-01"}`,
+			periodEnd: `${reviewYear}-${reviewFirstHalf ? "06-30" : "12-31"}`,
+			dueDates: { self: inDays(14), peer: inDays(14), manager: inDays(28) },
+			peerReviews: false,
+			peersPerEmployee: 2,
+			departments: [],
+			forms: DEFAULT_REVIEW_FORMS,
+		};
+	}
+
+	launchCycle(cycleId) {
+		const cycle = this.reviewCycles.getCycle(cycleId);
+		ModalComponent.confirm({
+			title: "Launch review cycle",
+			message: `Launch "${cycle.name}"? Everyone taking part gets their review tasks straight away, and the cycle can no longer be edited.`,
+			confirmText: "Launch",
+			onConfirm: (modal) => {
+				try {
+					const count = this.reviewCycles.launchCycle(cycleId);
+					NotificationComponent.show(`${count} reviews assigned`, "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+				this.render();
+			},
+		});
+	}
+
+	closeCycle(cycleId) {
+		const cycle = this.reviewCycles.getCycle(cycleId);
+		ModalComponent.confirm({
+			title: "Close review cycle",
+			message: `Close "${cycle.name}"? Reviews not yet submitted are withdrawn and their tasks cancelled.`,
+			confirmText: "Close Cycle",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.reviewCycles.closeCycle(cycleId);
+					NotificationComponent.show("Review cycle closed", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+				this.render();
+			},
+		});
+	}
+
+	deleteCycle(cycleId) {
+		try {
+			this.reviewCycles.deleteCycle(cycleId);
+			NotificationComponent.show("Draft cycle deleted", "success");
+			this.render();
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+}
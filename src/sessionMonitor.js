@@ -0,0 +1,125 @@
+/**
+ * SessionMonitor - Tracks activity in the app and enforces the idle timeout
+ * Warns shortly before an idle sign-out and notices sessions revoked elsewhere.
+ */
+
+import { NotificationComponent } from "./components/NotificationComponent.js";
+
+export class SessionMonitor {
+	/**
+	 * Initialize the SessionMonitor
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {number} [dependencies.checkInterval=15000] - How often to check the session (ms)
+	 * @param {number} [dependencies.touchInterval=30000] - Minimum gap between activity writes (ms)
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.checkInterval = dependencies.checkInterval || 15000;
+		this.touchInterval = dependencies.touchInterval || 30000;
+		this.activityEvents = ["mousedown", "keydown", "scroll", "touchstart"];
+
+		this.lastTouch = 0;
+		this.timer = null;
+		this.warning = null;
+		this.activityHandler = () => this.handleActivity();
+	}
+
+	/**
+	 * Start listening for activity and checking the session
+	 */
+	start() {
+		if (this.timer) return;
+
+		this.activityEvents.forEach((eventName) => {
+			document.addEventListener(eventName, this.activityHandler, {
+				passive: true,
+			});
+		});
+		this.timer = setInterval(() => this.check(), this.checkInterval);
+		this.handleActivity();
+	}
+
+	/**
+	 * Stop monitoring
+	 */
+	stop() {
+		this.activityEvents.forEach((eventName) => {
+			document.removeEventListener(eventName, this.activityHandler);
+		});
+		clearInterval(this.timer);
+		this.timer = null;
+		this.hideWarning();
+	}
+
+	/**
+	 * Record activity, writing to storage at most once per touchInterval
+	 */
+	handleActivity() {
+		const now = Date.now();
+		if (now - this.lastTouch < this.touchInterval) return;
+
+		this.lastTouch = now;
+		this.authSystem.touchSession();
+		this.hideWarning();
+	}
+
+	/**
+	 * Sign out expired, idle or revoked sessions and warn when idle time runs low.
+	 * Activity in any other tab counts, since the session record is shared.
+	 */
+	check() {
+		// Logs out and redirects on its own when the session is no longer valid
+		if (!this.authSystem.isAuthenticated()) {
+			this.stop();
+			return;
+		}
+
+		const record = this.authSystem.getSessionRecord(
+			this.authSystem.getCurrentSessionId()
+		);
+		const remaining = this.authSystem.getIdleTimeRemaining(record);
+
+		if (remaining <= this.authSystem.idleWarningLead) {
+			this.showWarning(remaining);
+		} else {
+			this.hideWarning();
+		}
+	}
+
+	/**
+	 * Show the idle warning with a button to stay signed in
+	 * @param {number} remaining - Milliseconds until sign-out
+	 */
+	showWarning(remaining) {
+		if (this.warning) return;
+
+		const minutes = Math.max(1, Math.ceil(remaining / 60000));
+		this.warning = NotificationComponent.show(
+			`You'll be signed out in about ${minutes} minute${
+				minutes === 1 ? "" : "s"
+			} due to inactivity.`,
+			"warning",
+			{
+				persistent: true,
+				action: {
+					text: "Stay signed in",
+					callback: () => {
+						this.lastTouch = 0;
+						this.handleActivity();
+					},
+				},
+			}
+		);
+	}
+
+	/**
+	 * Remove the idle warning if it is showing
+	 */
+	hideWarning() {
+		if (this.warning) {
+			this.warning.hide();
+			this.warning = null;
+		}
+	}
+}
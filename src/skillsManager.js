@@ -0,0 +1,586 @@
+/**
+ * Skills Manager - Skills catalogue, proficiency and gap analysis
+ * HR keeps a catalogue of skills, seeded from the requirements of every
+ * position. Employees rate their own proficiency in any skill; a manager
+ * above them, or HR, validates the level. Gap analysis compares an
+ * employee against their position's requirements and, for each gap,
+ * suggests courses that cover the skill and colleagues who have it.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const PROFICIENCY_LEVELS = {
+	1: "Beginner",
+	2: "Working knowledge",
+	3: "Proficient",
+	4: "Expert",
+};
+
+// Position requirements are bare skill names; this is the level they ask for
+export const REQUIRED_LEVEL = 3;
+
+export class SkillsManager {
+	/**
+	 * Initialize the SkillsManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Positions and their requirements
+	 * @param {Object} dependencies.hierarchyManager - Who validates whom
+	 * @param {Object} dependencies.trainingManager - Courses to suggest
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+		this.trainingManager = dependencies.trainingManager;
+
+		this.skillsKey = "study-hall-skills";
+		this.assessmentsKey = "study-hall-employee-skills";
+		this.skills = this.load(this.skillsKey, "skills catalogue");
+		this.assessments = this.load(this.assessmentsKey, "employee skills");
+	}
+
+	start() {
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+		this.syncCatalogue();
+	}
+
+	load(key, label) {
+		try {
+			const saved = localStorage.getItem(key);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn(`Failed to load ${label}:`, error);
+			return [];
+		}
+	}
+
+	save() {
+		localStorage.setItem(this.skillsKey, JSON.stringify(this.skills));
+		localStorage.setItem(
+			this.assessmentsKey,
+			JSON.stringify(this.assessments)
+		);
+		window.dispatchEvent(new CustomEvent("skillsUpdated"));
+	}
+
+	// ========================
+	// CATALOGUE
+	// ========================
+
+	/**
+	 * Add every position requirement missing from the catalogue
+	 * @returns {number} Skills added
+	 */
+	syncCatalogue() {
+		const missing = [
+			...new Set(
+				this.userManager.positions.flatMap((p) => p.requirements || [])
+			),
+		].filter((name) => !this.findSkillByName(name));
+
+		missing.forEach((name) =>
+			this.skills.push(this.buildSkill({ name, category: "Role" }))
+		);
+		if (missing.length > 0) this.save();
+		return missing.length;
+	}
+
+	requireCatalogueAccess() {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to manage the skills catalogue");
+		}
+	}
+
+	getSkills({ includeArchived = false } = {}) {
+		return this.skills
+			.filter((skill) => includeArchived || !skill.archivedAt)
+			.sort(
+				(a, b) =>
+					a.category.localeCompare(b.category) || a.name.localeCompare(b.name)
+			);
+	}
+
+	getSkill(skillId) {
+		return this.skills.find((skill) => skill.id === skillId) || null;
+	}
+
+	findSkillByName(name) {
+		const key = String(name).trim().toLowerCase();
+		return (
+			this.skills.find((skill) => skill.name.toLowerCase() === key) || null
+		);
+	}
+
+	buildSkill(data) {
+		return {
+			id: `skill-${randomToken(9)}`,
+			name: String(data.name).trim(),
+			category: String(data.category || "").trim() || "General",
+			description: String(data.description || "").trim(),
+			createdAt: new Date().toISOString(),
+			archivedAt: null,
+		};
+	}
+
+	/**
+	 * Add a skill to the catalogue, or update one
+	 * @param {Object} data - { name, category, description }
+	 * @param {string} [skillId] - Skill to update
+	 * @returns {Object} The skill
+	 */
+	saveSkill(data, skillId = null) {
+		this.requireCatalogueAccess();
+
+		const existing = skillId ? this.getSkill(skillId) : null;
+		if (skillId && !existing) {
+			throw new Error("Skill not found");
+		}
+		const name = String(data.name || "").trim();
+		if (!name) {
+			throw new Error("Give the skill a name");
+		}
+		const duplicate = this.findSkillByName(name);
+		if (duplicate && duplicate.id !== skillId) {
+			throw new Error(`"${duplicate.name}" is already in the catalogue`);
+		}
+
+		if (existing && existing.name !== name) {
+			this.renameReferences(existing.name, name);
+		}
+
+		const skill = existing
+			? Object.assign(existing, {
+					name,
+					category: String(data.category || "").trim() || "General",
+					description: String(data.description || "").trim(),
+			  })
+			: this.buildSkill({ ...data, name });
+		if (!existing) this.skills.push(skill);
+		this.save();
+
+		this.authSystem.recordAudit(
+			existing ? "skill_updated" : "skill_created",
+			{ details: `"${skill.name}"`, metadata: { skillId: skill.id } }
+		);
+		return skill;
+	}
+
+	// Position requirements and course coverage refer to skills by name
+	renameReferences(fromName, toName) {
+		const rename = (names = []) =>
+			names.map((n) => (n === fromName ? toName : n));
+
+		const positions = this.userManager.positions.filter((p) =>
+			(p.requirements || []).includes(fromName)
+		);
+		positions.forEach((p) => (p.requirements = rename(p.requirements)));
+		if (positions.length > 0) this.userManager.savePositions();
+
+		const courses = this.trainingManager.courses.filter((c) =>
+			(c.covers || []).includes(fromName)
+		);
+		courses.forEach((c) => (c.covers = rename(c.covers)));
+		if (courses.length > 0) this.trainingManager.saveCourses();
+	}
+
+	/**
+	 * Retire a skill. Existing ratings are kept but it can't be picked any
+	 * more. Skills a position still requires stay.
+	 * @param {string} skillId - Skill ID
+	 */
+	archiveSkill(skillId) {
+		this.requireCatalogueAccess();
+		const skill = this.getSkill(skillId);
+		if (!skill || skill.archivedAt) {
+			throw new Error("Skill not found");
+		}
+		const positions = this.userManager.positions.filter((p) =>
+			(p.requirements || []).includes(skill.name)
+		);
+		if (positions.length > 0) {
+			throw new Error(
+				`"${skill.name}" is required by ${positions
+					.map((p) => p.title)
+					.join(", ")}`
+			);
+		}
+
+		skill.archivedAt = new Date().toISOString();
+		this.save();
+
+		this.authSystem.recordAudit("skill_archived", {
+			details: `"${skill.name}"`,
+			metadata: { skillId },
+		});
+	}
+
+	// ========================
+	// PROFICIENCY
+	// ========================
+
+	/**
+	 * Whether the current user can validate an employee's skills: HR, or
+	 * anyone above them in the reporting line
+	 * @param {string} userId - Employee ID
+	 * @returns {boolean}
+	 */
+	canValidate(userId) {
+		const currentUser = this.authSystem.getCurrentUser();
+		if (!currentUser || currentUser.id === userId) return false;
+		if (this.authSystem.canManageUsers()) return true;
+		return this.hierarchyManager
+			.getManagerChain(userId)
+			.some((manager) => manager.id === currentUser.id);
+	}
+
+	canViewGaps(userId) {
+		return (
+			this.authSystem.getCurrentUser()?.id === userId ||
+			this.canValidate(userId)
+		);
+	}
+
+	getAssessment(userId, skillId) {
+		return (
+			this.assessments.find(
+				(a) => a.userId === userId && a.skillId === skillId
+			) || null
+		);
+	}
+
+	getAssessmentsForUser(userId) {
+		return this.assessments
+			.filter((a) => a.userId === userId)
+			.map((assessment) => ({
+				...assessment,
+				skill: this.getSkill(assessment.skillId),
+			}))
+			.filter((a) => a.skill)
+			.sort((a, b) => a.skill.name.localeCompare(b.skill.name));
+	}
+
+	validateLevel(level) {
+		level = Number(level);
+		if (!PROFICIENCY_LEVELS[level]) {
+			throw new Error("Choose a proficiency level from 1 to 4");
+		}
+		return level;
+	}
+
+	/**
+	 * Rate your own proficiency in a skill. A new self-rating puts the skill
+	 * back in front of the manager for validation.
+	 * @param {string} skillId - Skill ID
+	 * @param {number} level - One of PROFICIENCY_LEVELS
+	 * @param {string} [note] - Evidence or context
+	 * @returns {Object} The assessment
+	 */
+	assessSelf(skillId, level, note = "") {
+		const user = this.authSystem.getCurrentUser();
+		const skill = this.getSkill(skillId);
+		if (!user) {
+			throw new Error("Sign in to record skills");
+		}
+		if (!skill || skill.archivedAt) {
+			throw new Error("Skill not found");
+		}
+		level = this.validateLevel(level);
+
+		let assessment = this.getAssessment(user.id, skillId);
+		if (!assessment) {
+			assessment = {
+				id: `userskill-${randomToken(9)}`,
+				userId: user.id,
+				skillId,
+				validatedLevel: null,
+				validatedBy: null,
+				validatedAt: null,
+			};
+			this.assessments.push(assessment);
+		}
+		Object.assign(assessment, {
+			selfLevel: level,
+			note: String(note || "").trim(),
+			selfAssessedAt: new Date().toISOString(),
+		});
+		this.save();
+		return assessment;
+	}
+
+	/**
+	 * Confirm or adjust an employee's level in a skill
+	 * @param {string} userId - Employee ID
+	 * @param {string} skillId - Skill ID
+	 * @param {number} level - One of PROFICIENCY_LEVELS
+	 * @returns {Object} The assessment
+	 */
+	validate(userId, skillId, level) {
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+		if (!this.canValidate(userId)) {
+			throw new Error(
+				`Insufficient permissions to validate ${user.name}'s skills`
+			);
+		}
+		const skill = this.getSkill(skillId);
+		if (!skill) {
+			throw new Error("Skill not found");
+		}
+		level = this.validateLevel(level);
+
+		let assessment = this.getAssessment(userId, skillId);
+		if (!assessment) {
+			// A manager can record a skill the employee hasn't rated yet
+			assessment = {
+				id: `userskill-${randomToken(9)}`,
+				userId,
+				skillId,
+				selfLevel: null,
+				note: "",
+				selfAssessedAt: null,
+			};
+			this.assessments.push(assessment);
+		}
+		Object.assign(assessment, {
+			validatedLevel: level,
+			validatedBy: this.authSystem.getCurrentUser().id,
+			validatedAt: new Date().toISOString(),
+		});
+		this.save();
+
+		this.authSystem.recordAudit("skill_validated", {
+			target: user,
+			details: `${skill.name}: ${PROFICIENCY_LEVELS[level]}`,
+			metadata: { skillId, level },
+		});
+		return assessment;
+	}
+
+	/**
+	 * Take a skill off an employee's profile
+	 * @param {string} userId - Employee ID
+	 * @param {string} skillId - Skill ID
+	 */
+	removeAssessment(userId, skillId) {
+		const currentUser = this.authSystem.getCurrentUser();
+		if (currentUser?.id !== userId && !this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to change these skills");
+		}
+		this.assessments = this.assessments.filter(
+			(a) => !(a.userId === userId && a.skillId === skillId)
+		);
+		this.save();
+	}
+
+	// Self-ratings nobody has validated since they were made
+	needsValidation(assessment) {
+		return Boolean(
+			assessment.selfAssessedAt &&
+				(!assessment.validatedAt ||
+					assessment.selfAssessedAt > assessment.validatedAt)
+		);
+	}
+
+	/**
+	 * Self-ratings waiting for the current user to validate, oldest first
+	 * @returns {Array} Assessments with their user and skill
+	 */
+	getPendingValidations() {
+		return this.assessments
+			.filter((a) => this.needsValidation(a) && this.canValidate(a.userId))
+			.map((assessment) => ({
+				...assessment,
+				user: this.userManager.getUserById(assessment.userId),
+				skill: this.getSkill(assessment.skillId),
+			}))
+			.filter((a) => a.user && a.skill)
+			.sort((a, b) => a.selfAssessedAt.localeCompare(b.selfAssessedAt));
+	}
+
+	/**
+	 * The level to count for an employee: validated if a manager has
+	 * confirmed it, otherwise their own rating
+	 * @param {string} userId - Employee ID
+	 * @param {string} skillId - Skill ID
+	 * @returns {Object|null} { level, validated }
+	 */
+	getLevel(userId, skillId) {
+		const assessment = this.getAssessment(userId, skillId);
+		if (!assessment) return null;
+		if (assessment.validatedLevel) {
+			return { level: assessment.validatedLevel, validated: true };
+		}
+		return assessment.selfLevel
+			? { level: assessment.selfLevel, validated: false }
+			: null;
+	}
+
+	// ========================
+	// MATRIX AND GAPS
+	// ========================
+
+	getRequirements(user) {
+		const position = this.userManager.positions.find(
+			(p) => p.title === user.position
+		);
+		return (position?.requirements || [])
+			.map((name) => this.findSkillByName(name))
+			.filter(Boolean);
+	}
+
+	/**
+	 * Everyone in a department against the skills their positions require
+	 * and the skills they hold
+	 * @param {string} department - Department name
+	 * @returns {Object} { skills, rows }. Each row has the user and a cell
+	 *   per skill: { level, validated, required, gap }.
+	 */
+	getMatrix(department) {
+		const users = this.authSystem.authorizedUsers
+			.filter(
+				(user) => user.department === department && user.status !== "inactive"
+			)
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		const required = new Map(
+			users.map((user) => [
+				user.id,
+				this.getRequirements(user).map((skill) => skill.id),
+			])
+		);
+		const skillIds = new Set([
+			...[...required.values()].flat(),
+			...this.assessments
+				.filter((a) => users.some((user) => user.id === a.userId))
+				.map((a) => a.skillId),
+		]);
+		const skills = [...skillIds]
+			.map((id) => this.getSkill(id))
+			.filter(Boolean)
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		return {
+			skills,
+			rows: users.map((user) => ({
+				user,
+				cells: Object.fromEntries(
+					skills.map((skill) => {
+						const level = this.getLevel(user.id, skill.id);
+						const isRequired = required.get(user.id).includes(skill.id);
+						return [
+							skill.id,
+							{
+								level: level?.level || 0,
+								validated: level?.validated || false,
+								required: isRequired,
+								gap: isRequired && (level?.level || 0) < REQUIRED_LEVEL,
+							},
+						];
+					})
+				),
+			})),
+		};
+	}
+
+	/**
+	 * An employee's position requirements they don't yet meet, with
+	 * courses and colleagues that can help
+	 * @param {string} userId - Employee ID
+	 * @returns {Object} { user, position, met, gaps }. Each gap has the
+	 *   skill, the level counted, courses covering it and people who have it.
+	 */
+	getGapAnalysis(userId) {
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+		if (!this.canViewGaps(userId)) {
+			throw new Error(`Insufficient permissions to view ${user.name}'s skills`);
+		}
+
+		const met = [];
+		const gaps = [];
+		this.getRequirements(user).forEach((skill) => {
+			const level = this.getLevel(userId, skill.id);
+			if (level && level.level >= REQUIRED_LEVEL) {
+				met.push({ skill, ...level });
+				return;
+			}
+			gaps.push({
+				skill,
+				level: level?.level || 0,
+				validated: level?.validated || false,
+				required: REQUIRED_LEVEL,
+				courses: this.suggestCourses(skill, userId),
+				experts: this.suggestExperts(skill, user),
+			});
+		});
+
+		return {
+			user,
+			position: user.position || null,
+			met,
+			gaps,
+		};
+	}
+
+	// Published courses covering the skill, with where the employee stands
+	suggestCourses(skill, userId) {
+		return this.trainingManager
+			.getCourses()
+			.filter(
+				(course) =>
+					course.status === "published" &&
+					(course.covers || []).some(
+						(name) => name.toLowerCase() === skill.name.toLowerCase()
+					)
+			)
+			.map((course) => {
+				const assignment = this.trainingManager
+					.getAssignmentsForUser(userId)
+					.find((a) => a.courseId === course.id);
+				return { course, status: assignment?.status || null };
+			});
+	}
+
+	// Colleagues validated at the required level or above, same department
+	// first, then the most expert
+	suggestExperts(skill, user, limit = 3) {
+		return this.assessments
+			.filter(
+				(a) =>
+					a.skillId === skill.id &&
+					a.userId !== user.id &&
+					a.validatedLevel >= REQUIRED_LEVEL
+			)
+			.map((a) => ({
+				user: this.userManager.getUserById(a.userId),
+				level: a.validatedLevel,
+			}))
+			.filter(({ user: expert }) => expert && expert.status !== "inactive")
+			.sort(
+				(a, b) =>
+					Number(b.user.department === user.department) -
+						Number(a.user.department === user.department) ||
+					b.level - a.level ||
+					a.user.name.localeCompare(b.user.name)
+			)
+			.slice(0, limit);
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	removeUsers(userIds) {
+		this.assessments = this.assessments.filter(
+			(a) => !userIds.includes(a.userId)
+		);
+		this.save();
+	}
+}
@@ -0,0 +1,602 @@
+/**
+ * Skills UI Manager - Skills view
+ * The signed-in user's own skills and gaps against their position,
+ * self-ratings waiting for their validation, and a skills matrix for the
+ * selected department. HR maintains the catalogue from here too.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import { PROFICIENCY_LEVELS, REQUIRED_LEVEL } from "./skillsManager.js";
+
+export class SkillsUIManager {
+	constructor(skillsManager, app) {
+		this.skillsManager = skillsManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+		this.trainingManager = app.trainingManager;
+
+		// Department shown in the matrix
+		this.selectedDepartment = null;
+
+		window.addEventListener("skillsUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Skills view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "skillsContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		if (!this.selectedDepartment) {
+			this.selectedDepartment = user.department;
+		}
+		const pending = this.skillsManager.getPendingValidations();
+
+		container.innerHTML = `
+			<section class="skills-section">
+				<div class="skills-section-header">
+					<h4>Your skills</h4>
+					<button class="btn btn-primary btn-small" onclick="skillsUI.showAssessModal()">+ Add Skill</button>
+					${
+						this.authSystem.canManageUsers()
+							? `<button class="btn btn-secondary btn-small" onclick="skillsUI.showCatalogueModal()">Catalogue</button>`
+							: ""
+					}
+				</div>
+				${this.renderOwnSkills(user)}
+			</section>
+
+			<section class="skills-section">
+				<div class="skills-section-header">
+					<h4>Your gaps${user.position ? ` for ${user.position}` : ""}</h4>
+				</div>
+				${this.renderGaps(this.skillsManager.getGapAnalysis(user.id))}
+			</section>
+
+			${
+				pending.length > 0
+					? `
+				<section class="skills-section">
+					<div class="skills-section-header">
+						<h4>Awaiting your validation</h4>
+					</div>
+					${this.renderPendingValidations(pending)}
+				</section>
+			`
+					: ""
+			}
+
+			<section class="skills-section">
+				<div class="skills-section-header">
+					<h4>Skills matrix</h4>
+					<select onchange="skillsUI.selectDepartment(this.value)">
+						${this.userManager.departments
+							.map(
+								(department) =>
+									`<option value="${department.name}" ${
+										department.name === this.selectedDepartment
+											? "selected"
+											: ""
+									}>${department.name}</option>`
+							)
+							.join("")}
+					</select>
+				</div>
+				${this.renderMatrix(
+					this.skillsManager.getMatrix(this.selectedDepartment)
+				)}
+			</section>
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("skillsContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	selectDepartment(department) {
+		this.selectedDepartment = department;
+		this.render();
+	}
+
+	renderLevel(level, validated) {
+		if (!level) return "–";
+		return `<span class="skills-level level-${level} ${
+			validated ? "validated" : "unvalidated"
+		}" title="${PROFICIENCY_LEVELS[level]}${
+			validated ? "" : " (not yet validated)"
+		}">${level}${validated ? "" : "?"}</span>`;
+	}
+
+	renderOwnSkills(user) {
+		const assessments = this.skillsManager.getAssessmentsForUser(user.id);
+		if (assessments.length === 0) {
+			return `<p class="empty-state">You haven't rated any skills yet.</p>`;
+		}
+
+		return `
+			<ul class="skills-list">
+				${assessments
+					.map(
+						(assessment) => `
+					<li>
+						<div>
+							<strong>${assessment.skill.name}</strong>
+							<span class="skills-meta-text">
+								You: ${
+									assessment.selfLevel
+										? PROFICIENCY_LEVELS[assessment.selfLevel]
+										: "not rated"
+								} ·
+								${
+									assessment.validatedLevel
+										? `validated ${PROFICIENCY_LEVELS[
+												assessment.validatedLevel
+										  ]} by ${
+												this.userManager.getUserById(assessment.validatedBy)
+													?.name || "a manager"
+										  }`
+										: "not validated yet"
+								}
+								${
+									this.skillsManager.needsValidation(assessment) &&
+									assessment.validatedLevel
+										? " · new rating awaiting validation"
+										: ""
+								}
+							</span>
+						</div>
+						<div class="skills-actions">
+							<button class="btn btn-small btn-secondary" onclick="skillsUI.showAssessModal('${
+								assessment.skillId
+							}')">Update</button>
+							<button class="btn btn-small btn-secondary" onclick="skillsUI.removeAssessment('${
+								user.id
+							}', '${assessment.skillId}')">Remove</button>
+						</div>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderGaps({ user, position, met, gaps }) {
+		if (!position) {
+			return `<p class="empty-state">${user.name} has no position, so there are no requirements to compare against.</p>`;
+		}
+		if (gaps.length === 0) {
+			return `<p class="empty-state">Meets all ${met.length} requirement${
+				met.length === 1 ? "" : "s"
+			} of the position.</p>`;
+		}
+
+		return `
+			<ul class="skills-list">
+				${gaps
+					.map(
+						(gap) => `
+					<li class="skills-gap">
+						<div>
+							<strong>${gap.skill.name}</strong>
+							<span class="skills-meta-text">
+								Needs ${PROFICIENCY_LEVELS[gap.required]} · has
+								${
+									gap.level
+										? `${PROFICIENCY_LEVELS[gap.level]}${
+												gap.validated ? "" : " (self-rated)"
+										  }`
+										: "no rating"
+								}
+							</span>
+							${
+								gap.courses.length > 0
+									? `<span class="skills-meta-text">Courses: ${gap.courses
+											.map(({ course, status }) =>
+												status
+													? `${course.title} (${status.replace("_", " ")})`
+													: `${course.title} <button class="btn btn-small btn-secondary" onclick="skillsUI.assignCourse('${course.id}', '${user.id}')">Assign</button>`
+											)
+											.join(", ")}</span>`
+									: ""
+							}
+							${
+								gap.experts.length > 0
+									? `<span class="skills-meta-text">Ask: ${gap.experts
+											.map(
+												({ user: expert, level }) =>
+													`${expert.name} (${PROFICIENCY_LEVELS[level]}, ${expert.department})`
+											)
+											.join(", ")}</span>`
+									: ""
+							}
+						</div>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderPendingValidations(pending) {
+		return `
+			<ul class="skills-list">
+				${pending
+					.map(
+						(assessment) => `
+					<li>
+						<div>
+							<strong>${assessment.user.name} · ${assessment.skill.name}</strong>
+							<span class="skills-meta-text">
+								Rates themselves ${PROFICIENCY_LEVELS[assessment.selfLevel]}
+								${assessment.note ? ` · "${assessment.note}"` : ""}
+							</span>
+						</div>
+						<button class="btn btn-small btn-primary" onclick="skillsUI.showValidateModal('${
+							assessment.userId
+						}', '${assessment.skillId}')">Validate</button>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderMatrix({ skills, rows }) {
+		if (rows.length === 0) {
+			return `<p class="empty-state">Nobody works in this department.</p>`;
+		}
+		if (skills.length === 0) {
+			return `<p class="empty-state">No skills recorded or required here yet.</p>`;
+		}
+
+		return `
+			<div class="skills-matrix-wrapper">
+				<table class="skills-matrix">
+					<thead>
+						<tr>
+							<th>Employee</th>
+							${skills.map((skill) => `<th>${skill.name}</th>`).join("")}
+						</tr>
+					</thead>
+					<tbody>
+						${rows
+							.map(
+								({ user, cells }) => `
+							<tr>
+								<td>
+									${
+										this.skillsManager.canViewGaps(user.id)
+											? `<a href="#" onclick="skillsUI.showGapModal('${user.id}'); return false;">${user.name}</a>`
+											: user.name
+									}
+									<span class="skills-meta-text">${user.position || ""}</span>
+								</td>
+								${skills
+									.map((skill) => {
+										const cell = cells[skill.id];
+										return `<td class="${cell.required ? "required" : ""} ${
+											cell.gap ? "gap" : ""
+										}">${this.renderLevel(cell.level, cell.validated)}</td>`;
+									})
+									.join("")}
+							</tr>
+						`
+							)
+							.join("")}
+					</tbody>
+				</table>
+			</div>
+			<p class="skills-meta-text">
+				Levels 1–4; ? marks a self-rating not yet validated. Outlined cells
+				are required by the employee's position at level ${REQUIRED_LEVEL}.
+			</p>
+		`;
+	}
+
+	// ========================
+	// ACTIONS
+	// ========================
+
+	showAssessModal(skillId = null) {
+		const user = this.authSystem.getCurrentUser();
+		const assessment = skillId
+			? this.skillsManager.getAssessment(user.id, skillId)
+			: null;
+
+		const content = `
+			<div class="form-group">
+				<label for="skillSelect">Skill</label>
+				<select id="skillSelect" name="skillId" required ${
+					skillId ? "disabled" : ""
+				}>
+					${this.skillsManager
+						.getSkills()
+						.map(
+							(skill) =>
+								`<option value="${skill.id}" ${
+									skill.id === skillId ? "selected" : ""
+								}>${skill.name} (${skill.category})</option>`
+						)
+						.join("")}
+				</select>
+			</div>
+			${this.renderLevelOptions(assessment?.selfLevel)}
+			<div class="form-group">
+				<label for="skillNote">Evidence</label>
+				<textarea id="skillNote" name="note" rows="2" placeholder="Projects, certificates, years of experience">${
+					assessment?.note || ""
+				}</textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			skillId ? "Update Skill" : "Add Skill",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.skillsManager.assessSelf(
+						skillId || data.get("skillId"),
+						data.get("level"),
+						data.get("note")
+					);
+					modal.hide();
+					NotificationComponent.show("Skill saved", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	renderLevelOptions(selected) {
+		return `
+			<div class="form-group">
+				<label>Proficiency</label>
+				<div class="skills-level-options">
+					${Object.entries(PROFICIENCY_LEVELS)
+						.map(
+							([level, label]) => `
+						<label>
+							<input type="radio" name="level" value="${level}" required ${
+								Number(level) === selected ? "checked" : ""
+							}>
+							${level} · ${label}
+						</label>
+					`
+						)
+						.join("")}
+				</div>
+			</div>
+		`;
+	}
+
+	showValidateModal(userId, skillId) {
+		const user = this.userManager.getUserById(userId);
+		const skill = this.skillsManager.getSkill(skillId);
+		const assessment = this.skillsManager.getAssessment(userId, skillId);
+
+		const content = `
+			<p>
+				${user.name} rates themselves
+				<strong>${PROFICIENCY_LEVELS[assessment.selfLevel]}</strong>
+				in ${skill.name}.
+			</p>
+			${assessment.note ? `<p class="skills-meta-text">${assessment.note}</p>` : ""}
+			${this.renderLevelOptions(
+				this.skillsManager.needsValidation(assessment)
+					? assessment.selfLevel
+					: assessment.validatedLevel || assessment.selfLevel
+			)}
+		`;
+
+		ModalComponent.form(
+			`Validate ${skill.name}`,
+			content,
+			(e, modal, form) => {
+				try {
+					this.skillsManager.validate(
+						userId,
+						skillId,
+						new FormData(form).get("level")
+					);
+					modal.hide();
+					NotificationComponent.show(
+						`Validated ${user.name}'s ${skill.name}`,
+						"success"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	removeAssessment(userId, skillId) {
+		const skill = this.skillsManager.getSkill(skillId);
+		ModalComponent.confirm({
+			title: "Remove skill",
+			message: `Remove ${skill.name} from your skills?`,
+			confirmText: "Remove",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.skillsManager.removeAssessment(userId, skillId);
+					modal.hide();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+		});
+	}
+
+	showGapModal(userId) {
+		const user = this.userManager.getUserById(userId);
+		const skills = this.skillsManager.getAssessmentsForUser(userId);
+
+		const content = `
+			<h4>Against ${user.position || "their position"}</h4>
+			${this.renderGaps(this.skillsManager.getGapAnalysis(userId))}
+			<h4>All skills</h4>
+			${
+				skills.length === 0
+					? `<p class="empty-state">No skills recorded.</p>`
+					: `
+				<ul class="skills-list">
+					${skills
+						.map(
+							(assessment) => `
+						<li>
+							<div>
+								<strong>${assessment.skill.name}</strong>
+								<span class="skills-meta-text">
+									Self ${assessment.selfLevel || "–"} · validated
+									${assessment.validatedLevel || "–"}
+								</span>
+							</div>
+							${
+								this.skillsManager.canValidate(userId)
+									? `<button class="btn btn-small btn-secondary" onclick="skillsUI.showValidateModal('${userId}', '${assessment.skillId}')">Validate</button>`
+									: ""
+							}
+						</li>
+					`
+						)
+						.join("")}
+				</ul>
+			`
+			}
+		`;
+
+		this.gapModal?.hide();
+		this.gapModal = ModalComponent.show(
+			`${user.name} · Skills`,
+			content,
+			"",
+			{ size: "large" }
+		);
+	}
+
+	assignCourse(courseId, userId) {
+		try {
+			const course = this.trainingManager.getCourse(courseId);
+			this.trainingManager.assignCourse(courseId, [userId]);
+			NotificationComponent.show(`Assigned ${course.title}`, "success");
+			this.gapModal?.hide();
+			this.render();
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	// ========================
+	// CATALOGUE
+	// ========================
+
+	showCatalogueModal() {
+		const skills = this.skillsManager.getSkills();
+		const content = `
+			<ul class="skills-list">
+				${skills
+					.map(
+						(skill) => `
+					<li>
+						<div>
+							<strong>${skill.name}</strong>
+							<span class="skills-meta-text">${skill.category}${
+								skill.description ? ` · ${skill.description}` : ""
+							}</span>
+						</div>
+						<div class="skills-actions">
+							<button class="btn btn-small btn-secondary" onclick="skillsUI.showSkillModal('${
+								skill.id
+							}')">Edit</button>
+							<button class="btn btn-small btn-secondary" onclick="skillsUI.archiveSkill('${
+								skill.id
+							}')">Archive</button>
+						</div>
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+			<div class="skills-actions">
+				<button class="btn btn-primary" onclick="skillsUI.showSkillModal()">+ New Skill</button>
+			</div>
+		`;
+
+		this.catalogueModal?.hide();
+		this.catalogueModal = ModalComponent.show(
+			"Skills Catalogue",
+			content,
+			"",
+			{ size: "large" }
+		);
+	}
+
+	showSkillModal(skillId = null) {
+		const skill = skillId ? this.skillsManager.getSkill(skillId) : null;
+		const content = `
+			<div class="form-group">
+				<label for="skillName">Name</label>
+				<input type="text" id="skillName" name="name" required value="${
+					skill?.name || ""
+				}">
+			</div>
+			<div class="form-group">
+				<label for="skillCategory">Category</label>
+				<input type="text" id="skillCategory" name="category" value="${
+					skill?.category || ""
+				}" placeholder="General">
+			</div>
+			<div class="form-group">
+				<label for="skillDescription">Description</label>
+				<textarea id="skillDescription" name="description" rows="2">${
+					skill?.description || ""
+				}</textarea>
+			</div>
+		`;
+
+		ModalComponent.form(
+			skill ? `Edit ${skill.name}` : "New Skill",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.skillsManager.saveSkill(
+						{
+							name: data.get("name"),
+							category: data.get("category"),
+							description: data.get("description"),
+						},
+						skillId
+					);
+					modal.hide();
+					this.showCatalogueModal();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	archiveSkill(skillId) {
+		try {
+			this.skillsManager.archiveSkill(skillId);
+			this.showCatalogueModal();
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+}
@@ -110,6 +110,7 @@ export class SpaceManager {
 
 		this.spaces.push(space);
 		this.saveSpaces();
+		this.auditSpace("space_created", space);
 
 		// Add to navigation if available
 		if (this.navigationManager) {
@@ -139,6 +140,7 @@ export class SpaceManager {
 		};
 
 		this.saveSpaces();
+		this.auditSpace("space_updated", this.spaces[spaceIndex]);
 
 		// Update navigation if available
 		if (this.navigationManager) {
@@ -167,6 +169,7 @@ export class SpaceManager {
 
 		this.spaces = this.spaces.filter((s) => s.id !== spaceId);
 		this.saveSpaces();
+		this.auditSpace("space_deleted", space);
 
 		// Remove from navigation if available
 		if (this.navigationManager) {
@@ -176,6 +179,14 @@ export class SpaceManager {
 		return true;
 	}
 
+	// Audited so changes made while viewing as someone else name the admin too
+	auditSpace(action, space, details = `"${space.name}"`) {
+		this.authSystem.recordAudit(action, {
+			details,
+			metadata: { spaceId: space.id },
+		});
+	}
+
 	/**
 	 * Rename a space
 	 * @param {string} spaceId - Space ID
@@ -232,6 +243,7 @@ export class SpaceManager {
 		// Set new default
 		space.isDefault = true;
 		this.saveSpaces();
+		this.auditSpace("space_default_set", space);
 
 		NotificationComponent.show(
 			`"${space.name}" set as default space`,
@@ -260,6 +272,11 @@ export class SpaceManager {
 
 		space.members.push(userEmail);
 		this.saveSpaces();
+		this.auditSpace(
+			"space_member_added",
+			space,
+			`${userEmail} to "${space.name}"`
+		);
 
 		NotificationComponent.show("Member added to space", "success");
 		return true;
@@ -280,6 +297,11 @@ export class SpaceManager {
 
 		space.members = space.members.filter((email) => email !== userEmail);
 		this.saveSpaces();
+		this.auditSpace(
+			"space_member_removed",
+			space,
+			`${userEmail} from "${space.name}"`
+		);
 
 		NotificationComponent.show("Member removed from space", "success");
 		return true;
@@ -0,0 +1,168 @@
+/**
+ * SyncManager - Keeps open tabs of the app consistent with each other
+ * Listens for `storage` events (fired in every other tab when localStorage
+ * changes) and BroadcastChannel messages, reloads only the state whose
+ * storage key changed and re-renders the current view.
+ */
+
+export class SyncManager {
+	/**
+	 * Initialize the SyncManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} [dependencies.viewManager] - ViewManagerComponent to refresh after a reload
+	 * @param {string} [dependencies.channelName="study-hall-sync"] - BroadcastChannel name
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.viewManager = dependencies.viewManager || null;
+		this.channelName = dependencies.channelName || "study-hall-sync";
+
+		this.handlers = new Map(); // storage key -> { reload, refresh }
+		this.channel = null;
+		this.tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+		this.refreshTimer = null;
+		this.loggingOut = false;
+	}
+
+	/**
+	 * Reload some in-memory state whenever another tab writes its storage key
+	 * @param {string|Array<string>} keys - localStorage key(s) to watch
+	 * @param {Function} reload - Called with the changed key
+	 * @param {Object} [options]
+	 * @param {boolean} [options.refresh=true] - Re-render the current view afterwards
+	 * @returns {SyncManager} This instance, for chaining
+	 */
+	register(keys, reload, options = {}) {
+		[].concat(keys).forEach((key) => {
+			this.handlers.set(key, { reload, refresh: options.refresh !== false });
+		});
+		return this;
+	}
+
+	/**
+	 * Start listening to other tabs
+	 */
+	start() {
+		window.addEventListener("storage", (event) =>
+			this.handleStorageEvent(event)
+		);
+
+		// Tell other tabs when this one signs out. Storage events already cover
+		// the local provider; the channel also reaches sessionStorage-based ones.
+		window.addEventListener("sessionEnded", (event) => {
+			if (!this.loggingOut) {
+				this.broadcast("logout", { reason: event.detail?.reason || null });
+			}
+		});
+
+		if (typeof BroadcastChannel !== "undefined") {
+			this.channel = new BroadcastChannel(this.channelName);
+			this.channel.onmessage = (event) => this.handleMessage(event.data);
+		}
+	}
+
+	/**
+	 * Post a message to the other tabs
+	 * @param {string} type - Message type
+	 * @param {Object} [payload] - Message data
+	 */
+	broadcast(type, payload = {}) {
+		this.channel?.postMessage({ type, payload, source: this.tabId });
+	}
+
+	/**
+	 * Handle a localStorage change made in another tab
+	 * @param {StorageEvent} event - Storage event
+	 */
+	handleStorageEvent(event) {
+		// key is null when another tab cleared all of localStorage
+		if (event.key === null) {
+			this.handleSessionChange(null, null);
+			return;
+		}
+
+		if (event.key === this.authSystem.sessionKey) {
+			this.handleSessionChange(event.oldValue, event.newValue);
+			return;
+		}
+
+		this.reload(event.key);
+	}
+
+	/**
+	 * Handle a BroadcastChannel message from another tab
+	 * @param {Object} message - { type, payload, source }
+	 */
+	handleMessage(message) {
+		if (!message || message.source === this.tabId) return;
+
+		if (message.type === "logout") {
+			this.logoutFromOtherTab(message.payload.reason);
+		}
+	}
+
+	/**
+	 * React to the session being replaced or removed in another tab
+	 * @param {string|null} oldValue - Previous serialized session
+	 * @param {string|null} newValue - New serialized session
+	 */
+	handleSessionChange(oldValue, newValue) {
+		if (!newValue) {
+			this.logoutFromOtherTab(null);
+			return;
+		}
+
+		// A different account signed in - nothing on this page is valid any more
+		try {
+			const previousUserId = oldValue ? JSON.parse(oldValue).user?.id : null;
+			const currentUserId = JSON.parse(newValue).user?.id;
+			if (previousUserId !== currentUserId) {
+				window.location.reload();
+			}
+		} catch (error) {
+			window.location.reload();
+		}
+	}
+
+	/**
+	 * Sign this tab out because another tab did
+	 * @param {string|null} reason - Reason passed on to the login page
+	 */
+	logoutFromOtherTab(reason) {
+		if (this.loggingOut) return;
+
+		this.loggingOut = true;
+		this.authSystem.logout(reason);
+	}
+
+	/**
+	 * Run the reload handler for a key and schedule a view refresh
+	 * @param {string} key - Storage key that changed
+	 */
+	reload(key) {
+		const handler = this.handlers.get(key);
+		if (!handler) return;
+
+		try {
+			handler.reload(key);
+		} catch (error) {
+			console.error(`Failed to reload "${key}" from another tab:`, error);
+			return;
+		}
+
+		if (handler.refresh) {
+			this.scheduleRefresh();
+		}
+	}
+
+	/**
+	 * Re-render the current view once a burst of changes has settled
+	 */
+	scheduleRefresh() {
+		clearTimeout(this.refreshTimer);
+		this.refreshTimer = setTimeout(() => {
+			this.viewManager?.refresh();
+		}, 100);
+	}
+}
@@ -18,8 +18,13 @@ export class TaskManager {
 			taskNotifications: "study-hall-task-notifications",
 			taskProgress: "study-hall-task-progress",
 			taskComments: "study-hall-task-comments",
+			timeEntries: "study-hall-time-entries",
 		};
 
+		// Checks run before a time entry is added or removed (e.g. locked
+		// timesheet weeks); each throws to refuse the change
+		this.timeEntryValidators = [];
+
 		// Priority levels
 		this.priorities = {
 			LOW: { value: 1, label: "Low", color: "#28a745", bgColor: "#d4edda" },
@@ -274,6 +279,7 @@ export class TaskManager {
 
 		// Send notifications
 		this.sendTaskNotification(newTask, "created");
+		this.auditTask("task_created", newTask);
 
 		console.log("Task created:", newTask);
 		return newTask;
@@ -316,6 +322,11 @@ export class TaskManager {
 
 		this.tasks[taskIndex] = updatedTask;
 		this.saveTasks();
+		this.auditTask(
+			"task_updated",
+			updatedTask,
+			`"${updatedTask.title}": ${Object.keys(updates).join(", ")}`
+		);
 
 		console.log("Task updated:", updatedTask);
 		return updatedTask;
@@ -339,11 +350,20 @@ export class TaskManager {
 
 		this.tasks.splice(taskIndex, 1);
 		this.saveTasks();
+		this.auditTask("task_deleted", task);
 
 		console.log("Task deleted:", taskId);
 		return true;
 	}
 
+	// Audited so changes made while viewing as someone else name the admin too
+	auditTask(action, task, details = `"${task.title}"`) {
+		this.authSystem.recordAudit(action, {
+			details,
+			metadata: { taskId: task.id },
+		});
+	}
+
 	getTask(taskId) {
 		return this.tasks.find((t) => t.id === taskId);
 	}
@@ -434,6 +454,22 @@ export class TaskManager {
 		return results;
 	}
 
+	// Move every task from one department to another (renames and merges)
+	reassignDepartment(fromDepartment, toDepartment) {
+		const tasks = this.tasks.filter(
+			(task) => task.department === fromDepartment
+		);
+		if (tasks.length === 0) return 0;
+
+		const now = new Date().toISOString();
+		tasks.forEach((task) => {
+			task.department = toDepartment;
+			task.updatedAt = now;
+		});
+		this.saveTasks();
+		return tasks.length;
+	}
+
 	// ========================
 	// PROGRESS MANAGEMENT
 	// ========================
@@ -463,6 +499,11 @@ export class TaskManager {
 		const task = this.getTask(taskId);
 		if (!task) throw new Error("Task not found");
 
+		hours = Number(hours);
+		if (!(hours > 0) || hours > 24) {
+			throw new Error("Hours must be between 0 and 24");
+		}
+
 		const currentUser = this.authSystem.getCurrentUser();
 		const timeEntry = {
 			id: Date.now(),
@@ -473,28 +514,68 @@ export class TaskManager {
 			date: date || new Date().toISOString().split("T")[0],
 			createdAt: new Date().toISOString(),
 		};
+		this.timeEntryValidators.forEach((validate) => validate(timeEntry));
 
 		// Load existing time entries
 		const timeEntries = this.loadTimeEntries();
 		timeEntries.push(timeEntry);
-		localStorage.setItem(
-			"study-hall-time-entries",
-			JSON.stringify(timeEntries)
+		this.saveTimeEntries(timeEntries);
+		this.updateActualHours(taskId, timeEntries);
+		this.auditTask(
+			"task_time_logged",
+			task,
+			`${hours}h on "${task.title}" for ${timeEntry.date}`
 		);
 
-		// Update task's actual hours
+		return timeEntry;
+	}
+
+	deleteTimeEntry(entryId) {
+		const timeEntries = this.loadTimeEntries();
+		const index = timeEntries.findIndex((entry) => entry.id === entryId);
+		if (index === -1) throw new Error("Time entry not found");
+
+		const entry = timeEntries[index];
+		const currentUser = this.authSystem.getCurrentUser();
+		if (
+			entry.userEmail !== currentUser?.email &&
+			!this.authSystem.canManageUsers()
+		) {
+			throw new Error("Insufficient permissions to delete this time entry");
+		}
+		this.timeEntryValidators.forEach((validate) => validate(entry));
+
+		timeEntries.splice(index, 1);
+		this.saveTimeEntries(timeEntries);
+		this.updateActualHours(entry.taskId, timeEntries);
+		this.authSystem.recordAudit("task_time_deleted", {
+			details: `${entry.hours}h by ${entry.userEmail} on ${entry.date}`,
+			metadata: { taskId: entry.taskId, entryId },
+		});
+	}
+
+	addTimeEntryValidator(validate) {
+		this.timeEntryValidators.push(validate);
+		return this;
+	}
+
+	updateActualHours(taskId, timeEntries) {
 		const totalHours = timeEntries
 			.filter((entry) => entry.taskId === taskId)
 			.reduce((sum, entry) => sum + entry.hours, 0);
 
-		this.updateTask(taskId, { actualHours: totalHours });
-
-		return timeEntry;
+		// Set directly: the time entry change is already audited
+		const task = this.getTask(taskId);
+		if (task) {
+			task.actualHours = totalHours;
+			task.updatedAt = new Date().toISOString();
+			this.saveTasks();
+		}
 	}
 
 	loadTimeEntries() {
 		try {
-			const saved = localStorage.getItem("study-hall-time-entries");
+			const saved = localStorage.getItem(this.storageKeys.timeEntries);
 			return saved ? JSON.parse(saved) : [];
 		} catch (error) {
 			console.error("Error loading time entries:", error);
@@ -502,11 +583,31 @@ export class TaskManager {
 		}
 	}
 
+	saveTimeEntries(timeEntries) {
+		localStorage.setItem(
+			this.storageKeys.timeEntries,
+			JSON.stringify(timeEntries)
+		);
+	}
+
 	getTimeEntriesForTask(taskId) {
 		const timeEntries = this.loadTimeEntries();
 		return timeEntries.filter((entry) => entry.taskId === taskId);
 	}
 
+	// Dates are inclusive YYYY-MM-DD strings
+	getTimeEntriesForUser(userEmail, fromDate, toDate) {
+		return this.getTimeEntriesInRange(fromDate, toDate).filter(
+			(entry) => entry.userEmail === userEmail
+		);
+	}
+
+	getTimeEntriesInRange(fromDate, toDate) {
+		return this.loadTimeEntries()
+			.filter((entry) => entry.date >= fromDate && entry.date <= toDate)
+			.sort((a, b) => a.date.localeCompare(b.date));
+	}
+
 	// ========================
 	// DEPENDENCY MANAGEMENT
 	// ========================
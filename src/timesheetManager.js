@@ -0,0 +1,379 @@
+/**
+ * TimesheetManager - Weekly timesheets built from task time entries
+ * A timesheet covers one employee's Monday-to-Sunday week. Its hours are
+ * always read from TaskManager's time entries; the timesheet record only
+ * tracks the review: submitted, then approved or rejected by the
+ * employee's manager. Submitted and approved weeks refuse new or deleted
+ * entries, and only a rejection reopens a week.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const TIMESHEET_STATUSES = {
+	draft: "Draft",
+	submitted: "Submitted",
+	approved: "Approved",
+	rejected: "Rejected",
+};
+
+// Statuses in which the week's time entries can't change
+const LOCKED_STATUSES = ["submitted", "approved"];
+
+export class TimesheetManager {
+	/**
+	 * Initialize the TimesheetManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employee records and job history
+	 * @param {Object} dependencies.taskManager - Source of time entries
+	 * @param {Object} dependencies.hierarchyManager - Who reviews whose week
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.taskManager = dependencies.taskManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+
+		this.storageKey = "study-hall-timesheets";
+		this.timesheets = this.loadTimesheets();
+
+		this.taskManager.addTimeEntryValidator((entry) =>
+			this.assertWeekOpen(entry)
+		);
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+	}
+
+	loadTimesheets() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load timesheets:", error);
+			return [];
+		}
+	}
+
+	saveTimesheets() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.timesheets));
+		window.dispatchEvent(new CustomEvent("timesheetsUpdated"));
+	}
+
+	// ========================
+	// TIMESHEETS
+	// ========================
+
+	/**
+	 * An employee's week with its entries and totals. Weeks nobody has
+	 * submitted yet come back as drafts without being stored.
+	 * @param {string} userId - Employee ID
+	 * @param {string|Date} date - Any day in the week
+	 * @returns {Object} The stored review fields plus weekEnd, entries,
+	 *   dailyHours and totalHours
+	 */
+	getTimesheet(userId, date) {
+		const user = this.userManager.getUserById(userId);
+		if (!user) {
+			throw new Error("User not found");
+		}
+
+		const weekStart = this.getWeekStart(date);
+		const weekEnd = this.addDays(weekStart, 6);
+		const record = this.findRecord(userId, weekStart) || {
+			id: null,
+			userId,
+			weekStart,
+			status: "draft",
+			submittedAt: null,
+			decidedAt: null,
+			decidedBy: null,
+			comments: [],
+		};
+
+		const entries = this.taskManager.getTimeEntriesForUser(
+			user.email,
+			weekStart,
+			weekEnd
+		);
+		const dailyHours = Object.fromEntries(
+			Array.from({ length: 7 }, (_, i) => [this.addDays(weekStart, i), 0])
+		);
+		entries.forEach((entry) => {
+			dailyHours[entry.date] = this.round(
+				dailyHours[entry.date] + entry.hours
+			);
+		});
+
+		return {
+			...record,
+			weekEnd,
+			entries,
+			dailyHours,
+			totalHours: this.round(entries.reduce((sum, e) => sum + e.hours, 0)),
+		};
+	}
+
+	/**
+	 * Send the current user's week for approval
+	 * @param {string|Date} date - Any day in the week
+	 * @param {string} [comment] - Note for the reviewer
+	 * @returns {Object} The timesheet
+	 */
+	submitTimesheet(date, comment = "") {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) {
+			throw new Error("You must be signed in to submit a timesheet");
+		}
+
+		const sheet = this.getTimesheet(user.id, date);
+		if (LOCKED_STATUSES.includes(sheet.status)) {
+			throw new Error(
+				`The week of ${sheet.weekStart} is already ${sheet.status}`
+			);
+		}
+		if (sheet.weekStart > this.getWeekStart(new Date())) {
+			throw new Error("Future weeks can't be submitted yet");
+		}
+		if (sheet.entries.length === 0) {
+			throw new Error("Log some time before submitting this week");
+		}
+
+		const record = this.findRecord(user.id, sheet.weekStart) || {
+			id: `ts-${randomToken(9)}`,
+			userId: user.id,
+			weekStart: sheet.weekStart,
+			comments: [],
+		};
+		Object.assign(record, {
+			status: "submitted",
+			submittedAt: new Date().toISOString(),
+			decidedAt: null,
+			decidedBy: null,
+		});
+		this.addComment(record, user, "submitted", comment);
+		if (!this.timesheets.includes(record)) {
+			this.timesheets.push(record);
+		}
+		this.saveTimesheets();
+
+		this.authSystem.recordAudit("timesheet_submitted", {
+			target: user,
+			details: `Week of ${sheet.weekStart}: ${sheet.totalHours} hours`,
+			metadata: { timesheetId: record.id },
+		});
+		return this.getTimesheet(user.id, sheet.weekStart);
+	}
+
+	/**
+	 * Whether the current user reviews an employee's timesheets: their
+	 * manager, or HR for employees without one
+	 * @param {string} userId - Employee ID
+	 * @returns {boolean}
+	 */
+	canReview(userId) {
+		const reviewer = this.authSystem.getCurrentUser();
+		const employee = this.userManager.getUserById(userId);
+		if (!reviewer || !employee || reviewer.id === userId) return false;
+
+		if (!employee.managerId) return this.authSystem.canManageUsers();
+		return this.hierarchyManager
+			.getDirectReports(reviewer.id)
+			.some((report) => report.id === userId);
+	}
+
+	/**
+	 * Approve or reject a submitted week
+	 * @param {string} timesheetId - Timesheet ID
+	 * @param {boolean} approve - True to approve
+	 * @param {string} [comment] - Required when rejecting
+	 * @returns {Object} The timesheet
+	 */
+	reviewTimesheet(timesheetId, approve, comment = "") {
+		const record = this.timesheets.find((t) => t.id === timesheetId);
+		if (!record || record.status !== "submitted") {
+			throw new Error("This timesheet isn't waiting for review");
+		}
+		if (!this.canReview(record.userId)) {
+			throw new Error("Insufficient permissions to review this timesheet");
+		}
+		if (!approve && !String(comment).trim()) {
+			throw new Error("Say what needs fixing when rejecting a timesheet");
+		}
+
+		const reviewer = this.authSystem.getCurrentUser();
+		record.status = approve ? "approved" : "rejected";
+		record.decidedAt = new Date().toISOString();
+		record.decidedBy = reviewer.id;
+		this.addComment(record, reviewer, record.status, comment);
+		this.saveTimesheets();
+
+		const sheet = this.getTimesheet(record.userId, record.weekStart);
+		this.authSystem.recordAudit(
+			approve ? "timesheet_approved" : "timesheet_rejected",
+			{
+				target: this.userManager.getUserById(record.userId),
+				details: `Week of ${record.weekStart}: ${sheet.totalHours} hours${
+					comment ? ` (${String(comment).trim()})` : ""
+				}`,
+				metadata: { timesheetId },
+			}
+		);
+		return sheet;
+	}
+
+	/**
+	 * Submitted weeks from the current user's direct reports
+	 * @returns {Array} Timesheets, oldest week first
+	 */
+	getPendingReviews() {
+		return this.timesheets
+			.filter((t) => t.status === "submitted" && this.canReview(t.userId))
+			.sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+			.map((t) => this.getTimesheet(t.userId, t.weekStart));
+	}
+
+	getTimesheetsForUser(userId) {
+		return this.timesheets
+			.filter((t) => t.userId === userId)
+			.sort((a, b) => b.weekStart.localeCompare(a.weekStart));
+	}
+
+	// Refuse entry changes in weeks under review or approved
+	assertWeekOpen(entry) {
+		const user = this.authSystem.authorizedUsers.find(
+			(u) => u.email === entry.userEmail
+		);
+		const record =
+			user && this.findRecord(user.id, this.getWeekStart(entry.date));
+		if (record && LOCKED_STATUSES.includes(record.status)) {
+			throw new Error(
+				`The week of ${record.weekStart} is ${record.status} and locked`
+			);
+		}
+	}
+
+	// ========================
+	// REPORTS
+	// ========================
+
+	/**
+	 * Where time went over a period. Hours count towards the task's
+	 * department, or the employee's department that day when the task has
+	 * none.
+	 * @param {Object} [options]
+	 * @param {string} options.from - First day, YYYY-MM-DD
+	 * @param {string} options.to - Last day, YYYY-MM-DD
+	 * @param {boolean} [options.approvedOnly=true] - Skip weeks not yet approved
+	 * @returns {Object} { totalHours, byDepartment, byCategory, byTask, ... }
+	 */
+	getHoursReport({ from, to, approvedOnly = true } = {}) {
+		if (!this.authSystem.canViewReports()) {
+			throw new Error("Insufficient permissions to view time reports");
+		}
+		if (!from || !to || to < from) {
+			throw new Error("Choose a valid date range");
+		}
+
+		const history = this.userManager.employmentHistory;
+		const report = {
+			from,
+			to,
+			approvedOnly,
+			totalHours: 0,
+			byDepartment: {},
+			byCategory: {},
+			byTask: {},
+		};
+		const add = (group, key, hours) => {
+			group[key] = this.round((group[key] || 0) + hours);
+		};
+
+		this.taskManager.getTimeEntriesInRange(from, to).forEach((entry) => {
+			const user = this.authSystem.authorizedUsers.find(
+				(u) => u.email === entry.userEmail
+			);
+			if (approvedOnly) {
+				const record =
+					user && this.findRecord(user.id, this.getWeekStart(entry.date));
+				if (record?.status !== "approved") return;
+			}
+
+			const task = this.taskManager.getTask(entry.taskId);
+			const department =
+				task?.department ||
+				(user && history.getJobAsOf(user.id, entry.date)?.department) ||
+				"Unassigned";
+
+			report.totalHours = this.round(report.totalHours + entry.hours);
+			add(report.byDepartment, department, entry.hours);
+			add(report.byCategory, task?.category || "general", entry.hours);
+			report.byTask[entry.taskId] = report.byTask[entry.taskId] || {
+				taskId: entry.taskId,
+				title: task?.title || "Deleted task",
+				department,
+				category: task?.category || "general",
+				hours: 0,
+			};
+			report.byTask[entry.taskId].hours = this.round(
+				report.byTask[entry.taskId].hours + entry.hours
+			);
+		});
+
+		report.byTask = Object.values(report.byTask).sort(
+			(a, b) => b.hours - a.hours
+		);
+		return report;
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	findRecord(userId, weekStart) {
+		return (
+			this.timesheets.find(
+				(t) => t.userId === userId && t.weekStart === weekStart
+			) || null
+		);
+	}
+
+	addComment(record, author, action, text) {
+		record.comments.push({
+			authorId: author.id,
+			action,
+			text: String(text || "").trim(),
+			createdAt: new Date().toISOString(),
+		});
+	}
+
+	removeUsers(userIds) {
+		this.timesheets = this.timesheets.filter(
+			(t) => !userIds.includes(t.userId)
+		);
+		this.saveTimesheets();
+	}
+
+	// Monday of the week containing the date, as YYYY-MM-DD
+	getWeekStart(date) {
+		const day = new Date(`${this.toDay(date)}T00:00:00Z`);
+		day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+		return this.toDay(day);
+	}
+
+	addDays(date, days) {
+		const day = new Date(`${date}T00:00:00Z`);
+		day.setUTCDate(day.getUTCDate() + days);
+		return this.toDay(day);
+	}
+
+	toDay(date) {
+		return typeof date === "string"
+			? date.slice(0, 10)
+			: date.toISOString().split("T")[0];
+	}
+
+	round(value) {
+		return Math.round(value * 100) / 100;
+	}
+}
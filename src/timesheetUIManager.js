@@ -0,0 +1,415 @@
+/**
+ * Timesheet UI Manager - Timesheets view
+ * The signed-in employee's week (log time, submit), the weeks their
+ * direct reports have submitted, and for report viewers a breakdown of
+ * approved hours by department, category and task.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import { TIMESHEET_STATUSES } from "./timesheetManager.js";
+
+export class TimesheetUIManager {
+	constructor(timesheetManager, app) {
+		this.timesheetManager = timesheetManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.taskManager = app.taskManager;
+		this.userManager = app.userManager;
+
+		// Monday of the week on screen
+		this.weekStart = timesheetManager.getWeekStart(new Date());
+
+		// Report range defaults to the current month
+		const today = timesheetManager.toDay(new Date());
+		this.reportRange = { from: `${today.slice(0, 7)}-01`, to: today };
+		this.reportApprovedOnly = true;
+
+		window.addEventListener("timesheetsUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Timesheets view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "timesheetContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const sheet = this.timesheetManager.getTimesheet(user.id, this.weekStart);
+		const reviews = this.timesheetManager.getPendingReviews();
+		const locked = ["submitted", "approved"].includes(sheet.status);
+
+		container.innerHTML = `
+			<div class="timesheet-toolbar">
+				<button class="btn btn-secondary btn-small" onclick="timesheetUI.changeWeek(-1)">‹</button>
+				<h4>${this.formatWeek(sheet)}</h4>
+				<button class="btn btn-secondary btn-small" onclick="timesheetUI.changeWeek(1)">›</button>
+				<button class="btn btn-outline btn-small" onclick="timesheetUI.changeWeek(0)">This week</button>
+				<span class="timesheet-status ${sheet.status}">
+					${TIMESHEET_STATUSES[sheet.status]}
+				</span>
+				<div class="timesheet-actions">
+					<button class="btn btn-secondary" onclick="timesheetUI.showLogTimeModal()" ${
+						locked ? "disabled" : ""
+					}>
+						+ Log Time
+					</button>
+					<button class="btn btn-primary" onclick="timesheetUI.showSubmitModal()" ${
+						locked || sheet.entries.length === 0 ? "disabled" : ""
+					}>
+						Submit Week
+					</button>
+				</div>
+			</div>
+
+			${this.renderWeek(sheet, { editable: !locked })}
+			${this.renderComments(sheet)}
+
+			${
+				reviews.length > 0
+					? `
+				<section class="timesheet-section">
+					<h4>Waiting for your review (${reviews.length})</h4>
+					${reviews.map((review) => this.renderReview(review)).join("")}
+				</section>
+			`
+					: ""
+			}
+
+			${
+				this.authSystem.canViewReports()
+					? `
+				<section class="timesheet-section">
+					<h4>Where time goes</h4>
+					<form class="timesheet-report-form" onsubmit="event.preventDefault(); timesheetUI.runReport(this)">
+						<label>From <input type="date" name="from" value="${this.reportRange.from}" required></label>
+						<label>To <input type="date" name="to" value="${this.reportRange.to}" required></label>
+						<label><input type="checkbox" name="includeUnapproved" ${
+							this.reportApprovedOnly ? "" : "checked"
+						}> Include weeks not yet approved</label>
+						<button type="submit" class="btn btn-secondary btn-small">Run</button>
+					</form>
+					<div id="timesheetReport">${this.renderReport()}</div>
+				</section>
+			`
+					: ""
+			}
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("timesheetContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	changeWeek(step) {
+		this.weekStart =
+			step === 0
+				? this.timesheetManager.getWeekStart(new Date())
+				: this.timesheetManager.addDays(this.weekStart, step * 7);
+		this.render();
+	}
+
+	// Entries grouped by day, with daily and weekly totals
+	renderWeek(sheet, { editable = false } = {}) {
+		const rows = Object.entries(sheet.dailyHours).map(([date, hours]) => {
+			const entries = sheet.entries.filter((entry) => entry.date === date);
+			return `
+				<tr class="timesheet-day ${hours === 0 ? "empty" : ""}">
+					<th>${this.formatDay(date)}</th>
+					<td>
+						${entries
+							.map(
+								(entry) => `
+							<div class="timesheet-entry">
+								<span class="timesheet-entry-task">${
+									this.taskManager.getTask(entry.taskId)?.title ||
+									"Deleted task"
+								}</span>
+								${
+									entry.description
+										? `<span class="timesheet-entry-note">${entry.description}</span>`
+										: ""
+								}
+								<span class="timesheet-entry-hours">${entry.hours}h</span>
+								${
+									editable
+										? `<button class="btn btn-small btn-secondary" title="Delete entry" onclick="timesheetUI.deleteEntry(${entry.id})">✕</button>`
+										: ""
+								}
+							</div>
+						`
+							)
+							.join("")}
+					</td>
+					<td class="timesheet-hours">${hours || ""}</td>
+				</tr>
+			`;
+		});
+
+		return `
+			<table class="timesheet-table">
+				<tbody>${rows.join("")}</tbody>
+				<tfoot>
+					<tr>
+						<th colspan="2">Total</th>
+						<td class="timesheet-hours">${sheet.totalHours}</td>
+					</tr>
+				</tfoot>
+			</table>
+		`;
+	}
+
+	renderComments(sheet) {
+		const comments = sheet.comments.filter((c) => c.text);
+		if (comments.length === 0) return "";
+
+		return `
+			<ul class="timesheet-comments">
+				${comments
+					.map(
+						(comment) => `
+					<li>
+						<strong>${
+							this.userManager.getUserById(comment.authorId)?.name || "Unknown"
+						}</strong>
+						(${TIMESHEET_STATUSES[comment.action].toLowerCase()}):
+						${comment.text}
+					</li>
+				`
+					)
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderReview(sheet) {
+		const employee = this.userManager.getUserById(sheet.userId);
+		return `
+			<div class="timesheet-review">
+				<div class="timesheet-review-header">
+					<strong>${employee?.name || "Unknown"}</strong>
+					<span>${this.formatWeek(sheet)} · ${sheet.totalHours} hours</span>
+					<button class="btn btn-small btn-primary" onclick="timesheetUI.review('${
+						sheet.id
+					}', true)">Approve</button>
+					<button class="btn btn-small btn-danger" onclick="timesheetUI.review('${
+						sheet.id
+					}', false)">Reject</button>
+				</div>
+				${this.renderWeek(sheet)}
+				${this.renderComments(sheet)}
+			</div>
+		`;
+	}
+
+	runReport(form) {
+		this.reportRange = { from: form.from.value, to: form.to.value };
+		this.reportApprovedOnly = !form.includeUnapproved.checked;
+		document.getElementById("timesheetReport").innerHTML = this.renderReport();
+	}
+
+	renderReport() {
+		let report;
+		try {
+			report = this.timesheetManager.getHoursReport({
+				...this.reportRange,
+				approvedOnly: this.reportApprovedOnly,
+			});
+		} catch (error) {
+			return `<p class="empty-state">${error.message}</p>`;
+		}
+		if (report.totalHours === 0) {
+			return `<p class="empty-state">No hours logged in this period.</p>`;
+		}
+
+		const breakdown = (title, groups) => `
+			<table class="timesheet-breakdown">
+				<thead><tr><th>${title}</th><th>Hours</th><th>Share</th></tr></thead>
+				<tbody>
+					${Object.entries(groups)
+						.sort(([, a], [, b]) => b - a)
+						.map(
+							([name, hours]) => `
+						<tr>
+							<td>${name}</td>
+							<td>${hours}</td>
+							<td>${Math.round((hours / report.totalHours) * 100)}%</td>
+						</tr>
+					`
+						)
+						.join("")}
+				</tbody>
+			</table>
+		`;
+
+		return `
+			<p><strong>${report.totalHours}</strong> hours${
+			report.approvedOnly ? " in approved timesheets" : ""
+		}</p>
+			<div class="timesheet-breakdowns">
+				${breakdown("Department", report.byDepartment)}
+				${breakdown("Category", report.byCategory)}
+				${breakdown(
+					"Task",
+					Object.fromEntries(report.byTask.map((t) => [t.title, t.hours]))
+				)}
+			</div>
+		`;
+	}
+
+	showLogTimeModal() {
+		const user = this.authSystem.getCurrentUser();
+		const tasks = this.taskManager
+			.getTasksByUser(user.email)
+			.filter((task) => task.status !== "cancelled");
+		if (tasks.length === 0) {
+			NotificationComponent.show(
+				"You have no tasks to log time against",
+				"warning"
+			);
+			return;
+		}
+
+		const today = this.timesheetManager.toDay(new Date());
+		const weekEnd = this.timesheetManager.addDays(this.weekStart, 6);
+		const defaultDate =
+			today >= this.weekStart && today <= weekEnd ? today : this.weekStart;
+
+		const content = `
+			<div class="form-group">
+				<label for="timeTask">Task</label>
+				<select id="timeTask" name="taskId" required>
+					${tasks
+						.map((task) => `<option value="${task.id}">${task.title}</option>`)
+						.join("")}
+				</select>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="timeDate">Date</label>
+					<input type="date" id="timeDate" name="date" value="${defaultDate}"
+						min="${this.weekStart}" max="${weekEnd}" required>
+				</div>
+				<div class="form-group">
+					<label for="timeHours">Hours</label>
+					<input type="number" id="timeHours" name="hours" min="0.25" max="24" step="0.25" required>
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="timeDescription">What did you work on?</label>
+				<input type="text" id="timeDescription" name="description">
+			</div>
+		`;
+
+		ModalComponent.form("Log Time", content, (e, modal, form) => {
+			const { taskId, date, hours, description } = Object.fromEntries(
+				new FormData(form).entries()
+			);
+			try {
+				// Task IDs are numbers; the select hands back strings
+				const task = tasks.find((t) => String(t.id) === taskId);
+				this.taskManager.logTimeEntry(task.id, hours, description, date);
+				modal.hide();
+				NotificationComponent.show(`Logged ${hours}h`, "success");
+				this.render();
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	deleteEntry(entryId) {
+		try {
+			this.taskManager.deleteTimeEntry(entryId);
+			this.render();
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	showSubmitModal() {
+		const user = this.authSystem.getCurrentUser();
+		const sheet = this.timesheetManager.getTimesheet(user.id, this.weekStart);
+
+		ModalComponent.form(
+			"Submit Timesheet",
+			`
+				<p>Submit ${sheet.totalHours} hours for ${this.formatWeek(
+				sheet
+			)}? You won't be able to change this week unless it's sent back.</p>
+				<div class="form-group">
+					<label for="timesheetComment">Note for your manager (optional)</label>
+					<textarea id="timesheetComment" name="comment" rows="2"></textarea>
+				</div>
+			`,
+			(e, modal, form) => {
+				try {
+					this.timesheetManager.submitTimesheet(
+						this.weekStart,
+						form.elements.comment.value
+					);
+					modal.hide();
+					NotificationComponent.show("Timesheet submitted", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	review(timesheetId, approve) {
+		ModalComponent.form(
+			approve ? "Approve Timesheet" : "Send Timesheet Back",
+			`
+				<div class="form-group">
+					<label for="reviewComment">${
+						approve ? "Comment (optional)" : "What needs fixing?"
+					}</label>
+					<textarea id="reviewComment" name="comment" rows="3" ${
+						approve ? "" : "required"
+					}></textarea>
+				</div>
+			`,
+			(e, modal, form) => {
+				try {
+					this.timesheetManager.reviewTimesheet(
+						timesheetId,
+						approve,
+						form.elements.comment.value
+					);
+					modal.hide();
+					NotificationComponent.show(
+						approve ? "Timesheet approved" : "Timesheet sent back",
+						"success"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			}
+		);
+	}
+
+	formatWeek(sheet) {
+		const format = (date) =>
+			new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+				month: "short",
+				day: "numeric",
+			});
+		return `${format(sheet.weekStart)} – ${format(sheet.weekEnd)}, ${
+			sheet.weekEnd.slice(0, 4)
+		}`;
+	}
+
+	formatDay(date) {
+		return new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+			weekday: "short",
+			month: "short",
+			day: "numeric",
+		});
+	}
+}
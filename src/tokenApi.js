@@ -0,0 +1,226 @@
+/**
+ * Token API - Scriptable access to app data, authenticated by personal access tokens
+ * Exposed as `window.studyHallApi` on the app page:
+ *
+ *   const res = await studyHallApi.call("shpat_...", "tasks.create", {
+ *     task: { title: "Send welcome pack", assignedTo: ["hr@studyhall.com"] },
+ *   });
+ *   // { ok: true, status: 200, data: {...} } or { ok: false, status: 403, error: "..." }
+ *
+ * Each method names the feature flag it needs; a call runs as the token owner
+ * with only the token's scopes, so feature checks and the managers' own
+ * permission checks both see the narrowed identity.
+ */
+
+export class TokenApi {
+	/**
+	 * Initialize the TokenApi
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.accessTokens - AccessTokenManager
+	 * @param {Object} dependencies.permissionsManager - Feature flag checks
+	 * @param {Object} dependencies.userManager - User directory
+	 * @param {Object} dependencies.taskManager - Task storage
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.accessTokens = dependencies.accessTokens;
+		this.permissionsManager = dependencies.permissionsManager;
+		this.userManager = dependencies.userManager;
+		this.taskManager = dependencies.taskManager;
+
+		this.methods = new Map();
+		// Calls run one at a time so the acting identity never overlaps
+		this.queue = Promise.resolve();
+
+		this.registerDefaultMethods();
+	}
+
+	/**
+	 * Add an API method
+	 * @param {string} name - Method name, e.g. "tasks.create"
+	 * @param {Object} definition
+	 * @param {string|null} definition.feature - Feature flag the caller needs (null for any token)
+	 * @param {boolean} [definition.write=false] - Writes are recorded in the audit log
+	 * @param {string} definition.description - Shown by the "methods" listing
+	 * @param {Function} definition.handler - (params, context) => result
+	 * @returns {TokenApi} This instance, for chaining
+	 */
+	register(name, definition) {
+		this.methods.set(name, { write: false, ...definition });
+		return this;
+	}
+
+	registerDefaultMethods() {
+		this.register("whoami", {
+			feature: null,
+			description: "The token's owner and effective scopes",
+			handler: (params, { user, record, permissions }) => ({
+				user: this.toPublicUser(user),
+				token: {
+					id: record.id,
+					name: record.name,
+					expiresAt: record.expiresAt,
+				},
+				scopes: permissions,
+			}),
+		})
+			.register("methods", {
+				feature: null,
+				description: "List the available methods",
+				handler: () => this.listMethods(),
+			})
+			.register("users.search", {
+				feature: "users",
+				description: "Search users by name, email, role, department or position ({ query })",
+				handler: ({ query = "" }) =>
+					this.userManager
+						.searchUsers(String(query))
+						.map((user) => this.toPublicUser(user)),
+			})
+			.register("users.get", {
+				feature: "users",
+				description: "Get one user ({ id })",
+				handler: ({ id }) => {
+					const user = this.userManager.getUserById(id);
+					if (!user) throw new ApiError(404, "User not found");
+					return this.toPublicUser(user);
+				},
+			})
+			.register("tasks.search", {
+				feature: "tasks",
+				description: "Search tasks ({ query, filters: { status, priority, assignedTo, department, category } })",
+				handler: ({ query = "", filters = {} }) =>
+					this.taskManager.searchTasks(String(query), filters),
+			})
+			.register("tasks.get", {
+				feature: "tasks",
+				description: "Get one task ({ id })",
+				handler: ({ id }) => {
+					const task = this.taskManager.getTask(id);
+					if (!task) throw new ApiError(404, "Task not found");
+					return task;
+				},
+			})
+			.register("tasks.create", {
+				feature: "tasks",
+				write: true,
+				description: "Create a task ({ task: { title, description, priority, dueDate, assignedTo, ... } })",
+				handler: ({ task }) => {
+					if (!task?.title) throw new ApiError(400, "task.title is required");
+					return this.taskManager.createTask(task);
+				},
+			})
+			.register("tasks.update", {
+				feature: "tasks",
+				write: true,
+				description: "Update a task ({ id, updates })",
+				handler: ({ id, updates }) => {
+					if (!this.taskManager.getTask(id)) {
+						throw new ApiError(404, "Task not found");
+					}
+					return this.taskManager.updateTask(id, updates || {});
+				},
+			});
+	}
+
+	/**
+	 * Call an API method
+	 * @param {string} token - Personal access token
+	 * @param {string} method - Method name
+	 * @param {Object} [params] - Method parameters
+	 * @returns {Promise<Object>} { ok, status, data } or { ok, status, error }
+	 */
+	call(token, method, params = {}) {
+		const result = this.queue.then(() => this.execute(token, method, params));
+		this.queue = result.catch(() => {});
+		return result;
+	}
+
+	async execute(token, method, params) {
+		let context;
+		try {
+			context = await this.accessTokens.authenticate(token);
+		} catch (error) {
+			return { ok: false, status: 401, error: error.message };
+		}
+
+		const definition = this.methods.get(method);
+		if (!definition) {
+			return { ok: false, status: 404, error: `Unknown method "${method}"` };
+		}
+
+		// The acting identity carries only the token's scopes
+		const actingUser = {
+			...this.authSystem.buildSessionUser(context.user),
+			permissions: context.permissions,
+		};
+
+		try {
+			const data = await this.authSystem.runAs(actingUser, () => {
+				if (
+					definition.feature &&
+					!this.permissionsManager.canAccessFeature(definition.feature)
+				) {
+					throw new ApiError(
+						403,
+						`This token's scopes don't allow access to ${definition.feature}`
+					);
+				}
+				return definition.handler(params || {}, context);
+			});
+
+			if (definition.write) {
+				this.recordCall(context, method, "success");
+			}
+			// A copy, so scripts can't mutate app state behind the managers' backs
+			return { ok: true, status: 200, data: JSON.parse(JSON.stringify(data ?? null)) };
+		} catch (error) {
+			const status = error instanceof ApiError ? error.status : 400;
+			this.recordCall(context, method, "failure", error.message);
+			return { ok: false, status, error: error.message };
+		}
+	}
+
+	recordCall(context, method, status, error = null) {
+		this.authSystem.recordAudit("api_call", {
+			actor: context.user,
+			details: error
+				? `${method} via token "${context.record.name}" failed: ${error}`
+				: `${method} via token "${context.record.name}"`,
+			status,
+			metadata: { method, tokenId: context.record.id },
+		});
+	}
+
+	listMethods() {
+		return [...this.methods.entries()].map(([name, definition]) => ({
+			name,
+			feature: definition.feature,
+			write: definition.write,
+			description: definition.description,
+		}));
+	}
+
+	// Never hand credentials or second-factor secrets to scripts, nor custom
+	// fields the token's scopes can't see
+	toPublicUser(user) {
+		const { passwordHash, passwordHistory, twoFactor, password, ...rest } =
+			user;
+		return {
+			...rest,
+			customFields: this.userManager.customFields.getVisibleValues(user),
+		};
+	}
+}
+
+/**
+ * Error with an HTTP-style status for API responses
+ */
+export class ApiError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+	}
+}
@@ -0,0 +1,902 @@
+/**
+ * Training Manager - Courses, assignments and certifications
+ * A course is a set of modules with an optional quiz. Courses are assigned
+ * to people directly, by department or position, and automatically to
+ * anyone whose position lists a requirement the course covers. Each
+ * assignment carries a due date and a task on the assignee's list, and
+ * records module progress, quiz attempts and completion. Courses that
+ * certify expire; a renewal assignment is created ahead of the expiry date.
+ */
+
+import { randomToken } from "./cryptoUtils.js";
+
+export const ASSIGNMENT_STATUSES = {
+	assigned: "Not started",
+	in_progress: "In progress",
+	completed: "Completed",
+	cancelled: "Cancelled",
+};
+
+export const ASSIGNMENT_SOURCES = {
+	manual: "Assigned",
+	audience: "Course audience",
+	position: "Position requirement",
+	renewal: "Certification renewal",
+};
+
+// Starting catalogue, carried over from the old static training cards
+export const DEFAULT_COURSES = [
+	{
+		id: "course-orientation",
+		title: "New Employee Orientation",
+		description:
+			"Comprehensive introduction to company culture, values, and basic procedures",
+		icon: "🎯",
+		duration: "4 hours",
+		modules: [
+			{ id: "mod-1", title: "Our culture and values", content: "" },
+			{ id: "mod-2", title: "How we work", content: "" },
+			{ id: "mod-3", title: "Tools and systems", content: "" },
+		],
+		quiz: null,
+		audience: { userIds: [], departments: [], positions: [] },
+		covers: [],
+		dueInDays: 14,
+		certification: null,
+		status: "published",
+	},
+	{
+		id: "course-security",
+		title: "Data Security Awareness",
+		description:
+			"Essential cybersecurity practices and threat awareness training",
+		icon: "🛡️",
+		duration: "2 hours",
+		modules: [
+			{ id: "mod-1", title: "Phishing and social engineering", content: "" },
+			{ id: "mod-2", title: "Passwords and access", content: "" },
+			{ id: "mod-3", title: "Handling personal data", content: "" },
+		],
+		quiz: {
+			passMark: 80,
+			questions: [
+				{
+					id: "q-1",
+					question: "An email asks you to confirm your password. What do you do?",
+					options: [
+						"Reply with the password",
+						"Report it as phishing",
+						"Forward it to a colleague",
+					],
+					answer: 1,
+				},
+				{
+					id: "q-2",
+					question: "Where should employee records be stored?",
+					options: [
+						"In approved HR systems only",
+						"On a personal laptop",
+						"In a shared public folder",
+					],
+					answer: 0,
+				},
+			],
+		},
+		audience: { userIds: [], departments: [], positions: [] },
+		covers: [],
+		dueInDays: 30,
+		certification: { validForMonths: 12, renewBeforeDays: 30 },
+		status: "published",
+	},
+	{
+		id: "course-leadership",
+		title: "Leadership Development",
+		description:
+			"Management skills and leadership principles for team leads and managers",
+		icon: "👑",
+		duration: "6 hours",
+		modules: [
+			{ id: "mod-1", title: "Setting direction", content: "" },
+			{ id: "mod-2", title: "Coaching and feedback", content: "" },
+			{ id: "mod-3", title: "Strategic planning", content: "" },
+		],
+		quiz: null,
+		audience: { userIds: [], departments: [], positions: [] },
+		covers: ["Leadership", "Strategic Planning"],
+		dueInDays: 60,
+		certification: null,
+		status: "published",
+	},
+];
+
+// Assignments still waiting on the assignee
+const OPEN_STATUSES = ["assigned", "in_progress"];
+
+export class TrainingManager {
+	/**
+	 * Initialize the TrainingManager
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system
+	 * @param {Object} dependencies.userManager - Employees and positions
+	 * @param {Object} dependencies.hierarchyManager - Who can assign to whom
+	 * @param {Object} dependencies.taskManager - Training tasks
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.hierarchyManager = dependencies.hierarchyManager;
+		this.taskManager = dependencies.taskManager;
+
+		this.coursesKey = "study-hall-courses";
+		this.assignmentsKey = "study-hall-training-assignments";
+		this.checkInterval = 60 * 60 * 1000; // 1 hour
+		this.timer = null;
+
+		this.courses = this.loadCourses();
+		this.assignments = this.loadAssignments();
+	}
+
+	/**
+	 * Assign courses to new and moved employees, and start renewals ahead of
+	 * certification expiry, now and every hour
+	 */
+	start() {
+		window.addEventListener("userCreated", () => this.syncAssignments());
+		window.addEventListener("userUpdated", () => this.syncAssignments());
+		window.addEventListener("usersRemoved", (event) =>
+			this.removeUsers(event.detail.userIds)
+		);
+
+		this.processDue();
+		this.timer = setInterval(() => this.processDue(), this.checkInterval);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	// Renewals go first so an expiring certificate is renewed rather than
+	// picked up again as a fresh assignment
+	processDue(now = new Date()) {
+		const renewals = this.processRenewals(now);
+		return { renewals, assigned: this.syncAssignments(now) };
+	}
+
+	loadCourses() {
+		try {
+			const saved = localStorage.getItem(this.coursesKey);
+			return saved
+				? JSON.parse(saved)
+				: DEFAULT_COURSES.map((course) => ({ ...course }));
+		} catch (error) {
+			console.warn("Failed to load courses:", error);
+			return DEFAULT_COURSES.map((course) => ({ ...course }));
+		}
+	}
+
+	loadAssignments() {
+		try {
+			const saved = localStorage.getItem(this.assignmentsKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load training assignments:", error);
+			return [];
+		}
+	}
+
+	saveCourses() {
+		localStorage.setItem(this.coursesKey, JSON.stringify(this.courses));
+		window.dispatchEvent(new CustomEvent("trainingUpdated"));
+	}
+
+	saveAssignments() {
+		localStorage.setItem(
+			this.assignmentsKey,
+			JSON.stringify(this.assignments)
+		);
+		window.dispatchEvent(new CustomEvent("trainingUpdated"));
+	}
+
+	// ========================
+	// COURSES
+	// ========================
+
+	getCourses({ includeArchived = false } = {}) {
+		return this.courses.filter(
+			(course) => includeArchived || course.status !== "archived"
+		);
+	}
+
+	getCourse(courseId) {
+		return this.courses.find((c) => c.id === courseId) || null;
+	}
+
+	/**
+	 * Create or update a course. Saving a published course assigns it to
+	 * its audience straight away.
+	 * @param {Object} data - Course fields
+	 * @param {string} [courseId] - Course to update
+	 * @returns {Object} The course
+	 */
+	saveCourse(data, courseId = null) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to manage courses");
+		}
+
+		const existing = courseId ? this.getCourse(courseId) : null;
+		if (courseId && !existing) {
+			throw new Error("Course not found");
+		}
+		const course = this.validateCourse({ ...existing, ...data });
+
+		if (existing) {
+			Object.assign(existing, course, { updatedAt: new Date().toISOString() });
+		} else {
+			this.courses.push({
+				id: `course-${randomToken(9)}`,
+				...course,
+				createdAt: new Date().toISOString(),
+				updatedAt: new Date().toISOString(),
+			});
+		}
+		this.saveCourses();
+
+		const saved = existing || this.courses[this.courses.length - 1];
+		this.authSystem.recordAudit(
+			existing ? "training_course_updated" : "training_course_created",
+			{ details: `"${saved.title}"`, metadata: { courseId: saved.id } }
+		);
+		this.syncAssignments();
+		return saved;
+	}
+
+	validateCourse(data) {
+		const title = String(data.title || "").trim();
+		if (!title) {
+			throw new Error("Give the course a title");
+		}
+
+		const modules = (data.modules || [])
+			.map((module) => ({
+				id: module.id || `mod-${randomToken(6)}`,
+				title: String(module.title || "").trim(),
+				content: String(module.content || "").trim(),
+			}))
+			.filter((module) => module.title);
+		if (modules.length === 0) {
+			throw new Error("A course needs at least one module");
+		}
+
+		const dueInDays = Number(data.dueInDays);
+		if (!Number.isInteger(dueInDays) || dueInDays < 1) {
+			throw new Error("Allow at least one day to complete the course");
+		}
+
+		let certification = null;
+		if (data.certification) {
+			const validForMonths = Number(data.certification.validForMonths);
+			const renewBeforeDays = Number(data.certification.renewBeforeDays);
+			if (!Number.isInteger(validForMonths) || validForMonths < 1) {
+				throw new Error("Certifications must be valid for at least a month");
+			}
+			if (!Number.isInteger(renewBeforeDays) || renewBeforeDays < 0) {
+				throw new Error("Renewal notice must be zero or more days");
+			}
+			certification = { validForMonths, renewBeforeDays };
+		}
+
+		const clean = (list) =>
+			[...new Set((list || []).map((v) => String(v).trim()))].filter(Boolean);
+		return {
+			title,
+			description: String(data.description || "").trim(),
+			icon: data.icon || "🎓",
+			duration: String(data.duration || "").trim(),
+			modules,
+			quiz: this.validateQuiz(data.quiz),
+			audience: {
+				userIds: clean(data.audience?.userIds),
+				departments: clean(data.audience?.departments),
+				positions: clean(data.audience?.positions),
+			},
+			covers: clean(data.covers),
+			dueInDays,
+			certification,
+			status: data.status === "archived" ? "archived" : "published",
+		};
+	}
+
+	validateQuiz(quiz) {
+		const questions = (quiz?.questions || []).filter((q) =>
+			String(q.question || "").trim()
+		);
+		if (questions.length === 0) return null;
+
+		const passMark = Number(quiz.passMark);
+		if (isNaN(passMark) || passMark < 0 || passMark > 100) {
+			throw new Error("Pass mark must be between 0 and 100");
+		}
+
+		return {
+			passMark,
+			questions: questions.map((q) => {
+				const options = (q.options || [])
+					.map((option) => String(option).trim())
+					.filter(Boolean);
+				const answer = Number(q.answer);
+				if (options.length < 2) {
+					throw new Error(`"${q.question}" needs at least two options`);
+				}
+				if (!Number.isInteger(answer) || !options[answer]) {
+					throw new Error(`Mark the correct option for "${q.question}"`);
+				}
+				return {
+					id: q.id || `q-${randomToken(6)}`,
+					question: String(q.question).trim(),
+					options,
+					answer,
+				};
+			}),
+		};
+	}
+
+	/**
+	 * Stop offering a course. Open assignments are cancelled along with
+	 * their tasks; completion records and certifications stay.
+	 * @param {string} courseId - Course ID
+	 * @returns {number} Assignments cancelled
+	 */
+	archiveCourse(courseId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to manage courses");
+		}
+		const course = this.getCourse(courseId);
+		if (!course) {
+			throw new Error("Course not found");
+		}
+
+		course.status = "archived";
+		course.updatedAt = new Date().toISOString();
+		this.saveCourses();
+
+		const open = this.assignments.filter(
+			(a) => a.courseId === courseId && OPEN_STATUSES.includes(a.status)
+		);
+		open.forEach((assignment) => this.closeAssignment(assignment));
+		this.saveAssignments();
+
+		this.authSystem.recordAudit("training_course_archived", {
+			details: `"${course.title}" (${open.length} open assignments cancelled)`,
+			metadata: { courseId },
+		});
+		return open.length;
+	}
+
+	// ========================
+	// ASSIGNMENTS
+	// ========================
+
+	/**
+	 * Assign a course to people by hand. HR can assign anyone, managers the
+	 * people who report to them, and anyone can enrol themselves.
+	 * @param {string} courseId - Course ID
+	 * @param {string[]} userIds - Employees
+	 * @param {string} [dueDate] - Defaults to the course's dueInDays from today
+	 * @returns {Array} New assignments; people already assigned are skipped
+	 */
+	assignCourse(courseId, userIds, dueDate = null) {
+		const course = this.getCourse(courseId);
+		if (!course || course.status === "archived") {
+			throw new Error("Course not found");
+		}
+		const self = this.authSystem.getCurrentUser()?.id;
+		const denied = userIds.filter(
+			(userId) => userId !== self && !this.canAssignTo(userId)
+		);
+		if (denied.length > 0) {
+			throw new Error("Insufficient permissions to assign training to them");
+		}
+		if (dueDate && dueDate < this.today()) {
+			throw new Error("The due date can't be in the past");
+		}
+
+		const created = userIds
+			.map((userId) => this.userManager.getUserById(userId))
+			.filter((user) => user && !this.getOpenAssignment(courseId, user.id))
+			.map((user) =>
+				this.createAssignment(course, user, "manual", { dueDate })
+			);
+		if (created.length > 0) {
+			this.saveAssignments();
+			this.authSystem.recordAudit("training_assigned", {
+				details: `"${course.title}" to ${created.length} employee${
+					created.length === 1 ? "" : "s"
+				}`,
+				metadata: { courseId, userIds: created.map((a) => a.userId) },
+			});
+		}
+		return created;
+	}
+
+	canAssignTo(userId) {
+		const user = this.authSystem.getCurrentUser();
+		if (!user) return false;
+		if (this.authSystem.canManageUsers()) return true;
+		return this.hierarchyManager
+			.getAllSubordinates(user.id)
+			.some((report) => report.id === userId);
+	}
+
+	/**
+	 * Create assignments for everyone a published course targets who
+	 * doesn't already have it open or hold a current certificate
+	 * @param {Date} [now] - Evaluation time, for testing
+	 * @returns {number} Assignments created
+	 */
+	syncAssignments(now = new Date()) {
+		let created = 0;
+		this.getCourses().forEach((course) => {
+			this.authSystem.authorizedUsers
+				.filter((user) => user.status !== "inactive")
+				.forEach((user) => {
+					const source = this.getAutomaticSource(course, user);
+					if (!source || this.isCovered(course, user.id, now)) return;
+					this.createAssignment(course, user, source, { now });
+					created++;
+				});
+		});
+
+		if (created > 0) this.saveAssignments();
+		return created;
+	}
+
+	// Why a course applies to someone without being assigned by hand
+	getAutomaticSource(course, user) {
+		const { userIds, departments, positions } = course.audience;
+		if (
+			userIds.includes(user.id) ||
+			departments.includes(user.department) ||
+			positions.includes(user.position)
+		) {
+			return "audience";
+		}
+
+		const position = this.userManager.positions.find(
+			(p) => p.title === user.position
+		);
+		return position?.requirements?.some((r) => course.covers.includes(r))
+			? "position"
+			: null;
+	}
+
+	// Whether someone already has the course open, or has completed it and
+	// (for certifications) isn't yet due to renew
+	isCovered(course, userId, now = new Date()) {
+		return this.assignments.some(
+			(a) =>
+				a.courseId === course.id &&
+				a.userId === userId &&
+				(OPEN_STATUSES.includes(a.status) ||
+					(a.status === "completed" &&
+						(!a.expiresAt || this.renewalDate(a, course) > this.today(now))))
+		);
+	}
+
+	/**
+	 * Start renewals for certifications about to expire, with a task due
+	 * on the expiry date
+	 * @param {Date} [now] - Evaluation time, for testing
+	 * @returns {number} Renewal assignments created
+	 */
+	processRenewals(now = new Date()) {
+		const today = this.today(now);
+		let created = 0;
+
+		this.assignments
+			.filter((a) => a.status === "completed" && a.expiresAt && !a.renewedBy)
+			.forEach((certificate) => {
+				const course = this.getCourse(certificate.courseId);
+				const user = this.userManager.getUserById(certificate.userId);
+				if (!course || course.status === "archived" || !user) return;
+				if (this.renewalDate(certificate, course) > today) return;
+
+				const open = this.getOpenAssignment(course.id, user.id);
+				const renewal =
+					open ||
+					this.createAssignment(course, user, "renewal", {
+						dueDate:
+							certificate.expiresAt > today ? certificate.expiresAt : null,
+						now,
+						renewalOf: certificate.id,
+					});
+				certificate.renewedBy = renewal.id;
+				if (!open) created++;
+			});
+
+		if (created > 0) {
+			this.saveAssignments();
+			this.authSystem.recordAudit("training_renewals_started", {
+				actor: null,
+				details: `${created} certification renewal${
+					created === 1 ? "" : "s"
+				} assigned`,
+			});
+		}
+		return created;
+	}
+
+	renewalDate(certificate, course) {
+		const renewBefore = course.certification?.renewBeforeDays || 0;
+		return this.addDays(certificate.expiresAt, -renewBefore);
+	}
+
+	createAssignment(course, user, source, options = {}) {
+		const actor = this.authSystem.getCurrentUser();
+		const assignment = {
+			id: `training-${randomToken(9)}`,
+			courseId: course.id,
+			userId: user.id,
+			source,
+			assignedAt: new Date().toISOString(),
+			assignedBy: source === "manual" ? actor?.id || null : null,
+			dueDate:
+				options.dueDate ||
+				this.addDays(this.today(options.now), course.dueInDays),
+			status: "assigned",
+			completedModules: [],
+			attempts: [],
+			score: null,
+			completedAt: null,
+			expiresAt: null,
+			renewalOf: options.renewalOf || null,
+			renewedBy: null,
+			taskId: null,
+		};
+
+		const task = this.taskManager.createTask({
+			title:
+				source === "renewal"
+					? `Renew certification: ${course.title}`
+					: `Complete training: ${course.title}`,
+			description: `${ASSIGNMENT_SOURCES[source]}. Open Training to work through ${
+				course.modules.length
+			} module${course.modules.length === 1 ? "" : "s"}${
+				course.quiz ? " and the quiz" : ""
+			}.`,
+			priority: source === "renewal" ? "HIGH" : "MEDIUM",
+			assignedTo: [user.email],
+			department: user.department,
+			dueDate: assignment.dueDate,
+			category: "training",
+			tags: ["training", course.id],
+		});
+		assignment.taskId = task.id;
+
+		this.assignments.push(assignment);
+		return assignment;
+	}
+
+	/**
+	 * Withdraw an open assignment
+	 * @param {string} assignmentId - Assignment ID
+	 */
+	cancelAssignment(assignmentId) {
+		const assignment = this.getAssignment(assignmentId);
+		if (!assignment || !OPEN_STATUSES.includes(assignment.status)) {
+			throw new Error("This assignment is no longer open");
+		}
+		if (!this.canAssignTo(assignment.userId)) {
+			throw new Error("Insufficient permissions to cancel this assignment");
+		}
+
+		this.closeAssignment(assignment);
+		this.saveAssignments();
+
+		this.authSystem.recordAudit("training_assignment_cancelled", {
+			target: this.userManager.getUserById(assignment.userId),
+			details: `"${this.getCourse(assignment.courseId)?.title}"`,
+			metadata: { assignmentId },
+		});
+	}
+
+	closeAssignment(assignment) {
+		assignment.status = "cancelled";
+		const task = this.taskManager.getTask(assignment.taskId);
+		if (task && !["completed", "cancelled"].includes(task.status)) {
+			this.taskManager.updateTask(task.id, { status: "cancelled" });
+		}
+	}
+
+	// ========================
+	// PROGRESS AND COMPLETION
+	// ========================
+
+	/**
+	 * Mark one of the current user's modules as done. Finishing the last
+	 * module completes courses without a quiz.
+	 * @param {string} assignmentId - Assignment ID
+	 * @param {string} moduleId - Module ID
+	 * @returns {Object} The assignment
+	 */
+	completeModule(assignmentId, moduleId) {
+		const { assignment, course } = this.getOwnOpenAssignment(assignmentId);
+		if (!course.modules.some((m) => m.id === moduleId)) {
+			throw new Error("Module not found");
+		}
+
+		if (!assignment.completedModules.includes(moduleId)) {
+			assignment.completedModules.push(moduleId);
+		}
+		assignment.status = "in_progress";
+		if (!course.quiz && this.modulesDone(assignment, course)) {
+			this.markCompleted(assignment, course, null);
+		} else {
+			this.updateTaskProgress(assignment, course);
+		}
+		this.saveAssignments();
+		return assignment;
+	}
+
+	/**
+	 * Score the current user's quiz attempt. Passing completes the course;
+	 * failing can be retried.
+	 * @param {string} assignmentId - Assignment ID
+	 * @param {Object} answers - Chosen option index by question ID
+	 * @returns {Object} { score, passed, assignment }
+	 */
+	submitQuiz(assignmentId, answers) {
+		const { assignment, course } = this.getOwnOpenAssignment(assignmentId);
+		if (!course.quiz) {
+			throw new Error("This course has no quiz");
+		}
+		if (!this.modulesDone(assignment, course)) {
+			throw new Error("Finish every module before taking the quiz");
+		}
+
+		const { questions, passMark } = course.quiz;
+		const unanswered = questions.filter((q) => answers[q.id] === undefined);
+		if (unanswered.length > 0) {
+			throw new Error("Answer every question before submitting");
+		}
+		const correct = questions.filter(
+			(q) => Number(answers[q.id]) === q.answer
+		).length;
+		const score = Math.round((correct / questions.length) * 100);
+		const passed = score >= passMark;
+
+		assignment.attempts.push({
+			submittedAt: new Date().toISOString(),
+			score,
+			passed,
+		});
+		if (passed) {
+			this.markCompleted(assignment, course, score);
+		}
+		this.saveAssignments();
+		return { score, passed, assignment };
+	}
+
+	/**
+	 * Record a completion that happened outside the app, such as a
+	 * classroom workshop
+	 * @param {string} assignmentId - Assignment ID
+	 * @param {Object} [details]
+	 * @param {string} [details.completedOn] - YYYY-MM-DD, defaults to today
+	 * @param {number} [details.score] - Score out of 100
+	 * @returns {Object} The assignment
+	 */
+	recordCompletion(assignmentId, { completedOn, score } = {}) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to record completions");
+		}
+		const assignment = this.getAssignment(assignmentId);
+		if (!assignment || !OPEN_STATUSES.includes(assignment.status)) {
+			throw new Error("This assignment is no longer open");
+		}
+		const day = completedOn || this.today();
+		if (day > this.today()) {
+			throw new Error("Completion can't be dated in the future");
+		}
+		const value = score === "" || score == null ? null : Number(score);
+		if (value !== null && (isNaN(value) || value < 0 || value > 100)) {
+			throw new Error("Score must be between 0 and 100");
+		}
+
+		const course = this.getCourse(assignment.courseId);
+		assignment.completedModules = course.modules.map((m) => m.id);
+		this.markCompleted(assignment, course, value, day);
+		this.saveAssignments();
+
+		this.authSystem.recordAudit("training_completion_recorded", {
+			target: this.userManager.getUserById(assignment.userId),
+			details: `"${course.title}" completed ${day}${
+				value !== null ? ` (score ${value})` : ""
+			}`,
+			metadata: { assignmentId },
+		});
+		return assignment;
+	}
+
+	markCompleted(assignment, course, score, day = this.today()) {
+		assignment.status = "completed";
+		assignment.score = score;
+		assignment.completedAt = `${day}T${
+			new Date().toISOString().split("T")[1]
+		}`;
+		assignment.expiresAt = course.certification
+			? this.addMonths(day, course.certification.validForMonths)
+			: null;
+
+		if (this.taskManager.getTask(assignment.taskId)) {
+			this.taskManager.updateTaskProgress(assignment.taskId, 100);
+		}
+	}
+
+	updateTaskProgress(assignment, course) {
+		const task = this.taskManager.getTask(assignment.taskId);
+		if (!task || task.status === "completed") return;
+		// Leave room for the quiz so the task isn't done before the course
+		const steps = course.modules.length + (course.quiz ? 1 : 0);
+		this.taskManager.updateTaskProgress(
+			task.id,
+			Math.round((assignment.completedModules.length / steps) * 100)
+		);
+	}
+
+	modulesDone(assignment, course) {
+		return course.modules.every((m) =>
+			assignment.completedModules.includes(m.id)
+		);
+	}
+
+	getOwnOpenAssignment(assignmentId) {
+		const assignment = this.getAssignment(assignmentId);
+		const user = this.authSystem.getCurrentUser();
+		if (!assignment || assignment.userId !== user?.id) {
+			throw new Error("Assignment not found");
+		}
+		if (!OPEN_STATUSES.includes(assignment.status)) {
+			throw new Error("This course is already finished");
+		}
+		return { assignment, course: this.getCourse(assignment.courseId) };
+	}
+
+	// ========================
+	// QUERIES
+	// ========================
+
+	getAssignment(assignmentId) {
+		return this.assignments.find((a) => a.id === assignmentId) || null;
+	}
+
+	getOpenAssignment(courseId, userId) {
+		return (
+			this.assignments.find(
+				(a) =>
+					a.courseId === courseId &&
+					a.userId === userId &&
+					OPEN_STATUSES.includes(a.status)
+			) || null
+		);
+	}
+
+	/**
+	 * An employee's assignments, open ones first by due date
+	 * @param {string} userId - Employee ID
+	 * @returns {Array}
+	 */
+	getAssignmentsForUser(userId) {
+		const rank = (a) => (OPEN_STATUSES.includes(a.status) ? 0 : 1);
+		return this.assignments
+			.filter((a) => a.userId === userId && a.status !== "cancelled")
+			.sort(
+				(a, b) =>
+					rank(a) - rank(b) ||
+					(rank(a) === 0
+						? a.dueDate.localeCompare(b.dueDate)
+						: b.completedAt.localeCompare(a.completedAt))
+			);
+	}
+
+	/**
+	 * An employee's latest certificate per certifying course
+	 * @param {string} userId - Employee ID
+	 * @param {Date} [now] - Evaluation time, for testing
+	 * @returns {Array} { course, assignment, expiresAt, state } where state
+	 *   is "valid", "expiring" or "expired"
+	 */
+	getCertifications(userId, now = new Date()) {
+		const today = this.today(now);
+		const latest = new Map();
+		this.assignments
+			.filter(
+				(a) => a.userId === userId && a.status === "completed" && a.expiresAt
+			)
+			.forEach((a) => {
+				const current = latest.get(a.courseId);
+				if (!current || a.expiresAt > current.expiresAt) {
+					latest.set(a.courseId, a);
+				}
+			});
+
+		return [...latest.values()]
+			.map((assignment) => {
+				const course = this.getCourse(assignment.courseId);
+				const state =
+					assignment.expiresAt <= today
+						? "expired"
+						: course && this.renewalDate(assignment, course) <= today
+						? "expiring"
+						: "valid";
+				return { course, assignment, expiresAt: assignment.expiresAt, state };
+			})
+			.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+	}
+
+	/**
+	 * Completion across a course's assignments, for HR
+	 * @param {string} courseId - Course ID
+	 * @returns {Object} { rows, totals } with one row per assignment
+	 */
+	getCourseReport(courseId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to view training reports");
+		}
+		const today = this.today();
+		const rows = this.assignments
+			.filter((a) => a.courseId === courseId && a.status !== "cancelled")
+			.map((assignment) => ({
+				assignment,
+				user: this.userManager.getUserById(assignment.userId),
+				overdue:
+					OPEN_STATUSES.includes(assignment.status) &&
+					assignment.dueDate < today,
+			}))
+			.sort((a, b) =>
+				(a.user?.name || "").localeCompare(b.user?.name || "")
+			);
+
+		const completed = rows.filter(
+			(r) => r.assignment.status === "completed"
+		).length;
+		return {
+			rows,
+			totals: {
+				assigned: rows.length,
+				completed,
+				overdue: rows.filter((r) => r.overdue).length,
+				percent: rows.length ? Math.round((completed / rows.length) * 100) : 0,
+			},
+		};
+	}
+
+	// ========================
+	// UTILITY METHODS
+	// ========================
+
+	removeUsers(userIds) {
+		this.assignments
+			.filter(
+				(a) => userIds.includes(a.userId) && OPEN_STATUSES.includes(a.status)
+			)
+			.forEach((assignment) => this.closeAssignment(assignment));
+		this.saveAssignments();
+	}
+
+	today(now = new Date()) {
+		return now.toISOString().split("T")[0];
+	}
+
+	addDays(date, days) {
+		const day = new Date(`${date}T00:00:00Z`);
+		day.setUTCDate(day.getUTCDate() + days);
+		return day.toISOString().split("T")[0];
+	}
+
+	addMonths(date, months) {
+		const day = new Date(`${date}T00:00:00Z`);
+		day.setUTCMonth(day.getUTCMonth() + months);
+		return day.toISOString().split("T")[0];
+	}
+}
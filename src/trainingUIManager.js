@@ -0,0 +1,872 @@
+/**
+ * Training UI Manager - Training view
+ * The signed-in user's courses and certifications, their team's progress,
+ * and the course catalogue, which HR can edit, assign and report on.
+ */
+
+import { ModalComponent } from "./components/ModalComponent.js";
+import { NotificationComponent } from "./components/NotificationComponent.js";
+import {
+	ASSIGNMENT_SOURCES,
+	ASSIGNMENT_STATUSES,
+} from "./trainingManager.js";
+
+// Module rows offered in the course editor
+const MODULE_ROWS = 8;
+
+export class TrainingUIManager {
+	constructor(trainingManager, app) {
+		this.trainingManager = trainingManager;
+		this.app = app;
+		this.authSystem = app.authSystem;
+		this.userManager = app.userManager;
+		this.hierarchyManager = app.hierarchyManager;
+
+		// Course player left open between module completions
+		this.playerModal = null;
+
+		window.addEventListener("trainingUpdated", () => this.refresh());
+	}
+
+	/**
+	 * Render the Training view
+	 * @param {string} containerId - Container element ID
+	 */
+	render(containerId = "trainingContainer") {
+		const container = document.getElementById(containerId);
+		const user = this.authSystem.getCurrentUser();
+		if (!container || !user) return;
+
+		const team = this.getTeam(user);
+		container.innerHTML = `
+			<section class="training-section">
+				<h4>My training</h4>
+				${this.renderOwnAssignments(user)}
+			</section>
+
+			${this.renderCertifications(user)}
+
+			${
+				team.length > 0
+					? `
+				<section class="training-section">
+					<h4>Team</h4>
+					${this.renderTeam(team)}
+				</section>
+			`
+					: ""
+			}
+
+			<section class="training-section">
+				<div class="training-section-header">
+					<h4>Course catalogue</h4>
+					${
+						this.authSystem.canManageUsers()
+							? `<button class="btn btn-primary btn-small" onclick="trainingUI.showCourseEditor()">+ New Course</button>`
+							: ""
+					}
+				</div>
+				<div class="training-grid">
+					${this.trainingManager
+						.getCourses()
+						.map((course) => this.renderCourseCard(course))
+						.join("")}
+				</div>
+			</section>
+		`;
+	}
+
+	refresh() {
+		const container = document.getElementById("trainingContainer");
+		if (container && container.children.length > 0) {
+			this.render();
+		}
+	}
+
+	getTeam(user) {
+		const seen = new Set();
+		return this.hierarchyManager
+			.getAllSubordinates(user.id)
+			.filter((member) => !seen.has(member.id) && seen.add(member.id));
+	}
+
+	renderOwnAssignments(user) {
+		const assignments = this.trainingManager.getAssignmentsForUser(user.id);
+		if (assignments.length === 0) {
+			return `<p class="empty-state">No training assigned to you.</p>`;
+		}
+
+		const today = this.trainingManager.today();
+		return `
+			<ul class="training-list">
+				${assignments
+					.map((assignment) => {
+						const course = this.trainingManager.getCourse(assignment.courseId);
+						const open = ["assigned", "in_progress"].includes(
+							assignment.status
+						);
+						const overdue = open && assignment.dueDate < today;
+						return `
+							<li>
+								<div>
+									<strong>${course?.icon || "🎓"} ${course?.title || "Retired course"}</strong>
+									<span class="training-meta-text">
+										${ASSIGNMENT_SOURCES[assignment.source]} ·
+										${
+											open
+												? `<span class="${
+														overdue ? "training-overdue" : ""
+												  }">due ${assignment.dueDate}</span> · ${
+														assignment.completedModules.length
+												  } of ${course?.modules.length || 0} modules`
+												: `completed ${assignment.completedAt.split("T")[0]}${
+														assignment.score !== null
+															? ` · score ${assignment.score}%`
+															: ""
+												  }`
+										}
+									</span>
+								</div>
+								${
+									open && course
+										? `<button class="btn btn-small btn-primary" onclick="trainingUI.showCoursePlayer('${assignment.id}')">${
+												assignment.status === "assigned" ? "Start" : "Continue"
+										  }</button>`
+										: `<span class="training-status ${assignment.status}">${
+												ASSIGNMENT_STATUSES[assignment.status]
+										  }</span>`
+								}
+							</li>
+						`;
+					})
+					.join("")}
+			</ul>
+		`;
+	}
+
+	renderCertifications(user) {
+		const certifications = this.trainingManager.getCertifications(user.id);
+		if (certifications.length === 0) return "";
+
+		const labels = {
+			valid: "Valid",
+			expiring: "Renewal due",
+			expired: "Expired",
+		};
+		return `
+			<section class="training-section">
+				<h4>My certifications</h4>
+				<ul class="training-list">
+					${certifications
+						.map(
+							({ course, expiresAt, state }) => `
+						<li>
+							<div>
+								<strong>${course?.title || "Retired course"}</strong>
+								<span class="training-meta-text">expires ${expiresAt}</span>
+							</div>
+							<span class="training-cert ${state}">${labels[state]}</span>
+						</li>
+					`
+						)
+						.join("")}
+				</ul>
+			</section>
+		`;
+	}
+
+	renderTeam(team) {
+		const today = this.trainingManager.today();
+		return `
+			<table class="training-table">
+				<thead>
+					<tr>
+						<th>Employee</th>
+						<th>Open</th>
+						<th>Overdue</th>
+						<th>Completed</th>
+						<th>Certifications</th>
+					</tr>
+				</thead>
+				<tbody>
+					${team
+						.map((member) => {
+							const assignments = this.trainingManager.getAssignmentsForUser(
+								member.id
+							);
+							const open = assignments.filter(
+								(a) => a.status !== "completed"
+							);
+							const overdue = open.filter((a) => a.dueDate < today).length;
+							const certifications = this.trainingManager.getCertifications(
+								member.id
+							);
+							const lapsing = certifications.filter(
+								(c) => c.state !== "valid"
+							).length;
+							return `
+								<tr>
+									<td>${member.name}</td>
+									<td>${open.length}</td>
+									<td>${
+										overdue
+											? `<span class="training-overdue">${overdue}</span>`
+											: "0"
+									}</td>
+									<td>${assignments.length - open.length}</td>
+									<td>${certifications.length}${
+								lapsing
+									? ` <span class="training-overdue">(${lapsing} due)</span>`
+									: ""
+							}</td>
+								</tr>
+							`;
+						})
+						.join("")}
+				</tbody>
+			</table>
+		`;
+	}
+
+	renderCourseCard(course) {
+		const canManage = this.authSystem.canManageUsers();
+		const canAssign =
+			canManage ||
+			this.getTeam(this.authSystem.getCurrentUser()).length > 0;
+		const completions = this.trainingManager.assignments.filter(
+			(a) => a.courseId === course.id && a.status === "completed"
+		).length;
+		const enrolled = this.trainingManager.getOpenAssignment(
+			course.id,
+			this.authSystem.getCurrentUser().id
+		);
+
+		return `
+			<div class="training-card">
+				<div class="training-thumbnail">${course.icon}</div>
+				<div class="training-content">
+					<div class="training-title">${course.title}</div>
+					<div class="training-description">${course.description}</div>
+					<div class="training-meta">
+						<span>${course.modules.length} modules${
+			course.quiz ? " + quiz" : ""
+		} · ${completions} completed</span>
+						${
+							course.duration
+								? `<span class="training-duration">${course.duration}</span>`
+								: ""
+						}
+					</div>
+					${
+						course.certification
+							? `<div class="training-meta-text">Certifies for ${course.certification.validForMonths} months</div>`
+							: ""
+					}
+					${
+						course.covers.length > 0
+							? `<div class="training-meta-text">Covers ${course.covers.join(", ")}</div>`
+							: ""
+					}
+					<div class="training-actions">
+						${
+							enrolled
+								? ""
+								: `<button class="btn btn-small btn-primary" onclick="trainingUI.enrol('${course.id}')">Enrol</button>`
+						}
+						${
+							canAssign
+								? `
+							<button class="btn btn-small btn-secondary" onclick="trainingUI.showAssignModal('${course.id}')">Assign</button>
+							${
+								canManage
+									? `
+								<button class="btn btn-small btn-secondary" onclick="trainingUI.showReport('${course.id}')">Report</button>
+								<button class="btn btn-small btn-secondary" onclick="trainingUI.showCourseEditor('${course.id}')">Edit</button>
+								<button class="btn btn-small btn-danger" onclick="trainingUI.archiveCourse('${course.id}')">Archive</button>
+							`
+									: ""
+							}
+						`
+								: ""
+						}
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	// ========================
+	// TAKING A COURSE
+	// ========================
+
+	showCoursePlayer(assignmentId) {
+		const assignment = this.trainingManager.getAssignment(assignmentId);
+		const course = this.trainingManager.getCourse(assignment.courseId);
+		this.playerModal = ModalComponent.show(
+			course.title,
+			this.renderPlayer(assignment, course),
+			"training-player-modal",
+			{ size: "large" }
+		);
+	}
+
+	renderPlayer(assignment, course) {
+		const modulesDone = this.trainingManager.modulesDone(assignment, course);
+		const lastAttempt = assignment.attempts[assignment.attempts.length - 1];
+
+		return `
+			<p class="form-help">${course.description}</p>
+			<ol class="training-modules">
+				${course.modules
+					.map((module) => {
+						const done = assignment.completedModules.includes(module.id);
+						return `
+							<li class="${done ? "done" : ""}">
+								<div class="training-module-header">
+									<strong>${module.title}</strong>
+									${
+										done
+											? `<span class="training-status completed">Done</span>`
+											: `<button class="btn btn-small btn-primary" onclick="trainingUI.completeModule('${assignment.id}', '${module.id}')">Mark done</button>`
+									}
+								</div>
+								${module.content ? `<p>${module.content}</p>` : ""}
+							</li>
+						`;
+					})
+					.join("")}
+			</ol>
+			${
+				course.quiz
+					? `
+				<div class="training-quiz-prompt">
+					<span>
+						Quiz: ${course.quiz.questions.length} questions, pass mark ${
+							course.quiz.passMark
+					  }%.
+						${
+							lastAttempt
+								? `Last attempt ${lastAttempt.score}%.`
+								: ""
+						}
+					</span>
+					<button class="btn btn-small btn-primary" ${
+						modulesDone ? "" : "disabled"
+					} onclick="trainingUI.showQuiz('${assignment.id}')">Take quiz</button>
+				</div>
+			`
+					: ""
+			}
+		`;
+	}
+
+	completeModule(assignmentId, moduleId) {
+		try {
+			const assignment = this.trainingManager.completeModule(
+				assignmentId,
+				moduleId
+			);
+			if (assignment.status === "completed") {
+				this.playerModal?.hide();
+				NotificationComponent.show("Course completed", "success");
+			} else {
+				this.playerModal?.updateContent(
+					this.renderPlayer(
+						assignment,
+						this.trainingManager.getCourse(assignment.courseId)
+					)
+				);
+			}
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	showQuiz(assignmentId) {
+		const assignment = this.trainingManager.getAssignment(assignmentId);
+		const course = this.trainingManager.getCourse(assignment.courseId);
+
+		const content = course.quiz.questions
+			.map(
+				(question, index) => `
+			<fieldset class="training-question">
+				<legend>${index + 1}. ${question.question}</legend>
+				${question.options
+					.map(
+						(option, optionIndex) => `
+					<label>
+						<input type="radio" name="${question.id}" value="${optionIndex}" required>
+						${option}
+					</label>
+				`
+					)
+					.join("")}
+			</fieldset>
+		`
+			)
+			.join("");
+
+		ModalComponent.form(
+			`${course.title}: Quiz`,
+			content,
+			(e, modal, form) => {
+				const answers = Object.fromEntries(new FormData(form).entries());
+				try {
+					const { score, passed } = this.trainingManager.submitQuiz(
+						assignmentId,
+						answers
+					);
+					modal.hide();
+					NotificationComponent.show(
+						passed
+							? `Passed with ${score}%. Course completed.`
+							: `You scored ${score}%; ${course.quiz.passMark}% is needed. Review the modules and try again.`,
+						passed ? "success" : "warning"
+					);
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	// ========================
+	// MANAGING COURSES
+	// ========================
+
+	showCourseEditor(courseId = null) {
+		const course = courseId ? this.trainingManager.getCourse(courseId) : null;
+		const defaults = course || {
+			icon: "🎓",
+			modules: [],
+			quiz: null,
+			audience: { userIds: [], departments: [], positions: [] },
+			covers: [],
+			dueInDays: 30,
+			certification: null,
+		};
+		const requirements = [
+			...new Set(
+				this.userManager.positions.flatMap((p) => p.requirements || [])
+			),
+		];
+		const checkboxes = (name, values, selected) =>
+			values
+				.map(
+					(value) => `
+				<label>
+					<input type="checkbox" name="${name}" value="${value}" ${
+						selected.includes(value) ? "checked" : ""
+					}>
+					${value}
+				</label>
+			`
+				)
+				.join("");
+
+		const moduleRows = Array.from({ length: MODULE_ROWS }, (_, i) => {
+			const module = defaults.modules[i] || {};
+			return `
+				<div class="training-module-row">
+					<input type="hidden" name="module-id-${i}" value="${module.id || ""}">
+					<input type="text" name="module-title-${i}" placeholder="Module ${
+				i + 1
+			}" value="${module.title || ""}">
+					<textarea name="module-content-${i}" rows="2" placeholder="Content or link">${
+				module.content || ""
+			}</textarea>
+				</div>
+			`;
+		}).join("");
+
+		const content = `
+			<div class="form-row">
+				<div class="form-group">
+					<label for="courseTitle">Title</label>
+					<input type="text" id="courseTitle" name="title" value="${
+						defaults.title || ""
+					}" required>
+				</div>
+				<div class="form-group">
+					<label for="courseIcon">Icon</label>
+					<input type="text" id="courseIcon" name="icon" value="${defaults.icon}">
+				</div>
+			</div>
+			<div class="form-group">
+				<label for="courseDescription">Description</label>
+				<textarea id="courseDescription" name="description" rows="2">${
+					defaults.description || ""
+				}</textarea>
+			</div>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="courseDuration">Duration</label>
+					<input type="text" id="courseDuration" name="duration" placeholder="e.g. 2 hours" value="${
+						defaults.duration || ""
+					}">
+				</div>
+				<div class="form-group">
+					<label for="courseDueInDays">Days to complete</label>
+					<input type="number" id="courseDueInDays" name="dueInDays" min="1" value="${
+						defaults.dueInDays
+					}" required>
+				</div>
+			</div>
+			<fieldset class="training-fieldset">
+				<legend>Modules</legend>
+				${moduleRows}
+			</fieldset>
+			<fieldset class="training-fieldset">
+				<legend>Quiz</legend>
+				<div class="form-group">
+					<label for="coursePassMark">Pass mark (%)</label>
+					<input type="number" id="coursePassMark" name="passMark" min="0" max="100" value="${
+						defaults.quiz?.passMark ?? 80
+					}">
+				</div>
+				<div class="form-group">
+					<label for="courseQuiz">Questions</label>
+					<p class="form-help">One question per block: the question on the first line, then one option per line with a * before the correct one. Separate questions with a blank line. Leave empty for no quiz.</p>
+					<textarea id="courseQuiz" name="quiz" rows="8">${this.formatQuiz(
+						defaults.quiz
+					)}</textarea>
+				</div>
+			</fieldset>
+			<fieldset class="training-fieldset">
+				<legend>Who takes it</legend>
+				<label>Departments</label>
+				<div class="training-options">
+					${checkboxes(
+						"departments",
+						this.userManager.departments.map((d) => d.name),
+						defaults.audience.departments
+					)}
+				</div>
+				<label>Positions</label>
+				<div class="training-options">
+					${checkboxes(
+						"positions",
+						this.userManager.positions.map((p) => p.title),
+						defaults.audience.positions
+					)}
+				</div>
+				<label>Position requirements it covers (assigned to every position that lists one)</label>
+				<div class="training-options">
+					${checkboxes("covers", requirements, defaults.covers)}
+				</div>
+			</fieldset>
+			<fieldset class="training-fieldset">
+				<legend>Certification</legend>
+				<label>
+					<input type="checkbox" name="certifies" ${
+						defaults.certification ? "checked" : ""
+					}>
+					Completing this course certifies the employee
+				</label>
+				<div class="form-row">
+					<div class="form-group">
+						<label for="courseValidFor">Valid for (months)</label>
+						<input type="number" id="courseValidFor" name="validForMonths" min="1" value="${
+							defaults.certification?.validForMonths || 12
+						}">
+					</div>
+					<div class="form-group">
+						<label for="courseRenewBefore">Assign renewal (days before expiry)</label>
+						<input type="number" id="courseRenewBefore" name="renewBeforeDays" min="0" value="${
+							defaults.certification?.renewBeforeDays ?? 30
+						}">
+					</div>
+				</div>
+			</fieldset>
+		`;
+
+		ModalComponent.form(
+			course ? "Edit Course" : "New Course",
+			content,
+			(e, modal, form) => {
+				const data = new FormData(form);
+				try {
+					this.trainingManager.saveCourse(
+						{
+							title: data.get("title"),
+							icon: data.get("icon"),
+							description: data.get("description"),
+							duration: data.get("duration"),
+							dueInDays: data.get("dueInDays"),
+							modules: Array.from({ length: MODULE_ROWS }, (_, i) => ({
+								id: data.get(`module-id-${i}`),
+								title: data.get(`module-title-${i}`),
+								content: data.get(`module-content-${i}`),
+							})),
+							quiz: this.parseQuiz(
+								data.get("quiz"),
+								data.get("passMark"),
+								defaults.quiz
+							),
+							audience: {
+								userIds: defaults.audience.userIds,
+								departments: data.getAll("departments"),
+								positions: data.getAll("positions"),
+							},
+							covers: data.getAll("covers"),
+							certification: data.has("certifies")
+								? {
+										validForMonths: data.get("validForMonths"),
+										renewBeforeDays: data.get("renewBeforeDays"),
+								  }
+								: null,
+						},
+						courseId
+					);
+					modal.hide();
+					NotificationComponent.show("Course saved", "success");
+					this.render();
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+			},
+			{ size: "large" }
+		);
+	}
+
+	formatQuiz(quiz) {
+		if (!quiz) return "";
+		return quiz.questions
+			.map((q) =>
+				[
+					q.question,
+					...q.options.map((option, i) =>
+						i === q.answer ? `*${option}` : option
+					),
+				].join("\n")
+			)
+			.join("\n\n");
+	}
+
+	// Keep question IDs for questions whose wording is unchanged
+	parseQuiz(text, passMark, previous) {
+		const blocks = String(text || "")
+			.split(/\n\s*\n/)
+			.map((block) =>
+				block
+					.split("\n")
+					.map((line) => line.trim())
+					.filter(Boolean)
+			)
+			.filter((lines) => lines.length > 0);
+		if (blocks.length === 0) return null;
+
+		return {
+			passMark,
+			questions: blocks.map(([question, ...lines]) => ({
+				id: previous?.questions.find((q) => q.question === question)?.id,
+				question,
+				options: lines.map((line) => line.replace(/^\*\s*/, "")),
+				answer: lines.findIndex((line) => line.startsWith("*")),
+			})),
+		};
+	}
+
+	enrol(courseId) {
+		try {
+			const [assignment] = this.trainingManager.assignCourse(courseId, [
+				this.authSystem.getCurrentUser().id,
+			]);
+			NotificationComponent.show(
+				`Enrolled. Due ${assignment.dueDate}.`,
+				"success"
+			);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	showAssignModal(courseId) {
+		const course = this.trainingManager.getCourse(courseId);
+		const user = this.authSystem.getCurrentUser();
+		const people = this.authSystem.canManageUsers()
+			? this.authSystem.authorizedUsers
+			: this.getTeam(user);
+
+		const content = `
+			<p class="form-help">People who already have this course open are skipped.</p>
+			<div class="training-options">
+				${people
+					.map(
+						(person) => `
+					<label>
+						<input type="checkbox" name="userIds" value="${person.id}" ${
+							this.trainingManager.getOpenAssignment(courseId, person.id)
+								? "disabled"
+								: ""
+						}>
+						${person.name}
+					</label>
+				`
+					)
+					.join("")}
+			</div>
+			<div class="form-group">
+				<label for="assignDueDate">Due date</label>
+				<input type="date" id="assignDueDate" name="dueDate" value="${this.trainingManager.addDays(
+					this.trainingManager.today(),
+					course.dueInDays
+				)}">
+			</div>
+		`;
+
+		ModalComponent.form(`Assign: ${course.title}`, content, (e, modal, form) => {
+			const data = new FormData(form);
+			const userIds = data.getAll("userIds");
+			if (userIds.length === 0) {
+				NotificationComponent.show("Choose at least one person", "warning");
+				return;
+			}
+			try {
+				const created = this.trainingManager.assignCourse(
+					courseId,
+					userIds,
+					data.get("dueDate")
+				);
+				modal.hide();
+				NotificationComponent.show(
+					`Assigned to ${created.length} ${
+						created.length === 1 ? "person" : "people"
+					}`,
+					"success"
+				);
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	showReport(courseId) {
+		const course = this.trainingManager.getCourse(courseId);
+		const { rows, totals } = this.trainingManager.getCourseReport(courseId);
+
+		const content = `
+			<p>
+				${totals.completed} of ${totals.assigned} completed (${totals.percent}%)
+				${
+					totals.overdue
+						? ` · <span class="training-overdue">${totals.overdue} overdue</span>`
+						: ""
+				}
+			</p>
+			${
+				rows.length === 0
+					? `<p class="empty-state">Nobody has been assigned this course.</p>`
+					: `
+				<table class="training-table">
+					<thead>
+						<tr>
+							<th>Employee</th>
+							<th>Source</th>
+							<th>Due</th>
+							<th>Status</th>
+							<th>Score</th>
+							<th>Expires</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						${rows
+							.map(
+								({ assignment, user, overdue }) => `
+							<tr>
+								<td>${user?.name || "Former employee"}</td>
+								<td>${ASSIGNMENT_SOURCES[assignment.source]}</td>
+								<td class="${overdue ? "training-overdue" : ""}">${assignment.dueDate}</td>
+								<td>${ASSIGNMENT_STATUSES[assignment.status]}</td>
+								<td>${assignment.score ?? "–"}</td>
+								<td>${assignment.expiresAt || "–"}</td>
+								<td class="training-actions">
+									${
+										assignment.status === "completed"
+											? ""
+											: `
+										<button class="btn btn-small btn-secondary" onclick="trainingUI.showRecordCompletion('${assignment.id}')">Record completion</button>
+										<button class="btn btn-small btn-danger" onclick="trainingUI.cancelAssignment('${assignment.id}')">Cancel</button>
+									`
+									}
+								</td>
+							</tr>
+						`
+							)
+							.join("")}
+					</tbody>
+				</table>
+			`
+			}
+		`;
+
+		ModalComponent.show(course.title, content, "training-report-modal", {
+			size: "large",
+		});
+	}
+
+	showRecordCompletion(assignmentId) {
+		const assignment = this.trainingManager.getAssignment(assignmentId);
+		const course = this.trainingManager.getCourse(assignment.courseId);
+		const user = this.userManager.getUserById(assignment.userId);
+
+		const content = `
+			<p class="form-help">For training ${
+				user?.name || "the employee"
+			} completed outside the app, such as a workshop.</p>
+			<div class="form-row">
+				<div class="form-group">
+					<label for="completedOn">Completed on</label>
+					<input type="date" id="completedOn" name="completedOn" value="${this.trainingManager.today()}" required>
+				</div>
+				<div class="form-group">
+					<label for="completionScore">Score (%)</label>
+					<input type="number" id="completionScore" name="score" min="0" max="100">
+				</div>
+			</div>
+		`;
+
+		ModalComponent.form(course.title, content, (e, modal, form) => {
+			const data = Object.fromEntries(new FormData(form).entries());
+			try {
+				this.trainingManager.recordCompletion(assignmentId, data);
+				modal.hide();
+				NotificationComponent.show("Completion recorded", "success");
+			} catch (error) {
+				NotificationComponent.show(error.message, "error");
+			}
+		});
+	}
+
+	cancelAssignment(assignmentId) {
+		try {
+			this.trainingManager.cancelAssignment(assignmentId);
+			NotificationComponent.show("Assignment cancelled", "success");
+			const assignment = this.trainingManager.getAssignment(assignmentId);
+			this.showReport(assignment.courseId);
+		} catch (error) {
+			NotificationComponent.show(error.message, "error");
+		}
+	}
+
+	archiveCourse(courseId) {
+		const course = this.trainingManager.getCourse(courseId);
+		ModalComponent.confirm({
+			title: "Archive Course",
+			message: `Archive "${course.title}"? Open assignments are cancelled; completion records and certifications are kept.`,
+			confirmText: "Archive",
+			confirmClass: "btn-danger",
+			onConfirm: (modal) => {
+				try {
+					this.trainingManager.archiveCourse(courseId);
+					NotificationComponent.show("Course archived", "success");
+				} catch (error) {
+					NotificationComponent.show(error.message, "error");
+				}
+				modal.hide();
+			},
+		});
+	}
+}
@@ -0,0 +1,474 @@
+/**
+ * User Import - Bulk-create users from CSV or JSON
+ * Three steps: parse the file, preview it against a column mapping (a dry run
+ * through UserManager.validateUserData, nothing is saved), then commit every
+ * row as one batch. Batches are remembered so a whole import can be undone.
+ */
+
+// Fields an import can fill; `aliases` are matched against normalized headers
+export const IMPORT_FIELDS = [
+	{
+		key: "email",
+		label: "Email",
+		required: true,
+		aliases: ["email", "emailaddress", "workemail"],
+	},
+	{
+		key: "name",
+		label: "Full Name",
+		required: true,
+		aliases: ["name", "fullname", "displayname"],
+	},
+	{
+		key: "firstName",
+		label: "First Name",
+		aliases: ["firstname", "givenname"],
+	},
+	{
+		key: "lastName",
+		label: "Last Name",
+		aliases: ["lastname", "surname", "familyname"],
+	},
+	{
+		key: "employeeId",
+		label: "Employee ID",
+		aliases: ["employeeid", "empid", "staffid"],
+	},
+	{
+		key: "role",
+		label: "Role",
+		required: true,
+		aliases: ["role"],
+	},
+	{
+		key: "department",
+		label: "Department",
+		required: true,
+		aliases: ["department", "dept", "team"],
+	},
+	{
+		key: "position",
+		label: "Position",
+		aliases: ["position", "title", "jobtitle"],
+	},
+	{
+		key: "managerEmail",
+		label: "Manager Email",
+		aliases: ["manageremail", "manager", "reportsto"],
+	},
+	{
+		key: "phone",
+		label: "Phone",
+		aliases: ["phone", "phonenumber", "mobile"],
+	},
+	{
+		key: "location",
+		label: "Location",
+		aliases: ["location", "office", "site"],
+	},
+	{
+		key: "startDate",
+		label: "Start Date",
+		aliases: ["startdate", "hiredate", "joined"],
+	},
+	{
+		key: "permissions",
+		label: "Permissions",
+		aliases: ["permissions", "access"],
+	},
+];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ * @param {string} text - CSV content; the first row is the header
+ * @returns {Object} { columns, records } with one object per data row
+ */
+export function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	const input = text.replace(/^\uFEFF/, ""); // Excel adds a byte order mark
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && input[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	if (quoted) {
+		throw new Error("CSV has an unclosed quoted field");
+	}
+	if (field || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	const nonEmpty = rows.filter((r) => r.some((value) => value.trim()));
+	if (nonEmpty.length === 0) {
+		return { columns: [], records: [] };
+	}
+
+	const columns = nonEmpty[0].map((header) => header.trim());
+	const records = nonEmpty.slice(1).map((values) =>
+		Object.fromEntries(
+			columns.map((column, index) => [column, (values[index] || "").trim()])
+		)
+	);
+	return { columns, records };
+}
+
+/**
+ * Parse a JSON array of objects
+ * @param {string} text - JSON content
+ * @returns {Object} { columns, records }
+ */
+export function parseJSON(text) {
+	const data = JSON.parse(text);
+	const records = Array.isArray(data) ? data : data?.users;
+	if (!Array.isArray(records) || records.some((r) => typeof r !== "object" || !r)) {
+		throw new Error('JSON must be an array of objects (or { "users": [...] })');
+	}
+
+	const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+	return {
+		columns,
+		records: records.map((record) =>
+			Object.fromEntries(
+				columns.map((column) => {
+					const value = record[column];
+					return [
+						column,
+						Array.isArray(value) ? value.join(";") : String(value ?? "").trim(),
+					];
+				})
+			)
+		),
+	};
+}
+
+export class UserImporter {
+	/**
+	 * Initialize the UserImporter
+	 * @param {Object} dependencies - Required dependencies
+	 * @param {Object} dependencies.authSystem - Authentication system (user directory)
+	 * @param {Object} dependencies.userManager - Supplies validateUserData and IDs
+	 * @param {Object} [dependencies.permissionsManager] - Validates the permissions column
+	 */
+	constructor(dependencies = {}) {
+		this.authSystem = dependencies.authSystem;
+		this.userManager = dependencies.userManager;
+		this.permissionsManager = dependencies.permissionsManager || null;
+		this.batchesKey = "study-hall-import-batches";
+	}
+
+	/**
+	 * Parse an uploaded file
+	 * @param {string} text - File content
+	 * @param {string} [format] - "csv" or "json"; guessed from the content when omitted
+	 * @returns {Object} { columns, records }
+	 */
+	parse(text, format = null) {
+		const kind = format || (/^\s*[[{]/.test(text) ? "json" : "csv");
+		return kind === "json" ? parseJSON(text) : parseCSV(text);
+	}
+
+	/**
+	 * Fields an import can fill: the built-in ones plus the custom profile
+	 * fields the importer can see, keyed "custom.<key>"
+	 * @returns {Array<Object>} { key, label, required, aliases }
+	 */
+	getFields() {
+		const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+		const customFields = this.userManager.customFields
+			.getVisibleFields()
+			.map((field) => ({
+				key: `custom.${field.key}`,
+				label: field.label,
+				required: field.required && field.type !== "boolean",
+				aliases: [normalize(field.label), normalize(field.key)],
+				field,
+			}));
+		return [...IMPORT_FIELDS, ...customFields];
+	}
+
+	/**
+	 * Guess which column feeds each field from the headers
+	 * @param {Array<string>} columns - File headers
+	 * @returns {Object} field key -> column name (absent when unmatched)
+	 */
+	suggestMapping(columns) {
+		const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+		const mapping = {};
+
+		this.getFields().forEach((field) => {
+			const column = columns.find((c) =>
+				[normalize(field.key), ...field.aliases].includes(normalize(c))
+			);
+			if (column) mapping[field.key] = column;
+		});
+		return mapping;
+	}
+
+	/**
+	 * Dry run: build and validate every row without saving anything
+	 * @param {Array<Object>} records - Parsed records
+	 * @param {Object} mapping - field key -> column name
+	 * @returns {Object} { rows, validCount, errorCount }
+	 */
+	preview(records, mapping) {
+		const missing = this.getFields().filter(
+			(f) => f.required && !mapping[f.key]
+		);
+		if (missing.length > 0) {
+			throw new Error(
+				`Map a column to: ${missing.map((f) => f.label).join(", ")}`
+			);
+		}
+
+		const emailsInFile = new Map();
+		records.forEach((record, index) => {
+			const email = this.readField(record, mapping, "email").toLowerCase();
+			if (email) {
+				emailsInFile.set(email, [...(emailsInFile.get(email) || []), index]);
+			}
+		});
+
+		const rows = records.map((record, index) => {
+			const data = this.buildUserData(record, mapping);
+			const errors = this.userManager.validateUserData(data);
+
+			if (emailsInFile.get(data.email)?.length > 1) {
+				errors.push("Email appears more than once in this file");
+			}
+			if (data.startDate && isNaN(new Date(data.startDate))) {
+				errors.push(`Start date "${data.startDate}" is not a valid date`);
+			}
+
+			const unknownPermissions = this.permissionsManager
+				? data.permissions.filter(
+						(p) => !this.permissionsManager.permissionDefinitions[p]
+				  )
+				: [];
+			if (unknownPermissions.length > 0) {
+				errors.push(`Unknown permission: ${unknownPermissions.join(", ")}`);
+			}
+			if (
+				data.permissions.length > 0 &&
+				!this.authSystem.hasPermission("admin")
+			) {
+				errors.push("Only administrators can assign permissions");
+			}
+
+			// Managers can be existing users or other rows of this import
+			let manager = null;
+			if (data.managerEmail) {
+				const existing = this.authSystem.authorizedUsers.find(
+					(u) => u.email.toLowerCase() === data.managerEmail
+				);
+				if (existing) {
+					manager = { id: existing.id, name: existing.name, inFile: false };
+				} else if (emailsInFile.has(data.managerEmail)) {
+					manager = { email: data.managerEmail, inFile: true };
+				} else {
+					errors.push(`Manager ${data.managerEmail} was not found`);
+				}
+				if (data.managerEmail === data.email) {
+					errors.push("A user can't be their own manager");
+				}
+			}
+
+			return { index, line: index + 2, data, manager, errors };
+		});
+
+		const errorCount = rows.filter((row) => row.errors.length > 0).length;
+		return { rows, validCount: rows.length - errorCount, errorCount };
+	}
+
+	readField(record, mapping, key) {
+		const column = mapping[key];
+		return column ? String(record[column] ?? "").trim() : "";
+	}
+
+	buildUserData(record, mapping) {
+		const read = (key) => this.readField(record, mapping, key);
+		const name = read("name") || `${read("firstName")} ${read("lastName")}`.trim();
+		const [firstName = "", ...rest] = name.split(" ");
+
+		return {
+			email: read("email").toLowerCase(),
+			name,
+			firstName: read("firstName") || firstName,
+			lastName: read("lastName") || rest.join(" "),
+			employeeId: read("employeeId"),
+			role: read("role"),
+			department: read("department"),
+			position: read("position"),
+			managerEmail: read("managerEmail").toLowerCase(),
+			phone: read("phone"),
+			location: read("location"),
+			startDate: read("startDate"),
+			permissions: read("permissions")
+				.split(/[;,|]/)
+				.map((p) => p.trim())
+				.filter(Boolean),
+			customFields: Object.fromEntries(
+				this.getFields()
+					.filter((f) => f.field && mapping[f.key])
+					.map((f) => [
+						f.field.key,
+						this.userManager.customFields.parseValue(f.field, read(f.key)),
+					])
+			),
+		};
+	}
+
+	/**
+	 * Create every previewed user in one batch. Refuses if any row has errors,
+	 * so an import never half-applies.
+	 * @param {Object} preview - Result of preview()
+	 * @returns {Object} Saved batch record
+	 */
+	commit(preview) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to import users");
+		}
+		if (preview.errorCount > 0 || preview.rows.length === 0) {
+			throw new Error("Fix every row with errors before importing");
+		}
+
+		// Re-validate: the directory may have changed since the preview
+		const recheck = preview.rows.filter(
+			(row) => this.userManager.validateUserData(row.data).length > 0
+		);
+		if (recheck.length > 0) {
+			throw new Error(
+				`Rows ${recheck.map((r) => r.line).join(", ")} are no longer valid. Preview again.`
+			);
+		}
+
+		const batchId = `import-${Date.now()}`;
+		const created = this.userManager.addUsers(
+			preview.rows.map(({ data }) => ({
+				...data,
+				startDate: data.startDate
+					? new Date(data.startDate).toISOString().split("T")[0]
+					: "",
+			})),
+			{ batchId }
+		);
+		const managerLinks = created
+			.filter((user) => user.managerId)
+			.map((user) => ({ managerId: user.managerId, userId: user.id }));
+
+		const actor = this.authSystem.getCurrentUser();
+		const batch = {
+			id: batchId,
+			createdAt: new Date().toISOString(),
+			createdBy: actor ? { id: actor.id, name: actor.name } : null,
+			userIds: created.map((u) => u.id),
+			managerLinks,
+			undoneAt: null,
+		};
+		this.saveBatches([...this.loadBatches(), batch]);
+
+		this.authSystem.recordAudit("users_imported", {
+			details: `Imported ${created.length} user(s)`,
+			metadata: { batchId: batch.id, userIds: batch.userIds },
+		});
+
+		return batch;
+	}
+
+	/**
+	 * Remove every user an import created and unlink them from their managers
+	 * @param {string} batchId - Batch record ID
+	 * @returns {number} Number of users removed
+	 */
+	undo(batchId) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to undo imports");
+		}
+
+		const batches = this.loadBatches();
+		const batch = batches.find((b) => b.id === batchId);
+		if (!batch || batch.undoneAt) {
+			throw new Error("This import can't be undone");
+		}
+
+		const removed = new Set(batch.userIds);
+		const before = this.authSystem.authorizedUsers.length;
+		const kept = this.authSystem.authorizedUsers.filter((u) => !removed.has(u.id));
+		this.authSystem.authorizedUsers.splice(
+			0,
+			this.authSystem.authorizedUsers.length,
+			...kept
+		);
+
+		// Anyone who has since been placed under an imported user loses that link
+		this.authSystem.authorizedUsers.forEach((user) => {
+			if (removed.has(user.managerId)) user.managerId = null;
+			if (user.directReports?.some((id) => removed.has(id))) {
+				user.directReports = user.directReports.filter((id) => !removed.has(id));
+			}
+		});
+		this.authSystem.saveUserData();
+
+		batch.undoneAt = new Date().toISOString();
+		this.saveBatches(batches);
+		window.dispatchEvent(
+			new CustomEvent("usersRemoved", { detail: { userIds: batch.userIds } })
+		);
+
+		const count = before - this.authSystem.authorizedUsers.length;
+		this.authSystem.recordAudit("users_import_undone", {
+			details: `Undid import ${batch.id}, removing ${count} user(s)`,
+			status: "warning",
+			metadata: { batchId: batch.id, userIds: batch.userIds },
+		});
+		return count;
+	}
+
+	/**
+	 * Import batches, newest first
+	 * @returns {Array} Batch records
+	 */
+	getBatches() {
+		return this.loadBatches().reverse();
+	}
+
+	loadBatches() {
+		try {
+			const saved = localStorage.getItem(this.batchesKey);
+			return saved ? JSON.parse(saved) : [];
+		} catch (error) {
+			console.warn("Failed to load import batches:", error);
+			return [];
+		}
+	}
+
+	saveBatches(batches) {
+		localStorage.setItem(this.batchesKey, JSON.stringify(batches));
+	}
+}
@@ -1,12 +1,21 @@
 // User Management System
 // Handles CRUD operations for users, roles, and organizational structure
 
+import { CustomFieldManager } from "./customFields.js";
+import { EmploymentHistory, JOB_FIELDS } from "./employmentHistory.js";
+
 export class UserManager {
 	constructor(authSystem) {
 		this.authSystem = authSystem;
+		this.customFields = new CustomFieldManager({ authSystem });
+		this.employmentHistory = new EmploymentHistory({
+			authSystem,
+			userManager: this,
+		});
 		this.departments = this.loadDepartments();
 		this.roles = this.loadRoles();
 		this.positions = this.loadPositions();
+		this.departmentReferences = new Map();
 	}
 
 	// Department management
@@ -156,32 +165,110 @@ export class UserManager {
 	}
 
 	// User CRUD operations
-	createUser(userData) {
+	async createUser(userData) {
 		if (!this.authSystem.canManageUsers()) {
 			throw new Error("Insufficient permissions to create users");
 		}
 
-		const newUser = {
-			id: this.generateUserId(),
-			...userData,
-			directReports: [],
-			startDate: new Date().toISOString().split("T")[0],
-			status: "active",
-			lastLogin: null,
-		};
+		const errors = this.validateUserData(userData);
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
 
-		this.authSystem.authorizedUsers.push(newUser);
-		this.authSystem.saveUserData();
+		// An initial password is optional, but must meet the password policy
+		const { password, ...profile } = userData;
+		if (password) {
+			const errors = await this.authSystem.validateNewPassword(password);
+			if (errors.length > 0) {
+				throw new Error(errors.join(". "));
+			}
+		}
 
-		// Update manager's direct reports if applicable
-		if (newUser.managerId) {
-			this.addDirectReport(newUser.managerId, newUser.id);
+		// Hash before adding so the user is never saved without it
+		const credentials = {};
+		if (password) {
+			await this.authSystem.setPassword(credentials, password);
 		}
 
+		const [newUser] = this.addUsers([{ ...profile, ...credentials }]);
+		this.authSystem.recordAudit("user_create", {
+			target: newUser,
+			details: `Created ${newUser.email}`,
+		});
 		return newUser;
 	}
 
-	updateUser(userId, updateData) {
+	/**
+	 * Add validated users to the directory in one save: assigns IDs, links
+	 * managers, records each hire and announces the new users. A profile
+	 * names its manager by `managerId`, or by `managerEmail` when the manager
+	 * is being added in the same batch.
+	 * @param {Array<Object>} profiles - User data without IDs
+	 * @param {Object} [detail] - Extra detail for each userCreated event
+	 * @returns {Array<Object>} The new users
+	 */
+	addUsers(profiles, detail = {}) {
+		if (!this.authSystem.canManageUsers()) {
+			throw new Error("Insufficient permissions to create users");
+		}
+		if (
+			profiles.some((p) => p.permissions?.length > 0) &&
+			!this.authSystem.hasPermission("admin")
+		) {
+			throw new Error("Only administrators can assign permissions");
+		}
+
+		const today = new Date().toISOString().split("T")[0];
+		const created = profiles.map(({ managerEmail, ...profile }) => {
+			const user = {
+				id: this.generateUserId(),
+				permissions: [],
+				...profile,
+				managerId: profile.managerId || null,
+				directReports: [],
+				startDate: profile.startDate || today,
+				status: "active",
+				lastLogin: null,
+			};
+			// IDs come from the directory, so add each user before the next ID
+			this.authSystem.authorizedUsers.push(user);
+			return user;
+		});
+
+		// Second pass, now that managers from the same batch have IDs
+		const byEmail = new Map(
+			this.authSystem.authorizedUsers.map((u) => [u.email.toLowerCase(), u])
+		);
+		profiles.forEach(({ managerEmail }, i) => {
+			if (managerEmail && !created[i].managerId) {
+				created[i].managerId =
+					byEmail.get(managerEmail.toLowerCase())?.id || null;
+			}
+		});
+		created.forEach((user) => {
+			if (user.managerId) {
+				this.addDirectReport(user.managerId, user.id);
+			}
+		});
+		this.authSystem.saveUserData();
+
+		created.forEach((user) => this.employmentHistory.recordHire(user));
+
+		// Lets lifecycle workflows start onboarding
+		created.forEach((user) =>
+			window.dispatchEvent(
+				new CustomEvent("userCreated", { detail: { user, ...detail } })
+			)
+		);
+
+		return created;
+	}
+
+	// Job fields (role, position, department, manager) go through the
+	// employment history; `jobChange` says when and why they change:
+	// { effectiveDate, reason, note }. Future-dated ones are left for
+	// EmploymentHistory to apply on the day.
+	updateUser(userId, updateData, jobChange = {}) {
 		if (!this.authSystem.canManageUsers()) {
 			throw new Error("Insufficient permissions to update users");
 		}
@@ -193,28 +280,72 @@ export class UserManager {
 			throw new Error("User not found");
 		}
 
+		// Checked before anything is written, as PermissionsManager does
+		const permissionsBefore =
+			this.authSystem.authorizedUsers[userIndex].permissions || [];
+		const permissionsChanged =
+			"permissions" in updateData &&
+			[...(updateData.permissions || [])].sort().join() !==
+				[...permissionsBefore].sort().join();
+		if (permissionsChanged && !this.authSystem.hasPermission("admin")) {
+			throw new Error("Only administrators can assign permissions");
+		}
+
+		const profile = { ...updateData };
+		const job = {};
+		Object.keys(JOB_FIELDS).forEach((field) => {
+			if (field in profile) {
+				job[field] = profile[field];
+				delete profile[field];
+			}
+		});
+		this.employmentHistory.recordChange(userId, job, jobChange);
+
 		const currentUser = this.authSystem.authorizedUsers[userIndex];
-		const oldManagerId = currentUser.managerId;
+		const changed = Object.keys(profile).filter(
+			(field) =>
+				field !== "permissions" &&
+				JSON.stringify(profile[field]) !== JSON.stringify(currentUser[field])
+		);
 
-		// Update user data
+		// Update user data. Custom values are merged so fields the editor
+		// can't see are kept.
 		this.authSystem.authorizedUsers[userIndex] = {
 			...currentUser,
-			...updateData,
+			...profile,
 		};
-
-		// Handle manager changes
-		if (oldManagerId !== updateData.managerId) {
-			// Remove from old manager's direct reports
-			if (oldManagerId) {
-				this.removeDirectReport(oldManagerId, userId);
-			}
-			// Add to new manager's direct reports
-			if (updateData.managerId) {
-				this.addDirectReport(updateData.managerId, userId);
-			}
+		if (updateData.customFields) {
+			this.authSystem.authorizedUsers[userIndex].customFields = {
+				...currentUser.customFields,
+				...updateData.customFields,
+			};
 		}
 
 		this.authSystem.saveUserData();
+
+		// Job fields are audited by the employment history
+		if (changed.length > 0) {
+			this.authSystem.recordAudit("user_updated", {
+				target: currentUser,
+				details: `Changed ${changed.join(", ")}`,
+				metadata: { fields: changed },
+			});
+		}
+		if (permissionsChanged) {
+			const after = this.authSystem.authorizedUsers[userIndex].permissions;
+			this.authSystem.recordAudit("permission_change", {
+				target: currentUser,
+				details: `Permissions set to ${after.join(", ") || "none"}`,
+				metadata: { before: permissionsBefore, after },
+			});
+		}
+
+		// Lets training follow position and department changes
+		window.dispatchEvent(
+			new CustomEvent("userUpdated", {
+				detail: { user: this.authSystem.authorizedUsers[userIndex] },
+			})
+		);
 		return this.authSystem.authorizedUsers[userIndex];
 	}
 
@@ -235,7 +366,11 @@ export class UserManager {
 
 		// Reassign direct reports to user's manager or mark as unassigned
 		user.directReports.forEach((reportId) => {
-			this.updateUser(reportId, { managerId: user.managerId || null });
+			this.updateUser(
+				reportId,
+				{ managerId: user.managerId || null },
+				{ reason: "manager_change", note: `${user.name} was removed` }
+			);
 		});
 
 		// Remove user from array
@@ -243,6 +378,15 @@ export class UserManager {
 			(u) => u.id !== userId
 		);
 		this.authSystem.saveUserData();
+		window.dispatchEvent(
+			new CustomEvent("usersRemoved", { detail: { userIds: [userId] } })
+		);
+
+		this.authSystem.recordAudit("user_deleted", {
+			target: user,
+			details: `Deleted ${user.email}`,
+			status: "warning",
+		});
 
 		return true;
 	}
@@ -296,9 +440,7 @@ export class UserManager {
 
 	// Utility methods
 	generateUserId() {
-		const users = this.authSystem.authorizedUsers;
-		const maxId = Math.max(...users.map((u) => parseInt(u.id.substring(3))));
-		return `EMP${String(maxId + 1).padStart(3, "0")}`;
+		return this.authSystem.generateUserId();
 	}
 
 	validateUserData(userData) {
@@ -328,27 +470,258 @@ export class UserManager {
 			errors.push("Email address is already in use");
 		}
 
+		errors.push(...this.customFields.validateValues(userData.customFields));
+
+		return errors;
+	}
+
+	// Department operations. Users, positions, tasks and documents refer to
+	// a department by name, so renames and merges rewrite those references.
+	getDepartmentById(departmentId) {
+		return this.departments.find((d) => d.id === departmentId);
+	}
+
+	getDepartmentByName(name) {
+		const key = String(name || "").trim().toLowerCase();
+		return this.departments.find((d) => d.name.toLowerCase() === key);
+	}
+
+	// Other managers that store department names (tasks, documents...) hook
+	// in here. `count(name)` and `move(from, to)` both return a number.
+	registerDepartmentReferences(label, { count, move }) {
+		this.departmentReferences.set(label, { count, move });
+		return this;
+	}
+
+	getDepartmentUsage(departmentId) {
+		const department = this.getDepartmentById(departmentId);
+		if (!department) {
+			throw new Error("Department not found");
+		}
+
+		const usage = {
+			users: this.getUsersByDepartment(department.name).length,
+			positions: this.positions.filter(
+				(p) => p.department === department.name
+			).length,
+		};
+		this.departmentReferences.forEach(({ count }, label) => {
+			usage[label] = count(department.name);
+		});
+		return usage;
+	}
+
+	validateDepartmentData(deptData, excludeId = null) {
+		const errors = [];
+		const name = String(deptData.name || "").trim();
+
+		if (name.length < 2) {
+			errors.push("Department name must be at least 2 characters");
+		}
+
+		const existing = this.getDepartmentByName(name);
+		if (name && existing && existing.id !== excludeId) {
+			errors.push(`A department named "${existing.name}" already exists`);
+		}
+
+		const budget = Number(deptData.budget ?? 0);
+		if (isNaN(budget) || budget < 0) {
+			errors.push("Budget must be zero or more");
+		}
+
+		const head = deptData.headOfDepartment;
+		if (head && !this.getUserById(head)) {
+			errors.push("Head of department must be an existing user");
+		}
+
 		return errors;
 	}
 
-	// Department operations
+	normalizeDepartment(deptData) {
+		return {
+			name: String(deptData.name || "").trim(),
+			description: String(deptData.description || "").trim(),
+			budget: Number(deptData.budget) || 0,
+			headOfDepartment: deptData.headOfDepartment || null,
+		};
+	}
+
 	createDepartment(deptData) {
 		if (!this.authSystem.canAccessAdminPanel()) {
 			throw new Error("Insufficient permissions to create departments");
 		}
 
+		const errors = this.validateDepartmentData(deptData);
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
 		const newDept = {
 			id: this.generateDepartmentId(),
-			...deptData,
+			...this.normalizeDepartment(deptData),
 		};
 
 		this.departments.push(newDept);
 		this.saveDepartments();
+
+		this.authSystem.recordAudit("department_created", {
+			details: `Created department "${newDept.name}"`,
+			metadata: { departmentId: newDept.id },
+		});
 		return newDept;
 	}
 
+	updateDepartment(departmentId, updates) {
+		if (!this.authSystem.canAccessAdminPanel()) {
+			throw new Error("Insufficient permissions to update departments");
+		}
+
+		const department = this.getDepartmentById(departmentId);
+		if (!department) {
+			throw new Error("Department not found");
+		}
+
+		const merged = { ...department, ...updates };
+		const errors = this.validateDepartmentData(merged, departmentId);
+		if (errors.length > 0) {
+			throw new Error(errors.join(". "));
+		}
+
+		const oldName = department.name;
+		Object.assign(department, this.normalizeDepartment(merged));
+		this.saveDepartments();
+
+		const renamed = department.name !== oldName;
+		if (renamed) {
+			this.moveDepartmentReferences(oldName, department.name);
+			this.employmentHistory.renameDepartment(oldName, department.name);
+		}
+
+		this.authSystem.recordAudit("department_updated", {
+			details: renamed
+				? `Renamed department "${oldName}" to "${department.name}"`
+				: `Updated department "${department.name}"`,
+			metadata: { departmentId },
+		});
+		return department;
+	}
+
+	deleteDepartment(departmentId) {
+		if (!this.authSystem.canAccessAdminPanel()) {
+			throw new Error("Insufficient permissions to delete departments");
+		}
+
+		const department = this.getDepartmentById(departmentId);
+		if (!department) {
+			throw new Error("Department not found");
+		}
+
+		const usage = this.getDepartmentUsage(departmentId);
+		if (usage.users > 0) {
+			throw new Error(
+				`"${department.name}" still has ${usage.users} member${
+					usage.users === 1 ? "" : "s"
+				}. Move them or merge the department instead.`
+			);
+		}
+		if (usage.positions > 0) {
+			throw new Error(
+				`"${department.name}" still has positions. Merge it instead.`
+			);
+		}
+
+		this.departments = this.departments.filter((d) => d.id !== departmentId);
+		this.saveDepartments();
+
+		this.authSystem.recordAudit("department_deleted", {
+			details: `Deleted department "${department.name}"`,
+			metadata: { departmentId },
+		});
+		return true;
+	}
+
+	/**
+	 * Fold one department into another: its members, positions and every
+	 * registered reference move across, then the source is removed
+	 * @returns {Object} How many records moved, keyed like getDepartmentUsage
+	 */
+	mergeDepartments(sourceId, targetId) {
+		if (!this.authSystem.canAccessAdminPanel()) {
+			throw new Error("Insufficient permissions to merge departments");
+		}
+		if (sourceId === targetId) {
+			throw new Error("Choose two different departments to merge");
+		}
+
+		const source = this.getDepartmentById(sourceId);
+		const target = this.getDepartmentById(targetId);
+		if (!source || !target) {
+			throw new Error("Department not found");
+		}
+
+		// Members' moves are job changes, so they go into their history
+		const members = this.getUsersByDepartment(source.name);
+		members.forEach((user) => {
+			this.employmentHistory.recordChange(
+				user.id,
+				{ department: target.name },
+				{
+					reason: "reorganization",
+					note: `${source.name} merged into ${target.name}`,
+				}
+			);
+		});
+
+		const moved = {
+			...this.moveDepartmentReferences(source.name, target.name),
+			users: members.length,
+		};
+
+		// A headless target inherits the source's head
+		if (!target.headOfDepartment && source.headOfDepartment) {
+			target.headOfDepartment = source.headOfDepartment;
+		}
+
+		this.departments = this.departments.filter((d) => d.id !== sourceId);
+		this.saveDepartments();
+
+		this.authSystem.recordAudit("department_merged", {
+			details: `Merged "${source.name}" into "${target.name}"`,
+			metadata: { sourceId, targetId, moved },
+		});
+		return moved;
+	}
+
+	moveDepartmentReferences(fromName, toName) {
+		const moved = { users: 0, positions: 0 };
+
+		this.getUsersByDepartment(fromName).forEach((user) => {
+			user.department = toName;
+			moved.users++;
+		});
+		if (moved.users > 0) {
+			this.authSystem.saveUserData();
+		}
+
+		this.positions
+			.filter((p) => p.department === fromName)
+			.forEach((position) => {
+				position.department = toName;
+				moved.positions++;
+			});
+		if (moved.positions > 0) {
+			this.savePositions();
+		}
+
+		this.departmentReferences.forEach(({ move }, label) => {
+			moved[label] = move(fromName, toName);
+		});
+		return moved;
+	}
+
 	generateDepartmentId() {
 		const maxId = Math.max(
+			0,
 			...this.departments.map((d) => parseInt(d.id.substring(4)))
 		);
 		return `DEPT${String(maxId + 1).padStart(3, "0")}`;
@@ -363,7 +736,8 @@ export class UserManager {
 				user.email.toLowerCase().includes(searchTerm) ||
 				user.role.toLowerCase().includes(searchTerm) ||
 				user.department.toLowerCase().includes(searchTerm) ||
-				user.position.toLowerCase().includes(searchTerm)
+				user.position.toLowerCase().includes(searchTerm) ||
+				this.customFields.getSearchText(user).includes(searchTerm)
 		);
 	}
 